@@ -0,0 +1,160 @@
+/**
+ * Bulk export command for SMART Backend Services
+ * Authorizes with the client_credentials grant and a private_key_jwt client
+ * assertion, runs a FHIR Bulk Data $export, downloads the NDJSON files and
+ * writes a summary per patient using the application's resource normalizers
+ *
+ * Settings come from flags, SMART_BULK_* environment variables and an
+ * optional JSON config file; run with --help to list them
+ *
+ * Output (under --output):
+ *   manifest.json          the completion manifest of the export
+ *   ndjson/<Type>-<n>.ndjson   downloaded files, including error files
+ *   summaries/<patient>.json   normalized records per patient
+ *   summaries/index.json   patients with their record counts
+ */
+
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const { loadConfig, getUsage } = require('./server-config');
+const { loadSigningKey, fetchSmartConfiguration } = require('./smart-bff');
+const { createBackendServicesAuth } = require('./bulk/backend-services');
+const { createBulkDataClient } = require('./bulk/bulk-data-client');
+const { loadBrowserModules, writePatientSummaries } = require('./bulk/patient-summaries');
+
+const COMMAND = 'node bulk-export.js';
+const CONFIG_ENV = 'SMART_BULK_CONFIG';
+
+/**
+ * Supported settings, resolved like the server's (see server-config.js)
+ */
+const BULK_CONFIG_OPTIONS = {
+  fhirServer: { flag: '--fhir-server', env: 'SMART_BULK_FHIR_SERVER', type: 'string', default: null, description: 'FHIR base URL to export from (required)' },
+  clientId: { flag: '--client-id', env: 'SMART_BULK_CLIENT_ID', type: 'string', default: null, description: 'Backend services client ID (required)' },
+  privateKey: { flag: '--private-key', env: 'SMART_BULK_PRIVATE_KEY', type: 'string', default: null, description: 'PEM private key (RSA or EC P-384) registered for the client (required)' },
+  keyId: { flag: '--key-id', env: 'SMART_BULK_KEY_ID', type: 'string', default: null, description: 'Key ID (kid) of the private key; defaults to its JWK thumbprint' },
+  scope: { flag: '--scope', env: 'SMART_BULK_SCOPE', type: 'string', default: null, description: 'Scopes to request; defaults to system read scopes for the exported types' },
+  group: { flag: '--group', env: 'SMART_BULK_GROUP', type: 'string', default: null, description: 'Export the patients of this Group instead of all patients' },
+  types: { flag: '--types', env: 'SMART_BULK_TYPES', type: 'string', default: null, description: 'Comma-separated resource types; defaults to Patient and the types the application shows' },
+  since: { flag: '--since', env: 'SMART_BULK_SINCE', type: 'string', default: null, description: 'Only export resources changed since this FHIR instant' },
+  output: { flag: '--output', env: 'SMART_BULK_OUTPUT', type: 'string', default: './bulk-output', description: 'Directory for the downloaded files and summaries' },
+  pollInterval: { flag: '--poll-interval', env: 'SMART_BULK_POLL_INTERVAL', type: 'number', default: 5, description: 'Seconds between status polls when the server sends no Retry-After' },
+  timeout: { flag: '--timeout', env: 'SMART_BULK_TIMEOUT', type: 'number', default: 3600, description: 'Seconds to wait for the export before cancelling it' },
+  printJwks: { flag: '--print-jwks', env: 'SMART_BULK_PRINT_JWKS', type: 'boolean', default: false, description: 'Print the public JWKS of the private key (to register the client) and exit' }
+};
+
+/**
+ * Get the resource types to export
+ * @param {Object} config - Resolved settings
+ * @param {Object} registry - Resource registry of the application
+ * @returns {Array<string>} Resource types
+ */
+function getExportTypes(config, registry) {
+  if (config.types) {
+    return config.types.split(',').map(type => type.trim()).filter(Boolean);
+  }
+  return [...new Set(['Patient', ...Object.values(registry).map(definition => definition.resourceType)])];
+}
+
+/**
+ * Print the diagnostics of the downloaded error files
+ * @param {Array} errorFiles - Error files from downloadFiles()
+ */
+function reportExportErrors(errorFiles) {
+  errorFiles.forEach(({ file }) => {
+    fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim()).forEach(line => {
+      const outcome = JSON.parse(line);
+      (outcome.issue || []).forEach(issue => {
+        console.log(chalk.yellow(`  ⚠ ${issue.diagnostics || issue.details?.text || issue.code}`));
+      });
+    });
+  });
+}
+
+async function run(config) {
+  const missing = ['fhirServer', 'clientId', 'privateKey'].filter(name => !config[name]);
+  if (missing.length > 0) {
+    throw new Error(`Missing ${missing.map(name => BULK_CONFIG_OPTIONS[name].flag).join(', ')} (see --help)`);
+  }
+
+  const signingKey = loadSigningKey({ privateKeyFile: path.resolve(config.privateKey), keyId: config.keyId });
+  const { ResourceRegistry, getSupportedScopeVersion, ScopeVersion } = await loadBrowserModules();
+  const types = getExportTypes(config, ResourceRegistry);
+
+  const smartConfiguration = await fetchSmartConfiguration(config.fhirServer, ['token_endpoint']);
+  const permission = getSupportedScopeVersion(smartConfiguration) === ScopeVersion.V2 ? 'rs' : 'read';
+  const scope = config.scope || types.map(type => `system/${type}.${permission}`).join(' ');
+
+  const auth = createBackendServicesAuth({
+    tokenEndpoint: smartConfiguration.token_endpoint,
+    clientId: config.clientId,
+    scope,
+    signingKey
+  });
+  await auth.getAccessToken();
+  console.log(`  Authorized as ${chalk.green(config.clientId)} with scope ${chalk.green(auth.getGrantedScope())}`);
+
+  const client = createBulkDataClient({
+    fhirBaseUrl: config.fhirServer,
+    auth,
+    log: message => console.log(chalk.gray(`  ${message}`))
+  });
+
+  const statusUrl = await client.kickOff({ group: config.group, types, since: config.since });
+  console.log(`  Export started: ${chalk.blue(statusUrl)}`);
+
+  const manifest = await client.waitForManifest(statusUrl, {
+    pollInterval: config.pollInterval,
+    timeout: config.timeout
+  });
+
+  const outputDirectory = path.resolve(config.output);
+  await fs.promises.mkdir(outputDirectory, { recursive: true });
+  await fs.promises.writeFile(path.join(outputDirectory, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+  const files = await client.downloadFiles(manifest, path.join(outputDirectory, 'ndjson'));
+  reportExportErrors(files.error);
+
+  const index = await writePatientSummaries(files.output.map(({ file }) => file), path.join(outputDirectory, 'summaries'));
+
+  // The server may remove the files once the client is done with them
+  await client.cancel(statusUrl).catch(() => {});
+
+  console.log(chalk.green(`\n✓ Exported ${files.output.length} files and summarized ${index.length} patients`));
+  console.log(`  Summaries: ${chalk.blue(path.join(outputDirectory, 'summaries'))}\n`);
+}
+
+async function main() {
+  let config;
+  try {
+    config = loadConfig({ options: BULK_CONFIG_OPTIONS, defaultConfigFile: null, configEnv: CONFIG_ENV });
+  } catch (error) {
+    console.error(chalk.red(`\n✗ ${error.message}\n`));
+    process.exit(1);
+  }
+
+  if (config.help) {
+    console.log(getUsage(BULK_CONFIG_OPTIONS, COMMAND, null, CONFIG_ENV));
+    return;
+  }
+
+  try {
+    if (config.printJwks) {
+      if (!config.privateKey) {
+        throw new Error('--print-jwks needs --private-key');
+      }
+      const { jwks } = loadSigningKey({ privateKeyFile: path.resolve(config.privateKey), keyId: config.keyId });
+      console.log(JSON.stringify(jwks, null, 2));
+      return;
+    }
+
+    console.log(chalk.cyan(`\nBulk export from ${config.fhirServer || '(no FHIR server)'}`));
+    await run(config);
+  } catch (error) {
+    console.error(chalk.red(`\n✗ ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+main();
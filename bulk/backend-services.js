@@ -0,0 +1,82 @@
+/**
+ * SMART Backend Services authorization
+ * Gets system-level access tokens with the client_credentials grant, the
+ * client authenticating with a private_key_jwt assertion (see smart-bff.js).
+ * No user is involved, so there is no refresh token: a new token is requested
+ * whenever the current one is about to expire.
+ */
+
+const { createClientAssertion, CLIENT_ASSERTION_TYPE } = require('../smart-bff');
+
+// Tokens expiring within this margin are replaced before use
+const TOKEN_EXPIRY_MARGIN = 30 * 1000;
+
+/**
+ * Create an authorizer for one client and scope
+ * @param {Object} options - Authorization options
+ * @param {string} options.tokenEndpoint - Token endpoint from the SMART configuration
+ * @param {string} options.clientId - Client ID registered with the server
+ * @param {string} options.scope - System scopes to request (e.g. "system/Patient.read")
+ * @param {Object} options.signingKey - Key from loadSigningKey()
+ * @returns {Object} { getAccessToken, getGrantedScope }
+ */
+function createBackendServicesAuth({ tokenEndpoint, clientId, scope, signingKey }) {
+  let token = null;
+  let pending = null;
+
+  async function requestToken() {
+    const response = await fetch(tokenEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body: new URLSearchParams({
+        grant_type: 'client_credentials',
+        scope,
+        client_assertion_type: CLIENT_ASSERTION_TYPE,
+        client_assertion: createClientAssertion(signingKey, { clientId, tokenEndpoint })
+      })
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.access_token) {
+      throw new Error(`Backend services authorization failed: ${data.error_description || data.error || `HTTP ${response.status}`}`);
+    }
+
+    token = {
+      accessToken: data.access_token,
+      scope: data.scope || scope,
+      expiresAt: Date.now() + (Number(data.expires_in) || 300) * 1000
+    };
+    return token.accessToken;
+  }
+
+  return {
+    /**
+     * Get a valid access token, requesting a new one when needed; concurrent
+     * callers share one request
+     * @returns {Promise<string>} Access token
+     */
+    getAccessToken() {
+      if (token && token.expiresAt - Date.now() > TOKEN_EXPIRY_MARGIN) {
+        return Promise.resolve(token.accessToken);
+      }
+      if (!pending) {
+        pending = requestToken().finally(() => {
+          pending = null;
+        });
+      }
+      return pending;
+    },
+
+    /**
+     * Get the scope the server granted with the last token
+     * @returns {string|null} Granted scope
+     */
+    getGrantedScope() {
+      return token ? token.scope : null;
+    }
+  };
+}
+
+module.exports = {
+  createBackendServicesAuth
+};
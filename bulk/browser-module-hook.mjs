@@ -0,0 +1,15 @@
+/**
+ * Module loader hook for Node
+ * The application's modules in src/js are ES modules written for the browser,
+ * while the repository root is CommonJS. This hook loads them as ES modules so
+ * the bulk export command can reuse their normalizers.
+ */
+
+const BROWSER_MODULES_URL = new URL('../src/js/', import.meta.url).href;
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(BROWSER_MODULES_URL) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,187 @@
+/**
+ * FHIR Bulk Data client
+ * Runs an asynchronous $export: kick-off, polling the status URL until the
+ * manifest is ready, and downloading the NDJSON files it lists.
+ * See https://hl7.org/fhir/uv/bulkdata/export.html
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const FHIR_JSON = 'application/fhir+json';
+
+/**
+ * Create a Bulk Data client for one FHIR server
+ * @param {Object} options - Client options
+ * @param {string} options.fhirBaseUrl - FHIR base URL
+ * @param {Object} options.auth - Authorizer from createBackendServicesAuth()
+ * @param {Function} options.log - Progress messages (defaults to console.log)
+ * @returns {Object} { kickOff, waitForManifest, cancel, downloadFiles }
+ */
+function createBulkDataClient({ fhirBaseUrl, auth, log = console.log }) {
+  const baseUrl = fhirBaseUrl.replace(/\/+$/, '');
+
+  async function request(url, { method = 'GET', headers = {}, authorize = true } = {}) {
+    const requestHeaders = { ...headers };
+    if (authorize) {
+      requestHeaders.Authorization = `Bearer ${await auth.getAccessToken()}`;
+    }
+    return fetch(url, { method, headers: requestHeaders });
+  }
+
+  /**
+   * Start an export of patient data
+   * @param {Object} options - Export options
+   * @param {string} options.group - Group ID; exports every patient when omitted
+   * @param {Array<string>} options.types - Resource types (_type)
+   * @param {string} options.since - Only resources changed since this instant (_since)
+   * @returns {Promise<string>} Status URL of the export job
+   */
+  async function kickOff({ group = null, types = [], since = null } = {}) {
+    const url = new URL(group ? `${baseUrl}/Group/${encodeURIComponent(group)}/$export` : `${baseUrl}/Patient/$export`);
+    if (types.length > 0) url.searchParams.set('_type', types.join(','));
+    if (since) url.searchParams.set('_since', since);
+
+    const response = await request(url.href, {
+      headers: { Accept: FHIR_JSON, Prefer: 'respond-async' }
+    });
+
+    if (response.status !== 202) {
+      throw new Error(`Export kick-off failed: ${await describeFailure(response)}`);
+    }
+
+    const statusUrl = response.headers.get('content-location');
+    if (!statusUrl) {
+      throw new Error('Export kick-off response has no Content-Location header');
+    }
+
+    return new URL(statusUrl, url).href;
+  }
+
+  /**
+   * Poll the status URL until the export completes
+   * @param {string} statusUrl - Status URL from kickOff()
+   * @param {Object} options - Polling options
+   * @param {number} options.pollInterval - Seconds between polls when the server gives no Retry-After
+   * @param {number} options.timeout - Seconds to wait before cancelling the job
+   * @returns {Promise<Object>} Completion manifest
+   */
+  async function waitForManifest(statusUrl, { pollInterval = 5, timeout = 3600 } = {}) {
+    const deadline = Date.now() + timeout * 1000;
+
+    for (;;) {
+      const response = await request(statusUrl, { headers: { Accept: 'application/json' } });
+
+      if (response.status === 200) {
+        return response.json();
+      }
+
+      if (response.status !== 202 && response.status !== 429) {
+        throw new Error(`Export failed: ${await describeFailure(response)}`);
+      }
+
+      const progress = response.headers.get('x-progress');
+      log(response.status === 429
+        ? 'Server asked to slow down polling'
+        : `Export in progress${progress ? `: ${progress}` : ''}`);
+
+      const delay = getRetryDelay(response.headers.get('retry-after'), pollInterval);
+      if (Date.now() + delay > deadline) {
+        await cancel(statusUrl).catch(() => {});
+        throw new Error(`Export did not complete within ${timeout} seconds; the job was cancelled`);
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Cancel an export job, or tell the server its files may be removed
+   * @param {string} statusUrl - Status URL from kickOff()
+   * @returns {Promise<void>}
+   */
+  async function cancel(statusUrl) {
+    const response = await request(statusUrl, { method: 'DELETE' });
+    if (!response.ok) {
+      throw new Error(`Export cancel failed: ${await describeFailure(response)}`);
+    }
+  }
+
+  /**
+   * Download the output and error files of a manifest
+   * @param {Object} manifest - Completion manifest from waitForManifest()
+   * @param {string} directory - Directory to write the NDJSON files to
+   * @returns {Promise<Object>} { output, error }: lists of { type, file, count }
+   */
+  async function downloadFiles(manifest, directory) {
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const counters = {};
+    const download = async entry => {
+      counters[entry.type] = (counters[entry.type] || 0) + 1;
+      const file = path.join(directory, `${entry.type}-${counters[entry.type]}.ndjson`);
+
+      const response = await request(entry.url, {
+        headers: { Accept: 'application/fhir+ndjson' },
+        authorize: manifest.requiresAccessToken === true
+      });
+      if (!response.ok) {
+        throw new Error(`Download of ${entry.url} failed: ${await describeFailure(response)}`);
+      }
+
+      await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(file));
+      log(`Downloaded ${path.basename(file)}${entry.count !== undefined ? ` (${entry.count} resources)` : ''}`);
+      return { type: entry.type, file, count: entry.count };
+    };
+
+    // One file at a time keeps memory use and server load predictable
+    const result = { output: [], error: [] };
+    for (const key of ['output', 'error']) {
+      for (const entry of manifest[key] || []) {
+        result[key].push(await download(entry));
+      }
+    }
+    return result;
+  }
+
+  return { kickOff, waitForManifest, cancel, downloadFiles };
+}
+
+/**
+ * Convert a Retry-After header (seconds or HTTP date) to milliseconds
+ * @param {string|null} retryAfter - Header value
+ * @param {number} fallbackSeconds - Delay to use when the header is missing or invalid
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(retryAfter, fallbackSeconds) {
+  if (retryAfter) {
+    if (/^\d+$/.test(retryAfter.trim())) {
+      return Number(retryAfter) * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+  return fallbackSeconds * 1000;
+}
+
+/**
+ * Describe a failed response, using the OperationOutcome diagnostics when present
+ * @param {Response} response - Failed response
+ * @returns {Promise<string>} Description
+ */
+async function describeFailure(response) {
+  const body = await response.json().catch(() => null);
+  const issues = body && body.resourceType === 'OperationOutcome' && Array.isArray(body.issue)
+    ? body.issue.map(issue => issue.diagnostics || issue.details?.text || issue.code).filter(Boolean)
+    : [];
+
+  return issues.length > 0 ? `HTTP ${response.status}: ${issues.join('; ')}` : `HTTP ${response.status}`;
+}
+
+module.exports = {
+  createBulkDataClient,
+  getRetryDelay
+};
@@ -0,0 +1,225 @@
+/**
+ * Per-patient summaries of a bulk export
+ * Groups the exported resources by patient and runs them through the same
+ * resource registry and normalizers the browser application uses, so a
+ * summary holds the records the application would show for that patient.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { register } = require('module');
+const { pathToFileURL } = require('url');
+
+const BROWSER_MODULES = path.join(__dirname, '..', 'src', 'js');
+
+let browserModules = null;
+
+/**
+ * Load the browser modules (ES modules) used to normalize resources
+ * @returns {Promise<Object>} { ResourceRegistry, getSupportedScopeVersion, ScopeVersion }
+ */
+async function loadBrowserModules() {
+  if (!browserModules) {
+    register('./browser-module-hook.mjs', pathToFileURL(__filename));
+
+    const [resources, scopes] = await Promise.all([
+      import(pathToFileURL(path.join(BROWSER_MODULES, 'fhir-resources.js')).href),
+      import(pathToFileURL(path.join(BROWSER_MODULES, 'smart-scopes.js')).href)
+    ]);
+
+    browserModules = {
+      ResourceRegistry: resources.ResourceRegistry,
+      getSupportedScopeVersion: scopes.getSupportedScopeVersion,
+      ScopeVersion: scopes.ScopeVersion
+    };
+  }
+  return browserModules;
+}
+
+/**
+ * Get the ID of the patient a resource belongs to
+ * @param {Object} resource - FHIR resource
+ * @returns {string|null} Patient ID
+ */
+function getPatientId(resource) {
+  if (resource.resourceType === 'Patient') {
+    return resource.id || null;
+  }
+
+  const reference = (resource.patient || resource.subject || {}).reference || '';
+  const match = reference.match(/(?:^|\/)Patient\/([^/]+)$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Get the codes (or plain values) of a resource element for search matching
+ * @param {*} value - Element value: string, CodeableConcept or array of either
+ * @returns {Array<string>} Codes
+ */
+function getElementCodes(value) {
+  if (Array.isArray(value)) {
+    return value.flatMap(getElementCodes);
+  }
+  if (value && typeof value === 'object') {
+    return (value.coding || []).map(coding => coding.code).filter(Boolean);
+  }
+  return value === undefined || value === null ? [] : [String(value)];
+}
+
+/**
+ * Check a resource against the search parameters of a registry entry
+ *
+ * The browser asks the server to apply defaultParams; an export returns
+ * every resource of a type, so the token parameters (category, status, ...)
+ * are applied here. Result parameters such as _sort do not filter.
+ *
+ * @param {Object} resource - FHIR resource
+ * @param {Object} params - Search parameters
+ * @returns {boolean} True when the resource matches
+ */
+function matchesSearchParams(resource, params = {}) {
+  return Object.entries(params)
+    .filter(([name]) => !name.startsWith('_'))
+    .every(([name, value]) => {
+      const element = name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+      const codes = getElementCodes(resource[element]);
+      return String(value).split(',').some(code => codes.includes(code));
+    });
+}
+
+/**
+ * Read the resources of NDJSON files, grouped by patient
+ * @param {Array<string>} files - NDJSON file paths
+ * @returns {Promise<Map>} Patient ID -> { patient, resources: { resourceType: [] } }
+ */
+async function groupResourcesByPatient(files) {
+  const patients = new Map();
+  const getEntry = id => {
+    if (!patients.has(id)) {
+      patients.set(id, { patient: null, resources: {} });
+    }
+    return patients.get(id);
+  };
+
+  for (const file of files) {
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    let lineNumber = 0;
+
+    for await (const line of lines) {
+      lineNumber += 1;
+      if (!line.trim()) continue;
+
+      let resource;
+      try {
+        resource = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${path.basename(file)} line ${lineNumber} is not valid JSON: ${error.message}`);
+      }
+
+      const patientId = getPatientId(resource);
+      if (!patientId) continue;
+
+      const entry = getEntry(patientId);
+      if (resource.resourceType === 'Patient') {
+        entry.patient = resource;
+      } else {
+        (entry.resources[resource.resourceType] = entry.resources[resource.resourceType] || []).push(resource);
+      }
+    }
+  }
+
+  return patients;
+}
+
+/**
+ * Build the display name of a Patient resource
+ * @param {Object} patient - Patient resource
+ * @returns {string|null} Name
+ */
+function formatPatientName(patient) {
+  const name = (patient.name || []).find(item => item.use === 'official') || (patient.name || [])[0];
+  if (!name) return null;
+  return name.text || [...(name.given || []), name.family].filter(Boolean).join(' ') || null;
+}
+
+/**
+ * Run the browser normalizers without their console progress messages,
+ * which would be repeated for every patient
+ * @param {Function} callback - Function to run
+ * @returns {*} Callback result
+ */
+function withConsoleLogMuted(callback) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return callback();
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Summarize one patient
+ * @param {string} patientId - Patient ID
+ * @param {Object} entry - Grouped resources from groupResourcesByPatient()
+ * @param {Object} registry - Resource registry
+ * @returns {Object} { patient, counts, records }
+ */
+function summarizePatient(patientId, entry, registry) {
+  const counts = {};
+  const records = {};
+
+  Object.entries(registry).forEach(([key, definition]) => {
+    const resources = (entry.resources[definition.resourceType] || [])
+      .filter(resource => matchesSearchParams(resource, definition.defaultParams));
+    if (resources.length === 0) return;
+
+    records[key] = definition.normalize
+      ? withConsoleLogMuted(() => definition.normalize(resources))
+      : resources;
+    counts[key] = records[key].length;
+  });
+
+  return {
+    patient: {
+      id: patientId,
+      name: entry.patient ? formatPatientName(entry.patient) : null,
+      birthDate: entry.patient?.birthDate || null,
+      gender: entry.patient?.gender || null
+    },
+    counts,
+    records
+  };
+}
+
+/**
+ * Write a summary file per patient and an index of all patients
+ * @param {Array<string>} files - Downloaded NDJSON files
+ * @param {string} directory - Directory to write the summaries to
+ * @returns {Promise<Array>} Index entries ({ id, name, file, counts })
+ */
+async function writePatientSummaries(files, directory) {
+  const { ResourceRegistry } = await loadBrowserModules();
+  const patients = await groupResourcesByPatient(files);
+
+  await fs.promises.mkdir(directory, { recursive: true });
+
+  const index = [];
+  for (const [patientId, entry] of patients) {
+    const summary = summarizePatient(patientId, entry, ResourceRegistry);
+    const file = `${patientId.replace(/[^A-Za-z0-9.-]/g, '_')}.json`;
+
+    await fs.promises.writeFile(path.join(directory, file), JSON.stringify(summary, null, 2));
+    index.push({ id: patientId, name: summary.patient.name, file, counts: summary.counts });
+  }
+
+  await fs.promises.writeFile(path.join(directory, 'index.json'), JSON.stringify(index, null, 2));
+  return index;
+}
+
+module.exports = {
+  loadBrowserModules,
+  matchesSearchParams,
+  writePatientSummaries
+};
@@ -0,0 +1,229 @@
+/**
+ * Stub CDS Hooks service for local development
+ * Answers CDS Hooks discovery and the patient-view and order-select hooks
+ * from the request's prefetch data only, so the app's CDS Hooks client can be
+ * tried without a real CDS service. Used by `node server.js --cds-stub` (on by
+ * default with --mock).
+ */
+
+const crypto = require('crypto');
+const { readRequestBody } = require('./mock-fhir-server');
+
+const CDS_SERVICES_PATH = '/cds-services';
+
+const SOURCE = { label: 'Stub CDS service (local development)' };
+const ALLERGY_REFERENCE_URL = 'https://hl7.org/fhir/R4/allergyintolerance.html';
+
+/**
+ * Services listed at the discovery endpoint
+ */
+const SERVICES = [
+  {
+    hook: 'patient-view',
+    id: 'allergy-review',
+    title: 'Allergy review',
+    description: 'Flags high-criticality and unconfirmed allergies when a patient is opened',
+    prefetch: {
+      allergies: 'AllergyIntolerance?patient={{context.patientId}}'
+    }
+  },
+  {
+    hook: 'order-select',
+    id: 'duplicate-medications',
+    title: 'Duplicate medication check',
+    description: 'Warns when a draft medication order duplicates an active one',
+    prefetch: {
+      medications: 'MedicationRequest?patient={{context.patientId}}&status=active'
+    }
+  }
+];
+
+/**
+ * Get the resources of a prefetched searchset Bundle
+ * @param {Object} bundle - Prefetched Bundle, or null when the client sent none
+ * @returns {Array} Resources
+ */
+function getBundleResources(bundle) {
+  return (bundle && Array.isArray(bundle.entry) ? bundle.entry : [])
+    .map(entry => entry.resource)
+    .filter(Boolean);
+}
+
+/**
+ * Get a display name for a CodeableConcept
+ */
+function getConceptText(concept) {
+  return (concept && (concept.text || (concept.coding || []).map(coding => coding.display).find(Boolean))) || 'Unknown';
+}
+
+/**
+ * Get the first code of a status CodeableConcept
+ */
+function getStatusCode(concept) {
+  return concept && concept.coding && concept.coding[0] ? concept.coding[0].code : null;
+}
+
+/**
+ * Create a card attributed to this service
+ */
+function createCard(card) {
+  return { uuid: crypto.randomUUID(), source: SOURCE, ...card };
+}
+
+/**
+ * patient-view: one card per high-criticality or unconfirmed active allergy
+ * @param {Object} request - CDS Hooks request
+ * @returns {Array} Cards
+ */
+function reviewAllergies(request) {
+  if (!request.prefetch || !request.prefetch.allergies) {
+    return [createCard({
+      summary: 'Allergy list not available to the allergy review service',
+      indicator: 'info',
+      detail: 'The request did not include the "allergies" prefetch, and this stub does not query the FHIR server.'
+    })];
+  }
+
+  const allergies = getBundleResources(request.prefetch.allergies)
+    .filter(allergy => !['inactive', 'resolved'].includes(getStatusCode(allergy.clinicalStatus)));
+  const cards = [];
+
+  allergies.forEach(allergy => {
+    const substance = getConceptText(allergy.code);
+    const reactions = (allergy.reaction || [])
+      .flatMap(reaction => (reaction.manifestation || []).map(getConceptText));
+
+    if (allergy.criticality === 'high') {
+      cards.push(createCard({
+        summary: `High-criticality allergy: ${substance}`,
+        indicator: 'critical',
+        detail: reactions.length > 0 ? `Recorded reactions: ${reactions.join(', ')}.` : 'No reactions recorded.',
+        links: [{ label: 'AllergyIntolerance criticality (FHIR R4)', url: ALLERGY_REFERENCE_URL, type: 'absolute' }]
+      }));
+    }
+
+    if (getStatusCode(allergy.verificationStatus) === 'unconfirmed') {
+      cards.push(createCard({
+        summary: `Unconfirmed allergy: ${substance}`,
+        indicator: 'warning',
+        detail: 'Confirm or refute this allergy with the patient.',
+        suggestions: [{
+          label: `Mark ${substance} as confirmed`,
+          uuid: crypto.randomUUID(),
+          actions: [{
+            type: 'update',
+            description: `Set the verification status of ${substance} to confirmed`,
+            resource: {
+              ...allergy,
+              verificationStatus: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-verification', code: 'confirmed' }] }
+            }
+          }]
+        }]
+      }));
+    }
+  });
+
+  return cards;
+}
+
+/**
+ * order-select: warn about draft orders for a medication that is already active
+ * @param {Object} request - CDS Hooks request
+ * @returns {Array} Cards
+ */
+function checkDuplicateMedications(request) {
+  const drafts = getBundleResources(request.context.draftOrders)
+    .filter(order => order.resourceType === 'MedicationRequest');
+  const active = getBundleResources(request.prefetch && request.prefetch.medications)
+    .filter(order => order.status === 'active');
+  const codesOf = order => ((order.medicationCodeableConcept || {}).coding || []).map(coding => `${coding.system}|${coding.code}`);
+
+  return drafts.flatMap(draft => {
+    const draftCodes = codesOf(draft);
+    const duplicate = active.find(order => order.id !== draft.id && codesOf(order).some(code => draftCodes.includes(code)));
+
+    if (!duplicate) {
+      return [];
+    }
+
+    const medication = getConceptText(draft.medicationCodeableConcept);
+    return [createCard({
+      summary: `Duplicate order: ${medication} is already active`,
+      indicator: 'warning',
+      detail: `An active order for ${getConceptText(duplicate.medicationCodeableConcept)} (authored ${duplicate.authoredOn || 'on an unknown date'}) exists.`,
+      suggestions: [{
+        label: 'Remove the draft order',
+        uuid: crypto.randomUUID(),
+        actions: [{ type: 'delete', description: `Delete the draft order for ${medication}`, resourceId: [`MedicationRequest/${draft.id}`] }]
+      }]
+    })];
+  });
+}
+
+const HANDLERS = {
+  'allergy-review': reviewAllergies,
+  'duplicate-medications': checkDuplicateMedications
+};
+
+/**
+ * Create the stub CDS service request handler
+ * @returns {Function} http-server `before` handler
+ */
+function createMockCdsService() {
+  function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body, null, 2));
+  }
+
+  function handleHookRequest(res, service, body) {
+    let request;
+    try {
+      request = JSON.parse(body);
+    } catch (error) {
+      sendJson(res, 400, { error: 'Request body is not valid JSON' });
+      return;
+    }
+
+    if (!request || request.hook !== service.hook || !request.hookInstance || !request.context || !request.context.patientId) {
+      sendJson(res, 400, { error: `Expected a ${service.hook} request with hookInstance and context.patientId` });
+      return;
+    }
+
+    sendJson(res, 200, { cards: HANDLERS[service.id](request) });
+  }
+
+  return function mockCdsHandler(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === CDS_SERVICES_PATH && req.method === 'GET') {
+      sendJson(res, 200, { services: SERVICES });
+      return;
+    }
+
+    if (!pathname.startsWith(`${CDS_SERVICES_PATH}/`)) {
+      res.emit('next');
+      return;
+    }
+
+    const service = SERVICES.find(candidate => `${CDS_SERVICES_PATH}/${candidate.id}` === pathname);
+    if (!service) {
+      sendJson(res, 404, { error: `Unknown CDS service ${pathname}` });
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'CDS services are called with POST' });
+      return;
+    }
+
+    readRequestBody(req, body => handleHookRequest(res, service, body));
+  };
+}
+
+module.exports = {
+  createMockCdsService,
+  CDS_SERVICES_PATH
+};
@@ -0,0 +1,1105 @@
+/**
+ * Mock FHIR server for local development
+ * Serves FHIR R4 search and read endpoints from the fixture Bundles in
+ * ./fixtures, limited to the patient of the access token when it has one,
+ * plus a stub SMART authorization server, so the full launch sequence works
+ * without network access. Backend services clients can run a
+ * Patient-level Bulk Data $export, and AuditEvents and AllergyIntolerances
+ * posted by the app are kept in memory; AllergyIntolerances can also be
+ * updated, with If-Match checked against the stored version. Used by
+ * `node server.js --mock`.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Path prefixes served by the mock
+const FHIR_BASE_PATH = '/fhir';
+const AUTH_BASE_PATH = '/auth';
+
+// Launch token understood by the stub authorize endpoint
+const MOCK_LAUNCH_CONTEXT = 'mock-launch';
+
+const FIXTURES_DIRECTORY = path.join(__dirname, 'fixtures');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const TOKEN_LIFETIME_SECONDS = 3600;
+
+const CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+const CLIENT_ASSERTION_ALGORITHMS = ['RS384', 'ES384'];
+
+// Bulk export jobs report "in progress" this many times before completing,
+// so clients exercise their polling
+const EXPORT_PENDING_POLLS = 1;
+const EXPORT_FILES_PATH = '$export-files';
+
+/**
+ * Resource types served by the mock, with the reference used by the `patient`
+ * search parameter, the element each `_sort` parameter sorts on and the
+ * CodeableConcept element each token search parameter matches
+ */
+const SEARCHABLE_RESOURCES = {
+  Patient: {
+    patientReference: null,
+    sortPaths: { birthdate: 'birthDate', family: 'name.0.family', given: 'name.0.given.0' }
+  },
+  AllergyIntolerance: {
+    patientReference: 'patient',
+    sortPaths: { date: 'recordedDate', 'recorded-date': 'recordedDate', onset: 'onsetDateTime', criticality: 'criticality' }
+  },
+  MedicationRequest: {
+    patientReference: 'subject',
+    sortPaths: { date: 'authoredOn', authoredon: 'authoredOn', status: 'status' }
+  },
+  Immunization: {
+    patientReference: 'patient',
+    sortPaths: { date: 'occurrenceDateTime', status: 'status' }
+  },
+  Condition: {
+    patientReference: 'subject',
+    sortPaths: { 'recorded-date': 'recordedDate', 'onset-date': 'onsetDateTime' },
+    tokenParams: { category: 'category', 'clinical-status': 'clinicalStatus', code: 'code' }
+  },
+  Observation: {
+    patientReference: 'subject',
+    sortPaths: { date: 'effectiveDateTime', status: 'status' },
+    tokenParams: { category: 'category', code: 'code' }
+  }
+};
+
+/**
+ * Resource types the app may create and update, with a check returning the
+ * first problem found in a posted resource (answered with 422), or null
+ */
+const WRITABLE_RESOURCES = {
+  AllergyIntolerance: allergy => {
+    const clinicalStatus = allergy.clinicalStatus && allergy.clinicalStatus.coding && allergy.clinicalStatus.coding[0];
+    const verificationStatus = allergy.verificationStatus && allergy.verificationStatus.coding && allergy.verificationStatus.coding[0];
+    const enteredInError = Boolean(verificationStatus && verificationStatus.code === 'entered-in-error');
+
+    if (!allergy.code || (!allergy.code.text && !(allergy.code.coding || []).length)) {
+      return 'AllergyIntolerance.code is required by the mock server';
+    }
+    if (enteredInError === Boolean(clinicalStatus)) {
+      return 'ait-1/ait-2: clinicalStatus is required unless verificationStatus is entered-in-error, and not allowed then';
+    }
+    return null;
+  }
+};
+
+/**
+ * Permissions granted by SMART v1 scope suffixes, as v2 letters
+ */
+const V1_SCOPE_PERMISSIONS = { read: 'rs', write: 'cud', '*': 'cruds' };
+
+/**
+ * Sort parameters every resource type supports
+ */
+const COMMON_SORT_PATHS = { _id: 'id', _lastUpdated: 'meta.lastUpdated' };
+
+/**
+ * Load every fixture Bundle and index its resources by type
+ * @param {string} directory - Directory containing *.json Bundles
+ * @returns {Object} Map of resource type to array of resources
+ */
+function loadFixtures(directory = FIXTURES_DIRECTORY) {
+  const resources = {};
+
+  Object.keys(SEARCHABLE_RESOURCES).forEach(type => {
+    resources[type] = [];
+  });
+
+  fs.readdirSync(directory)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .forEach(file => {
+      const bundle = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+
+      if (bundle.resourceType !== 'Bundle') {
+        throw new Error(`Fixture ${file} is not a Bundle`);
+      }
+
+      (bundle.entry || []).forEach(({ resource }) => {
+        if (resource && resources[resource.resourceType]) {
+          resources[resource.resourceType].push(resource);
+        }
+      });
+    });
+
+  return resources;
+}
+
+/**
+ * Read a dotted element path (e.g. "name.0.family") from a resource
+ * @param {Object} resource - FHIR resource
+ * @param {string} elementPath - Dotted path
+ * @returns {*} Element value or undefined
+ */
+function getElement(resource, elementPath) {
+  return elementPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), resource);
+}
+
+/**
+ * Sort resources by a FHIR `_sort` value ("-date,status")
+ * @param {Array} resources - Resources to sort
+ * @param {string} resourceType - Resource type being searched
+ * @param {string} sortParam - Value of the _sort parameter
+ * @returns {Array} Sorted copy; resources without the element sort last
+ */
+function sortResources(resources, resourceType, sortParam) {
+  const sortPaths = { ...COMMON_SORT_PATHS, ...SEARCHABLE_RESOURCES[resourceType].sortPaths };
+
+  const keys = sortParam.split(',').filter(Boolean).map(key => {
+    const descending = key.startsWith('-');
+    const name = descending ? key.slice(1) : key;
+    return { elementPath: sortPaths[name] || name, descending };
+  });
+
+  return [...resources].sort((a, b) => {
+    for (const { elementPath, descending } of keys) {
+      const left = getElement(a, elementPath);
+      const right = getElement(b, elementPath);
+
+      if (left === right) continue;
+      if (left === undefined) return 1;
+      if (right === undefined) return -1;
+
+      const order = String(left).localeCompare(String(right));
+      return descending ? -order : order;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Match a CodeableConcept element against a token search value
+ * @param {Object|Array} element - CodeableConcept or array of them
+ * @param {string} value - Comma-separated tokens (`code` or `system|code`)
+ * @returns {boolean} True if any coding matches any token
+ */
+function matchesToken(element, value) {
+  const codings = [].concat(element || []).flatMap(concept => concept.coding || []);
+
+  return value.split(',').some(token => {
+    const [system, code] = token.includes('|') ? token.split('|') : [null, token];
+    return codings.some(coding => coding.code === code && (system === null || coding.system === system));
+  });
+}
+
+/**
+ * Check whether a resource belongs to a patient's compartment
+ * @param {Object} resource - FHIR resource
+ * @param {string} resourceType - Its resource type
+ * @param {string} patientId - Patient ID
+ * @returns {boolean} True for the Patient itself and resources referencing it
+ */
+function isPatientResource(resource, resourceType, patientId) {
+  const { patientReference } = SEARCHABLE_RESOURCES[resourceType];
+
+  if (!patientReference) {
+    return resource.id === patientId;
+  }
+  return Boolean(resource[patientReference]) && resource[patientReference].reference === `Patient/${patientId}`;
+}
+
+/**
+ * Escape text for inclusion in HTML
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Verify a private_key_jwt client assertion
+ * @param {string} assertion - Signed JWT
+ * @param {Object} options - Verification options
+ * @param {Object} options.jwks - Public keys registered for the client
+ * @param {string} options.clientId - Client the assertion must be issued by
+ * @param {string} options.tokenEndpoint - Expected audience
+ * @param {Set} options.usedIds - jti values already seen, to reject replays
+ * @throws {Error} When the assertion is not acceptable
+ */
+function verifyClientAssertion(assertion, { jwks, clientId, tokenEndpoint, usedIds }) {
+  const parts = (assertion || '').split('.');
+  if (parts.length !== 3) {
+    throw new Error('client_assertion is not a JWT');
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+  const decode = value => JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+  const header = decode(encodedHeader);
+  const claims = decode(encodedPayload);
+
+  if (!CLIENT_ASSERTION_ALGORITHMS.includes(header.alg)) {
+    throw new Error(`Unsupported client assertion algorithm "${header.alg}"`);
+  }
+
+  const jwk = (jwks.keys || []).find(key => key.kid === header.kid && (!key.alg || key.alg === header.alg));
+  if (!jwk) {
+    throw new Error(`No registered key with kid "${header.kid}"`);
+  }
+
+  const verified = crypto.verify(
+    'sha384',
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), dsaEncoding: 'ieee-p1363' },
+    Buffer.from(signature, 'base64url')
+  );
+  const now = Math.floor(Date.now() / 1000);
+
+  if (!verified) throw new Error('Invalid client assertion signature');
+  if (claims.iss !== clientId || claims.sub !== clientId) throw new Error('Client assertion iss and sub must be the client ID');
+  if (claims.aud !== tokenEndpoint) throw new Error('Client assertion aud must be the token endpoint');
+  if (!claims.exp || claims.exp < now || claims.exp > now + 300) throw new Error('Client assertion is expired or lives longer than 5 minutes');
+  if (!claims.jti || usedIds.has(claims.jti)) throw new Error('Client assertion jti is missing or was already used');
+
+  usedIds.add(claims.jti);
+}
+
+/**
+ * Check whether granted scopes allow an interaction on a resource type
+ * @param {string} scope - Space-separated granted scopes
+ * @param {string} resourceType - FHIR resource type
+ * @param {string} permission - SMART v2 permission letter (c, r, u, d or s)
+ * @returns {boolean} True if a patient or user scope grants it
+ */
+function scopeAllows(scope, resourceType, permission) {
+  return (scope || '').split(/\s+/).some(item => {
+    const match = /^(patient|user)\/([A-Za-z]+|\*)\.([a-z*]+)(?:\?.*)?$/.exec(item);
+    if (!match || (match[2] !== '*' && match[2] !== resourceType)) {
+      return false;
+    }
+    return (V1_SCOPE_PERMISSIONS[match[3]] || match[3]).includes(permission);
+  });
+}
+
+/**
+ * Read a request body as text
+ * @param {Object} req - Incoming request
+ * @param {Function} callback - Receives the body
+ */
+function readRequestBody(req, callback) {
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => callback(body));
+  // http-server (union) holds request bodies until buffering is switched off
+  req.buffer = false;
+}
+
+/**
+ * Create the mock request handler
+ * @param {Object} options - Mock options
+ * @param {string} options.baseUrl - Public origin of the server (e.g. http://localhost:8080)
+ * @param {string} options.fixturesDirectory - Directory of fixture Bundles
+ * @param {Object} options.confidentialClients - Map of client ID to the JWKS it
+ *   registered; these clients must authenticate with private_key_jwt
+ * @param {Object|null} options.backendJwks - JWKS accepted from any client for
+ *   backend services (client_credentials) token requests
+ * @returns {Function} http-server `before` handler
+ */
+function createMockFhirServer({ baseUrl, fixturesDirectory = FIXTURES_DIRECTORY, confidentialClients = {}, backendJwks = null }) {
+  const resources = loadFixtures(fixturesDirectory);
+  // AuditEvents posted by the app (--audit-events), kept until the server stops
+  const auditEvents = [];
+  const fhirBaseUrl = `${baseUrl}${FHIR_BASE_PATH}`;
+  const defaultPatientId = resources.Patient[0] ? resources.Patient[0].id : null;
+
+  // Issued authorization codes and tokens, kept in memory for the life of the server
+  const authorizationCodes = new Map();
+  const accessTokens = new Map();
+  const refreshTokens = new Map();
+  const usedAssertionIds = new Set();
+  const exportJobs = new Map();
+
+  function sendJson(res, statusCode, body, contentType = 'application/fhir+json') {
+    res.writeHead(statusCode, {
+      'Content-Type': `${contentType}; charset=utf-8`,
+      'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body, null, 2));
+  }
+
+  function sendOperationOutcome(res, statusCode, code, diagnostics) {
+    sendJson(res, statusCode, {
+      resourceType: 'OperationOutcome',
+      issue: [{ severity: 'error', code, diagnostics }]
+    });
+  }
+
+  function sendOAuthError(res, statusCode, error, description) {
+    sendJson(res, statusCode, { error, error_description: description }, 'application/json');
+  }
+
+  function getSmartConfiguration() {
+    return {
+      issuer: fhirBaseUrl,
+      authorization_endpoint: `${baseUrl}${AUTH_BASE_PATH}/authorize`,
+      token_endpoint: `${baseUrl}${AUTH_BASE_PATH}/token`,
+      revocation_endpoint: `${baseUrl}${AUTH_BASE_PATH}/revoke`,
+      token_endpoint_auth_methods_supported: ['none', 'client_secret_basic', 'private_key_jwt'],
+      token_endpoint_auth_signing_alg_values_supported: CLIENT_ASSERTION_ALGORITHMS,
+      grant_types_supported: ['authorization_code', 'refresh_token', 'client_credentials'],
+      scopes_supported: ['openid', 'fhirUser', 'launch', 'launch/patient', 'offline_access', 'online_access', 'patient/*.read', 'user/*.read', 'system/*.read', 'patient/*.rs', 'user/*.rs', 'system/*.rs', 'patient/AllergyIntolerance.write', 'patient/AllergyIntolerance.cud'],
+      response_types_supported: ['code'],
+      code_challenge_methods_supported: ['S256'],
+      capabilities: [
+        'launch-ehr',
+        'launch-standalone',
+        'client-public',
+        'client-confidential-asymmetric',
+        'permission-system',
+        'context-ehr-patient',
+        'context-standalone-patient',
+        'permission-patient',
+        'permission-offline',
+        'permission-v1',
+        'permission-v2'
+      ]
+    };
+  }
+
+  function getCapabilityStatement() {
+    return {
+      resourceType: 'CapabilityStatement',
+      status: 'active',
+      date: new Date().toISOString(),
+      kind: 'instance',
+      software: { name: 'SMART on FHIR mock server' },
+      implementation: { description: 'Local fixture data', url: fhirBaseUrl },
+      fhirVersion: '4.0.1',
+      format: ['json'],
+      rest: [
+        {
+          mode: 'server',
+          security: {
+            service: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/restful-security-service', code: 'SMART-on-FHIR' }] }],
+            extension: [
+              {
+                url: 'http://fhir-registry.smarthealthit.org/StructureDefinition/oauth-uris',
+                extension: [
+                  { url: 'authorize', valueUri: `${baseUrl}${AUTH_BASE_PATH}/authorize` },
+                  { url: 'token', valueUri: `${baseUrl}${AUTH_BASE_PATH}/token` }
+                ]
+              }
+            ]
+          },
+          operation: [{ name: 'export', definition: 'http://hl7.org/fhir/uv/bulkdata/OperationDefinition/export' }],
+          resource: Object.keys(SEARCHABLE_RESOURCES).map(type => ({
+            type,
+            interaction: [{ code: 'read' }, { code: 'search-type' }, ...(WRITABLE_RESOURCES[type] ? [{ code: 'create' }, { code: 'update' }] : [])],
+            ...(WRITABLE_RESOURCES[type] && { versioning: 'versioned-update' }),
+            searchParam: [
+              ...(SEARCHABLE_RESOURCES[type].patientReference ? [{ name: 'patient', type: 'reference' }] : [{ name: '_id', type: 'token' }]),
+              ...Object.keys(SEARCHABLE_RESOURCES[type].tokenParams || {}).map(name => ({ name, type: 'token' })),
+              { name: '_count', type: 'number' },
+              { name: '_sort', type: 'string' }
+            ]
+          })).concat({ type: 'AuditEvent', interaction: [{ code: 'create' }, { code: 'search-type' }] })
+        }
+      ]
+    };
+  }
+
+  /**
+   * Stub authorize endpoint: approves every request and redirects straight
+   * back with a code, as a sandbox launcher with "skip login" would. A
+   * standalone launch (launch/patient scope, no launch token) is first shown
+   * a patient picker.
+   */
+  function handleAuthorize(req, res, query) {
+    const redirectUri = query.get('redirect_uri');
+
+    if (!redirectUri || query.get('response_type') !== 'code') {
+      sendOAuthError(res, 400, 'invalid_request', 'response_type=code and redirect_uri are required');
+      return;
+    }
+
+    const scopes = (query.get('scope') || '').split(/\s+/);
+    const standalone = !query.get('launch') && scopes.includes('launch/patient');
+    const pickedPatient = query.get('mock_patient');
+
+    if (standalone && !resources.Patient.some(p => p.id === pickedPatient)) {
+      sendPatientPicker(res, query);
+      return;
+    }
+
+    const redirect = new URL(redirectUri);
+    const code = crypto.randomBytes(16).toString('hex');
+
+    authorizationCodes.set(code, {
+      clientId: query.get('client_id'),
+      redirectUri,
+      scope: query.get('scope') || '',
+      patientId: standalone ? pickedPatient : resolveLaunchPatient(query.get('launch')),
+      codeChallenge: query.get('code_challenge')
+    });
+
+    redirect.searchParams.set('code', code);
+    if (query.get('state')) {
+      redirect.searchParams.set('state', query.get('state'));
+    }
+
+    res.writeHead(302, { Location: redirect.toString() });
+    res.end();
+  }
+
+  /**
+   * Render the standalone patient picker; choosing a patient resubmits the
+   * authorize request with a mock_patient parameter
+   */
+  function sendPatientPicker(res, query) {
+    const hiddenFields = Array.from(query.entries())
+      .filter(([name]) => name !== 'mock_patient')
+      .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+      .join('\n      ');
+
+    const choices = resources.Patient.map((patient, index) => {
+      const name = patient.name && patient.name[0]
+        ? [...(patient.name[0].given || []), patient.name[0].family].filter(Boolean).join(' ')
+        : patient.id;
+      const checked = index === 0 ? ' checked' : '';
+      return `<label><input type="radio" name="mock_patient" value="${escapeHtml(patient.id)}"${checked}> ${escapeHtml(name)} (${escapeHtml(patient.birthDate || 'unknown birth date')})</label>`;
+    }).join('<br>\n      ');
+
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>Select a patient (mock)</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 600px; margin: 20px auto;">
+  <h1>Select a patient</h1>
+  <p>Mock authorization server: choose the patient for this session.</p>
+  <form method="get" action="${AUTH_BASE_PATH}/authorize">
+      ${hiddenFields}
+      ${choices}
+    <p><button type="submit">Continue</button></p>
+  </form>
+</body>
+</html>`);
+  }
+
+  /**
+   * Map a launch token to a patient: a base64 JSON object with a `patient`
+   * (the format of the SMART sandbox launcher) or the first fixture patient
+   */
+  function resolveLaunchPatient(launch) {
+    if (launch && launch !== MOCK_LAUNCH_CONTEXT) {
+      try {
+        const context = JSON.parse(Buffer.from(launch, 'base64').toString('utf8'));
+        if (context && context.patient && resources.Patient.some(p => p.id === context.patient)) {
+          return context.patient;
+        }
+      } catch (error) {
+        // Not a sandbox launch token; fall back to the default patient
+      }
+    }
+    return defaultPatientId;
+  }
+
+  function handleToken(req, res, body) {
+    const params = new URLSearchParams(body);
+    const grantType = params.get('grant_type');
+    let grant;
+
+    if (grantType === 'authorization_code') {
+      grant = authorizationCodes.get(params.get('code'));
+      authorizationCodes.delete(params.get('code'));
+
+      if (!grant || grant.redirectUri !== params.get('redirect_uri')) {
+        sendOAuthError(res, 400, 'invalid_grant', 'Unknown or already used authorization code');
+        return;
+      }
+
+      if (grant.codeChallenge) {
+        const verifier = params.get('code_verifier') || '';
+        const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+        if (challenge !== grant.codeChallenge) {
+          sendOAuthError(res, 400, 'invalid_grant', 'code_verifier does not match code_challenge');
+          return;
+        }
+      }
+    } else if (grantType === 'refresh_token') {
+      grant = refreshTokens.get(params.get('refresh_token'));
+
+      if (!grant) {
+        sendOAuthError(res, 400, 'invalid_grant', 'Unknown refresh token');
+        return;
+      }
+    } else if (grantType === 'client_credentials') {
+      // Backend services name the client only in the assertion's iss claim
+      let clientId = params.get('client_id');
+      try {
+        clientId = clientId || JSON.parse(Buffer.from((params.get('client_assertion') || '').split('.')[1] || '', 'base64url').toString('utf8')).iss;
+      } catch (error) {
+        clientId = null;
+      }
+
+      if (!clientId || (!confidentialClients[clientId] && !backendJwks)) {
+        sendOAuthError(res, 401, 'invalid_client', 'Backend services clients must register a JWKS (server.js --mock-jwks)');
+        return;
+      }
+
+      grant = {
+        clientId,
+        scope: (params.get('scope') || '').split(/\s+/).filter(scope => scope.startsWith('system/')).join(' '),
+        patientId: null
+      };
+    } else {
+      sendOAuthError(res, 400, 'unsupported_grant_type', `Unsupported grant_type "${grantType}"`);
+      return;
+    }
+
+    // Confidential clients authenticate every token request with a client assertion
+    const jwks = confidentialClients[grant.clientId] || (grantType === 'client_credentials' ? backendJwks : null);
+    if (jwks) {
+      try {
+        if (params.get('client_assertion_type') !== CLIENT_ASSERTION_TYPE) {
+          throw new Error(`client_assertion_type must be ${CLIENT_ASSERTION_TYPE}`);
+        }
+        verifyClientAssertion(params.get('client_assertion'), {
+          jwks,
+          clientId: grant.clientId,
+          tokenEndpoint: `${baseUrl}${AUTH_BASE_PATH}/token`,
+          usedIds: usedAssertionIds
+        });
+      } catch (error) {
+        sendOAuthError(res, 401, 'invalid_client', error.message);
+        return;
+      }
+    }
+
+    const accessToken = crypto.randomBytes(24).toString('hex');
+    accessTokens.set(accessToken, { ...grant, expiresAt: Date.now() + TOKEN_LIFETIME_SECONDS * 1000 });
+
+    const response = {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: TOKEN_LIFETIME_SECONDS,
+      scope: grant.scope,
+      ...(grant.patientId && { patient: grant.patientId })
+    };
+
+    if (/\b(offline_access|online_access)\b/.test(grant.scope)) {
+      const refreshToken = crypto.randomBytes(24).toString('hex');
+      refreshTokens.set(refreshToken, grant);
+      response.refresh_token = refreshToken;
+    }
+
+    sendJson(res, 200, response, 'application/json');
+  }
+
+  /**
+   * Token revocation (RFC 7009): forgets an access or refresh token.
+   * Confidential clients authenticate with a client assertion; unknown
+   * tokens are answered with 200 like valid ones.
+   */
+  function handleRevoke(req, res, body) {
+    const params = new URLSearchParams(body);
+    const token = params.get('token');
+
+    if (!token) {
+      sendOAuthError(res, 400, 'invalid_request', 'Missing "token" parameter');
+      return;
+    }
+
+    const grant = accessTokens.get(token) || refreshTokens.get(token);
+    const clientId = params.get('client_id') || (grant && grant.clientId);
+    const jwks = clientId && confidentialClients[clientId];
+
+    if (jwks) {
+      try {
+        verifyClientAssertion(params.get('client_assertion'), {
+          jwks,
+          clientId,
+          tokenEndpoint: `${baseUrl}${AUTH_BASE_PATH}/token`,
+          usedIds: usedAssertionIds
+        });
+      } catch (error) {
+        sendOAuthError(res, 401, 'invalid_client', error.message);
+        return;
+      }
+    }
+
+    if (grant && grant.clientId !== clientId) {
+      sendOAuthError(res, 400, 'unauthorized_client', 'The token was issued to another client');
+      return;
+    }
+
+    accessTokens.delete(token);
+    refreshTokens.delete(token);
+    res.writeHead(200, { 'Cache-Control': 'no-store' });
+    res.end();
+  }
+
+  /**
+   * Check the bearer token of a FHIR request
+   * @returns {Object|null} The token's grant (scope, patientId) if the request may proceed
+   */
+  function authorizeFhirRequest(req, res) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    const token = match && accessTokens.get(match[1]);
+
+    if (!token || token.expiresAt < Date.now()) {
+      res.setHeader('WWW-Authenticate', 'Bearer realm="mock", error="invalid_token"');
+      sendOperationOutcome(res, 401, 'login', 'Missing, unknown or expired access token');
+      return null;
+    }
+
+    return token;
+  }
+
+  function handleRead(res, resourceType, id, grant) {
+    const resource = resources[resourceType].find(r => r.id === id);
+
+    if (!resource) {
+      sendOperationOutcome(res, 404, 'not-found', `${resourceType}/${id} is not known`);
+      return;
+    }
+
+    if (grant.patientId && !isPatientResource(resource, resourceType, grant.patientId)) {
+      sendOperationOutcome(res, 403, 'forbidden', `The access token is limited to Patient/${grant.patientId}`);
+      return;
+    }
+
+    if (resource.meta && resource.meta.versionId) {
+      res.setHeader('ETag', `W/"${resource.meta.versionId}"`);
+    }
+    sendJson(res, 200, resource);
+  }
+
+  function handleSearch(res, resourceType, query, grant) {
+    const { patientReference, tokenParams = {} } = SEARCHABLE_RESOURCES[resourceType];
+    let matches = resources[resourceType];
+
+    const patient = query.get('patient');
+    const reference = patient && (patient.includes('/') ? patient : `Patient/${patient}`);
+
+    // A token with a patient context only sees that patient's data
+    if (grant.patientId) {
+      if (reference && reference !== `Patient/${grant.patientId}`) {
+        sendOperationOutcome(res, 403, 'forbidden', `The access token is limited to Patient/${grant.patientId}`);
+        return;
+      }
+      matches = matches.filter(r => isPatientResource(r, resourceType, grant.patientId));
+    }
+
+    if (reference && patientReference) {
+      matches = matches.filter(r => r[patientReference] && r[patientReference].reference === reference);
+    }
+
+    Object.entries(tokenParams).forEach(([param, elementPath]) => {
+      if (query.get(param)) {
+        matches = matches.filter(r => matchesToken(r[elementPath], query.get(param)));
+      }
+    });
+
+    const ids = query.get('_id');
+    if (ids) {
+      const wanted = ids.split(',');
+      matches = matches.filter(r => wanted.includes(r.id));
+    }
+
+    if (query.get('_sort')) {
+      matches = sortResources(matches, resourceType, query.get('_sort'));
+    }
+
+    const requestedCount = parseInt(query.get('_count'), 10);
+    const count = Math.min(Number.isNaN(requestedCount) ? DEFAULT_PAGE_SIZE : Math.max(requestedCount, 0), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(query.get('_offset'), 10) || 0, 0);
+
+    const pageUrl = pageOffset => {
+      const params = new URLSearchParams(query);
+      params.set('_count', String(count));
+      params.set('_offset', String(pageOffset));
+      return `${fhirBaseUrl}/${resourceType}?${params}`;
+    };
+
+    const link = [{ relation: 'self', url: pageUrl(offset) }];
+    if (count > 0 && offset + count < matches.length) {
+      link.push({ relation: 'next', url: pageUrl(offset + count) });
+    }
+    if (count > 0 && offset > 0) {
+      link.push({ relation: 'previous', url: pageUrl(Math.max(offset - count, 0)) });
+    }
+
+    sendJson(res, 200, {
+      resourceType: 'Bundle',
+      id: crypto.randomUUID(),
+      type: 'searchset',
+      total: matches.length,
+      link,
+      entry: matches.slice(offset, offset + count).map(resource => ({
+        fullUrl: `${fhirBaseUrl}/${resourceType}/${resource.id}`,
+        resource,
+        search: { mode: 'match' }
+      }))
+    });
+  }
+
+  /**
+   * Bulk Data kick-off: the job covers every fixture resource of the
+   * requested types (all patients, or the token's patient); unsupported types
+   * are reported in the manifest's error file
+   */
+  function handleExportKickOff(req, res, query, grant) {
+    if (req.headers.prefer !== 'respond-async') {
+      sendOperationOutcome(res, 400, 'invalid', 'Bulk export requires the header "Prefer: respond-async"');
+      return;
+    }
+
+    const requestedTypes = query.get('_type')
+      ? query.get('_type').split(',').map(type => type.trim()).filter(Boolean)
+      : Object.keys(SEARCHABLE_RESOURCES);
+    const since = query.get('_since') ? Date.parse(query.get('_since')) : null;
+
+    if (since !== null && Number.isNaN(since)) {
+      sendOperationOutcome(res, 400, 'invalid', `Invalid _since "${query.get('_since')}"`);
+      return;
+    }
+
+    const files = {};
+    requestedTypes.filter(type => SEARCHABLE_RESOURCES[type]).forEach(type => {
+      files[type] = resources[type]
+        .filter(resource => !grant.patientId || isPatientResource(resource, type, grant.patientId))
+        .filter(resource => since === null
+          || !resource.meta || !resource.meta.lastUpdated || Date.parse(resource.meta.lastUpdated) >= since);
+    });
+
+    const unsupported = requestedTypes.filter(type => !SEARCHABLE_RESOURCES[type]);
+    const jobId = crypto.randomUUID();
+
+    exportJobs.set(jobId, {
+      request: `${baseUrl}${req.url}`,
+      transactionTime: new Date().toISOString(),
+      files,
+      errors: unsupported.map(type => ({
+        resourceType: 'OperationOutcome',
+        issue: [{ severity: 'error', code: 'not-supported', diagnostics: `${type} is not available in mock mode` }]
+      })),
+      pendingPolls: EXPORT_PENDING_POLLS
+    });
+
+    res.writeHead(202, { 'Content-Location': `${fhirBaseUrl}/$export-status/${jobId}`, 'Cache-Control': 'no-store' });
+    res.end();
+  }
+
+  function handleExportStatus(req, res, jobId) {
+    const job = exportJobs.get(jobId);
+
+    if (!job) {
+      sendOperationOutcome(res, 404, 'not-found', `Export job ${jobId} is not known`);
+      return;
+    }
+
+    if (req.method === 'DELETE') {
+      exportJobs.delete(jobId);
+      res.writeHead(202, { 'Cache-Control': 'no-store' });
+      res.end();
+      return;
+    }
+
+    if (job.pendingPolls > 0) {
+      job.pendingPolls -= 1;
+      res.writeHead(202, { 'X-Progress': 'Exporting fixture data', 'Retry-After': '1', 'Cache-Control': 'no-store' });
+      res.end();
+      return;
+    }
+
+    const fileUrl = name => `${fhirBaseUrl}/${EXPORT_FILES_PATH}/${jobId}/${name}.ndjson`;
+
+    sendJson(res, 200, {
+      transactionTime: job.transactionTime,
+      request: job.request,
+      requiresAccessToken: true,
+      output: Object.entries(job.files).map(([type, items]) => ({ type, url: fileUrl(type), count: items.length })),
+      error: job.errors.length > 0 ? [{ type: 'OperationOutcome', url: fileUrl('OperationOutcome') }] : []
+    }, 'application/json');
+  }
+
+  function handleExportFile(res, jobId, name) {
+    const job = exportJobs.get(jobId);
+    const type = name.replace(/\.ndjson$/, '');
+    const items = !job ? null : type === 'OperationOutcome' ? job.errors : job.files[type];
+
+    if (!items) {
+      sendOperationOutcome(res, 404, 'not-found', `${name} is not part of export job ${jobId}`);
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/fhir+ndjson', 'Cache-Control': 'no-store' });
+    res.end(items.map(item => JSON.stringify(item)).join('\n') + (items.length > 0 ? '\n' : ''));
+  }
+
+  /**
+   * Store a posted AuditEvent
+   */
+  function handleCreateAuditEvent(res, body) {
+    let auditEvent;
+    try {
+      auditEvent = JSON.parse(body);
+    } catch (error) {
+      sendOperationOutcome(res, 400, 'invalid', `The request body is not JSON: ${error.message}`);
+      return;
+    }
+
+    if (!auditEvent || auditEvent.resourceType !== 'AuditEvent' || !auditEvent.recorded || !Array.isArray(auditEvent.agent)) {
+      sendOperationOutcome(res, 422, 'invariant', 'Expected an AuditEvent with recorded and agent');
+      return;
+    }
+
+    const stored = { ...auditEvent, id: crypto.randomUUID(), meta: { versionId: '1', lastUpdated: new Date().toISOString() } };
+    auditEvents.push(stored);
+
+    res.setHeader('Location', `${fhirBaseUrl}/AuditEvent/${stored.id}/_history/1`);
+    sendJson(res, 201, stored);
+  }
+
+  /**
+   * Create a resource posted by the app. The token must grant create access
+   * to the type and, for patient launches, to the launch patient.
+   */
+  function handleCreate(req, res, resourceType, grant, body) {
+    let resource;
+    try {
+      resource = JSON.parse(body);
+    } catch (error) {
+      sendOperationOutcome(res, 400, 'invalid', `The request body is not JSON: ${error.message}`);
+      return;
+    }
+
+    if (!scopeAllows(grant.scope, resourceType, 'c')) {
+      sendOperationOutcome(res, 403, 'forbidden', `The granted scope does not allow creating ${resourceType} resources`);
+      return;
+    }
+
+    if (!resource || resource.resourceType !== resourceType) {
+      sendOperationOutcome(res, 422, 'invalid', `Expected a ${resourceType} resource`);
+      return;
+    }
+
+    const reference = resource.patient && resource.patient.reference;
+    if (!resources.Patient.some(patient => `Patient/${patient.id}` === reference)) {
+      sendOperationOutcome(res, 422, 'invalid', `${resourceType}.patient must reference a known Patient`);
+      return;
+    }
+    if (grant.patientId && reference !== `Patient/${grant.patientId}`) {
+      sendOperationOutcome(res, 403, 'forbidden', `The access token is limited to Patient/${grant.patientId}`);
+      return;
+    }
+
+    const problem = WRITABLE_RESOURCES[resourceType](resource);
+    if (problem) {
+      sendOperationOutcome(res, 422, 'invariant', problem);
+      return;
+    }
+
+    const stored = { ...resource, id: crypto.randomUUID(), meta: { versionId: '1', lastUpdated: new Date().toISOString() } };
+    resources[resourceType].push(stored);
+
+    sendWriteResult(req, res, 201, stored);
+  }
+
+  /**
+   * Update a resource stored by the mock. An If-Match header must name the
+   * current version (W/"n"), so an update based on an older read gets a 412.
+   */
+  function handleUpdate(req, res, resourceType, id, grant, body) {
+    let resource;
+    try {
+      resource = JSON.parse(body);
+    } catch (error) {
+      sendOperationOutcome(res, 400, 'invalid', `The request body is not JSON: ${error.message}`);
+      return;
+    }
+
+    if (!scopeAllows(grant.scope, resourceType, 'u')) {
+      sendOperationOutcome(res, 403, 'forbidden', `The granted scope does not allow updating ${resourceType} resources`);
+      return;
+    }
+
+    if (!resource || resource.resourceType !== resourceType || resource.id !== id) {
+      sendOperationOutcome(res, 400, 'invalid', `Expected a ${resourceType} resource with id ${id}`);
+      return;
+    }
+
+    const index = resources[resourceType].findIndex(r => r.id === id);
+    if (index === -1) {
+      sendOperationOutcome(res, 404, 'not-found', `${resourceType}/${id} is not known`);
+      return;
+    }
+
+    const current = resources[resourceType][index];
+    const currentVersion = (current.meta && current.meta.versionId) || '1';
+    const ifMatch = req.headers['if-match'];
+    if (ifMatch && ifMatch !== `W/"${currentVersion}"`) {
+      sendOperationOutcome(res, 412, 'conflict', `If-Match ${ifMatch} does not match the current version W/"${currentVersion}"`);
+      return;
+    }
+
+    const reference = resource.patient && resource.patient.reference;
+    if (reference !== (current.patient && current.patient.reference)) {
+      sendOperationOutcome(res, 422, 'invalid', `${resourceType}.patient cannot be changed`);
+      return;
+    }
+    if (grant.patientId && reference !== `Patient/${grant.patientId}`) {
+      sendOperationOutcome(res, 403, 'forbidden', `The access token is limited to Patient/${grant.patientId}`);
+      return;
+    }
+
+    const problem = WRITABLE_RESOURCES[resourceType](resource);
+    if (problem) {
+      sendOperationOutcome(res, 422, 'invariant', problem);
+      return;
+    }
+
+    const versionId = String(Number(currentVersion) + 1);
+    const stored = { ...resource, meta: { ...resource.meta, versionId, lastUpdated: new Date().toISOString() } };
+    resources[resourceType][index] = stored;
+
+    sendWriteResult(req, res, 200, stored);
+  }
+
+  /**
+   * Answer a create or update with the stored resource, or with no body for
+   * Prefer: return=minimal
+   */
+  function sendWriteResult(req, res, status, stored) {
+    const versionId = stored.meta.versionId;
+
+    res.setHeader('Location', `${fhirBaseUrl}/${stored.resourceType}/${stored.id}/_history/${versionId}`);
+    res.setHeader('ETag', `W/"${versionId}"`);
+    if (req.headers.prefer === 'return=minimal') {
+      res.writeHead(status, { 'Cache-Control': 'no-store' });
+      res.end();
+      return;
+    }
+    sendJson(res, status, stored);
+  }
+
+  function handleFhirRequest(req, res, pathname, query) {
+    const route = pathname.slice(FHIR_BASE_PATH.length).replace(/^\/+|\/+$/g, '');
+    const [first, second, third] = route.split('/');
+
+    // Bulk Data: kick-off, status polling (and cancel) and file download
+    if (route === 'Patient/$export' && req.method === 'GET') {
+      const grant = authorizeFhirRequest(req, res);
+      if (grant) handleExportKickOff(req, res, query, grant);
+      return;
+    }
+    if (first === '$export-status' && second && ['GET', 'DELETE'].includes(req.method)) {
+      if (authorizeFhirRequest(req, res)) handleExportStatus(req, res, second);
+      return;
+    }
+    if (first === EXPORT_FILES_PATH && second && third && req.method === 'GET') {
+      if (authorizeFhirRequest(req, res)) handleExportFile(res, second, third);
+      return;
+    }
+
+    if (route === 'AuditEvent' && req.method === 'POST') {
+      if (authorizeFhirRequest(req, res)) {
+        readRequestBody(req, body => handleCreateAuditEvent(res, body));
+      }
+      return;
+    }
+    if (route === 'AuditEvent' && req.method === 'GET') {
+      if (authorizeFhirRequest(req, res)) {
+        sendJson(res, 200, {
+          resourceType: 'Bundle',
+          type: 'searchset',
+          total: auditEvents.length,
+          entry: auditEvents.map(resource => ({ fullUrl: `${fhirBaseUrl}/AuditEvent/${resource.id}`, resource, search: { mode: 'match' } }))
+        });
+      }
+      return;
+    }
+
+    if (WRITABLE_RESOURCES[first] && !second && req.method === 'POST') {
+      const grant = authorizeFhirRequest(req, res);
+      if (grant) {
+        readRequestBody(req, body => handleCreate(req, res, first, grant, body));
+      }
+      return;
+    }
+    if (WRITABLE_RESOURCES[first] && second && !third && req.method === 'PUT') {
+      const grant = authorizeFhirRequest(req, res);
+      if (grant) {
+        readRequestBody(req, body => handleUpdate(req, res, first, second, grant, body));
+      }
+      return;
+    }
+
+    if (req.method !== 'GET') {
+      sendOperationOutcome(res, 405, 'not-supported', `${req.method} is not supported by the mock server`);
+      return;
+    }
+
+    if (route === '.well-known/smart-configuration') {
+      sendJson(res, 200, getSmartConfiguration(), 'application/json');
+      return;
+    }
+
+    if (route === 'metadata') {
+      sendJson(res, 200, getCapabilityStatement());
+      return;
+    }
+
+    const [resourceType, id, ...rest] = route.split('/');
+
+    if (!SEARCHABLE_RESOURCES[resourceType] || rest.length > 0) {
+      sendOperationOutcome(res, 404, 'not-supported', `${route || 'The base URL'} is not available in mock mode`);
+      return;
+    }
+
+    const grant = authorizeFhirRequest(req, res);
+    if (!grant) {
+      return;
+    }
+
+    if (id) {
+      handleRead(res, resourceType, id, grant);
+    } else {
+      handleSearch(res, resourceType, query, grant);
+    }
+  }
+
+  return function mockFhirHandler(req, res) {
+    const { pathname, searchParams } = new URL(req.url, baseUrl);
+
+    if (pathname === FHIR_BASE_PATH || pathname.startsWith(`${FHIR_BASE_PATH}/`)) {
+      handleFhirRequest(req, res, pathname, searchParams);
+      return;
+    }
+
+    if (pathname === `${AUTH_BASE_PATH}/authorize` && req.method === 'GET') {
+      handleAuthorize(req, res, searchParams);
+      return;
+    }
+
+    const formHandlers = {
+      [`${AUTH_BASE_PATH}/token`]: handleToken,
+      [`${AUTH_BASE_PATH}/revoke`]: handleRevoke
+    };
+
+    if (formHandlers[pathname] && req.method === 'POST') {
+      readRequestBody(req, body => formHandlers[pathname](req, res, body));
+      return;
+    }
+
+    // Everything else is a static file
+    res.emit('next');
+  };
+}
+
+module.exports = {
+  createMockFhirServer,
+  loadFixtures,
+  sortResources,
+  readRequestBody,
+  FHIR_BASE_PATH,
+  MOCK_LAUNCH_CONTEXT
+};
@@ -0,0 +1,279 @@
+/**
+ * Server configuration
+ * Resolves the development server and SMART client settings from, in
+ * increasing order of precedence: built-in defaults, a JSON config file,
+ * environment variables and command-line flags
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FHIR_BASE_PATH, MOCK_LAUNCH_CONTEXT } = require('./mock/mock-fhir-server');
+const { CDS_SERVICES_PATH } = require('./mock/mock-cds-service');
+
+// Config file read when neither --config nor SMART_CONFIG is given; optional
+const DEFAULT_CONFIG_FILE = 'smart-config.json';
+
+/**
+ * Supported settings. `client` settings are served to the browser through
+ * /config.json; the rest only affect the server.
+ */
+const CONFIG_OPTIONS = {
+  port: { flag: '--port', env: 'PORT', type: 'number', default: 8080, description: 'Port to listen on' },
+  directory: { flag: '--dir', env: 'SMART_STATIC_DIR', type: 'string', default: './src', description: 'Directory of static files to serve' },
+  mock: { flag: '--mock', env: 'SMART_MOCK', type: 'boolean', default: false, description: 'Serve the local mock FHIR server' },
+  fhirServerUrl: { flag: '--fhir-server', env: 'SMART_FHIR_SERVER_URL', type: 'string', default: 'https://r4.smarthealthit.org', description: 'FHIR server shown in the startup banner' },
+  issuer: { flag: '--iss', env: 'SMART_ISSUER_URL', type: 'string', default: 'https://launch.smarthealthit.org/v/r4/fhir', client: true, description: 'FHIR base URL (iss) used in the launch URL' },
+  launchContext: { flag: '--launch', env: 'SMART_LAUNCH_CONTEXT', type: 'string', default: 'eyJhIjoiMSJ9', description: 'Launch context used in the launch URL' },
+  clientId: { flag: '--client-id', env: 'SMART_CLIENT_ID', type: 'string', default: 'my_app_client_id', client: true, description: 'OAuth2 client ID registered with the EHR' },
+  scope: { flag: '--scope', env: 'SMART_SCOPE', type: 'string', default: 'launch patient/*.read', client: true, description: 'Scopes requested at launch' },
+  redirectUri: { flag: '--redirect-uri', env: 'SMART_REDIRECT_URI', type: 'string', default: 'index.html', client: true, description: 'Redirect URI registered with the EHR' },
+  idleLockMinutes: { flag: '--idle-lock', env: 'SMART_IDLE_LOCK_MINUTES', type: 'number', default: 5, client: true, description: 'Minutes of inactivity before patient data is hidden behind a lock screen' },
+  idleTimeoutMinutes: { flag: '--idle-timeout', env: 'SMART_IDLE_TIMEOUT_MINUTES', type: 'number', default: 30, client: true, description: 'Minutes of inactivity before the session is signed out' },
+  cdsHooksUrl: { flag: '--cds-hooks', env: 'SMART_CDS_HOOKS_URL', type: 'string', default: null, client: true, description: 'CDS Hooks discovery endpoint (ending in /cds-services) called when a patient is opened' },
+  cdsStub: { flag: '--cds-stub', env: 'SMART_CDS_STUB', type: 'boolean', default: false, description: 'Serve a stub CDS Hooks service at /cds-services (on by default with --mock)' },
+  auditEvents: { flag: '--audit-events', env: 'SMART_AUDIT_EVENTS', type: 'boolean', default: false, client: true, description: 'POST an AuditEvent to the FHIR server for every audited access' },
+  bff: { flag: '--bff', env: 'SMART_BFF', type: 'boolean', default: false, client: true, description: 'Act as a confidential client and keep tokens on the server' },
+  privateKey: { flag: '--private-key', env: 'SMART_PRIVATE_KEY', type: 'string', default: null, description: 'PEM private key (RSA or EC P-384) signing client assertions in BFF mode; a temporary key is generated if unset' },
+  keyId: { flag: '--key-id', env: 'SMART_KEY_ID', type: 'string', default: null, description: 'Key ID (kid) of the private key; defaults to its JWK thumbprint' },
+  allowedIssuers: { flag: '--allowed-iss', env: 'SMART_ALLOWED_ISSUERS', type: 'string', default: null, description: 'Comma-separated FHIR base URLs, besides issuer, that may launch the app in BFF mode' },
+  mockJwks: { flag: '--mock-jwks', env: 'SMART_MOCK_JWKS', type: 'string', default: null, description: 'JWKS file of keys the mock token endpoint accepts for backend services (client_credentials)' }
+};
+
+/**
+ * Convert a raw flag, environment or file value to the option's type
+ * @param {string} name - Option name
+ * @param {*} value - Raw value
+ * @param {string} source - Where the value came from, for error messages
+ * @param {Object} options - Supported settings (CONFIG_OPTIONS or another command's table)
+ * @returns {*} Converted value
+ */
+function convertValue(name, value, source, options = CONFIG_OPTIONS) {
+  const { type } = options[name];
+
+  if (type === 'number') {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number <= 0) {
+      throw new Error(`Invalid ${name} "${value}" from ${source}: expected a positive integer`);
+    }
+    return number;
+  }
+
+  if (type === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    if (/^(true|1|yes)$/i.test(String(value))) return true;
+    if (/^(false|0|no)?$/i.test(String(value))) return false;
+    throw new Error(`Invalid ${name} "${value}" from ${source}: expected true or false`);
+  }
+
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new Error(`Invalid ${name} from ${source}: expected a non-empty string`);
+  }
+  return value.trim();
+}
+
+/**
+ * Parse command-line flags (`--port 9000`, `--port=9000`, `--mock`)
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} options - Supported settings
+ * @returns {Object} { values, configFile, help }
+ */
+function parseArgs(argv, options = CONFIG_OPTIONS) {
+  const values = {};
+  let configFile = null;
+  let help = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+
+    if (flag === '--help' || flag === '-h') {
+      help = true;
+      continue;
+    }
+
+    const takeValue = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+        throw new Error(`Missing value for ${flag}`);
+      }
+      return argv[++i];
+    };
+
+    if (flag === '--config') {
+      configFile = takeValue();
+      continue;
+    }
+
+    const name = Object.keys(options).find(key => options[key].flag === flag);
+    if (!name) {
+      throw new Error(`Unknown option ${flag} (see --help)`);
+    }
+
+    values[name] = options[name].type === 'boolean'
+      ? convertValue(name, inlineValue === undefined ? true : inlineValue, flag, options)
+      : convertValue(name, takeValue(), flag, options);
+  }
+
+  return { values, configFile, help };
+}
+
+/**
+ * Read settings from environment variables
+ * @param {Object} env - Environment (process.env)
+ * @param {Object} options - Supported settings
+ * @returns {Object} Settings found in the environment
+ */
+function readEnv(env, options = CONFIG_OPTIONS) {
+  const values = {};
+
+  Object.entries(options).forEach(([name, option]) => {
+    if (env[option.env] !== undefined && env[option.env] !== '') {
+      values[name] = convertValue(name, env[option.env], option.env, options);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Read settings from a JSON config file
+ * @param {string} filePath - Path of the file
+ * @param {boolean} required - Whether a missing file is an error
+ * @param {Object} options - Supported settings
+ * @returns {Object} Settings found in the file
+ */
+function readConfigFile(filePath, required, options = CONFIG_OPTIONS) {
+  if (!fs.existsSync(filePath)) {
+    if (required) {
+      throw new Error(`Config file not found: ${filePath}`);
+    }
+    return {};
+  }
+
+  let contents;
+  try {
+    contents = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse config file ${filePath}: ${error.message}`);
+  }
+
+  const values = {};
+  Object.entries(contents).forEach(([name, value]) => {
+    if (!options[name]) {
+      throw new Error(`Unknown setting "${name}" in ${filePath}`);
+    }
+    values[name] = convertValue(name, value, filePath, options);
+  });
+
+  return values;
+}
+
+/**
+ * Resolve the configuration
+ * @param {Object} sources - Sources
+ * @param {Array<string>} sources.argv - Command-line arguments after the script name
+ * @param {Object} sources.env - Environment variables
+ * @param {string} sources.cwd - Directory relative paths are resolved against
+ * @param {Object} sources.options - Supported settings; other commands pass their own table
+ * @param {string|null} sources.defaultConfigFile - Config file read when none is requested, or null for none
+ * @param {string} sources.configEnv - Environment variable naming the config file
+ * @returns {Object} Resolved settings, plus configFile (path read, or null) and help
+ */
+function loadConfig({
+  argv = process.argv.slice(2),
+  env = process.env,
+  cwd = process.cwd(),
+  options = CONFIG_OPTIONS,
+  defaultConfigFile = DEFAULT_CONFIG_FILE,
+  configEnv = 'SMART_CONFIG'
+} = {}) {
+  const args = parseArgs(argv, options);
+  const requestedFile = args.configFile || env[configEnv];
+  const configFile = requestedFile || defaultConfigFile ? path.resolve(cwd, requestedFile || defaultConfigFile) : null;
+  const fileValues = configFile ? readConfigFile(configFile, Boolean(requestedFile), options) : {};
+
+  const explicit = { ...fileValues, ...readEnv(env, options), ...args.values };
+
+  const defaults = {};
+  Object.entries(options).forEach(([name, option]) => {
+    defaults[name] = option.default;
+  });
+
+  // Mock mode points the launch at the local mock unless a URL was set explicitly
+  if (options === CONFIG_OPTIONS && explicit.mock) {
+    const mockFhirUrl = `http://localhost:${explicit.port || defaults.port}${FHIR_BASE_PATH}`;
+    defaults.fhirServerUrl = mockFhirUrl;
+    defaults.issuer = mockFhirUrl;
+    defaults.launchContext = MOCK_LAUNCH_CONTEXT;
+    defaults.cdsStub = true;
+    // The mock accepts new allergies, so the "Add allergy" form can be tried
+    defaults.scope = `${defaults.scope} patient/AllergyIntolerance.write`;
+  }
+
+  // The stub CDS service is used unless another discovery endpoint was set
+  if (options === CONFIG_OPTIONS && (explicit.cdsStub ?? defaults.cdsStub)) {
+    defaults.cdsHooksUrl = `http://localhost:${explicit.port || defaults.port}${CDS_SERVICES_PATH}`;
+  }
+
+  const config = {
+    ...defaults,
+    ...explicit,
+    configFile: configFile && fs.existsSync(configFile) ? configFile : null,
+    help: args.help
+  };
+
+  if (options === CONFIG_OPTIONS && config.idleTimeoutMinutes <= config.idleLockMinutes) {
+    throw new Error(`idleTimeoutMinutes (${config.idleTimeoutMinutes}) must be longer than idleLockMinutes (${config.idleLockMinutes})`);
+  }
+
+  return config;
+}
+
+/**
+ * Get the settings the browser needs, as served from /config.json
+ * @param {Object} config - Resolved configuration
+ * @returns {Object} Client settings
+ */
+function getClientConfig(config) {
+  const clientConfig = {};
+
+  Object.entries(CONFIG_OPTIONS)
+    .filter(([, option]) => option.client)
+    .forEach(([name]) => {
+      clientConfig[name] = config[name];
+    });
+
+  return clientConfig;
+}
+
+/**
+ * Build the --help text
+ * @param {Object} options - Supported settings
+ * @param {string} command - Command shown in the usage line
+ * @param {string|null} defaultConfigFile - Config file read when none is requested
+ * @param {string} configEnv - Environment variable naming the config file
+ * @returns {string} Usage description
+ */
+function getUsage(options = CONFIG_OPTIONS, command = 'node server.js', defaultConfigFile = DEFAULT_CONFIG_FILE, configEnv = 'SMART_CONFIG') {
+  const lines = Object.values(options).map(option => {
+    const flag = option.type === 'boolean' ? option.flag : `${option.flag} <value>`;
+    return `  ${flag.padEnd(26)} ${option.description} (env ${option.env}, default ${JSON.stringify(option.default)})`;
+  });
+
+  return [
+    `Usage: ${command} [options]`,
+    '',
+    'Options:',
+    `  ${'--config <file>'.padEnd(26)} JSON config file (env ${configEnv}${defaultConfigFile ? `, default ${defaultConfigFile} if present` : ''})`,
+    ...lines,
+    `  ${'--help'.padEnd(26)} Show this help`,
+    '',
+    'Precedence: flags > environment variables > config file > defaults'
+  ].join('\n');
+}
+
+module.exports = {
+  CONFIG_OPTIONS,
+  loadConfig,
+  getClientConfig,
+  getUsage
+};
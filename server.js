@@ -1,26 +1,82 @@
 /**
  * Custom server script for SMART on FHIR application
  * Displays both index and launch URLs when starting the server
- * Includes hardcoded FHIR server URL and launch context from PRD
+ * Settings come from server-config.js (flags, environment variables and an
+ * optional smart-config.json); run with --help to list them
+ *
+ * Run with --mock to serve a local FHIR R4 server and stub SMART authorization
+ * endpoints from the fixture Bundles in ./mock/fixtures instead
+ *
+ * With --mock (or --cds-stub), a stub CDS Hooks service is served at
+ * /cds-services and the app calls it when a patient is opened
+ *
+ * Run with --bff to act as a confidential client (private_key_jwt): the server
+ * holds the tokens and the browser only a session cookie, see smart-bff.js
  */
 
 const http = require('http-server');
 const chalk = require('chalk');
 const path = require('path');
+const fs = require('fs');
 const os = require('os');
+const { createMockFhirServer } = require('./mock/mock-fhir-server');
+const { createMockCdsService } = require('./mock/mock-cds-service');
+const { createBffServer, loadSigningKey, BFF_BASE_PATH } = require('./smart-bff');
+const { loadConfig, getClientConfig, getUsage } = require('./server-config');
+
+let config;
+let signingKey = null;
+let backendJwks = null;
+try {
+  config = loadConfig();
+  if (config.bff && !config.help) {
+    signingKey = loadSigningKey({
+      privateKeyFile: config.privateKey && path.resolve(config.privateKey),
+      keyId: config.keyId
+    });
+  }
+  if (config.mockJwks && !config.help) {
+    backendJwks = JSON.parse(fs.readFileSync(path.resolve(config.mockJwks), 'utf8'));
+  }
+} catch (error) {
+  console.error(chalk.red(`\n✗ ${error.message}\n`));
+  process.exit(1);
+}
+
+if (config.help) {
+  console.log(getUsage());
+  process.exit(0);
+}
 
 // Configuration
-const PORT = 8080;
-const DIRECTORY = './src';
+const PORT = config.port;
+const DIRECTORY = config.directory;
 const CORS = true;
+const MOCK_MODE = config.mock;
+const BFF_MODE = config.bff;
+const BASE_URL = `http://localhost:${PORT}`;
 
-// Hardcoded FHIR server URL and launch context from PRD
-const FHIR_SERVER_URL = 'https://r4.smarthealthit.org';
-const LAUNCH_CONTEXT = 'eyJhIjoiMSJ9';
-const ISSUER_URL = 'https://launch.smarthealthit.org/v/r4/fhir';
+const FHIR_SERVER_URL = config.fhirServerUrl;
+const LAUNCH_CONTEXT = config.launchContext;
+const ISSUER_URL = config.issuer;
+// The BFF fetches the SMART configuration of a launch's iss, so only these are accepted
+const BFF_ISSUERS = [ISSUER_URL, ...(config.allowedIssuers || '').split(',').map(url => url.trim()).filter(Boolean)];
 
 // Full launch URL with parameters
-const FULL_LAUNCH_URL = `launch.html?launch=${LAUNCH_CONTEXT}&iss=${encodeURIComponent(ISSUER_URL)}`;
+const FULL_LAUNCH_URL = `launch.html?launch=${encodeURIComponent(LAUNCH_CONTEXT)}&iss=${encodeURIComponent(ISSUER_URL)}`;
+
+/**
+ * Serve the client settings the pages read at startup
+ */
+function serveClientConfig(req, res) {
+  if (req.url.split('?')[0] !== '/config.json') {
+    res.emit('next');
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(getClientConfig(config), null, 2));
+}
 
 // Get local IP addresses
 function getLocalIpAddresses() {
@@ -46,6 +102,26 @@ const server = http.createServer({
   cache: -1,
   showDir: true,
   autoIndex: true,
+  // BFF, mock FHIR and authorization endpoints are answered before static files
+  before: [
+    serveClientConfig,
+    ...(BFF_MODE ? [createBffServer({
+      baseUrl: BASE_URL,
+      clientId: config.clientId,
+      scope: config.scope,
+      redirectUri: config.redirectUri,
+      signingKey,
+      issuers: BFF_ISSUERS
+    })] : []),
+    ...(MOCK_MODE ? [createMockFhirServer({
+      baseUrl: BASE_URL,
+      // The BFF's key is registered with the mock, which then requires client assertions
+      confidentialClients: BFF_MODE ? { [config.clientId]: signingKey.jwks } : {},
+      // Keys accepted from backend services clients such as bulk-export.js
+      backendJwks
+    })] : []),
+    ...(config.cdsStub ? [createMockCdsService()] : [])
+  ],
   // Ensure localhost is properly recognized for secure context
   host: 'localhost'
 });
@@ -63,6 +139,7 @@ server.listen(PORT, () => {
   console.log(`  Index URL: ${chalk.blue(`http://localhost:${PORT}/index.html`)}`);
   console.log(`  Basic Launch URL: ${chalk.blue(`http://localhost:${PORT}/launch.html`)}`);
   console.log(`  Full Launch URL: ${chalk.blue(`http://localhost:${PORT}/${FULL_LAUNCH_URL}`)}`);
+  console.log(`  Standalone Launch URL: ${chalk.blue(`http://localhost:${PORT}/standalone.html`)}`);
   
   // Display network URLs if available
   if (localIps.length > 0) {
@@ -79,6 +156,31 @@ server.listen(PORT, () => {
   console.log(`  Using FHIR Server: ${chalk.green(FHIR_SERVER_URL)}`);
   console.log(`  Using Launch Context: ${chalk.green(LAUNCH_CONTEXT)}`);
   console.log(`  Using Issuer URL: ${chalk.green(ISSUER_URL)}`);
+  console.log(`  Using Client ID: ${chalk.green(config.clientId)}`);
+  console.log(`  Using Scope: ${chalk.green(config.scope)}`);
+  if (config.configFile) {
+    console.log(`  Config file: ${chalk.green(config.configFile)}`);
+  }
+  if (MOCK_MODE) {
+    console.log(chalk.magenta('  Mock mode: FHIR data comes from ./mock/fixtures and authorization is approved automatically'));
+  }
+  if (MOCK_MODE && backendJwks) {
+    console.log(`  Backend services: ${chalk.green(`${config.mockJwks}`)} keys accepted for client_credentials and $export`);
+  }
+  if (config.cdsStub) {
+    console.log(chalk.magenta(`  CDS Hooks: stub service at ${BASE_URL}/cds-services`));
+  } else if (config.cdsHooksUrl) {
+    console.log(`  CDS Hooks: ${chalk.green(config.cdsHooksUrl)}`);
+  }
+  if (BFF_MODE) {
+    console.log(chalk.magenta(`  BFF mode: tokens stay on this server (private_key_jwt, ${signingKey.alg}, kid ${signingKey.kid})`));
+    console.log(`  Register redirect URI: ${chalk.green(`${BASE_URL}${BFF_BASE_PATH}/callback`)}`);
+    console.log(`  Register JWKS URL: ${chalk.green(`${BASE_URL}${BFF_BASE_PATH}/jwks.json`)}`);
+    console.log(`  Accepted iss: ${chalk.green(BFF_ISSUERS.join(', '))}`);
+    if (signingKey.generated) {
+      console.log(chalk.yellow('  No --private-key given: using a temporary key that changes on every restart'));
+    }
+  }
   console.log(`  Ready to test with the Full Launch URL above\n`);
 
   
@@ -0,0 +1,608 @@
+/**
+ * SMART backend-for-frontend (BFF)
+ * Lets server.js act as a confidential SMART client: the server runs the
+ * authorization code flow, authenticates to the token endpoint with a
+ * private_key_jwt client assertion and keeps the tokens in memory. The browser
+ * only gets an HttpOnly session cookie; its FHIR requests go through the proxy
+ * under /bff/fhir, which adds the access token and refreshes it when needed.
+ * Used by `node server.js --bff`.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Path prefix of the BFF endpoints
+const BFF_BASE_PATH = '/bff';
+const FHIR_PROXY_PATH = `${BFF_BASE_PATH}/fhir`;
+
+const SESSION_COOKIE = 'smart_bff_session';
+const CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+
+// Client assertions are short-lived and single use
+const ASSERTION_LIFETIME_SECONDS = 300;
+// Launches not completed within this time are forgotten
+const PENDING_LAUNCH_LIFETIME = 10 * 60 * 1000;
+// Sessions end this long after sign-in, or after this long without a request
+const SESSION_LIFETIME = 8 * 60 * 60 * 1000;
+const SESSION_IDLE_LIFETIME = 30 * 60 * 1000;
+// Expired launches and sessions are swept at most this often
+const SWEEP_INTERVAL = 60 * 1000;
+// Access tokens expiring within this margin are refreshed before use
+const REFRESH_MARGIN = 60 * 1000;
+
+// Headers passed through the FHIR proxy in each direction
+const PROXIED_REQUEST_HEADERS = ['accept', 'content-type', 'if-match', 'if-none-match', 'if-modified-since', 'prefer'];
+const PROXIED_RESPONSE_HEADERS = ['content-type', 'etag', 'last-modified', 'location', 'content-location'];
+
+/**
+ * Get the JWS algorithm for a private key
+ * @param {KeyObject} key - Private key
+ * @returns {string} RS384 for RSA keys, ES384 for EC P-384 keys
+ */
+function getSigningAlgorithm(key) {
+  if (key.asymmetricKeyType === 'rsa') return 'RS384';
+  if (key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails.namedCurve === 'secp384r1') return 'ES384';
+  throw new Error('Unsupported private key: use an RSA key (RS384) or an EC P-384 key (ES384)');
+}
+
+/**
+ * Compute the RFC 7638 thumbprint of a public JWK, used as the default key ID
+ * @param {Object} jwk - Public RSA or EC JWK
+ * @returns {string} base64url SHA-256 thumbprint
+ */
+function getJwkThumbprint(jwk) {
+  const members = jwk.kty === 'RSA'
+    ? { e: jwk.e, kty: jwk.kty, n: jwk.n }
+    : { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y };
+  return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+}
+
+/**
+ * Load the key used to sign client assertions, or generate a temporary one
+ * @param {Object} options - Key options
+ * @param {string|null} options.privateKeyFile - PEM file with an RSA or EC P-384 private key
+ * @param {string|null} options.keyId - Key ID (kid); defaults to the JWK thumbprint
+ * @returns {Object} { privateKey, alg, kid, jwks, generated }
+ */
+function loadSigningKey({ privateKeyFile = null, keyId = null } = {}) {
+  let privateKey;
+
+  if (privateKeyFile) {
+    try {
+      privateKey = crypto.createPrivateKey(fs.readFileSync(privateKeyFile));
+    } catch (error) {
+      throw new Error(`Could not read private key ${privateKeyFile}: ${error.message}`);
+    }
+  } else {
+    ({ privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-384' }));
+  }
+
+  const alg = getSigningAlgorithm(privateKey);
+  const publicJwk = crypto.createPublicKey(privateKey).export({ format: 'jwk' });
+  const kid = keyId || getJwkThumbprint(publicJwk);
+
+  return {
+    privateKey,
+    alg,
+    kid,
+    jwks: { keys: [{ ...publicJwk, kid, alg, use: 'sig' }] },
+    generated: !privateKeyFile
+  };
+}
+
+/**
+ * Create a private_key_jwt client assertion for a token request
+ * @param {Object} signingKey - Key from loadSigningKey()
+ * @param {Object} claims - Assertion claims
+ * @param {string} claims.clientId - Client ID (iss and sub)
+ * @param {string} claims.tokenEndpoint - Token endpoint URL (aud)
+ * @param {number} claims.now - Current time in milliseconds
+ * @returns {string} Signed JWT
+ */
+function createClientAssertion(signingKey, { clientId, tokenEndpoint, now = Date.now() }) {
+  const issuedAt = Math.floor(now / 1000);
+  const header = { alg: signingKey.alg, typ: 'JWT', kid: signingKey.kid };
+  const payload = {
+    iss: clientId,
+    sub: clientId,
+    aud: tokenEndpoint,
+    iat: issuedAt,
+    exp: issuedAt + ASSERTION_LIFETIME_SECONDS,
+    jti: crypto.randomUUID()
+  };
+
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode(header)}.${encode(payload)}`;
+  const signature = crypto.sign('sha384', Buffer.from(signingInput), {
+    key: signingKey.privateKey,
+    dsaEncoding: 'ieee-p1363'
+  });
+
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Fetch a server's .well-known/smart-configuration
+ * @param {string} iss - FHIR base URL
+ * @param {Array<string>} endpoints - Endpoints the caller needs
+ * @returns {Promise<Object>} SMART configuration
+ * @throws {Error} When the document is missing or lacks one of the endpoints
+ */
+async function fetchSmartConfiguration(iss, endpoints = ['authorization_endpoint', 'token_endpoint']) {
+  const response = await fetch(`${iss.replace(/\/+$/, '')}/.well-known/smart-configuration`, {
+    headers: { Accept: 'application/json' }
+  });
+  const configuration = response.ok ? await response.json() : null;
+
+  if (!configuration || endpoints.some(endpoint => !configuration[endpoint])) {
+    throw new Error(`${iss} does not publish a SMART configuration with ${endpoints.join(' and ')}`);
+  }
+
+  return configuration;
+}
+
+/**
+ * Read the cookies of a request
+ * @param {string} header - Cookie header
+ * @returns {Object} Map of cookie name to value
+ */
+function parseCookies(header = '') {
+  const cookies = {};
+
+  header.split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      cookies[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+    }
+  });
+
+  return cookies;
+}
+
+/**
+ * Read the fhirUser claim of an id_token. The token came straight from the
+ * token endpoint, so its signature is not checked; the claim only labels
+ * audit log entries.
+ * @param {string} idToken - id_token from the token response
+ * @returns {string|null} fhirUser (e.g. Practitioner/123), or null
+ */
+function getFhirUser(idToken) {
+  try {
+    const claims = JSON.parse(Buffer.from(idToken.split('.')[1], 'base64url').toString('utf8'));
+    // Relative, as the fhirclient library reports it in the browser
+    return claims.fhirUser ? claims.fhirUser.split('/').slice(-2).join('/') : claims.profile || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create the BFF request handler
+ * @param {Object} options - BFF options
+ * @param {string} options.baseUrl - Public origin of the server (e.g. http://localhost:8080)
+ * @param {string} options.clientId - Client ID registered with the EHR
+ * @param {string} options.scope - Scope requested when the launch does not name one
+ * @param {string} options.redirectUri - Page the browser is sent to after authorization
+ * @param {Object} options.signingKey - Key from loadSigningKey()
+ * @param {Array<string>} options.issuers - FHIR base URLs accepted as `iss`; the
+ *   server fetches their SMART configuration, so only configured servers are allowed
+ * @param {number} options.sessionLifetime - Maximum session length in milliseconds
+ * @param {number} options.sessionIdleLifetime - Inactivity after which a session ends, in milliseconds
+ * @returns {Function} http-server `before` handler
+ */
+function createBffServer({
+  baseUrl,
+  clientId,
+  scope,
+  redirectUri,
+  signingKey,
+  issuers,
+  sessionLifetime = SESSION_LIFETIME,
+  sessionIdleLifetime = SESSION_IDLE_LIFETIME
+}) {
+  const callbackUrl = `${baseUrl}${BFF_BASE_PATH}/callback`;
+  const proxyBaseUrl = `${baseUrl}${FHIR_PROXY_PATH}`;
+  const appUrl = new URL(redirectUri, `${baseUrl}/`).toString();
+  const secureCookie = baseUrl.startsWith('https:');
+  const allowedIssuers = issuers.map(url => url.replace(/\/+$/, ''));
+
+  // Launches waiting for their callback, by state, and signed-in sessions, by cookie value
+  const pendingLaunches = new Map();
+  const sessions = new Map();
+  let lastSweep = Date.now();
+
+  function sendJson(res, statusCode, body, contentType = 'application/json', headers = {}) {
+    res.writeHead(statusCode, {
+      'Content-Type': `${contentType}; charset=utf-8`,
+      'Cache-Control': 'no-store',
+      ...headers
+    });
+    res.end(JSON.stringify(body, null, 2));
+  }
+
+  function sendOperationOutcome(res, statusCode, code, diagnostics) {
+    sendJson(res, statusCode, {
+      resourceType: 'OperationOutcome',
+      issue: [{ severity: 'error', code, diagnostics }]
+    }, 'application/fhir+json');
+  }
+
+  // Launch and callback errors are shown to the user by the browser, as pages
+  function sendErrorPage(res, statusCode, message) {
+    res.writeHead(statusCode, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(`${message}\n`);
+  }
+
+  function sessionCookie(value, maxAge = null) {
+    return [
+      `${SESSION_COOKIE}=${value}`,
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Lax',
+      ...(secureCookie ? ['Secure'] : []),
+      ...(maxAge !== null ? [`Max-Age=${maxAge}`] : [])
+    ].join('; ');
+  }
+
+  function isSessionExpired(session, now = Date.now()) {
+    return now - session.createdAt > sessionLifetime || now - session.lastUsedAt > sessionIdleLifetime;
+  }
+
+  // Every request made with the session cookie counts as activity
+  function getSession(req) {
+    const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const session = sessionId ? sessions.get(sessionId) : null;
+    if (!session) return null;
+
+    if (isSessionExpired(session)) {
+      sessions.delete(sessionId);
+      return null;
+    }
+
+    session.lastUsedAt = Date.now();
+    return { sessionId, session };
+  }
+
+  /**
+   * Forget expired launches and sessions, at most once per SWEEP_INTERVAL
+   */
+  function sweepExpired() {
+    const now = Date.now();
+    if (now - lastSweep < SWEEP_INTERVAL) return;
+    lastSweep = now;
+
+    pendingLaunches.forEach((pending, state) => {
+      if (now - pending.createdAt > PENDING_LAUNCH_LIFETIME) pendingLaunches.delete(state);
+    });
+    sessions.forEach((session, sessionId) => {
+      if (isSessionExpired(session, now)) sessions.delete(sessionId);
+    });
+  }
+
+  /**
+   * Call the token endpoint, authenticating with a client assertion
+   */
+  async function requestToken(tokenEndpoint, params) {
+    const body = new URLSearchParams({
+      ...params,
+      client_id: clientId,
+      client_assertion_type: CLIENT_ASSERTION_TYPE,
+      client_assertion: createClientAssertion(signingKey, { clientId, tokenEndpoint })
+    });
+
+    const response = await fetch(tokenEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.access_token) {
+      throw new Error(data.error_description || data.error || `Token endpoint returned HTTP ${response.status}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Revoke the session's tokens (RFC 7009), refresh token first; failures are
+   * logged, since the session ends either way
+   */
+  async function revokeTokens(session) {
+    if (!session.revocationEndpoint) return;
+
+    const tokens = [
+      ['refresh_token', session.tokenResponse.refresh_token],
+      ['access_token', session.tokenResponse.access_token]
+    ].filter(([, token]) => token);
+
+    for (const [hint, token] of tokens) {
+      try {
+        const response = await fetch(session.revocationEndpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          body: new URLSearchParams({
+            token,
+            token_type_hint: hint,
+            client_id: clientId,
+            client_assertion_type: CLIENT_ASSERTION_TYPE,
+            // SMART expects the token endpoint as the audience of client assertions
+            client_assertion: createClientAssertion(signingKey, { clientId, tokenEndpoint: session.tokenEndpoint })
+          })
+        });
+        if (!response.ok) {
+          console.warn(`BFF ${hint} revocation failed with HTTP ${response.status}`);
+        }
+      } catch (error) {
+        console.warn(`BFF ${hint} revocation failed: ${error.message}`);
+      }
+    }
+  }
+
+  function updateTokens(session, tokenResponse) {
+    // A refresh response may omit the refresh token and context it does not change
+    session.tokenResponse = { ...session.tokenResponse, ...tokenResponse };
+    session.expiresAt = Date.now() + (Number(tokenResponse.expires_in) || 3600) * 1000;
+  }
+
+  /**
+   * Make sure the session has a usable access token, refreshing it if it is
+   * about to expire or, with force, because the FHIR server rejected it.
+   * Concurrent requests share one refresh.
+   * @returns {Promise<boolean>} True if the session can make FHIR requests
+   */
+  async function ensureAccessToken(session, force = false) {
+    if (!force && session.expiresAt - Date.now() > REFRESH_MARGIN) return true;
+
+    if (!session.tokenResponse.refresh_token) {
+      return !force && session.expiresAt > Date.now();
+    }
+
+    if (!session.refreshing) {
+      session.refreshing = requestToken(session.tokenEndpoint, {
+        grant_type: 'refresh_token',
+        refresh_token: session.tokenResponse.refresh_token
+      })
+        .then(tokenResponse => updateTokens(session, tokenResponse))
+        .finally(() => {
+          session.refreshing = null;
+        });
+    }
+
+    try {
+      await session.refreshing;
+      return true;
+    } catch (error) {
+      console.warn(`BFF token refresh failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  function getSessionInfo(session) {
+    return {
+      authenticated: true,
+      serverUrl: session.serverUrl,
+      fhirBaseUrl: proxyBaseUrl,
+      patient: session.tokenResponse.patient || null,
+      fhirUser: session.tokenResponse.id_token ? getFhirUser(session.tokenResponse.id_token) : null,
+      requestedScope: session.requestedScope,
+      scope: session.tokenResponse.scope || null,
+      hasRefreshToken: Boolean(session.tokenResponse.refresh_token),
+      expiresAt: new Date(session.expiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Start the authorization code flow (EHR launch with `launch`, standalone without)
+   */
+  async function handleLaunch(req, res, query) {
+    const iss = query.get('iss');
+    if (!iss) {
+      sendErrorPage(res, 400, 'Missing required "iss" parameter.');
+      return;
+    }
+
+    if (!allowedIssuers.includes(iss.replace(/\/+$/, ''))) {
+      console.warn(`BFF launch refused for unconfigured iss ${iss}`);
+      sendErrorPage(res, 400, 'The "iss" parameter does not name a configured FHIR server.');
+      return;
+    }
+
+    const configuration = await fetchSmartConfiguration(iss);
+    const state = crypto.randomBytes(16).toString('base64url');
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const requestedScope = query.get('scope') || scope;
+
+    pendingLaunches.set(state, {
+      iss,
+      tokenEndpoint: configuration.token_endpoint,
+      revocationEndpoint: configuration.revocation_endpoint || null,
+      codeVerifier,
+      requestedScope,
+      createdAt: Date.now()
+    });
+
+    const authorizeUrl = new URL(configuration.authorization_endpoint);
+    const params = {
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: callbackUrl,
+      scope: requestedScope,
+      state,
+      aud: iss,
+      code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+      code_challenge_method: 'S256',
+      ...(query.get('launch') && { launch: query.get('launch') })
+    };
+    Object.entries(params).forEach(([name, value]) => authorizeUrl.searchParams.set(name, value));
+
+    res.writeHead(302, { Location: authorizeUrl.toString(), 'Cache-Control': 'no-store' });
+    res.end();
+  }
+
+  /**
+   * Exchange the authorization code and start a session
+   */
+  async function handleCallback(req, res, query) {
+    const pending = pendingLaunches.get(query.get('state'));
+    pendingLaunches.delete(query.get('state'));
+
+    if (!pending || Date.now() - pending.createdAt > PENDING_LAUNCH_LIFETIME) {
+      sendErrorPage(res, 400, 'Unknown or expired launch. Please relaunch the application.');
+      return;
+    }
+
+    if (query.get('error')) {
+      sendErrorPage(res, 400, `Authorization failed: ${query.get('error_description') || query.get('error')}`);
+      return;
+    }
+
+    const tokenResponse = await requestToken(pending.tokenEndpoint, {
+      grant_type: 'authorization_code',
+      code: query.get('code') || '',
+      redirect_uri: callbackUrl,
+      code_verifier: pending.codeVerifier
+    });
+
+    const session = {
+      serverUrl: pending.iss.replace(/\/+$/, ''),
+      tokenEndpoint: pending.tokenEndpoint,
+      revocationEndpoint: pending.revocationEndpoint,
+      requestedScope: pending.requestedScope,
+      tokenResponse: {},
+      expiresAt: 0,
+      refreshing: null,
+      createdAt: Date.now(),
+      lastUsedAt: Date.now()
+    };
+    updateTokens(session, tokenResponse);
+
+    // Replace any earlier session of this browser
+    const previous = getSession(req);
+    if (previous) sessions.delete(previous.sessionId);
+
+    const sessionId = crypto.randomBytes(32).toString('base64url');
+    sessions.set(sessionId, session);
+
+    res.writeHead(302, {
+      Location: appUrl,
+      'Set-Cookie': sessionCookie(sessionId, Math.floor(sessionLifetime / 1000)),
+      'Cache-Control': 'no-store'
+    });
+    res.end();
+  }
+
+  /**
+   * Forward a FHIR request with the session's access token, pointing URLs in
+   * the response (paging links, fullUrl, Location) back at the proxy
+   */
+  async function handleFhirProxy(req, res, pathname, search, body) {
+    const current = getSession(req);
+
+    if (!current) {
+      sendOperationOutcome(res, 401, 'login', 'No session; launch the application first');
+      return;
+    }
+
+    const { session } = current;
+    const upstreamUrl = `${session.serverUrl}${pathname.slice(FHIR_PROXY_PATH.length)}${search}`;
+
+    const forward = () => {
+      const headers = { Authorization: `Bearer ${session.tokenResponse.access_token}` };
+      PROXIED_REQUEST_HEADERS.forEach(name => {
+        if (req.headers[name]) headers[name] = req.headers[name];
+      });
+      return fetch(upstreamUrl, { method: req.method, headers, ...(body && body.length > 0 && { body }) });
+    };
+
+    if (!(await ensureAccessToken(session))) {
+      sendOperationOutcome(res, 401, 'login', 'The session has expired; relaunch the application');
+      return;
+    }
+
+    let upstream = await forward();
+    if (upstream.status === 401 && await ensureAccessToken(session, true)) {
+      upstream = await forward();
+    }
+
+    const rewrite = value => value.split(session.serverUrl).join(proxyBaseUrl);
+    const headers = { 'Cache-Control': 'no-store' };
+    PROXIED_RESPONSE_HEADERS.forEach(name => {
+      const value = upstream.headers.get(name);
+      if (value) headers[name] = rewrite(value);
+    });
+
+    const text = await upstream.text();
+    res.writeHead(upstream.status, headers);
+    res.end(/json/.test(headers['content-type'] || '') ? rewrite(text) : text);
+  }
+
+  async function route(req, res, pathname, searchParams, search, body) {
+    if (pathname === `${BFF_BASE_PATH}/launch` && req.method === 'GET') {
+      await handleLaunch(req, res, searchParams);
+    } else if (pathname === `${BFF_BASE_PATH}/callback` && req.method === 'GET') {
+      await handleCallback(req, res, searchParams);
+    } else if (pathname === `${BFF_BASE_PATH}/session` && req.method === 'GET') {
+      const current = getSession(req);
+      if (current) {
+        sendJson(res, 200, getSessionInfo(current.session));
+      } else {
+        sendJson(res, 401, { authenticated: false });
+      }
+    } else if (pathname === `${BFF_BASE_PATH}/logout` && req.method === 'POST') {
+      const current = getSession(req);
+      if (current) {
+        sessions.delete(current.sessionId);
+        await revokeTokens(current.session);
+      }
+      res.writeHead(204, { 'Set-Cookie': sessionCookie('', 0), 'Cache-Control': 'no-store' });
+      res.end();
+    } else if (pathname === `${BFF_BASE_PATH}/jwks.json` && req.method === 'GET') {
+      sendJson(res, 200, signingKey.jwks, 'application/jwk-set+json');
+    } else if (pathname === FHIR_PROXY_PATH || pathname.startsWith(`${FHIR_PROXY_PATH}/`)) {
+      await handleFhirProxy(req, res, pathname, search, body);
+    } else {
+      sendJson(res, 404, { error: 'not_found' });
+    }
+  }
+
+  return function bffHandler(req, res) {
+    const { pathname, searchParams, search } = new URL(req.url, baseUrl);
+
+    if (pathname !== BFF_BASE_PATH && !pathname.startsWith(`${BFF_BASE_PATH}/`)) {
+      res.emit('next');
+      return;
+    }
+
+    sweepExpired();
+
+    const respond = body => route(req, res, pathname, searchParams, search, body).catch(error => {
+      console.error(`BFF ${req.method} ${pathname} failed: ${error.message}`);
+      if (pathname.startsWith(FHIR_PROXY_PATH)) {
+        sendOperationOutcome(res, 502, 'transient', error.message);
+      } else {
+        sendErrorPage(res, 502, `Could not complete the request: ${error.message}`);
+      }
+    });
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      respond(null);
+      return;
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    req.on('end', () => respond(Buffer.concat(chunks)));
+    // http-server (union) holds request bodies until buffering is switched off
+    req.buffer = false;
+  };
+}
+
+module.exports = {
+  createBffServer,
+  createClientAssertion,
+  fetchSmartConfiguration,
+  loadSigningKey,
+  BFF_BASE_PATH,
+  CLIENT_ASSERTION_TYPE
+};
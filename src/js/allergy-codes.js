@@ -0,0 +1,99 @@
+/**
+ * Allergy Code List
+ *
+ * Local list of the substances and reactions offered by the allergy entry
+ * form (allergy-form.js). Medications are RxNorm ingredients, so that new
+ * entries are picked up by the drug–allergy check (drug-allergy-table.js);
+ * food and environmental allergies use SNOMED CT. Sites that need a fuller
+ * list replace it by passing their own (same shape) to searchSubstances().
+ */
+
+import { RXNORM_SYSTEM } from './drug-allergy-table.js';
+
+export const SNOMED_SYSTEM = 'http://snomed.info/sct';
+
+/**
+ * Substances: { system, code, display, category, synonyms }
+ * category is the AllergyIntolerance category the substance is recorded under
+ */
+export const ALLERGY_SUBSTANCES = [
+  // Medications
+  { system: RXNORM_SYSTEM, code: '7980', display: 'Penicillin G', category: 'medication', synonyms: ['penicillin'] },
+  { system: RXNORM_SYSTEM, code: '723', display: 'Amoxicillin', category: 'medication', synonyms: ['penicillin'] },
+  { system: RXNORM_SYSTEM, code: '733', display: 'Ampicillin', category: 'medication', synonyms: ['penicillin'] },
+  { system: RXNORM_SYSTEM, code: '2231', display: 'Cephalexin', category: 'medication', synonyms: ['cephalosporin', 'keflex'] },
+  { system: RXNORM_SYSTEM, code: '2193', display: 'Ceftriaxone', category: 'medication', synonyms: ['cephalosporin'] },
+  { system: RXNORM_SYSTEM, code: '10180', display: 'Sulfamethoxazole', category: 'medication', synonyms: ['sulfa', 'sulfonamide', 'bactrim'] },
+  { system: RXNORM_SYSTEM, code: '1191', display: 'Aspirin', category: 'medication', synonyms: ['nsaid', 'acetylsalicylic acid'] },
+  { system: RXNORM_SYSTEM, code: '5640', display: 'Ibuprofen', category: 'medication', synonyms: ['nsaid', 'advil', 'motrin'] },
+  { system: RXNORM_SYSTEM, code: '7258', display: 'Naproxen', category: 'medication', synonyms: ['nsaid', 'aleve'] },
+  { system: RXNORM_SYSTEM, code: '2670', display: 'Codeine', category: 'medication', synonyms: ['opioid'] },
+  { system: RXNORM_SYSTEM, code: '7052', display: 'Morphine', category: 'medication', synonyms: ['opioid'] },
+  { system: RXNORM_SYSTEM, code: '29046', display: 'Lisinopril', category: 'medication', synonyms: ['ace inhibitor'] },
+
+  // Food
+  { system: SNOMED_SYSTEM, code: '91935009', display: 'Allergy to peanut', category: 'food', synonyms: ['peanut'] },
+  { system: SNOMED_SYSTEM, code: '91934008', display: 'Allergy to nut', category: 'food', synonyms: ['tree nut', 'nut'] },
+  { system: SNOMED_SYSTEM, code: '300913006', display: 'Shellfish allergy', category: 'food', synonyms: ['shellfish', 'shrimp', 'crab'] },
+  { system: SNOMED_SYSTEM, code: '417532002', display: 'Allergy to fish', category: 'food', synonyms: ['fish'] },
+  { system: SNOMED_SYSTEM, code: '91930004', display: 'Allergy to eggs', category: 'food', synonyms: ['egg'] },
+  { system: SNOMED_SYSTEM, code: '425525006', display: 'Allergy to dairy product', category: 'food', synonyms: ['milk', 'dairy', 'lactose'] },
+
+  // Environment
+  { system: SNOMED_SYSTEM, code: '256259004', display: 'Pollen', category: 'environment', synonyms: ['hay fever'] },
+  { system: SNOMED_SYSTEM, code: '232347008', display: 'Dust mite allergy', category: 'environment', synonyms: ['dust'] },
+  { system: SNOMED_SYSTEM, code: '232350006', display: 'Dander (animal) allergy', category: 'environment', synonyms: ['cat', 'dog', 'pet'] },
+  { system: SNOMED_SYSTEM, code: '419474003', display: 'Allergy to mould', category: 'environment', synonyms: ['mold'] },
+  { system: SNOMED_SYSTEM, code: '300916003', display: 'Latex allergy', category: 'environment', synonyms: ['latex', 'rubber'] },
+  { system: SNOMED_SYSTEM, code: '424213003', display: 'Allergy to bee venom', category: 'environment', synonyms: ['bee', 'sting'] }
+];
+
+/**
+ * Reaction manifestations (SNOMED CT clinical findings)
+ */
+export const REACTION_MANIFESTATIONS = [
+  { system: SNOMED_SYSTEM, code: '39579001', display: 'Anaphylaxis' },
+  { system: SNOMED_SYSTEM, code: '41291007', display: 'Angioedema' },
+  { system: SNOMED_SYSTEM, code: '247472004', display: 'Hives' },
+  { system: SNOMED_SYSTEM, code: '271807003', display: 'Skin rash' },
+  { system: SNOMED_SYSTEM, code: '418290006', display: 'Itching' },
+  { system: SNOMED_SYSTEM, code: '56018004', display: 'Wheezing' },
+  { system: SNOMED_SYSTEM, code: '267036007', display: 'Shortness of breath' },
+  { system: SNOMED_SYSTEM, code: '61582004', display: 'Allergic rhinitis' },
+  { system: SNOMED_SYSTEM, code: '422587007', display: 'Nausea' },
+  { system: SNOMED_SYSTEM, code: '422400008', display: 'Vomiting' },
+  { system: SNOMED_SYSTEM, code: '62315008', display: 'Diarrhea' }
+];
+
+/**
+ * Search substances by display name or synonym
+ * @param {string} query - Text typed by the user
+ * @param {Object} options - Search options
+ * @param {Array} options.substances - Code list, defaults to the local list
+ * @param {number} options.limit - Maximum number of results
+ * @returns {Array} Matching substances, those whose name starts with the query first
+ */
+export function searchSubstances(query, { substances = ALLERGY_SUBSTANCES, limit = 10 } = {}) {
+  const text = (query || '').trim().toLowerCase();
+  if (!text) return [];
+
+  const words = substance => [substance.display, ...(substance.synonyms || [])].map(word => word.toLowerCase());
+  const startsWith = substances.filter(substance => words(substance).some(word => word.startsWith(text)));
+  const contains = substances.filter(substance => !startsWith.includes(substance)
+    && words(substance).some(word => word.includes(text)));
+
+  return [...startsWith, ...contains].slice(0, limit);
+}
+
+/**
+ * Find a code list entry by its display name or code
+ * @param {string} value - Display name (case-insensitive) or code chosen in the form
+ * @param {Array} codeList - Substances or reaction manifestations
+ * @returns {Object|null} The entry, or null when the value is not in the list
+ */
+export function findCode(value, codeList = ALLERGY_SUBSTANCES) {
+  const text = (value || '').trim().toLowerCase();
+  if (!text) return null;
+
+  return codeList.find(entry => entry.display.toLowerCase() === text || entry.code === text) || null;
+}
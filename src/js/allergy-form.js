@@ -0,0 +1,537 @@
+/**
+ * Allergy Entry Form
+ *
+ * Builds and validates the AllergyIntolerance (FHIR R4) recorded through the
+ * "Add allergy" form, and wires up the form's substance search and error
+ * display. Also applies the status changes made through an allergy card's
+ * edit form, recording each change in the allergy's notes. Saving the
+ * resource is left to the caller (app.js, through createResource and
+ * updateResource).
+ */
+
+import { ALLERGY_SUBSTANCES, REACTION_MANIFESTATIONS, searchSubstances, findCode } from './allergy-codes.js';
+
+export const CLINICAL_STATUS_SYSTEM = 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical';
+export const VERIFICATION_STATUS_SYSTEM = 'http://terminology.hl7.org/CodeSystem/allergyintolerance-verification';
+
+// R4 value sets
+const CLINICAL_STATUSES = ['active', 'inactive', 'resolved'];
+const VERIFICATION_STATUSES = ['unconfirmed', 'confirmed', 'refuted', 'entered-in-error'];
+const CATEGORIES = ['food', 'medication', 'environment', 'biologic'];
+const CRITICALITIES = ['low', 'high', 'unable-to-assess'];
+const SEVERITIES = ['mild', 'moderate', 'severe'];
+
+// FHIR dateTime: a year, year-month, date, or date and time with a time zone
+const DATE_TIME_PATTERN = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+
+// Resource types a recorder or note author may reference
+const AUTHOR_REFERENCE_PATTERN = /(?:^|\/)((?:Practitioner|PractitionerRole|Patient|RelatedPerson)\/[^/]+)$/;
+
+/**
+ * Get the reference to record as recorder and note author from the fhirUser claim
+ * @param {string|null} fhirUser - fhirUser, relative or absolute (e.g. https://ehr/fhir/Practitioner/123)
+ * @returns {string|null} Relative reference such as "Practitioner/123", or null if the user cannot be referenced
+ */
+export function getAuthorReference(fhirUser) {
+  return AUTHOR_REFERENCE_PATTERN.exec(fhirUser || '')?.[1] || null;
+}
+
+/**
+ * Build a status CodeableConcept
+ */
+function statusConcept(system, code) {
+  return { coding: [{ system, code }] };
+}
+
+/**
+ * Build a CodeableConcept from a code list entry
+ */
+function codeConcept(entry) {
+  return { coding: [{ system: entry.system, code: entry.code, display: entry.display }], text: entry.display };
+}
+
+/**
+ * Build an AllergyIntolerance from the form values
+ * @param {Object} values - Form values (from readAllergyForm)
+ * @param {Object} options - Build options
+ * @param {string} options.patientId - Patient the allergy is recorded for
+ * @param {string|null} options.recorder - Reference of the signed-in user (from getAuthorReference)
+ * @param {Date} options.now - Recording time
+ * @returns {Object} AllergyIntolerance; substances or reactions missing from the code lists are kept
+ *   as text so that validateAllergyIntolerance can report them
+ */
+export function buildAllergyIntolerance(values, { patientId, recorder = null, now = new Date() } = {}) {
+  const substanceText = (values.substance || '').trim();
+  const substance = findCode(substanceText, ALLERGY_SUBSTANCES);
+  const manifestationText = (values.manifestation || '').trim();
+  const manifestation = findCode(manifestationText, REACTION_MANIFESTATIONS);
+  const note = (values.note || '').trim();
+  const recorded = now.toISOString();
+
+  const allergy = {
+    resourceType: 'AllergyIntolerance',
+    clinicalStatus: statusConcept(CLINICAL_STATUS_SYSTEM, 'active'),
+    verificationStatus: statusConcept(VERIFICATION_STATUS_SYSTEM, values.verificationStatus || 'unconfirmed'),
+    type: 'allergy',
+    ...(substance && { category: [substance.category] }),
+    ...(values.criticality && { criticality: values.criticality }),
+    code: substance ? codeConcept(substance) : { text: substanceText },
+    patient: { reference: `Patient/${patientId}` },
+    ...(values.onset && { onsetDateTime: values.onset }),
+    recordedDate: recorded,
+    ...(recorder && { recorder: { reference: recorder } })
+  };
+
+  if (manifestationText || values.severity) {
+    allergy.reaction = [{
+      manifestation: manifestation ? [codeConcept(manifestation)] : manifestationText ? [{ text: manifestationText }] : [],
+      ...(values.severity && { severity: values.severity })
+    }];
+  }
+
+  if (note) {
+    allergy.note = [{ text: note, time: recorded, ...(recorder && { authorReference: { reference: recorder } }) }];
+  }
+
+  return allergy;
+}
+
+/**
+ * Get the first code of a status CodeableConcept
+ */
+function getStatusCode(concept) {
+  return concept?.coding?.[0]?.code || null;
+}
+
+/**
+ * Validate an AllergyIntolerance before it is sent to the server
+ * @param {Object} allergy - AllergyIntolerance
+ * @param {Object} options - Validation options
+ * @param {Date} options.now - Current time, for the onset check
+ * @returns {Array<{field: string|null, message: string}>} Problems found, keyed by form field; empty when valid
+ */
+export function validateAllergyIntolerance(allergy, { now = new Date() } = {}) {
+  const issues = [];
+  const add = (field, message) => issues.push({ field, message });
+
+  if (allergy?.resourceType !== 'AllergyIntolerance') {
+    add(null, 'The resource is not an AllergyIntolerance.');
+    return issues;
+  }
+
+  if (!/^Patient\/[^/]+$/.test(allergy.patient?.reference || '')) {
+    add(null, 'The allergy is not linked to a patient.');
+  }
+
+  if (!allergy.code?.coding?.length) {
+    add('substance', allergy.code?.text ?
+      `"${allergy.code.text}" is not in the substance list; choose one of the suggestions.` :
+      'Enter the substance the patient is allergic to.');
+  }
+
+  const clinicalStatus = getStatusCode(allergy.clinicalStatus);
+  const verificationStatus = getStatusCode(allergy.verificationStatus);
+
+  if (clinicalStatus && !CLINICAL_STATUSES.includes(clinicalStatus)) {
+    add('clinicalStatus', `"${clinicalStatus}" is not a clinical status.`);
+  }
+  if (verificationStatus && !VERIFICATION_STATUSES.includes(verificationStatus)) {
+    add('verificationStatus', `"${verificationStatus}" is not a verification status.`);
+  }
+
+  // Invariants ait-1 and ait-2
+  if (verificationStatus === 'entered-in-error' && clinicalStatus) {
+    add('clinicalStatus', 'An allergy entered in error cannot have a clinical status.');
+  } else if (verificationStatus !== 'entered-in-error' && !clinicalStatus) {
+    add('clinicalStatus', 'A clinical status is required.');
+  }
+
+  (allergy.category || []).filter(category => !CATEGORIES.includes(category)).forEach(category => {
+    add(null, `"${category}" is not an allergy category.`);
+  });
+
+  if (allergy.criticality && !CRITICALITIES.includes(allergy.criticality)) {
+    add('criticality', `"${allergy.criticality}" is not a criticality.`);
+  }
+
+  (allergy.reaction || []).forEach(reaction => {
+    if (!reaction.manifestation?.length) {
+      add('manifestation', 'Choose the reaction the severity applies to.');
+    } else if (reaction.manifestation.some(concept => !concept.coding?.length)) {
+      add('manifestation', 'Choose a reaction from the list.');
+    }
+
+    if (reaction.severity && !SEVERITIES.includes(reaction.severity)) {
+      add('severity', `"${reaction.severity}" is not a reaction severity.`);
+    }
+  });
+
+  if (allergy.onsetDateTime !== undefined) {
+    if (!DATE_TIME_PATTERN.test(allergy.onsetDateTime) || Number.isNaN(Date.parse(allergy.onsetDateTime))) {
+      add('onset', 'Enter the onset as a date.');
+    } else if (Date.parse(allergy.onsetDateTime) > now.getTime()) {
+      add('onset', 'The onset date cannot be in the future.');
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Read the values of the allergy form
+ * @param {HTMLFormElement} form - The allergy form
+ * @returns {Object} { substance, verificationStatus, criticality, manifestation, severity, onset, note }
+ */
+export function readAllergyForm(form) {
+  const data = new FormData(form);
+  const value = name => String(data.get(name) || '');
+
+  return {
+    substance: value('substance'),
+    verificationStatus: value('verificationStatus'),
+    criticality: value('criticality'),
+    manifestation: value('manifestation'),
+    severity: value('severity'),
+    onset: value('onset'),
+    note: value('note')
+  };
+}
+
+/**
+ * Fill the reaction list and suggest substances from the code list as the user types
+ * @param {HTMLFormElement} form - The allergy form, with a substance input bound to a datalist
+ */
+export function setupAllergyForm(form) {
+  const manifestationSelect = form.elements.manifestation;
+  REACTION_MANIFESTATIONS.forEach(entry => {
+    const option = document.createElement('option');
+    option.value = entry.code;
+    option.textContent = entry.display;
+    manifestationSelect.appendChild(option);
+  });
+
+  const substanceInput = form.elements.substance;
+  const suggestions = substanceInput.list;
+  substanceInput.addEventListener('input', () => {
+    suggestions.replaceChildren(...searchSubstances(substanceInput.value).map(entry => {
+      const option = document.createElement('option');
+      option.value = entry.display;
+      option.label = entry.category;
+      return option;
+    }));
+  });
+}
+
+/**
+ * Show validation or save problems on the form, or clear them
+ * @param {HTMLFormElement} form - The allergy form
+ * @param {Array<{field: string|null, message: string}>} issues - Problems to show; empty to clear
+ */
+export function showAllergyFormIssues(form, issues) {
+  const summary = form.querySelector('.allergy-form-errors');
+
+  Array.from(form.elements).forEach(element => element.removeAttribute('aria-invalid'));
+  const fields = issues.map(issue => issue.field && form.elements[issue.field]).filter(Boolean);
+  fields.forEach(field => field.setAttribute('aria-invalid', 'true'));
+
+  summary.replaceChildren(...issues.map(issue => {
+    const item = document.createElement('p');
+    item.textContent = issue.message;
+    return item;
+  }));
+  summary.hidden = issues.length === 0;
+
+  // Move focus to the first field that needs attention
+  fields[0]?.focus();
+}
+
+// Elements the edit form changes, with the labels used in the change note
+const EDIT_FIELDS = {
+  clinicalStatus: 'Clinical status',
+  verificationStatus: 'Verification status',
+  criticality: 'Criticality'
+};
+
+// Verification statuses that take back the allergy and so need a reason
+const RETRACTING_STATUSES = ['refuted', 'entered-in-error'];
+
+/**
+ * Apply the changes from an allergy card's edit form and record them in the notes
+ * @param {Object} allergy - AllergyIntolerance as read from the server
+ * @param {Object} values - Edit form values (from readAllergyEditForm)
+ * @param {Object} options - Edit options
+ * @param {string|null} options.recorder - Reference of the signed-in user (from getAuthorReference)
+ * @param {Date} options.now - Time of the change
+ * @returns {Object} { resource, changes } where resource is an updated copy of the allergy and changes
+ *   lists { field, from, to } for each element that changed; no note is added when nothing changed
+ */
+export function applyAllergyChanges(allergy, values, { recorder = null, now = new Date() } = {}) {
+  const resource = JSON.parse(JSON.stringify(allergy));
+  const verificationStatus = values.verificationStatus || getStatusCode(allergy.verificationStatus);
+  const before = {
+    clinicalStatus: getStatusCode(allergy.clinicalStatus),
+    verificationStatus: getStatusCode(allergy.verificationStatus),
+    criticality: allergy.criticality || null
+  };
+
+  // A concept is only replaced when its code changes, so display, text and
+  // other codings of an unchanged status are kept
+  if (verificationStatus && verificationStatus !== before.verificationStatus) {
+    resource.verificationStatus = statusConcept(VERIFICATION_STATUS_SYSTEM, verificationStatus);
+  }
+
+  // ait-1 and ait-2: an allergy entered in error has no clinical status, any other allergy needs one
+  if (verificationStatus === 'entered-in-error') {
+    delete resource.clinicalStatus;
+  } else {
+    const clinicalStatus = values.clinicalStatus || before.clinicalStatus || 'active';
+    if (clinicalStatus !== before.clinicalStatus) {
+      resource.clinicalStatus = statusConcept(CLINICAL_STATUS_SYSTEM, clinicalStatus);
+    }
+  }
+
+  if (values.criticality) {
+    resource.criticality = values.criticality;
+  } else {
+    delete resource.criticality;
+  }
+
+  const after = {
+    clinicalStatus: getStatusCode(resource.clinicalStatus),
+    verificationStatus: getStatusCode(resource.verificationStatus),
+    criticality: resource.criticality || null
+  };
+  const changes = Object.keys(EDIT_FIELDS)
+    .filter(field => before[field] !== after[field])
+    .map(field => ({ field, from: before[field], to: after[field] }));
+
+  if (changes.length === 0) {
+    return { resource: JSON.parse(JSON.stringify(allergy)), changes };
+  }
+
+  const reason = (values.reason || '').trim();
+  const summary = changes
+    .map(change => `${EDIT_FIELDS[change.field]}: ${change.from || 'none'} → ${change.to || 'none'}`)
+    .join('; ');
+
+  resource.note = [...(resource.note || []), {
+    text: `${summary}.${reason ? ` Reason: ${reason}` : ''}`,
+    time: now.toISOString(),
+    ...(recorder && { authorReference: { reference: recorder } })
+  }];
+
+  return { resource, changes };
+}
+
+/**
+ * Validate an edit before the updated allergy is sent to the server
+ * @param {Object} edit - Result of applyAllergyChanges ({ resource, changes })
+ * @param {Object} values - Edit form values (from readAllergyEditForm)
+ * @param {Object} options - Validation options
+ * @param {Date} options.now - Current time
+ * @returns {Array<{field: string|null, message: string}>} Problems found, keyed by edit form field; empty when valid.
+ *   Problems with elements the edit form does not change are left out, so older records can still be edited.
+ */
+export function validateAllergyEdit({ resource, changes }, values, { now = new Date() } = {}) {
+  if (changes.length === 0) {
+    return [{ field: null, message: 'Nothing was changed.' }];
+  }
+
+  const issues = validateAllergyIntolerance(resource, { now })
+    .filter(issue => EDIT_FIELDS[issue.field]);
+
+  const retracted = changes.find(change => change.field === 'verificationStatus' && RETRACTING_STATUSES.includes(change.to));
+  if (retracted && !(values.reason || '').trim()) {
+    issues.push({
+      field: 'reason',
+      message: retracted.to === 'refuted' ?
+        'Enter the reason the allergy is refuted.' :
+        'Enter the reason the allergy was entered in error.'
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Read the values of an allergy edit form
+ * @param {HTMLFormElement} form - Form from createAllergyEditForm
+ * @returns {Object} { clinicalStatus, verificationStatus, criticality, reason }
+ */
+export function readAllergyEditForm(form) {
+  const data = new FormData(form);
+  const value = name => String(data.get(name) || '');
+
+  return {
+    clinicalStatus: value('clinicalStatus'),
+    verificationStatus: value('verificationStatus'),
+    criticality: value('criticality'),
+    reason: value('reason')
+  };
+}
+
+/**
+ * Create a labelled form row
+ */
+function createFormRow(id, label, control) {
+  const row = document.createElement('div');
+  row.className = 'form-row';
+
+  const labelElement = document.createElement('label');
+  labelElement.htmlFor = id;
+  labelElement.textContent = label;
+
+  control.id = id;
+  row.append(labelElement, control);
+  return row;
+}
+
+/**
+ * Create a select with the given [value, label] options
+ */
+function createSelect(name, options, selected) {
+  const select = document.createElement('select');
+  select.name = name;
+  options.forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === (selected || '');
+    select.appendChild(option);
+  });
+  return select;
+}
+
+/**
+ * Create the form for changing an allergy's status and criticality
+ * @param {Object} allergy - AllergyIntolerance as read from the server
+ * @param {Object} handlers - Form handlers
+ * @param {Function} handlers.onSave - Called with the form when it is submitted
+ * @param {Function} handlers.onCancel - Called when editing is cancelled
+ * @returns {HTMLFormElement} The edit form
+ */
+export function createAllergyEditForm(allergy, { onSave, onCancel }) {
+  const idPrefix = `allergy-edit-${allergy.id}`;
+  const form = document.createElement('form');
+  form.className = 'allergy-form allergy-edit-form';
+  form.noValidate = true;
+
+  const errors = document.createElement('div');
+  errors.className = 'allergy-form-errors';
+  errors.setAttribute('role', 'alert');
+  errors.hidden = true;
+
+  const clinicalStatus = createSelect('clinicalStatus', [
+    ['active', 'Active'],
+    ['inactive', 'Inactive'],
+    ['resolved', 'Resolved']
+  ], getStatusCode(allergy.clinicalStatus) || 'active');
+  const verificationStatus = createSelect('verificationStatus', [
+    ['unconfirmed', 'Unconfirmed'],
+    ['confirmed', 'Confirmed'],
+    ['refuted', 'Refuted'],
+    ['entered-in-error', 'Entered in error']
+  ], getStatusCode(allergy.verificationStatus) || 'unconfirmed');
+  const criticality = createSelect('criticality', [
+    ['', 'Not assessed'],
+    ['low', 'Low'],
+    ['high', 'High'],
+    ['unable-to-assess', 'Unable to assess']
+  ], allergy.criticality);
+  const reason = document.createElement('textarea');
+  reason.name = 'reason';
+  reason.rows = 2;
+
+  // An allergy entered in error has no clinical status
+  const updateClinicalStatus = () => {
+    clinicalStatus.disabled = verificationStatus.value === 'entered-in-error';
+  };
+  verificationStatus.addEventListener('change', updateClinicalStatus);
+  updateClinicalStatus();
+
+  const actions = document.createElement('div');
+  actions.className = 'form-actions';
+  const saveButton = document.createElement('button');
+  saveButton.type = 'submit';
+  saveButton.className = 'btn btn-primary';
+  saveButton.textContent = 'Save changes';
+  const cancelButton = document.createElement('button');
+  cancelButton.type = 'button';
+  cancelButton.className = 'btn btn-secondary allergy-form-cancel';
+  cancelButton.textContent = 'Cancel';
+  cancelButton.addEventListener('click', () => onCancel());
+  actions.append(saveButton, cancelButton);
+
+  form.append(
+    errors,
+    createFormRow(`${idPrefix}-clinical`, 'Clinical status', clinicalStatus),
+    createFormRow(`${idPrefix}-verification`, 'Verification', verificationStatus),
+    createFormRow(`${idPrefix}-criticality`, 'Criticality', criticality),
+    createFormRow(`${idPrefix}-reason`, 'Reason for the change', reason),
+    actions
+  );
+
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    onSave(form);
+  });
+
+  return form;
+}
+
+/**
+ * Format an element value for the conflict table
+ */
+function formatDiffValue(value) {
+  return value === undefined ? '(none)' : String(value);
+}
+
+/**
+ * Show that an update was rejected because the allergy changed on the server
+ * @param {HTMLFormElement} form - The edit form
+ * @param {Object} error - VERSION_CONFLICT error from updateResource (details.diff, details.serverVersion)
+ * @param {Function} onReload - Called when the user chooses to reload the allergy
+ */
+export function showAllergyConflict(form, error, onReload) {
+  const summary = form.querySelector('.allergy-form-errors');
+  const diff = error.details?.diff || [];
+
+  const message = document.createElement('p');
+  message.textContent = `Your changes were not saved: ${error.message}. ` +
+    'Reload the allergy to see the current version, then apply your change again.';
+
+  const content = [message];
+
+  if (diff.length > 0) {
+    const table = document.createElement('table');
+    table.className = 'allergy-conflict-diff';
+    const caption = table.createCaption();
+    caption.textContent = 'Differences between the server and your version';
+    const header = table.createTHead().insertRow();
+    ['Field', 'On server', 'Your version'].forEach(text => {
+      const cell = document.createElement('th');
+      cell.scope = 'col';
+      cell.textContent = text;
+      header.appendChild(cell);
+    });
+    const body = table.createTBody();
+    diff.forEach(({ path, server, local }) => {
+      const row = body.insertRow();
+      [path, formatDiffValue(server), formatDiffValue(local)].forEach(text => {
+        row.insertCell().textContent = text;
+      });
+    });
+    content.push(table);
+  }
+
+  const reloadButton = document.createElement('button');
+  reloadButton.type = 'button';
+  reloadButton.className = 'btn btn-secondary';
+  reloadButton.textContent = 'Reload allergy';
+  reloadButton.addEventListener('click', () => onReload());
+  content.push(reloadButton);
+
+  summary.replaceChildren(...content);
+  summary.hidden = false;
+  reloadButton.focus();
+}
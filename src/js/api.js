@@ -5,19 +5,57 @@
  * to FHIR servers with proper authorization headers.
  */
 
-import { addAuthToRequest, formatAuthError, isAuthenticated, AuthError } from './auth.js?v=1';
-import { createError, retryOperation, ApiError } from './error-handler.js?v=1';
+import { addAuthToRequest, formatAuthError, isAuthenticated, canRefreshToken, refreshAuthToken, AuthError } from './auth.js';
+import { createError, retryOperation, ApiError } from './error-handler.js';
+import { FhirServerError, NetworkError } from './fhir-client.js';
+import auditLog, { describeRequest, AuditOutcome } from './audit-log.js';
+import { diffResources } from './resource-diff.js';
 
 /**
- * Make an authenticated request to the FHIR server
+ * Make an authenticated request to the FHIR server and record it in the audit log
  * @param {string} endpoint - The API endpoint to call
- * @param {Object} options - Request options (method, headers, body)
+ * @param {Object} options - Request options (method, headers, body, retryOnUnauthorized, audit)
  * @returns {Promise<Object>} The response data
  */
 export async function fhirRequest(endpoint, options = {}) {
+  if (options.audit === false) {
+    return sendFhirRequest(endpoint, options);
+  }
+
+  const access = describeRequest(endpoint, options.method);
+
+  // Creates and updates name the patient in the body rather than the URL
+  const subject = options.body?.patient?.reference || options.body?.subject?.reference || '';
+  if (!access.patientId && subject.startsWith('Patient/')) {
+    access.patientId = subject.slice('Patient/'.length);
+  }
+
   try {
+    const data = await sendFhirRequest(endpoint, options);
+    const count = data?.resourceType === 'Bundle' ? (data.entry || []).length : 1;
+    auditLog.record({ ...access, source: 'server', count });
+    return data;
+  } catch (error) {
+    auditLog.record({ ...access, outcome: AuditOutcome.FAILURE, detail: error.message || 'Unknown error' });
+    throw error;
+  }
+}
+
+/**
+ * Send an authenticated request to the FHIR server
+ * @param {string} endpoint - The API endpoint to call
+ * @param {Object} options - Request options (method, headers, body, retryOnUnauthorized)
+ * @returns {Promise<Object>} The response data
+ */
+async function sendFhirRequest(endpoint, options = {}) {
+  try {
+    // Renew an expired token before giving up on the session
+    if (!(await isAuthenticated()) && await canRefreshToken()) {
+      await refreshAuthToken();
+    }
+
     // Check if user is authenticated
-    if (!isAuthenticated()) {
+    if (!(await isAuthenticated())) {
       throw createError(
         AuthError.UNAUTHENTICATED,
         'User is not authenticated',
@@ -26,7 +64,7 @@ export async function fhirRequest(endpoint, options = {}) {
     }
 
     // Add authorization headers to the request
-    const requestOptions = addAuthToRequest({
+    const requestOptions = await addAuthToRequest({
       method: options.method || 'GET',
       headers: {
         'Content-Type': 'application/json+fhir',
@@ -39,11 +77,19 @@ export async function fhirRequest(endpoint, options = {}) {
     // Make the request
     const response = await fetch(endpoint, requestOptions);
 
+    // The token may have been revoked or expired early; refresh it and retry once
+    if (response.status === 401 && options.retryOnUnauthorized !== false && await canRefreshToken()) {
+      await refreshAuthToken();
+      return sendFhirRequest(endpoint, { ...options, retryOnUnauthorized: false });
+    }
+
     // Check if the response is successful
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
       const status = response.status;
-      const errorMessage = errorData.message || `Request failed with status ${status}`;
+      // FHIR servers explain failures in an OperationOutcome
+      const diagnostics = (errorData.issue || []).map(issue => issue.diagnostics).filter(Boolean).join('; ');
+      const errorMessage = errorData.message || diagnostics || `Request failed with status ${status}`;
       
       // Create appropriate error based on status code
       if (status === 401 || status === 403) {
@@ -77,6 +123,17 @@ export async function fhirRequest(endpoint, options = {}) {
             help: 'The request was invalid. Please check the request parameters.'
           }
         );
+      } else if (status === 409 || status === 412) {
+        throw createError(
+          FhirServerError.VERSION_CONFLICT,
+          `Conflict: ${errorMessage}`,
+          { 
+            status,
+            endpoint,
+            errorDetails: errorData,
+            help: 'The resource was changed on the server after it was loaded. Reload it and apply the change again.'
+          }
+        );
       } else if (status === 422) {
         throw createError(
           FhirServerError.VALIDATION_ERROR,
@@ -112,6 +169,14 @@ export async function fhirRequest(endpoint, options = {}) {
       }
     }
 
+    // Writes may be answered without a body (204, or without Prefer: return=representation)
+    if (response.status === 204) {
+      return null;
+    }
+    if (requestOptions.method !== 'GET') {
+      return await response.json().catch(() => null);
+    }
+
     // Parse and return the response data
     return await response.json();
   } catch (error) {
@@ -292,12 +357,15 @@ export async function createResource(resourceType, resourceData, options = {}) {
 }
 
 /**
- * Update an existing resource on the FHIR server
+ * Update an existing resource on the FHIR server. When the resource carries
+ * meta.versionId the update is sent with If-Match, so the server rejects it if
+ * the resource changed since it was read; the resulting VERSION_CONFLICT error
+ * includes the server's version and a diff against the local one.
  * @param {string} resourceType - The FHIR resource type
  * @param {string} id - The resource ID
  * @param {Object} resourceData - The updated resource data
  * @param {Object} options - Additional request options
- * @returns {Promise<Object>} The updated resource
+ * @returns {Promise<Object>} The updated resource, or null when the server returns no body
  */
 export async function updateResource(resourceType, id, resourceData, options = {}) {
   try {
@@ -326,12 +394,22 @@ export async function updateResource(resourceType, id, resourceData, options = {
     }
     
     const endpoint = `${options.serverUrl || ''}/${resourceType}/${id}`;
+    const versionId = resourceData.meta?.versionId;
     
-    return fhirRequest(endpoint, {
-      method: 'PUT',
-      body: resourceData,
-      ...options
-    });
+    try {
+      return await fhirRequest(endpoint, {
+        method: 'PUT',
+        body: resourceData,
+        ...options,
+        headers: {
+          ...(versionId && { 'If-Match': `W/"${versionId}"` }),
+          ...(options.headers || {})
+        }
+      });
+    } catch (error) {
+      if (error.type !== FhirServerError.VERSION_CONFLICT) throw error;
+      throw await describeVersionConflict(error, resourceType, id, resourceData, options);
+    }
   } catch (error) {
     // If the error is already a structured error, pass it through
     if (error.type) throw error;
@@ -349,6 +427,46 @@ export async function updateResource(resourceType, id, resourceData, options = {
   }
 }
 
+/**
+ * Build the error for an update rejected because the resource changed on the server
+ * @private
+ * @param {Object} error - VERSION_CONFLICT error from the request
+ * @param {string} resourceType - The FHIR resource type
+ * @param {string} id - The resource ID
+ * @param {Object} localResource - The resource the update tried to store
+ * @param {Object} options - Request options of the update (serverUrl)
+ * @returns {Promise<Object>} VERSION_CONFLICT error with the server's version and a diff
+ */
+async function describeVersionConflict(error, resourceType, id, localResource, options) {
+  let serverResource = null;
+  try {
+    serverResource = await getResource(resourceType, id, { serverUrl: options.serverUrl });
+  } catch (readError) {
+    console.warn(`Could not read the current version of ${resourceType}/${id}:`, readError);
+  }
+
+  const localVersion = localResource.meta?.versionId || null;
+  const serverVersion = serverResource?.meta?.versionId || null;
+
+  return createError(
+    FhirServerError.VERSION_CONFLICT,
+    serverVersion
+      ? `${resourceType}/${id} was changed on the server (version ${serverVersion}, yours is based on version ${localVersion || 'unknown'})`
+      : error.message,
+    {
+      status: error.details?.status,
+      resourceType,
+      resourceId: id,
+      localVersion,
+      serverVersion,
+      serverResource,
+      localResource,
+      diff: serverResource ? diffResources(serverResource, localResource) : [],
+      help: 'Someone else changed this record after you opened it. Review their changes, reload, and apply your change again.'
+    }
+  );
+}
+
 /**
  * Delete a resource from the FHIR server
  * @param {string} resourceType - The FHIR resource type
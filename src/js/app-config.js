@@ -0,0 +1,80 @@
+/**
+ * Application Config Module
+ * Loads the SMART client settings that server.js generates at /config.json,
+ * so the same build can be pointed at different EHRs without editing source
+ */
+
+/**
+ * Settings used when /config.json is unavailable (e.g. when the pages are
+ * served by a plain static file server)
+ */
+export const DEFAULT_CLIENT_CONFIG = Object.freeze({
+  clientId: 'my_app_client_id',
+  scope: 'launch patient/*.read',
+  redirectUri: 'index.html',
+  issuer: null,
+  // Inactivity before patient data is locked, and before the session is signed out
+  idleLockMinutes: 5,
+  idleTimeoutMinutes: 30,
+  // CDS Hooks discovery endpoint called when a patient is opened, or null for none
+  cdsHooksUrl: null,
+  // Also POST audit log entries to the FHIR server as AuditEvent resources
+  auditEvents: false,
+  // Set when server.js runs as a backend-for-frontend (--bff) and holds the tokens
+  bff: false
+});
+
+let configPromise = null;
+
+/**
+ * Load the client settings, once per page
+ * @param {string} url - Location of the generated config
+ * @returns {Promise<Object>} Client settings merged over DEFAULT_CLIENT_CONFIG
+ */
+export function loadClientConfig(url = './config.json') {
+  if (!configPromise) {
+    configPromise = fetchClientConfig(url);
+  }
+  return configPromise;
+}
+
+/**
+ * Fetch and validate the generated config
+ * @param {string} url - Location of the generated config
+ * @returns {Promise<Object>} Client settings
+ */
+async function fetchClientConfig(url) {
+  try {
+    const response = await fetch(url, { cache: 'no-store' });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const loaded = await response.json();
+    const config = { ...DEFAULT_CLIENT_CONFIG };
+
+    // Only known settings with a usable value replace the defaults
+    Object.keys(DEFAULT_CLIENT_CONFIG).forEach(name => {
+      if (typeof DEFAULT_CLIENT_CONFIG[name] === 'boolean') {
+        if (typeof loaded[name] === 'boolean') config[name] = loaded[name];
+      } else if (typeof DEFAULT_CLIENT_CONFIG[name] === 'number') {
+        if (Number.isFinite(loaded[name]) && loaded[name] > 0) config[name] = loaded[name];
+      } else if (typeof loaded[name] === 'string' && loaded[name].trim() !== '') {
+        config[name] = loaded[name].trim();
+      }
+    });
+
+    return config;
+  } catch (error) {
+    console.warn(`Could not load ${url}, using default client settings:`, error);
+    return { ...DEFAULT_CLIENT_CONFIG };
+  }
+}
+
+/**
+ * Forget the loaded settings (for testing purposes)
+ */
+export function resetClientConfig() {
+  configPromise = null;
+}
@@ -1,23 +1,23 @@
 /**
  * SMART on FHIR Application JavaScript
  * Main application file that handles FHIR client interactions and displays patient health information
- * including allergies, medications, and immunizations
+ * including allergies, conditions, observations, medications, and immunizations
  */
 
 // Import error handling utilities
 import { createError, displayErrorToUser, handleEmptyData, displayEmptyDataMessage, setupGlobalErrorHandling, hideLoadingState, PatientContextError, ApiError, DataError } from './error-handler.js';
 
 // Import auth module functions
-import { authorize, isAuthenticated, formatAuthError, getAuthState, clearAuthState, getTokenInfo, displayAuthError, updateAuthStatusUI as authUpdateStatusUI, AuthError } from './auth.js';
+import { authorize, isAuthenticated, canRefreshToken, refreshAuthToken, formatAuthError, getAuthState, clearAuthState, getTokenInfo, displayAuthError, updateAuthStatusUI as authUpdateStatusUI, AuthError } from './auth.js';
 
 // Import API utility functions
-import { searchResources, getResource } from './api.js';
+import { searchResources, getResource, createResource, updateResource } from './api.js';
 
 // Import FHIR client module for allergy queries
-import { getAllergyData, getAllergyDataPaginated, normalizeAllergyData } from './fhir-client.js';
+import { getAllergyData, getAllergyDataPaginated, normalizeAllergyData, FhirServerError } from './fhir-client.js';
 
 // Import FHIR resources module for multi-resource support
-import { ResourceTypes, fetchResourceData } from './fhir-resources.js';
+import { ResourceTypes, ResourceRegistry, fetchResourceData, fetchResourcePages, getResourceDefinition } from './fhir-resources.js';
 
 // Import expandable cards UI components
 import { 
@@ -27,18 +27,65 @@ import {
   setCardContent,
   createLoadingIndicator,
   createCardError,
-  createNoDataMessage
+  createNoDataMessage,
+  createLoadMoreButton
 } from './expandable-cards.js';
 
 // Import JSON display functionality
 import { displayJsonData, displayFhirResourcesList, exportJsonData } from './json-display.js';
 
+// Import observation trend chart display
+import { displayTrendChart } from './observation-chart.js';
+
+// Import patient timeline display
+import { buildTimelineEvents, displayTimeline } from './timeline.js';
+
 // Import patient context utilities
 import { getPatientContext, formatPatientDisplay } from './patient-context.js';
 
 // Import patient store
 import patientStore from './patient-store.js';
 
+// Import FHIR query result cache
+import resourceCache from './resource-cache.js';
+
+// Import offline snapshots
+import { saveSnapshot, getSnapshot, purgeExpiredSnapshots, offlineStatus } from './offline-store.js';
+
+// Import scope-based permissions
+import { createPermissions, checkAccess, checkResourceAccess, ScopePermission } from './smart-scopes.js';
+
+// Import logout and token revocation
+import { logout } from './logout.js';
+
+// Import idle lock
+import { IdleMonitor, showLockScreen, hideLockScreen } from './idle-lock.js';
+
+// Import client settings
+import { loadClientConfig } from './app-config.js';
+
+// Import audit log
+import auditLog from './audit-log.js';
+// Import drug–allergy checker
+import { checkDrugAllergies, groupAlertsByMedication } from './drug-allergy.js';
+import { formatDrugAllergyBanner } from './card-formatters.js';
+// Import CDS Hooks client
+import { CdsHooksClient, CdsHook, createSearchSource, displayCdsCards } from './cds-hooks.js';
+// Import the allergy entry form
+import {
+  buildAllergyIntolerance,
+  validateAllergyIntolerance,
+  readAllergyForm,
+  setupAllergyForm,
+  showAllergyFormIssues,
+  getAuthorReference,
+  applyAllergyChanges,
+  validateAllergyEdit,
+  readAllergyEditForm,
+  createAllergyEditForm,
+  showAllergyConflict
+} from './allergy-form.js';
+
 // DOM elements
 const patientBanner = document.getElementById('patient-banner');
 const allergiesList = document.getElementById('allergies-list');
@@ -50,6 +97,28 @@ const connectionInfo = document.getElementById('connection-info');
 
 let fhirClient = null;
 let currentResourceType = ResourceTypes.ALLERGY; // Default resource type
+const loadedResources = {}; // Resources loaded so far, keyed by resource type
+const pendingPages = {}; // Page iterators for resource types with more pages to load
+let permissions = createPermissions(null); // What the granted scope allows, set after authorization
+let idleMonitor = null; // Locks patient data after inactivity, started after authorization
+let drugAllergyAlerts = new Map(); // Drug–allergy alerts keyed by MedicationRequest ID
+let cdsClient = null; // CDS Hooks client, set when cdsHooksUrl is configured
+const cdsCards = {}; // Cards returned for the current patient, keyed by hook
+let cdsUserId = null; // fhirUser sent as the CDS Hooks userId
+let lastOrderSelection = ''; // Draft orders last sent with order-select
+let allergyRecorder = null; // Reference recorded as the author of new allergies and allergy changes
+let allergyEditingAllowed = false; // Whether the granted scope allows updating allergies
+
+// Resource types compared by the drug–allergy check
+const DRUG_ALLERGY_RESOURCE_TYPES = [ResourceTypes.ALLERGY, ResourceTypes.MEDICATION_REQUEST];
+
+// Resource types fetched for the timeline in addition to whatever has already been loaded
+const TIMELINE_RESOURCE_TYPES = [
+  ResourceTypes.ALLERGY,
+  ResourceTypes.CONDITION,
+  ResourceTypes.MEDICATION_REQUEST,
+  ResourceTypes.IMMUNIZATION
+];
 
 /**
  * Initialize the application
@@ -59,6 +128,12 @@ async function initializeApp() {
     // Set up global error handling
     setupGlobalErrorHandling(handleGlobalError);
     
+    // Drop cached data of other patients whenever the patient context changes
+    patientStore.subscribe(handlePatientChange);
+    
+    // Offline banner, reconnection sync and static asset caching
+    initializeOfflineSupport();
+    
     // Update auth status UI
     authUpdateStatusUI('authenticating');
     
@@ -71,11 +146,19 @@ async function initializeApp() {
     // If authentication successful, update UI and load patient data
     if (fhirClient) {
       authUpdateStatusUI('authenticated');
-      updateConnectionInfo();
+      permissions = createPermissions((await getTokenInfo()).scope);
+      await updateConnectionInfo();
+      await initializeAuditLog();
+      await initializeCdsHooks();
       await initializePatientContext();
       initializeResourceSelector();
+      await initializeAllergyEntry();
       await loadResourceData(currentResourceType);
       initializeJsonControls();
+      initializeChartControls();
+      initializeTimelineControls();
+      initializeLogoutControls();
+      await initializeIdleLock();
     }
   } catch (error) {
     // Handle authentication errors
@@ -91,6 +174,343 @@ async function initializeApp() {
   }
 }
 
+/**
+ * Reset loaded and cached resources when the patient context changes
+ * @param {Object|null} patientContext - New patient context
+ */
+function handlePatientChange(patientContext) {
+  const patientId = patientContext?.id || null;
+  
+  resourceCache.retainPatient(patientId);
+  
+  Object.keys(loadedResources).forEach(type => delete loadedResources[type]);
+  Object.keys(pendingPages).forEach(type => delete pendingPages[type]);
+  drugAllergyAlerts = new Map();
+  clearCdsCards();
+  
+  // Nothing left to lock once the patient context is gone (e.g. after signing out)
+  if (!patientId) {
+    idleMonitor?.stop();
+  }
+}
+
+/**
+ * Set up the offline banner, resynchronization on reconnect and the service
+ * worker, and delete snapshots that are too old to show
+ */
+function initializeOfflineSupport() {
+  purgeExpiredSnapshots();
+  offlineStatus.subscribe(updateOfflineBanner);
+  window.addEventListener('online', handleConnectivityRestored);
+  registerServiceWorker();
+}
+
+/**
+ * Show or hide the offline banner
+ * @param {Object} status - Offline status ({ offline, asOf })
+ */
+function updateOfflineBanner(status) {
+  const banner = document.getElementById('offline-banner');
+  
+  if (!banner) {
+    return;
+  }
+  
+  if (status.offline) {
+    banner.textContent = `Offline \u2014 data as of ${new Date(status.asOf).toLocaleString()}`;
+    banner.style.display = 'block';
+  } else {
+    banner.textContent = '';
+    banner.style.display = 'none';
+  }
+}
+
+/**
+ * Reload live data once the browser is back online
+ * @returns {Promise<void>}
+ */
+async function handleConnectivityRestored() {
+  if (!fhirClient || !offlineStatus.getStatus().offline) {
+    return;
+  }
+  
+  console.log('Connectivity restored, synchronizing patient data');
+  
+  // Reloading the patient context also reloads the selected resource type
+  await initializePatientContext();
+}
+
+/**
+ * Register the service worker that caches the application's static assets
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) {
+    return;
+  }
+  
+  navigator.serviceWorker.register('./sw.js')
+    .then(registration => console.log('Service worker registered:', registration.scope))
+    .catch(error => console.warn('Service worker registration failed:', error));
+}
+
+/**
+ * Show the sign-out button in the header
+ */
+function initializeLogoutControls() {
+  const logoutButton = document.getElementById('logout-button');
+  
+  if (!logoutButton) {
+    return;
+  }
+  
+  logoutButton.style.display = 'block';
+  logoutButton.addEventListener('click', handleLogout);
+}
+
+/**
+ * Sign out, revoking the tokens, and show the signed-out screen
+ * @returns {Promise<void>}
+ */
+async function handleLogout() {
+  const logoutButton = document.getElementById('logout-button');
+  
+  if (logoutButton) {
+    logoutButton.disabled = true;
+    logoutButton.textContent = 'Signing out...';
+  }
+  
+  const result = await logout();
+  
+  fhirClient = null;
+  permissions = createPermissions(null);
+  showSignedOutScreen(result);
+}
+
+/**
+ * Attribute audit log entries to the signed-in user and, if configured, send
+ * them to the FHIR server as AuditEvents
+ * @returns {Promise<void>}
+ */
+async function initializeAuditLog() {
+  const authState = await getAuthState();
+  const config = await loadClientConfig();
+  
+  auditLog.configure({
+    user: authState?.fhirUser || null,
+    serverUrl: authState?.fhirBaseUrl || authState?.serverUrl || '',
+    upload: config.auditEvents
+  });
+}
+
+/**
+ * Set up the CDS Hooks client when a discovery endpoint is configured
+ * @returns {Promise<void>}
+ */
+async function initializeCdsHooks() {
+  const config = await loadClientConfig();
+  const authState = await getAuthState();
+  
+  cdsClient = config.cdsHooksUrl ? new CdsHooksClient({ discoveryUrl: config.cdsHooksUrl }) : null;
+  cdsUserId = authState?.fhirUser || null;
+}
+
+/**
+ * Call the CDS services for a hook and show their cards above the resource cards
+ * @param {string} hook - Hook name (from CdsHook)
+ * @param {Object} context - Hook context in addition to userId and patientId
+ * @returns {Promise<void>}
+ */
+async function requestCdsCards(hook, context = {}) {
+  const patientId = fhirClient?.patient?.id;
+  
+  if (!cdsClient || !patientId) {
+    return;
+  }
+  
+  try {
+    const { cards } = await cdsClient.callHook(hook, {
+      ...(cdsUserId ? { userId: cdsUserId } : {}),
+      patientId,
+      ...context
+    }, getCdsPrefetchSources(patientId));
+    
+    // Ignore cards for a patient that is no longer shown
+    if (fhirClient?.patient?.id !== patientId) {
+      return;
+    }
+    
+    cdsCards[hook] = cards;
+    displayCdsCards(Object.values(cdsCards).flat());
+  } catch (error) {
+    // Decision support is optional; the records are shown without it
+    console.warn(`CDS Hooks ${hook} request failed:`, error);
+  }
+}
+
+/**
+ * Send order-select for the draft medication orders in a loaded list
+ * @param {Array} resources - Normalized MedicationRequests
+ * @returns {Promise<void>}
+ */
+async function requestOrderSelectCards(resources) {
+  const drafts = resources.filter(resource => resource.status === 'draft' && resource.rawResource);
+  const selection = drafts.map(draft => draft.id).sort().join(',');
+  
+  // Only call again when the draft orders change
+  if (selection === lastOrderSelection) {
+    return;
+  }
+  lastOrderSelection = selection;
+  
+  if (drafts.length === 0) {
+    delete cdsCards[CdsHook.ORDER_SELECT];
+    displayCdsCards(Object.values(cdsCards).flat());
+    return;
+  }
+  
+  await requestCdsCards(CdsHook.ORDER_SELECT, {
+    selections: drafts.map(draft => `MedicationRequest/${draft.id}`),
+    draftOrders: {
+      resourceType: 'Bundle',
+      type: 'collection',
+      entry: drafts.map(draft => ({ resource: draft.rawResource }))
+    }
+  });
+}
+
+/**
+ * Collect the data already fetched for the patient that can be sent as CDS Hooks prefetch
+ * @param {string} patientId - Patient ID
+ * @returns {Array} Prefetch sources: the Patient and each complete cached search
+ */
+function getCdsPrefetchSources(patientId) {
+  const sources = [];
+  const patient = patientStore.getPatientContext()?.resource;
+  
+  if (patient) {
+    sources.push({ resourceType: 'Patient', id: patientId, resource: patient });
+  }
+  
+  Object.entries(ResourceRegistry).forEach(([type, definition]) => {
+    const entry = resourceCache.get(resourceCache.createKey(patientId, type));
+    const source = entry?.complete ? createSearchSource(definition, patientId, entry.data) : null;
+    if (source) {
+      sources.push(source);
+    }
+  });
+  
+  return sources;
+}
+
+/**
+ * Remove the CDS cards of the previous patient
+ */
+function clearCdsCards() {
+  Object.keys(cdsCards).forEach(hook => delete cdsCards[hook]);
+  lastOrderSelection = '';
+  displayCdsCards([]);
+}
+
+/**
+ * Start the inactivity monitor: lock patient data after a short idle time and
+ * sign out after a longer one
+ * @returns {Promise<void>}
+ */
+async function initializeIdleLock() {
+  const config = await loadClientConfig();
+  
+  idleMonitor = IdleMonitor.fromConfig(config, {
+    onLock: () => showLockScreen(),
+    onTimeout: handleIdleTimeout
+  });
+  idleMonitor.start();
+  
+  const unlockButton = document.getElementById('unlock-button');
+  if (unlockButton) {
+    unlockButton.addEventListener('click', handleUnlock);
+  }
+}
+
+/**
+ * Dismiss the lock screen if the session is still valid, renewing an expired
+ * access token first; otherwise sign out
+ * @returns {Promise<void>}
+ */
+async function handleUnlock() {
+  const unlockButton = document.getElementById('unlock-button');
+  if (unlockButton) unlockButton.disabled = true;
+  
+  try {
+    if (!(await isAuthenticated()) && await canRefreshToken()) {
+      await refreshAuthToken();
+    }
+    
+    if (await isAuthenticated()) {
+      hideLockScreen();
+      idleMonitor.unlock();
+      return;
+    }
+  } catch (error) {
+    console.warn('Could not renew the session on unlock:', error);
+  } finally {
+    if (unlockButton) unlockButton.disabled = false;
+  }
+  
+  await handleIdleTimeout('Your session expired while the screen was locked.');
+}
+
+/**
+ * Sign out after the idle timeout
+ * @param {string} reason - Message for the signed-out screen
+ * @returns {Promise<void>}
+ */
+async function handleIdleTimeout(reason = 'You were signed out after a period of inactivity.') {
+  idleMonitor?.stop();
+  
+  const result = await logout();
+  
+  fhirClient = null;
+  permissions = createPermissions(null);
+  hideLockScreen();
+  showSignedOutScreen(result, reason);
+}
+
+/**
+ * Replace the patient data with the signed-out screen
+ * @param {Object} result - Revocation result from logout()
+ * @param {string} reason - Why the session ended, shown before the details (optional)
+ */
+function showSignedOutScreen(result, reason = '') {
+  document.querySelectorAll('main > section:not(#signed-out)').forEach(section => {
+    section.style.display = 'none';
+  });
+  
+  ['logout-button', 'offline-banner', 'error-container'].forEach(id => {
+    const element = document.getElementById(id);
+    if (element) element.style.display = 'none';
+  });
+  
+  if (patientBanner) patientBanner.innerHTML = '';
+  if (connectionInfo) connectionInfo.innerHTML = '';
+  
+  const details = document.getElementById('signed-out-details');
+  if (details) {
+    if (!result.supported) {
+      details.textContent = 'The FHIR server does not support token revocation, so the access token stays valid until it expires.';
+    } else if (result.errors.length > 0) {
+      details.textContent = 'The FHIR server could not confirm that your access was revoked. Patient data has been removed from this browser.';
+    } else {
+      details.textContent = 'Your access has been revoked and patient data has been removed from this browser.';
+    }
+    if (reason) {
+      details.textContent = `${reason} ${details.textContent}`;
+    }
+  }
+  
+  const signedOut = document.getElementById('signed-out');
+  if (signedOut) signedOut.style.display = 'block';
+}
+
 /**
  * Handle global errors caught by the error handler
  * @param {Object} error - Formatted error object
@@ -170,10 +590,10 @@ function showError(error) {
 /**
  * Update connection info in the footer
  */
-function updateConnectionInfo() {
+async function updateConnectionInfo() {
   if (!connectionInfo || !fhirClient) return;
   
-  const tokenInfo = getTokenInfo();
+  const tokenInfo = await getTokenInfo();
   const serverUrl = tokenInfo.serverUrl || 'Unknown server';
   const expiresIn = tokenInfo.timeRemaining || 'Unknown';
   
@@ -199,20 +619,205 @@ function initializeResourceSelector() {
     resourceContainer.appendChild(cardContainer);
   }
   
-  // Define resource types
-  const resourceTypes = [
-    { id: ResourceTypes.ALLERGY, name: 'Allergies' },
-    { id: ResourceTypes.MEDICATION, name: 'Medications' },
-    { id: ResourceTypes.IMMUNIZATION, name: 'Immunizations' },
-    { id: ResourceTypes.MEDICATION_REQUEST, name: 'Medication Requests' }
-  ];
+  // Resource types come from the registry, in selector order; types the
+  // granted scope cannot search are shown disabled with the reason
+  const resourceTypes = Object.entries(ResourceRegistry).map(([id, definition]) => {
+    const access = checkResourceAccess(permissions, definition);
+    return {
+      id,
+      name: definition.name,
+      disabled: !access.allowed,
+      reason: access.reason
+    };
+  });
+  
+  // Start on the first accessible type if the default is not accessible
+  if (resourceTypes.find(type => type.id === currentResourceType)?.disabled) {
+    currentResourceType = resourceTypes.find(type => !type.disabled)?.id || currentResourceType;
+  }
   
   // Create resource selector
-  const resourceSelector = createResourceTypeSelector(resourceTypes, handleResourceSelect, currentResourceType);
+  const resourceSelector = createResourceTypeSelector(resourceTypes, handleResourceSelect, currentResourceType, handleResourceRefresh);
   resourceSelectorContainer.innerHTML = '';
   resourceSelectorContainer.appendChild(resourceSelector);
 }
 
+/**
+ * Offer the "Add allergy" form when the granted scope allows creating allergies,
+ * and the edit action on allergy cards when it allows updating them
+ * @returns {Promise<void>}
+ */
+async function initializeAllergyEntry() {
+  const authState = await getAuthState();
+  allergyRecorder = getAuthorReference(authState?.fhirUser);
+  
+  const updateAccess = checkAccess(permissions, 'AllergyIntolerance', { permission: ScopePermission.UPDATE });
+  allergyEditingAllowed = updateAccess.allowed;
+  if (!updateAccess.allowed) {
+    console.info(`Allergy editing is not available: ${updateAccess.reason}`);
+  }
+  
+  const entry = document.getElementById('allergy-entry');
+  const form = document.getElementById('allergy-form');
+  
+  if (!entry || !form) {
+    return;
+  }
+  
+  const access = checkAccess(permissions, 'AllergyIntolerance', { permission: ScopePermission.CREATE });
+  entry.hidden = !access.allowed;
+  if (!access.allowed) {
+    console.info(`Allergy entry is not available: ${access.reason}`);
+    return;
+  }
+  
+  setupAllergyForm(form);
+  document.getElementById('add-allergy-button').addEventListener('click', () => toggleAllergyForm(form.hidden));
+  form.querySelector('.allergy-form-cancel').addEventListener('click', () => toggleAllergyForm(false));
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    saveAllergy(form);
+  });
+}
+
+/**
+ * Open or close the allergy form; closing discards what was entered
+ * @param {boolean} open - Whether to open the form
+ */
+function toggleAllergyForm(open) {
+  const form = document.getElementById('allergy-form');
+  
+  form.hidden = !open;
+  document.getElementById('add-allergy-button').setAttribute('aria-expanded', String(open));
+  
+  if (open) {
+    form.elements.substance.focus();
+  } else {
+    form.reset();
+    showAllergyFormIssues(form, []);
+  }
+}
+
+/**
+ * Validate the allergy form, create the AllergyIntolerance and show the updated allergy list
+ * @param {HTMLFormElement} form - The allergy form
+ * @returns {Promise<void>}
+ */
+async function saveAllergy(form) {
+  const allergy = buildAllergyIntolerance(readAllergyForm(form), {
+    patientId: fhirClient.patient.id,
+    recorder: allergyRecorder
+  });
+  
+  const issues = validateAllergyIntolerance(allergy);
+  if (issues.length > 0) {
+    showAllergyFormIssues(form, issues);
+    return;
+  }
+  
+  const submitButton = form.querySelector('button[type="submit"]');
+  submitButton.disabled = true;
+  
+  try {
+    const authState = await getAuthState();
+    await createResource('AllergyIntolerance', allergy, {
+      serverUrl: authState?.fhirBaseUrl || authState?.serverUrl || '',
+      headers: { Prefer: 'return=representation' }
+    });
+  } catch (error) {
+    console.error('Error saving allergy:', error);
+    showAllergyFormIssues(form, [{ field: null, message: `The allergy was not saved. ${error.message || ''}`.trim() }]);
+    return;
+  } finally {
+    submitButton.disabled = false;
+  }
+  
+  toggleAllergyForm(false);
+  
+  // Show the allergy list with the new entry; refreshing also re-runs the drug–allergy check
+  const selector = document.getElementById('resource-type-select');
+  if (selector) {
+    selector.value = ResourceTypes.ALLERGY;
+  }
+  await handleResourceRefresh(ResourceTypes.ALLERGY);
+  requestCdsCards(CdsHook.PATIENT_VIEW);
+}
+
+/**
+ * Add the edit action to an allergy card
+ * @param {string} cardId - ID of the card's content container
+ * @param {Object} allergy - AllergyIntolerance as read from the server
+ */
+function addAllergyEditAction(cardId, allergy) {
+  const content = document.getElementById(cardId);
+  
+  if (!content) {
+    return;
+  }
+  
+  const editButton = document.createElement('button');
+  editButton.type = 'button';
+  editButton.className = 'btn btn-secondary allergy-edit-button';
+  editButton.textContent = 'Edit';
+  editButton.setAttribute('aria-label', 'Edit allergy status');
+  content.appendChild(editButton);
+  
+  editButton.addEventListener('click', () => {
+    const form = createAllergyEditForm(allergy, {
+      onSave: editForm => saveAllergyChanges(editForm, allergy),
+      onCancel: () => {
+        form.replaceWith(editButton);
+        editButton.focus();
+      }
+    });
+    editButton.replaceWith(form);
+    form.elements.clinicalStatus.focus();
+  });
+}
+
+/**
+ * Apply the changes from an allergy card's edit form and update the AllergyIntolerance;
+ * the update is rejected if the allergy changed on the server since it was loaded
+ * @param {HTMLFormElement} form - The edit form
+ * @param {Object} allergy - AllergyIntolerance as read from the server
+ * @returns {Promise<void>}
+ */
+async function saveAllergyChanges(form, allergy) {
+  const values = readAllergyEditForm(form);
+  const edit = applyAllergyChanges(allergy, values, { recorder: allergyRecorder });
+  
+  const issues = validateAllergyEdit(edit, values);
+  if (issues.length > 0) {
+    showAllergyFormIssues(form, issues);
+    return;
+  }
+  
+  const submitButton = form.querySelector('button[type="submit"]');
+  submitButton.disabled = true;
+  
+  try {
+    const authState = await getAuthState();
+    await updateResource('AllergyIntolerance', allergy.id, edit.resource, {
+      serverUrl: authState?.fhirBaseUrl || authState?.serverUrl || '',
+      headers: { Prefer: 'return=representation' }
+    });
+  } catch (error) {
+    console.error('Error updating allergy:', error);
+    if (error.type === FhirServerError.VERSION_CONFLICT) {
+      showAllergyConflict(form, error, () => handleResourceRefresh(ResourceTypes.ALLERGY));
+    } else {
+      showAllergyFormIssues(form, [{ field: null, message: `The changes were not saved. ${error.message || ''}`.trim() }]);
+    }
+    return;
+  } finally {
+    submitButton.disabled = false;
+  }
+  
+  // Reloading shows the new status and note, and re-runs the drug–allergy check
+  await handleResourceRefresh(ResourceTypes.ALLERGY);
+  requestCdsCards(CdsHook.PATIENT_VIEW);
+}
+
 /**
  * Handle resource type selection
  * @param {string} resourceType - Selected resource type
@@ -223,6 +828,66 @@ async function handleResourceSelect(resourceType) {
   await loadResourceData(resourceType);
 }
 
+/**
+ * Handle the refresh action: drop cached data for the type and reload it from the server
+ * @param {string} resourceType - Selected resource type
+ */
+async function handleResourceRefresh(resourceType) {
+  const patientId = fhirClient?.patient?.id;
+  
+  if (patientId) {
+    resourceCache.invalidate(patientId, resourceType);
+  }
+  
+  delete loadedResources[resourceType];
+  delete pendingPages[resourceType];
+  
+  // Re-run the check first so the reloaded cards show current alerts
+  if (DRUG_ALLERGY_RESOURCE_TYPES.includes(resourceType)) {
+    await updateDrugAllergyAlerts();
+  }
+  
+  currentResourceType = resourceType;
+  await loadResourceData(resourceType);
+}
+
+/**
+ * Check the patient's active medication requests against their allergies and show any alerts
+ * in the patient banner and on the medication request cards
+ * @returns {Promise<void>}
+ */
+async function updateDrugAllergyAlerts() {
+  const patientId = fhirClient?.patient?.id;
+  
+  // Both lists are needed; skip the check when the scope does not allow reading them
+  const allowed = DRUG_ALLERGY_RESOURCE_TYPES.every(type => checkResourceAccess(permissions, ResourceRegistry[type]).allowed);
+  if (!patientId || !allowed) {
+    return;
+  }
+  
+  try {
+    const [allergies, medicationRequests] = await Promise.all(
+      DRUG_ALLERGY_RESOURCE_TYPES.map(type => fetchResourceData(fhirClient, patientId, type))
+    );
+    const alerts = checkDrugAllergies(medicationRequests, allergies);
+    
+    drugAllergyAlerts = groupAlertsByMedication(alerts);
+    displayDrugAllergyBanner(alerts);
+  } catch (error) {
+    // The rest of the application works without the check
+    console.warn('Drug–allergy check failed:', error);
+  }
+}
+
+/**
+ * Show the drug–allergy alert in the patient banner, replacing any previous one
+ * @param {Array} alerts - Alerts from checkDrugAllergies
+ */
+function displayDrugAllergyBanner(alerts) {
+  patientBanner.querySelector('.drug-allergy-banner')?.remove();
+  patientBanner.insertAdjacentHTML('beforeend', formatDrugAllergyBanner(alerts));
+}
+
 /**
  * Load resource data based on the selected resource type
  * @param {string} resourceType - Type of resource to load
@@ -244,14 +909,39 @@ async function loadResourceData(resourceType) {
       );
     }
     
-    // Fetch resource data using the appropriate function based on resource type
-    const resources = await fetchResourceData(fhirClient, patientId, resourceType);
+    // Do not send a query the server would refuse with a 403
+    const access = checkResourceAccess(permissions, ResourceRegistry[resourceType]);
+    if (!access.allowed) {
+      throw createError(
+        AuthError.INVALID_SCOPE,
+        access.reason,
+        { help: 'Ask your administrator to grant access to this record type, then relaunch the application.' }
+      );
+    }
+    
+    // Fetch the first page; further pages are loaded on demand
+    const pages = fetchResourcePages(fhirClient, patientId, resourceType);
+    const { value: firstPage } = await pages.next();
+    const resources = firstPage ? firstPage.resources : [];
+    
+    // Ignore the result if another resource type was selected in the meantime
+    if (resourceType !== currentResourceType) {
+      return;
+    }
     
     // Store data for export
     window.currentResourceData = resources;
+    loadedResources[resourceType] = resources;
+    
+    if (firstPage && firstPage.hasMore) {
+      pendingPages[resourceType] = pages;
+    } else {
+      delete pendingPages[resourceType];
+    }
     
     // Display resources in the UI
     displayResources(resources, resourceType);
+    updateLoadMoreControl(resourceType, firstPage);
     
     // Display raw JSON data
     displayJsonData(resources, 'json-display-area', {
@@ -260,6 +950,14 @@ async function loadResourceData(resourceType) {
       showLineNumbers: true
     });
     
+    // Refresh the trend chart for numeric observation data
+    updateTrendChart(resources, resourceType);
+    
+    // Draft medication orders are sent to order-select services
+    if ([ResourceTypes.MEDICATION, ResourceTypes.MEDICATION_REQUEST].includes(resourceType)) {
+      requestOrderSelectCards(resources);
+    }
+    
     hideLoadingState();
   } catch (error) {
     console.error(`Error loading ${resourceType} data:`, error);
@@ -300,8 +998,8 @@ async function initializePatientContext() {
   try {
     showLoadingState('Loading patient context...');
     
-    // Get patient context from FHIR client
-    const patientContext = await getPatientContext(fhirClient);
+    // Get patient context from FHIR client, or from the offline snapshot
+    const patientContext = await getPatientContextWithSnapshot(fhirClient);
     
     // Check if we have a valid patient context before proceeding
     if (!patientContext || !patientContext.id) {
@@ -323,9 +1021,15 @@ async function initializePatientContext() {
     // Display patient information
     displayPatientInfo(patientContext);
     
+    // Check medications against allergies before any medication request cards are shown
+    await updateDrugAllergyAlerts();
+    
     // Load patient allergy data
     await loadResourceData(currentResourceType);
     
+    // Decision support is shown when it arrives, without holding up the records
+    requestCdsCards(CdsHook.PATIENT_VIEW);
+    
   } catch (error) {
     console.error('Error initializing patient context:', error);
     hideLoadingState(); // Make sure to hide loading state on error
@@ -343,6 +1047,32 @@ async function initializePatientContext() {
   }
 }
 
+/**
+ * Get the patient context, falling back to the last saved snapshot when the server is unreachable
+ * @param {Object} client - Authenticated FHIR client
+ * @returns {Promise<Object>} Patient context
+ */
+async function getPatientContextWithSnapshot(client) {
+  const patientId = client?.patient?.id;
+  const snapshotKey = resourceCache.createKey(patientId, 'patient');
+  
+  try {
+    const patientContext = await getPatientContext(client);
+    saveSnapshot(snapshotKey, patientId, patientContext);
+    return patientContext;
+  } catch (error) {
+    const snapshot = patientId ? await getSnapshot(snapshotKey) : null;
+    
+    if (!snapshot) {
+      throw error;
+    }
+    
+    console.warn(`Patient context unavailable, using snapshot saved at ${snapshot.savedAt}`);
+    offlineStatus.markOffline(snapshot.savedAt);
+    return snapshot.data;
+  }
+}
+
 /**
  * Load patient data from the FHIR server
  * @deprecated Use loadResourceData instead for the new expandable cards UI
@@ -520,224 +1250,160 @@ function displayResources(resources, resourceType) {
     return;
   }
   
+  appendResourceCards(resources, resourceType, 0);
+}
+
+/**
+ * Append expandable cards for a page of resources
+ * @param {Array} resources - Array of resource data
+ * @param {string} resourceType - Type of resource being displayed
+ * @param {number} startIndex - Index of the first resource, used for card IDs
+ */
+function appendResourceCards(resources, resourceType, startIndex) {
+  const cardContainer = document.getElementById('resource-cards');
+  
+  if (!cardContainer) {
+    console.error('Resource card container not found');
+    return;
+  }
+  
   // Create cards for each resource
-  resources.forEach((resource, index) => {
+  resources.forEach((resource, offset) => {
+    const index = startIndex + offset;
     const cardId = `${resourceType}-${index}`;
-    const cardTitle = getResourceCardTitle(resource, resourceType);
-    const card = createExpandableCard(cardTitle, cardId, index === 0);
+    const alerts = getDrugAllergyAlerts(resource, resourceType);
+    const cardTitle = `${alerts.length > 0 ? '\u26A0 ' : ''}${getResourceCardTitle(resource, resourceType)}`;
+    // Cards with an allergy alert start expanded so the alert is visible
+    const card = createExpandableCard(cardTitle, cardId, index === 0 || alerts.length > 0);
+    card.classList.toggle('has-drug-allergy-alert', alerts.length > 0);
     cardContainer.appendChild(card);
     
     // Set card content
     const content = formatResourceCardContent(resource, resourceType);
     setCardContent(cardId, content);
+    
+    if (resourceType === ResourceTypes.ALLERGY && allergyEditingAllowed && resource.originalResource?.id) {
+      addAllergyEditAction(cardId, resource.originalResource);
+    }
   });
 }
 
 /**
- * Get card title based on resource type and data
- * @param {Object} resource - Resource data
- * @param {string} resourceType - Type of resource
- * @returns {string} Card title
+ * Show or remove the "Load more" control below the resource cards
+ * @param {string} resourceType - Type of resource being displayed
+ * @param {Object} page - Last loaded page ({ hasMore, total })
  */
-function getResourceCardTitle(resource, resourceType) {
-  switch (resourceType) {
-    case ResourceTypes.ALLERGY:
-      return resource.display || 'Unknown Allergy';
-    case ResourceTypes.MEDICATION:
-      return resource.medicationDisplay || 'Unknown Medication';
-    case ResourceTypes.IMMUNIZATION:
-      return resource.vaccineDisplay || 'Unknown Vaccine';
-    case ResourceTypes.MEDICATION_REQUEST:
-      return resource.medicationDisplay || 'Unknown Medication Request';
-    default:
-      return 'Unknown Resource';
+function updateLoadMoreControl(resourceType, page) {
+  const cardContainer = document.getElementById('resource-cards');
+  
+  if (!cardContainer) {
+    return;
   }
-}
-
-/**
- * Format card content based on resource type and data
- * @param {Object} resource - Resource data
- * @param {string} resourceType - Type of resource
- * @returns {string} Formatted HTML content
- */
-function formatResourceCardContent(resource, resourceType) {
-  switch (resourceType) {
-    case ResourceTypes.ALLERGY:
-      return formatAllergyContent(resource);
-    case ResourceTypes.MEDICATION:
-      return formatMedicationContent(resource);
-    case ResourceTypes.IMMUNIZATION:
-      return formatImmunizationContent(resource);
-    case ResourceTypes.MEDICATION_REQUEST:
-      return formatMedicationRequestContent(resource);
-    default:
-      return `<div class="card-content"><p>No formatted content available for ${resourceType}</p></div>`;
+  
+  cardContainer.querySelector('.load-more-container')?.remove();
+  
+  if (!page || !page.hasMore) {
+    return;
   }
-}
-
-/**
- * Format allergy content
- * @param {Object} allergy - Allergy resource
- * @returns {string} Formatted HTML content
- */
-function formatAllergyContent(allergy) {
-  // Handle different code structure formats
-  const allergyName = allergy.substance?.display || 
-                     allergy.code?.display || 
-                     allergy.code?.text || 
-                     (typeof allergy.code === 'string' ? allergy.code : 'Unknown Substance');
   
-  return `
-    <div class="allergy-item">
-      <h4>${allergyName}</h4>
-      <p><strong>Category:</strong> ${Array.isArray(allergy.category) ? allergy.category.join(', ') : allergy.category || 'Unknown'}</p>
-      <p><strong>Criticality:</strong> ${allergy.criticality || 'Unknown'}</p>
-      ${allergy.reactions && allergy.reactions.length > 0 ? 
-        `<p><strong>Reaction:</strong> ${allergy.reactions.map(r => r.manifestation || 'Unknown').join(', ')}</p>` : 
-        ''}
-      ${allergy.recordedDate && allergy.recordedDate !== 'Unknown' ? `<p><strong>Recorded:</strong> ${formatDate(allergy.recordedDate)}</p>` : ''}
-    </div>
-  `;
+  const loadedCount = loadedResources[resourceType]?.length || 0;
+  const statusText = page.total !== null ?
+    `Showing ${loadedCount} of ${page.total}` :
+    `Showing ${loadedCount}`;
+  
+  cardContainer.appendChild(createLoadMoreButton(() => loadMoreResources(resourceType), statusText));
 }
 
 /**
- * Format medication content
- * @param {Object} medication - Medication resource
- * @returns {string} Formatted HTML content
+ * Load the next page of the current resource type and append its cards
+ * @param {string} resourceType - Type of resource to load more of
+ * @returns {Promise<void>}
  */
-function formatMedicationContent(medication) {
-  return `
-    <div class="allergy-item">
-      <h4>${medication.medicationDisplay || 'Unknown Medication'}</h4>
-      <p><strong>Status:</strong> ${medication.status || 'Unknown'}</p>
-      <p><strong>Intent:</strong> ${medication.intent || 'Unknown'}</p>
-      ${medication.dosageInstructions && medication.dosageInstructions.length > 0 ? 
-        `<p><strong>Dosage:</strong> ${medication.dosageInstructions.join('; ')}</p>` : 
-        ''}
-      ${medication.dateWritten ? `<p><strong>Date Written:</strong> ${formatDate(medication.dateWritten)}</p>` : ''}
-      ${medication.prescriber ? `<p><strong>Prescriber:</strong> ${medication.prescriber.display || 'Unknown'}</p>` : ''}
-      ${medication.note ? `<p><strong>Note:</strong> ${medication.note}</p>` : ''}
-    </div>
-  `;
+async function loadMoreResources(resourceType) {
+  const pages = pendingPages[resourceType];
+  
+  if (!pages) {
+    return;
+  }
+  
+  try {
+    const { value: page, done } = await pages.next();
+    
+    if (done || !page) {
+      delete pendingPages[resourceType];
+      updateLoadMoreControl(resourceType, null);
+      return;
+    }
+    
+    const startIndex = loadedResources[resourceType].length;
+    loadedResources[resourceType] = loadedResources[resourceType].concat(page.resources);
+    
+    if (!page.hasMore) {
+      delete pendingPages[resourceType];
+    }
+    
+    // The user may have switched to another resource type while the page loaded
+    if (resourceType !== currentResourceType) {
+      return;
+    }
+    
+    window.currentResourceData = loadedResources[resourceType];
+    
+    appendResourceCards(page.resources, resourceType, startIndex);
+    updateLoadMoreControl(resourceType, page);
+    
+    displayJsonData(loadedResources[resourceType], 'json-display-area', {
+      title: `Raw ${capitalizeFirstLetter(resourceType)} Data (FHIR R4)`,
+      showCopyButton: true,
+      showLineNumbers: true
+    });
+    
+    updateTrendChart(loadedResources[resourceType], resourceType);
+  } catch (error) {
+    console.error(`Error loading more ${resourceType} data:`, error);
+    showError(error);
+  }
 }
 
 /**
- * Format immunization content
- * @param {Object} immunization - Immunization resource
- * @returns {string} Formatted HTML content
+ * Get card title based on resource type and data
+ * @param {Object} resource - Resource data
+ * @param {string} resourceType - Type of resource
+ * @returns {string} Card title
  */
-function formatImmunizationContent(immunization) {
-  return `
-    <div class="immunization-item">
-      <h4>${immunization.vaccineDisplay || 'Unknown Vaccine'}</h4>
-      <p><strong>Status:</strong> ${immunization.status || 'Unknown'}</p>
-      <p><strong>Date:</strong> ${immunization.occurrenceDate ? formatDate(immunization.occurrenceDate) : 'Unknown'}</p>
-      ${immunization.manufacturer ? `<p><strong>Manufacturer:</strong> ${immunization.manufacturer}</p>` : ''}
-      ${immunization.lotNumber ? `<p><strong>Lot Number:</strong> ${immunization.lotNumber}</p>` : ''}
-      ${immunization.site ? `<p><strong>Site:</strong> ${immunization.site}</p>` : ''}
-      ${immunization.route ? `<p><strong>Route:</strong> ${immunization.route}</p>` : ''}
-    </div>
-  `;
+function getResourceCardTitle(resource, resourceType) {
+  const definition = getResourceDefinition(resourceType);
+  return definition ? definition.formatTitle(resource) : 'Unknown Resource';
 }
 
 /**
- * Format medication request content
- * @param {Object} medicationRequest - MedicationRequest resource
+ * Format card content based on resource type and data
+ * @param {Object} resource - Resource data
+ * @param {string} resourceType - Type of resource
  * @returns {string} Formatted HTML content
  */
-function formatMedicationRequestContent(medicationRequest) {
-  // Get status class based on medication request status
-  const getStatusClass = (status) => {
-    switch(status?.toLowerCase()) {
-      case 'active': return 'status-active';
-      case 'completed': return 'status-completed';
-      case 'stopped': 
-      case 'cancelled': 
-      case 'on-hold': return 'status-stopped';
-      case 'draft': 
-      case 'entered-in-error': return 'status-draft';
-      default: return '';
-    }
-  };
+function formatResourceCardContent(resource, resourceType) {
+  const definition = getResourceDefinition(resourceType);
   
-  // Format dosage instructions
-  const formatDosage = (dosageInstructions) => {
-    if (!dosageInstructions || dosageInstructions.length === 0) {
-      return '';
-    }
-    
-    // Take the first dosage instruction (most common case)
-    const dosage = dosageInstructions[0];
-    let dosageText = '';
-    
-    // Add dosage text if available
-    if (typeof dosage === 'string') {
-      dosageText = dosage;
-    } else if (dosage.text) {
-      dosageText = dosage.text;
-    } else {
-      // Construct dosage from components if available
-      const doseQuantity = dosage.doseAndRate?.[0]?.doseQuantity;
-      const timing = dosage.timing?.code?.text || dosage.timing?.code?.coding?.[0]?.display;
-      const route = dosage.route?.coding?.[0]?.display;
-      
-      if (doseQuantity) {
-        dosageText += `${doseQuantity.value} ${doseQuantity.unit || ''}`;
-      }
-      
-      if (route) {
-        dosageText += dosageText ? ` ${route}` : route;
-      }
-      
-      if (timing) {
-        dosageText += dosageText ? ` ${timing}` : timing;
-      }
-    }
-    
-    return dosageText ? `<div class="dosage-instructions">${dosageText}</div>` : '';
-  };
+  if (!definition) {
+    return `<div class="card-content"><p>No formatted content available for ${resourceType}</p></div>`;
+  }
   
-  return `
-    <div class="medication-request-card">
-      <div class="medication-name">${medicationRequest.medicationDisplay || 'Unknown Medication'}</div>
-      
-      <div class="medication-status ${getStatusClass(medicationRequest.status)}">
-        ${medicationRequest.status || 'Unknown'}
-      </div>
-      
-      <div class="medication-details">
-        <div class="medication-detail-item">
-          <span class="detail-label">Prescribed:</span>
-          <span>${medicationRequest.authoredOn ? formatDate(medicationRequest.authoredOn) : 'Unknown'}</span>
-        </div>
-        
-        <div class="medication-detail-item">
-          <span class="detail-label">Prescriber:</span>
-          <span>${medicationRequest.requester ? medicationRequest.requester.display || 'Unknown' : 'Unknown'}</span>
-        </div>
-        
-        ${medicationRequest.dosageInstructions ? formatDosage(medicationRequest.dosageInstructions) : ''}
-        
-        ${medicationRequest.note ? `<div class="notes">${medicationRequest.note}</div>` : ''}
-      </div>
-    </div>
-  `;
+  return definition.formatContent(resource, getDrugAllergyAlerts(resource, resourceType));
 }
 
 /**
- * Format date for display
- * @param {string} dateString - Date string to format
- * @returns {string} Formatted date string
+ * Get the drug–allergy alerts for a medication request card
+ * @param {Object} resource - Resource data
+ * @param {string} resourceType - Type of resource
+ * @returns {Array} Alerts, empty for other resource types
  */
-function formatDate(dateString) {
-  if (!dateString) return '';
-  
-  try {
-    const date = new Date(dateString);
-    return date.toLocaleDateString();
-  } catch (e) {
-    return dateString;
+function getDrugAllergyAlerts(resource, resourceType) {
+  if (resourceType !== ResourceTypes.MEDICATION_REQUEST) {
+    return [];
   }
+  
+  return drugAllergyAlerts.get(resource.id) || [];
 }
 
 /**
@@ -777,7 +1443,7 @@ function initializeJsonControls() {
       
       if (dataToExport && dataToExport.length > 0) {
         const filename = `patient-${currentResourceType || 'allergies'}.json`;
-        exportJsonData(dataToExport, filename);
+        exportJsonData(dataToExport, filename, { resourceType: getResourceDefinition(currentResourceType)?.resourceType });
       } else {
         alert('No data available to export');
       }
@@ -785,6 +1451,95 @@ function initializeJsonControls() {
   }
 }
 
+/**
+ * Initialize trend chart display controls
+ */
+function initializeChartControls() {
+  const toggleButton = document.getElementById('toggle-chart-display');
+  const chartArea = document.getElementById('chart-display-area');
+  
+  let isChartVisible = false;
+  
+  if (toggleButton && chartArea) {
+    toggleButton.addEventListener('click', () => {
+      isChartVisible = !isChartVisible;
+      chartArea.style.display = isChartVisible ? 'block' : 'none';
+      toggleButton.textContent = isChartVisible ? 'Hide Trend Chart' : 'Show Trend Chart';
+    });
+  }
+}
+
+/**
+ * Render the trend chart for the currently loaded resources
+ * @param {Array} resources - Loaded resource data
+ * @param {string} resourceType - Type of resource loaded
+ */
+function updateTrendChart(resources, resourceType) {
+  const isObservationType = resourceType === ResourceTypes.VITAL_SIGNS || resourceType === ResourceTypes.LAB_RESULTS;
+  displayTrendChart(isObservationType ? resources : [], 'chart-display-area');
+}
+
+/**
+ * Initialize patient timeline display controls
+ */
+function initializeTimelineControls() {
+  const toggleButton = document.getElementById('toggle-timeline-display');
+  const timelineArea = document.getElementById('timeline-display-area');
+  
+  let isTimelineVisible = false;
+  
+  if (toggleButton && timelineArea) {
+    toggleButton.addEventListener('click', async () => {
+      isTimelineVisible = !isTimelineVisible;
+      timelineArea.style.display = isTimelineVisible ? 'block' : 'none';
+      toggleButton.textContent = isTimelineVisible ? 'Hide Timeline' : 'Show Timeline';
+      
+      if (isTimelineVisible) {
+        await loadTimeline();
+      }
+    });
+  }
+}
+
+/**
+ * Load any missing resource types and render the patient timeline
+ * @returns {Promise<void>}
+ */
+async function loadTimeline() {
+  setCardContent('timeline-display-area', createLoadingIndicator('Loading patient timeline...'));
+  
+  const patientId = fhirClient?.patient?.id;
+  // Types with pages still to load are fetched in full for the timeline;
+  // types the granted scope cannot search are left out
+  const missingTypes = TIMELINE_RESOURCE_TYPES
+    .filter(type => checkResourceAccess(permissions, ResourceRegistry[type]).allowed)
+    .filter(type => !loadedResources[type] || pendingPages[type]);
+  
+  // A failure for one resource type should not hide the rest of the timeline
+  const results = await Promise.allSettled(
+    missingTypes.map(type => fetchResourceData(fhirClient, patientId, type))
+  );
+  
+  const timelineResources = { ...loadedResources };
+  
+  results.forEach((result, index) => {
+    const type = missingTypes[index];
+    
+    if (result.status === 'fulfilled') {
+      timelineResources[type] = result.value;
+      
+      // Partially displayed types keep their own page state for "Load more"
+      if (!pendingPages[type]) {
+        loadedResources[type] = result.value;
+      }
+    } else {
+      console.warn(`Timeline: could not load ${type}:`, result.reason);
+    }
+  });
+  
+  displayTimeline(buildTimelineEvents(timelineResources), 'timeline-display-area');
+}
+
 /**
  * Handle application errors
  * @param {Error|Object} error - The error object
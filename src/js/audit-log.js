@@ -0,0 +1,322 @@
+/**
+ * Audit Log Module
+ * Records who accessed which patient data: resource reads and searches,
+ * the patient read at launch and JSON exports. Entries are kept in
+ * localStorage (they outlive sign-out, unlike patient data), are shown on
+ * audit.html, and can be converted to FHIR AuditEvent resources and
+ * optionally POSTed to the FHIR server as they are recorded.
+ */
+
+import { createResource } from './api.js';
+import patientStore from './patient-store.js';
+
+const STORAGE_KEY = 'smartAuditLog';
+
+// Oldest entries are dropped beyond this many
+const MAX_ENTRIES = 1000;
+
+/**
+ * What was done with the data
+ */
+export const AuditAction = {
+  READ: 'read',
+  SEARCH: 'search',
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  EXPORT: 'export'
+};
+
+/**
+ * How an access ended
+ */
+export const AuditOutcome = {
+  SUCCESS: 'success',
+  FAILURE: 'failure'
+};
+
+// AuditEvent.action codes per action
+const AUDIT_EVENT_ACTIONS = {
+  [AuditAction.READ]: 'R',
+  [AuditAction.SEARCH]: 'E',
+  [AuditAction.CREATE]: 'C',
+  [AuditAction.UPDATE]: 'U',
+  [AuditAction.DELETE]: 'D',
+  [AuditAction.EXPORT]: 'R'
+};
+
+// RESTful interaction (AuditEvent.subtype) per action
+const RESTFUL_INTERACTIONS = {
+  [AuditAction.READ]: 'read',
+  [AuditAction.SEARCH]: 'search-type',
+  [AuditAction.CREATE]: 'create',
+  [AuditAction.UPDATE]: 'update',
+  [AuditAction.DELETE]: 'delete'
+};
+
+const REQUEST_ACTIONS = {
+  POST: AuditAction.CREATE,
+  PUT: AuditAction.UPDATE,
+  DELETE: AuditAction.DELETE
+};
+
+const APPLICATION_NAME = 'GigaTECH SMART on FHIR Allergy Display';
+
+/**
+ * Keeps the audit entries and, when enabled, sends them to the FHIR server
+ */
+class AuditLog {
+  constructor() {
+    this._entries = null;
+    // Entries that could not be written to storage yet
+    this._unsaved = [];
+    this._user = null;
+    this._serverUrl = '';
+    this._upload = false;
+  }
+
+  /**
+   * Set who is signed in and where AuditEvents go
+   * @param {Object} options - { user (fhirUser), serverUrl, upload }
+   */
+  configure({ user = null, serverUrl = '', upload = false } = {}) {
+    this._user = user;
+    this._serverUrl = serverUrl;
+    this._upload = upload;
+  }
+
+  /**
+   * Record an access. The user defaults to the configured fhirUser and the
+   * patient to the current patient context.
+   * @param {Object} event - { action, resourceType, patientId, outcome, source, count, detail }
+   * @returns {Object} The stored entry
+   */
+  record(event) {
+    const entry = {
+      id: createEntryId(),
+      recorded: new Date().toISOString(),
+      action: event.action,
+      user: event.user ?? this._user,
+      patientId: event.patientId || patientStore.getPatientId(),
+      resourceType: event.resourceType || null,
+      outcome: event.outcome || AuditOutcome.SUCCESS,
+      source: event.source || null,
+      count: event.count ?? null,
+      detail: event.detail || null,
+      uploaded: this._upload ? false : null
+    };
+
+    const entries = this._load();
+    entries.push(entry);
+    entries.splice(0, Math.max(entries.length - MAX_ENTRIES, 0));
+    if (!this._save()) {
+      this._unsaved.push(entry);
+    }
+
+    if (this._upload) {
+      this._uploadEntry(entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Get the recorded entries, oldest first
+   * @returns {Array} Audit entries
+   */
+  getEntries() {
+    return [...this._load()];
+  }
+
+  /**
+   * Forget all entries (for testing; the app never clears the log)
+   */
+  reset() {
+    this._entries = [];
+    this._unsaved = [];
+    this._save();
+  }
+
+  /**
+   * POST an entry as an AuditEvent; failures are noted on the entry, not thrown
+   * @private
+   */
+  async _uploadEntry(entry) {
+    try {
+      // audit: false keeps the upload itself out of the log
+      await createResource('AuditEvent', toAuditEvent(entry), { serverUrl: this._serverUrl, audit: false });
+    } catch (error) {
+      console.warn('Could not send AuditEvent to the FHIR server:', error.message || error);
+      return;
+    }
+
+    entry.uploaded = true;
+    const stored = this._load().find(candidate => candidate.id === entry.id);
+    if (stored) {
+      stored.uploaded = true;
+      this._save();
+    }
+  }
+
+  /**
+   * Read the entries. Storage is re-read every time, since other tabs of the
+   * application append to the same log. Entries this page could not store
+   * are merged back in, so a failed write does not lose them.
+   * @private
+   */
+  _load() {
+    const storage = getStorage();
+
+    if (storage) {
+      let stored;
+      try {
+        stored = JSON.parse(storage.getItem(STORAGE_KEY) || '[]');
+      } catch (error) {
+        console.warn('Discarding unreadable audit log:', error);
+        stored = [];
+      }
+
+      const storedIds = new Set(stored.map(entry => entry.id));
+      this._entries = stored
+        .concat(this._unsaved.filter(entry => !storedIds.has(entry.id)))
+        .sort((a, b) => a.recorded.localeCompare(b.recorded));
+      this._entries.splice(0, Math.max(this._entries.length - MAX_ENTRIES, 0));
+    } else if (!this._entries) {
+      this._entries = [];
+    }
+
+    return this._entries;
+  }
+
+  /**
+   * @private
+   * @returns {boolean} False if the entries could not be written
+   */
+  _save() {
+    try {
+      getStorage()?.setItem(STORAGE_KEY, JSON.stringify(this._entries));
+    } catch (error) {
+      // Quota exceeded or storage disabled: entries stay in memory for this page
+      console.warn('Could not store the audit log:', error);
+      return false;
+    }
+
+    this._unsaved = [];
+    return true;
+  }
+}
+
+/**
+ * localStorage, if the browser allows it
+ * @returns {Storage|null} Storage or null
+ */
+function getStorage() {
+  try {
+    return typeof localStorage === 'undefined' ? null : localStorage;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @returns {string} Unique entry ID
+ */
+function createEntryId() {
+  return typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+}
+
+/**
+ * Work out what a FHIR REST request accesses
+ * @param {string} endpoint - Request URL (absolute or relative)
+ * @param {string} method - HTTP method
+ * @returns {Object} { action, resourceType, patientId } (patientId null when the URL does not say)
+ */
+export function describeRequest(endpoint, method = 'GET') {
+  const url = new URL(endpoint, 'http://localhost');
+  const segments = url.pathname.split('/').filter(Boolean);
+  const typeIndex = segments.findLastIndex(segment => /^[A-Z][A-Za-z]+$/.test(segment));
+  const resourceType = typeIndex >= 0 ? segments[typeIndex] : null;
+  const id = typeIndex >= 0 ? segments[typeIndex + 1] || null : null;
+
+  const action = REQUEST_ACTIONS[method.toUpperCase()] || (id ? AuditAction.READ : AuditAction.SEARCH);
+
+  const patientParam = url.searchParams.get('patient') || url.searchParams.get('subject');
+  let patientId = patientParam ? patientParam.replace(/^Patient\//, '') : null;
+  if (!patientId && resourceType === 'Patient' && id) {
+    patientId = id;
+  }
+
+  return { action, resourceType, patientId };
+}
+
+/**
+ * Convert an audit entry to a FHIR R4 AuditEvent
+ * @param {Object} entry - Entry from auditLog
+ * @returns {Object} AuditEvent resource
+ */
+export function toAuditEvent(entry) {
+  const isExport = entry.action === AuditAction.EXPORT;
+  const interaction = RESTFUL_INTERACTIONS[entry.action];
+
+  const entities = [];
+  if (entry.patientId) {
+    entities.push({
+      what: { reference: `Patient/${entry.patientId}` },
+      type: { system: 'http://terminology.hl7.org/CodeSystem/audit-entity-type', code: '1', display: 'Person' },
+      role: { system: 'http://terminology.hl7.org/CodeSystem/object-role', code: '1', display: 'Patient' }
+    });
+  }
+  if (entry.resourceType && entry.resourceType !== 'Patient') {
+    entities.push({
+      type: { system: 'http://terminology.hl7.org/CodeSystem/audit-entity-type', code: '2', display: 'System Object' },
+      name: entry.resourceType,
+      ...(entry.count !== null && entry.count !== undefined && { description: `${entry.count} resource(s)` })
+    });
+  }
+
+  return {
+    resourceType: 'AuditEvent',
+    type: isExport
+      ? { system: 'http://dicom.nema.org/resources/ontology/DCM', code: '110106', display: 'Export' }
+      : { system: 'http://terminology.hl7.org/CodeSystem/audit-event-type', code: 'rest', display: 'RESTful Operation' },
+    ...(interaction && { subtype: [{ system: 'http://hl7.org/fhir/restful-interaction', code: interaction }] }),
+    action: AUDIT_EVENT_ACTIONS[entry.action] || 'E',
+    recorded: entry.recorded,
+    outcome: entry.outcome === AuditOutcome.SUCCESS ? '0' : '8',
+    ...(entry.outcome !== AuditOutcome.SUCCESS && entry.detail && { outcomeDesc: entry.detail }),
+    agent: [{
+      who: entry.user ? { reference: entry.user } : { display: 'Unidentified user' },
+      requestor: true
+    }],
+    source: {
+      observer: { display: APPLICATION_NAME },
+      type: [{ system: 'http://terminology.hl7.org/CodeSystem/security-source-type', code: '1', display: 'End-user display device, diagnostic display' }]
+    },
+    ...(entities.length > 0 && { entity: entities })
+  };
+}
+
+/**
+ * Bundle audit entries as AuditEvents, e.g. for download
+ * @param {Array} entries - Entries from auditLog.getEntries()
+ * @returns {Object} Bundle of type collection
+ */
+export function toAuditEventBundle(entries) {
+  return {
+    resourceType: 'Bundle',
+    type: 'collection',
+    timestamp: new Date().toISOString(),
+    entry: entries.map(entry => ({ fullUrl: `urn:uuid:${entry.id}`, resource: toAuditEvent(entry) }))
+  };
+}
+
+// Create a singleton instance
+const auditLog = new AuditLog();
+
+// Export the singleton instance
+export default auditLog;
+
+// Also export the class for testing purposes
+export { AuditLog };
@@ -7,11 +7,23 @@
 
 // Import error handling utilities
 import { createError, displayErrorToUser, PatientContextError, ApiError } from './error-handler.js';
+import { getDeniedScopes } from './smart-scopes.js';
+import { loadClientConfig } from './app-config.js';
+import { fetchBffSession } from './bff-session.js';
+import { setEncryptedItem, getEncryptedItem } from './secure-storage.js';
 
 // Storage key constants for better maintainability
 const AUTH_STORAGE_KEY = 'smartAuthState';
+// sessionStorage key under which fhirclient names its launch state
+const FHIRCLIENT_STATE_KEY = 'SMART_KEY';
 const TOKEN_REFRESH_THRESHOLD = 5 * 60 * 1000; // 5 minutes in milliseconds
 
+// Client from the current launch, used to refresh its token
+let activeClient = null;
+// Timer for the next proactive refresh and the refresh in progress, if any
+let refreshTimer = null;
+let refreshPromise = null;
+
 // Authentication error types
 const AuthError = {
   EXPIRED_TOKEN: 'EXPIRED_TOKEN',
@@ -20,6 +32,8 @@ const AuthError = {
   SERVER_ERROR: 'AUTH_SERVER_ERROR',
   UNAUTHORIZED: 'UNAUTHORIZED',
   INVALID_SCOPE: 'INVALID_SCOPE',
+  DISCOVERY_FAILED: 'DISCOVERY_FAILED',
+  UNSUPPORTED_SERVER: 'UNSUPPORTED_SERVER',
   UNKNOWN: 'UNKNOWN_AUTH_ERROR'
 };
 
@@ -29,10 +43,27 @@ const AuthError = {
  */
 const authorize = async () => {
   try {
+    // With server.js --bff the server holds the tokens; use its session instead
+    const config = await loadClientConfig();
+    if (config.bff) {
+      return await authorizeWithBff();
+    }
+    
     // Check if we already have a valid token that doesn't need refreshing
-    if (isAuthenticated(true)) {
+    if (await isAuthenticated(true)) {
       console.log('Using existing valid token');
-      return await recreateClientFromStorage();
+      activeClient = await recreateClientFromStorage();
+      await scheduleTokenRefresh();
+      return activeClient;
+    }
+    
+    // On a reload with an expiring or expired token, renew it: fhirclient's own
+    // launch state is gone (see detachLaunchState), so ready() only works on the
+    // redirect back from the authorization server
+    if (!isAuthorizationRedirect() && await canRefreshToken()) {
+      console.log('Renewing the stored token');
+      activeClient = await recreateClientFromStorage();
+      return await refreshAuthToken();
     }
     
     // Complete the SMART authorization flow initiated in launch.html
@@ -40,17 +71,21 @@ const authorize = async () => {
     console.log('Successfully authenticated with FHIR server');
     
     // Store auth state in session storage
-    storeAuthState(client);
+    await storeAuthState(client);
+    detachLaunchState(client);
     
     // Update auth status UI if available
     updateAuthStatusUI('authenticated');
     
+    activeClient = client;
+    await scheduleTokenRefresh();
+    
     return client;
   } catch (error) {
     console.error('Authentication error:', error);
     
-    // Format error using the error handler module
-    const formattedError = formatAuthError(error);
+    // Format error using the error handler module, unless it is already structured
+    const formattedError = error.type && error.details ? error : formatAuthError(error);
     
     // Display error using the enhanced error display function
     displayErrorToUser(formattedError, 'error-container', {
@@ -67,10 +102,68 @@ const authorize = async () => {
 };
 
 /**
- * Store authentication state in session storage with enhanced security
+ * Check whether the page was loaded as the redirect from the authorization server
+ * @returns {boolean} True when the URL carries the authorization response (code and state)
+ */
+const isAuthorizationRedirect = () => {
+  const params = new URLSearchParams(globalThis.location?.search || '');
+  return params.has('code') && params.has('state');
+};
+
+/**
+ * Complete authorization through the BFF session: the browser gets a client
+ * pointed at the server's FHIR proxy, without an access token of its own
+ * @returns {Promise<Object>} The FHIR client instance
+ */
+const authorizeWithBff = async () => {
+  const session = await fetchBffSession();
+  
+  if (!session) {
+    throw createError(
+      AuthError.MISSING_TOKEN,
+      'No session was found on the server.',
+      { help: 'Please launch the application from your EHR (or from standalone.html) to sign in.' }
+    );
+  }
+  
+  await storeBffAuthState(session);
+  console.log('Using the server session (BFF mode)');
+  
+  updateAuthStatusUI('authenticated');
+  activeClient = await recreateClientFromStorage();
+  return activeClient;
+};
+
+/**
+ * Store the BFF session details in session storage; it holds no tokens
+ * @param {Object} session - Session from fetchBffSession()
+ * @returns {Promise<void>}
+ */
+const storeBffAuthState = async (session) => {
+  const authData = {
+    bff: true,
+    serverUrl: session.serverUrl,
+    // FHIR requests go to the server's proxy, which adds the access token
+    fhirBaseUrl: session.fhirBaseUrl,
+    patientId: session.patient,
+    fhirUser: session.fhirUser || null,
+    requestedScope: session.requestedScope || null,
+    grantedScope: session.scope || null,
+    deniedScopes: getDeniedScopes(session.requestedScope, session.scope),
+    hasRefreshToken: Boolean(session.hasRefreshToken),
+    tokenExpiration: new Date(session.expiresAt).getTime(),
+    tokenTimestamp: new Date().getTime()
+  };
+  
+  await setEncryptedItem(AUTH_STORAGE_KEY, authData);
+};
+
+/**
+ * Store authentication state in session storage, encrypted (see secure-storage.js)
  * @param {Object} client - The FHIR client instance with authentication context
+ * @returns {Promise<void>}
  */
-const storeAuthState = (client) => {
+const storeAuthState = async (client) => {
   try {
     if (!client || !client.state || !client.state.tokenResponse) {
       throw new Error('Invalid client object for token storage');
@@ -91,17 +184,30 @@ const storeAuthState = (client) => {
       },
       // Server information
       serverUrl: client.state.serverUrl,
+      // Needed to refresh the token from a client recreated from storage
+      tokenUri: client.state.tokenUri,
+      clientId: client.state.clientId,
+      // What was asked for and what the server actually granted
+      requestedScope: client.state.scope || null,
+      grantedScope: client.state.tokenResponse.scope || null,
+      deniedScopes: getDeniedScopes(client.state.scope, client.state.tokenResponse.scope),
       // Patient context if available
       patientId: client.patient?.id,
+      // Signed-in user (from the id_token, when openid and fhirUser were granted), for the audit log
+      fhirUser: client.getFhirUser?.() || null,
       // Calculate absolute expiration time for easier checking
       tokenExpiration: new Date().getTime() + (client.state.tokenResponse.expires_in * 1000),
       // Store when the token was obtained
       tokenTimestamp: new Date().getTime()
     };
     
+    if (authData.deniedScopes.length > 0) {
+      console.warn('Scopes requested but not granted:', authData.deniedScopes.join(' '));
+    }
+    
     // Store in session storage (more secure than localStorage for auth data)
-    sessionStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(authData));
-    console.log('Auth state securely stored in session storage');
+    await setEncryptedItem(AUTH_STORAGE_KEY, authData);
+    console.log('Auth state encrypted and stored in session storage');
   } catch (error) {
     console.error('Error storing auth state:', error);
     throw new Error(`Failed to store authentication state: ${error.message}`);
@@ -109,18 +215,18 @@ const storeAuthState = (client) => {
 };
 
 /**
- * Retrieve authentication state from session storage
- * @returns {Object|null} The stored authentication state or null if not found
+ * Retrieve and decrypt authentication state from session storage. State that
+ * fails to decrypt (changed, corrupted or encrypted with another key) is
+ * cleared and treated as logged out.
+ * @returns {Promise<Object|null>} The stored authentication state or null if not found
  */
-const getAuthState = () => {
+const getAuthState = async () => {
   try {
-    const authState = sessionStorage.getItem(AUTH_STORAGE_KEY);
-    if (!authState) return null;
+    const parsedState = await getEncryptedItem(AUTH_STORAGE_KEY);
+    if (!parsedState) return null;
     
-    const parsedState = JSON.parse(authState);
-    
-    // Validate the structure of the stored auth state
-    if (!parsedState.tokenResponse || !parsedState.tokenResponse.access_token) {
+    // Validate the structure of the stored auth state; BFF state has no token
+    if (!parsedState.bff && (!parsedState.tokenResponse || !parsedState.tokenResponse.access_token)) {
       console.warn('Invalid auth state structure in storage');
       clearAuthState(); // Clear invalid state
       return null;
@@ -128,8 +234,8 @@ const getAuthState = () => {
     
     return parsedState;
   } catch (error) {
-    console.error('Error retrieving auth state:', error);
-    clearAuthState(); // Clear potentially corrupted state
+    console.error('Error retrieving auth state:', error.message || error);
+    clearAuthState(); // Clear potentially corrupted or tampered state
     return null;
   }
 };
@@ -137,13 +243,16 @@ const getAuthState = () => {
 /**
  * Check if the user is currently authenticated
  * @param {boolean} checkRefreshNeeded - If true, also checks if token needs refreshing soon
- * @returns {boolean} True if authenticated with a non-expired token
+ * @returns {Promise<boolean>} True if authenticated with a non-expired token
  */
-const isAuthenticated = (checkRefreshNeeded = false) => {
+const isAuthenticated = async (checkRefreshNeeded = false) => {
   try {
-    const authState = getAuthState();
+    const authState = await getAuthState();
     if (!authState) return false;
     
+    // The BFF renews its own token when it holds a refresh token
+    if (authState.bff && authState.hasRefreshToken) return true;
+    
     // Check if token is expired
     const currentTime = new Date().getTime();
     const isValid = authState.tokenExpiration > currentTime;
@@ -166,15 +275,32 @@ const isAuthenticated = (checkRefreshNeeded = false) => {
  */
 const recreateClientFromStorage = async () => {
   try {
-    const authState = getAuthState();
+    const authState = await getAuthState();
     if (!authState) {
       throw new Error('No authentication state available');
     }
     
-    // Create a new client using the stored state
+    // A BFF client sends requests to the proxy without an Authorization header
+    if (authState.bff) {
+      return FHIR.client({
+        serverUrl: authState.fhirBaseUrl,
+        scope: authState.requestedScope,
+        tokenResponse: { patient: authState.patientId, scope: authState.grantedScope },
+        patientId: authState.patientId
+      });
+    }
+    
+    // Create a new client using the stored state; the client reads the
+    // patient context from the token response
     return FHIR.client({
       serverUrl: authState.serverUrl,
-      tokenResponse: authState.tokenResponse,
+      tokenUri: authState.tokenUri,
+      clientId: authState.clientId,
+      scope: authState.requestedScope,
+      tokenResponse: {
+        ...authState.tokenResponse,
+        ...(authState.patientId && { patient: authState.patientId })
+      },
       patientId: authState.patientId
     });
   } catch (error) {
@@ -183,15 +309,114 @@ const recreateClientFromStorage = async () => {
   }
 };
 
+/**
+ * Check whether the stored token can be refreshed
+ * @returns {Promise<boolean>} True if a refresh token and token endpoint are available
+ */
+const canRefreshToken = async () => {
+  const authState = await getAuthState();
+  // BFF tokens are refreshed by the server
+  return Boolean(!authState?.bff && authState?.tokenResponse?.refresh_token && authState.tokenUri);
+};
+
+/**
+ * Refresh the access token using the refresh token. Concurrent callers share
+ * one request. On failure the session is marked unauthenticated and the user
+ * is asked to relaunch.
+ * @returns {Promise<Object>} The FHIR client with the new token
+ */
+const refreshAuthToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = performTokenRefresh().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+/**
+ * Run a token refresh and store the result
+ * @returns {Promise<Object>} The FHIR client with the new token
+ */
+const performTokenRefresh = async () => {
+  try {
+    if (!(await canRefreshToken())) {
+      throw new Error('No refresh token available');
+    }
+    
+    const client = activeClient || await recreateClientFromStorage();
+    await client.refresh();
+    
+    activeClient = client;
+    await storeAuthState(client);
+    detachLaunchState(client);
+    updateAuthStatusUI('authenticated');
+    console.log('Access token refreshed');
+    
+    await scheduleTokenRefresh();
+    return client;
+  } catch (error) {
+    console.error('Token refresh failed:', error);
+    stopTokenRefreshScheduler();
+    
+    const formattedError = createError(
+      AuthError.EXPIRED_TOKEN,
+      'Your session has expired and could not be renewed.',
+      {
+        originalError: error.message,
+        help: 'Please relaunch the application from your EHR (or from standalone.html) to sign in again.'
+      }
+    );
+    
+    displayAuthError(formattedError);
+    throw formattedError;
+  }
+};
+
+/**
+ * Schedule a refresh shortly before the current token expires. Does nothing
+ * when no refresh token was issued.
+ * @returns {Promise<void>}
+ */
+const scheduleTokenRefresh = async () => {
+  stopTokenRefreshScheduler();
+  
+  const authState = await getAuthState();
+  if (!(await canRefreshToken()) || !authState.tokenExpiration) return;
+  
+  // Refresh TOKEN_REFRESH_THRESHOLD before expiry, or halfway through short-lived tokens
+  const lifetime = authState.tokenExpiration - (authState.tokenTimestamp || Date.now());
+  const lead = Math.min(TOKEN_REFRESH_THRESHOLD, lifetime / 2);
+  const delay = Math.max(authState.tokenExpiration - lead - Date.now(), 0);
+  
+  // Another call may have scheduled a refresh while the state was decrypted
+  stopTokenRefreshScheduler();
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    // Failures are reported to the user by performTokenRefresh
+    refreshAuthToken().catch(() => {});
+  }, delay);
+};
+
+/**
+ * Cancel the scheduled refresh
+ */
+const stopTokenRefreshScheduler = () => {
+  if (refreshTimer) {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+  }
+};
+
 /**
  * Add authorization headers to a fetch request
  * @param {Object} requestOptions - The fetch request options
- * @returns {Object} Updated request options with authorization headers
+ * @returns {Promise<Object>} Updated request options with authorization headers
  */
-const addAuthToRequest = (requestOptions = {}) => {
+const addAuthToRequest = async (requestOptions = {}) => {
   try {
     // Check authentication status first
-    if (!isAuthenticated()) {
+    if (!(await isAuthenticated())) {
       const error = createError(
         AuthError.EXPIRED_TOKEN,
         'Not authenticated or token expired',
@@ -200,7 +425,13 @@ const addAuthToRequest = (requestOptions = {}) => {
       throw error;
     }
     
-    const authState = getAuthState();
+    const authState = await getAuthState();
+    
+    // The BFF proxy adds the token; the browser only sends its session cookie
+    if (authState?.bff) {
+      return { ...requestOptions, credentials: 'same-origin' };
+    }
+    
     if (!authState || !authState.tokenResponse) {
       const error = createError(
         AuthError.MISSING_TOKEN,
@@ -232,10 +463,42 @@ const addAuthToRequest = (requestOptions = {}) => {
   }
 };
 
+/**
+ * Remove the launch state fhirclient keeps in sessionStorage; otherwise
+ * FHIR.oauth2.ready() would restore the session on the next page load
+ */
+const clearLaunchState = () => {
+  try {
+    const stateKey = JSON.parse(sessionStorage.getItem(FHIRCLIENT_STATE_KEY) || 'null');
+    if (stateKey) {
+      sessionStorage.removeItem(stateKey);
+    }
+    sessionStorage.removeItem(FHIRCLIENT_STATE_KEY);
+  } catch (error) {
+    console.warn('Could not clear the launch state:', error);
+  }
+};
+
+/**
+ * Drop fhirclient's own copy of the launch state, which holds the tokens as
+ * plain JSON, once they are stored encrypted. Without a state key the client
+ * no longer writes its state back to sessionStorage when it refreshes.
+ * @param {Object} client - The FHIR client instance
+ */
+const detachLaunchState = (client) => {
+  if (client.state?.key) {
+    sessionStorage.removeItem(client.state.key);
+    delete client.state.key;
+  }
+  clearLaunchState();
+};
+
 /**
  * Clear authentication state from session storage
  */
 const clearAuthState = () => {
+  stopTokenRefreshScheduler();
+  activeClient = null;
   try {
     sessionStorage.removeItem(AUTH_STORAGE_KEY);
     console.log('Auth state cleared from session storage');
@@ -404,19 +667,35 @@ const updateAuthStatusUI = (status) => {
 
 /**
  * Get token information for debugging
- * @returns {Object} Token information with sensitive parts redacted
+ * @returns {Promise<Object>} Token information with sensitive parts redacted
  */
-const getTokenInfo = () => {
+const getTokenInfo = async () => {
   try {
-    const authState = getAuthState();
-    if (!authState || !authState.tokenResponse) {
+    const authState = await getAuthState();
+    if (!authState || (!authState.bff && !authState.tokenResponse)) {
       return { status: 'No token available' };
     }
     
+    if (authState.bff) {
+      return {
+        tokenType: 'Server session (BFF)',
+        scope: authState.grantedScope,
+        requestedScope: authState.requestedScope,
+        deniedScopes: authState.deniedScopes || [],
+        hasRefreshToken: authState.hasRefreshToken,
+        expirationTime: new Date(authState.tokenExpiration).toISOString(),
+        timeRemaining: Math.floor((authState.tokenExpiration - new Date().getTime()) / 1000) + ' seconds',
+        serverUrl: authState.serverUrl,
+        bff: true
+      };
+    }
+    
     // Return token info with sensitive parts redacted
     return {
       tokenType: authState.tokenResponse.token_type,
       scope: authState.tokenResponse.scope,
+      requestedScope: authState.requestedScope || null,
+      deniedScopes: authState.deniedScopes || [],
       expiresIn: authState.tokenResponse.expires_in,
       hasRefreshToken: !!authState.tokenResponse.refresh_token,
       expirationTime: new Date(authState.tokenExpiration).toISOString(),
@@ -436,10 +715,15 @@ export {
   getAuthState,
   addAuthToRequest,
   clearAuthState,
+  clearLaunchState,
   handleAuthError,
   formatAuthError,
   displayAuthError,
   updateAuthStatusUI,
   getTokenInfo,
+  canRefreshToken,
+  refreshAuthToken,
+  scheduleTokenRefresh,
+  stopTokenRefreshScheduler,
   AuthError
 };
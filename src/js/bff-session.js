@@ -0,0 +1,67 @@
+/**
+ * BFF Session Module
+ * Browser side of the backend-for-frontend in smart-bff.js: when server.js
+ * runs with --bff, the server does the SMART token exchange and the browser
+ * holds only an HttpOnly session cookie. Launches are started through the
+ * server and FHIR requests go to its proxy, which adds the access token.
+ */
+
+/**
+ * Path prefix of the BFF endpoints served by server.js
+ */
+export const BFF_BASE_PATH = '/bff';
+
+/**
+ * Build the URL that starts a launch through the BFF
+ * @param {Object} params - Launch parameters
+ * @param {string} params.iss - FHIR base URL
+ * @param {string} params.launch - EHR launch token; omitted for standalone launches
+ * @param {string} params.scope - Scope to request
+ * @returns {string} Launch URL
+ */
+export function getBffLaunchUrl({ iss, launch = null, scope = null }) {
+  const params = new URLSearchParams({ iss });
+  if (launch) params.set('launch', launch);
+  if (scope) params.set('scope', scope);
+  return `${BFF_BASE_PATH}/launch?${params}`;
+}
+
+/**
+ * Start a launch through the BFF; the browser leaves the page
+ * @param {Object} params - Launch parameters (see getBffLaunchUrl)
+ */
+export function startBffLaunch(params) {
+  window.location.assign(getBffLaunchUrl(params));
+}
+
+/**
+ * Get the session the BFF holds for this browser
+ * @returns {Promise<Object|null>} Session ({ serverUrl, fhirBaseUrl, patient, requestedScope,
+ *   scope, hasRefreshToken, expiresAt }), or null when not signed in
+ * @throws {Error} When the BFF cannot be reached
+ */
+export async function fetchBffSession() {
+  const response = await fetch(`${BFF_BASE_PATH}/session`, {
+    credentials: 'same-origin',
+    cache: 'no-store',
+    headers: { Accept: 'application/json' }
+  });
+
+  if (response.status === 401) {
+    return null;
+  }
+
+  if (!response.ok) {
+    throw new Error(`BFF session request failed with HTTP ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * End the BFF session; the server forgets the tokens and clears the cookie
+ * @returns {Promise<void>}
+ */
+export async function endBffSession() {
+  await fetch(`${BFF_BASE_PATH}/logout`, { method: 'POST', credentials: 'same-origin' });
+}
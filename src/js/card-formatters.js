@@ -0,0 +1,356 @@
+/**
+ * Card Formatters Module
+ * Renders normalized FHIR resources as HTML for the expandable resource cards
+ */
+
+/**
+ * Format allergy content
+ * @param {Object} allergy - Normalized AllergyIntolerance resource
+ * @returns {string} Formatted HTML content
+ */
+export function formatAllergyContent(allergy) {
+  // Handle different code structure formats
+  const allergyName = allergy.substance?.display || 
+                     allergy.code?.display || 
+                     allergy.code?.text || 
+                     (typeof allergy.code === 'string' ? allergy.code : 'Unknown Substance');
+  
+  return `
+    <div class="allergy-item">
+      <h4>${allergyName}</h4>
+      <p><strong>Category:</strong> ${Array.isArray(allergy.category) ? allergy.category.join(', ') : allergy.category || 'Unknown'}</p>
+      <p><strong>Status:</strong> ${formatAllergyStatus(allergy)}</p>
+      <p><strong>Criticality:</strong> ${allergy.criticality || 'Unknown'}</p>
+      ${allergy.reactions && allergy.reactions.length > 0 ? 
+        `<p><strong>Reaction:</strong> ${allergy.reactions.map(formatManifestations).join(', ')}</p>` : 
+        ''}
+      ${allergy.recordedDate && allergy.recordedDate !== 'Unknown' ? `<p><strong>Recorded:</strong> ${formatDate(allergy.recordedDate)}</p>` : ''}
+      ${Array.isArray(allergy.note) && allergy.note.length > 0 ? 
+        `<ul class="allergy-notes" aria-label="Notes">${allergy.note.map(formatAllergyNote).join('')}</ul>` : 
+        ''}
+    </div>
+  `;
+}
+
+/**
+ * Format the clinical and verification status of an allergy
+ * @param {Object} allergy - Normalized allergy
+ * @returns {string} Status text, e.g. "active (confirmed)"
+ */
+function formatAllergyStatus(allergy) {
+  const known = status => status && status !== 'unknown';
+
+  if (allergy.verificationStatus === 'entered-in-error') {
+    return 'entered in error';
+  }
+  if (!known(allergy.clinicalStatus)) {
+    return known(allergy.verificationStatus) ? allergy.verificationStatus : 'Unknown';
+  }
+  return known(allergy.verificationStatus)
+    ? `${allergy.clinicalStatus} (${allergy.verificationStatus})`
+    : allergy.clinicalStatus;
+}
+
+/**
+ * Format an allergy note with its time and author
+ * @param {Object} note - Normalized note
+ * @returns {string} Formatted HTML list item
+ */
+function formatAllergyNote(note) {
+  const author = note.author?.display || note.author?.reference;
+  const byline = [note.time ? formatDate(note.time) : null, author].filter(Boolean).map(escapeHtml).join(', ');
+
+  return `<li>${escapeHtml(note.text)}${byline ? ` <span class="allergy-note-byline">${byline}</span>` : ''}</li>`;
+}
+
+/**
+ * Format the manifestations of an allergy reaction
+ * @param {Object} reaction - Normalized reaction
+ * @returns {string} Manifestation text
+ */
+function formatManifestations(reaction) {
+  if (Array.isArray(reaction.manifestation) && reaction.manifestation.length > 0) {
+    return reaction.manifestation.map(m => m.display || m.text).filter(Boolean).join(', ') || 'Unknown';
+  }
+
+  return typeof reaction.manifestation === 'string' ? reaction.manifestation : 'Unknown';
+}
+
+/**
+ * Format medication content
+ * @param {Object} medication - Medication resource
+ * @returns {string} Formatted HTML content
+ */
+export function formatMedicationContent(medication) {
+  return `
+    <div class="allergy-item">
+      <h4>${medication.medicationDisplay || 'Unknown Medication'}</h4>
+      <p><strong>Status:</strong> ${medication.status || 'Unknown'}</p>
+      <p><strong>Intent:</strong> ${medication.intent || 'Unknown'}</p>
+      ${medication.dosageInstructions && medication.dosageInstructions.length > 0 ? 
+        `<p><strong>Dosage:</strong> ${medication.dosageInstructions.join('; ')}</p>` : 
+        ''}
+      ${medication.dateWritten ? `<p><strong>Date Written:</strong> ${formatDate(medication.dateWritten)}</p>` : ''}
+      ${medication.prescriber ? `<p><strong>Prescriber:</strong> ${medication.prescriber.display || 'Unknown'}</p>` : ''}
+      ${medication.note ? `<p><strong>Note:</strong> ${medication.note}</p>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Format immunization content
+ * @param {Object} immunization - Immunization resource
+ * @returns {string} Formatted HTML content
+ */
+export function formatImmunizationContent(immunization) {
+  return `
+    <div class="immunization-item">
+      <h4>${immunization.vaccineDisplay || 'Unknown Vaccine'}</h4>
+      <p><strong>Status:</strong> ${immunization.status || 'Unknown'}</p>
+      <p><strong>Date:</strong> ${immunization.occurrenceDate ? formatDate(immunization.occurrenceDate) : 'Unknown'}</p>
+      ${immunization.manufacturer ? `<p><strong>Manufacturer:</strong> ${immunization.manufacturer}</p>` : ''}
+      ${immunization.lotNumber ? `<p><strong>Lot Number:</strong> ${immunization.lotNumber}</p>` : ''}
+      ${immunization.site ? `<p><strong>Site:</strong> ${immunization.site}</p>` : ''}
+      ${immunization.route ? `<p><strong>Route:</strong> ${immunization.route}</p>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Format medication request content
+ * @param {Object} medicationRequest - MedicationRequest resource
+ * @param {Array} allergyAlerts - Drug–allergy alerts for this medication request
+ * @returns {string} Formatted HTML content
+ */
+export function formatMedicationRequestContent(medicationRequest, allergyAlerts = []) {
+  // Get status class based on medication request status
+  const getStatusClass = (status) => {
+    switch(status?.toLowerCase()) {
+      case 'active': return 'status-active';
+      case 'completed': return 'status-completed';
+      case 'stopped': 
+      case 'cancelled': 
+      case 'on-hold': return 'status-stopped';
+      case 'draft': 
+      case 'entered-in-error': return 'status-draft';
+      default: return '';
+    }
+  };
+  
+  // Format dosage instructions
+  const formatDosage = (dosageInstructions) => {
+    if (!dosageInstructions || dosageInstructions.length === 0) {
+      return '';
+    }
+    
+    // Take the first dosage instruction (most common case)
+    const dosage = dosageInstructions[0];
+    let dosageText = '';
+    
+    // Add dosage text if available
+    if (typeof dosage === 'string') {
+      dosageText = dosage;
+    } else if (dosage.text) {
+      dosageText = dosage.text;
+    } else {
+      // Construct dosage from components if available
+      const doseQuantity = dosage.doseAndRate?.[0]?.doseQuantity;
+      const timing = dosage.timing?.code?.text || dosage.timing?.code?.coding?.[0]?.display;
+      const route = dosage.route?.coding?.[0]?.display;
+      
+      if (doseQuantity) {
+        dosageText += `${doseQuantity.value} ${doseQuantity.unit || ''}`;
+      }
+      
+      if (route) {
+        dosageText += dosageText ? ` ${route}` : route;
+      }
+      
+      if (timing) {
+        dosageText += dosageText ? ` ${timing}` : timing;
+      }
+    }
+    
+    return dosageText ? `<div class="dosage-instructions">${dosageText}</div>` : '';
+  };
+  
+  return `
+    <div class="medication-request-card">
+      ${formatDrugAllergyAlerts(allergyAlerts)}
+      <div class="medication-name">${medicationRequest.medicationDisplay || 'Unknown Medication'}</div>
+      
+      <div class="medication-status ${getStatusClass(medicationRequest.status)}">
+        ${medicationRequest.status || 'Unknown'}
+      </div>
+      
+      <div class="medication-details">
+        <div class="medication-detail-item">
+          <span class="detail-label">Prescribed:</span>
+          <span>${medicationRequest.authoredOn ? formatDate(medicationRequest.authoredOn) : 'Unknown'}</span>
+        </div>
+        
+        <div class="medication-detail-item">
+          <span class="detail-label">Prescriber:</span>
+          <span>${medicationRequest.requester ? medicationRequest.requester.display || 'Unknown' : 'Unknown'}</span>
+        </div>
+        
+        ${medicationRequest.dosageInstructions ? formatDosage(medicationRequest.dosageInstructions) : ''}
+        
+        ${medicationRequest.note ? `<div class="notes">${medicationRequest.note}</div>` : ''}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Format condition content
+ * @param {Object} condition - Normalized Condition resource
+ * @returns {string} Formatted HTML content
+ */
+export function formatConditionContent(condition) {
+  // Onset and abatement may be a date or free text (age, range, string)
+  const formatTiming = (timing) => {
+    if (!timing) return '';
+    if (timing.date) {
+      return timing.end ? `${formatDate(timing.date)} - ${formatDate(timing.end)}` : formatDate(timing.date);
+    }
+    return timing.text || '';
+  };
+  
+  const onset = formatTiming(condition.onset);
+  const abatement = formatTiming(condition.abatement);
+  
+  return `
+    <div class="condition-item">
+      <h4>${condition.display || 'Unknown Condition'}</h4>
+      <p>
+        <span class="condition-status condition-status-${condition.clinicalStatus || 'unknown'}">${condition.clinicalStatus || 'unknown'}</span>
+        <span class="condition-verification">(${condition.verificationStatus || 'unknown'})</span>
+      </p>
+      ${condition.category && condition.category.length > 0 ? `<p><strong>Category:</strong> ${condition.category.join(', ')}</p>` : ''}
+      ${condition.severity ? `<p><strong>Severity:</strong> ${condition.severity}</p>` : ''}
+      <p><strong>Onset:</strong> ${onset || 'Unknown'}</p>
+      ${abatement ? `<p><strong>Abatement:</strong> ${abatement}</p>` : ''}
+      ${condition.recordedDate ? `<p><strong>Recorded:</strong> ${formatDate(condition.recordedDate)}</p>` : ''}
+      ${condition.note && condition.note.length > 0 ? `<p><strong>Note:</strong> ${condition.note.map(n => n.text).filter(Boolean).join('; ')}</p>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Format observation content (vital signs and laboratory results)
+ * @param {Object} observation - Normalized Observation resource
+ * @returns {string} Formatted HTML content
+ */
+export function formatObservationContent(observation) {
+  // Render an abnormal flag badge from the interpretation code
+  const formatFlag = (flag) => {
+    if (!flag) return '';
+    const critical = ['HH', 'LL', 'AA'].includes(flag);
+    return `<span class="abnormal-flag ${critical ? 'abnormal-critical' : ''}" title="Abnormal result">${flag}</span>`;
+  };
+  
+  const rangeText = observation.referenceRange && observation.referenceRange.length > 0 ?
+    observation.referenceRange.map(range => range.text).filter(Boolean).join('; ') :
+    '';
+  
+  const componentRows = (observation.components || []).map(component => `
+    <tr class="${component.abnormalFlag ? 'abnormal-row' : ''}">
+      <td>${component.display}</td>
+      <td>${component.valueDisplay || ''} ${formatFlag(component.abnormalFlag)}</td>
+      <td>${component.referenceRange.map(range => range.text).filter(Boolean).join('; ')}</td>
+    </tr>
+  `).join('');
+  
+  return `
+    <div class="observation-item ${observation.abnormalFlag ? 'observation-abnormal' : ''}">
+      <h4>${observation.display || 'Unknown Observation'}</h4>
+      <p class="observation-value">
+        <strong>${observation.valueDisplay || 'No value recorded'}</strong>
+        ${formatFlag(observation.abnormalFlag)}
+      </p>
+      ${rangeText ? `<p><strong>Reference Range:</strong> ${rangeText}</p>` : ''}
+      ${observation.interpretation && observation.interpretation.length > 0 ? 
+        `<p><strong>Interpretation:</strong> ${observation.interpretation.map(i => i.display).join(', ')}</p>` : 
+        ''}
+      ${componentRows ? `
+        <table class="observation-components">
+          <thead><tr><th>Component</th><th>Value</th><th>Reference Range</th></tr></thead>
+          <tbody>${componentRows}</tbody>
+        </table>
+      ` : ''}
+      <p><strong>Date:</strong> ${observation.effectiveDate ? formatDate(observation.effectiveDate) : 'Unknown'}</p>
+      <p><strong>Status:</strong> ${observation.status || 'Unknown'}</p>
+      ${observation.loincCode ? `<p><strong>LOINC:</strong> ${observation.loincCode}</p>` : ''}
+      ${observation.performer ? `<p><strong>Performer:</strong> ${observation.performer.display}</p>` : ''}
+      ${observation.note ? `<p><strong>Note:</strong> ${observation.note}</p>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Format the drug–allergy alerts shown at the top of a medication request card
+ * @param {Array} alerts - Alerts from checkDrugAllergies for one medication request
+ * @returns {string} Formatted HTML content, empty when there are no alerts
+ */
+export function formatDrugAllergyAlerts(alerts) {
+  if (!alerts || alerts.length === 0) return '';
+  
+  return `
+    <div class="drug-allergy-alert" role="alert">
+      <strong>\u26A0 Allergy alert</strong>
+      <ul>
+        ${alerts.map(alert => `<li class="criticality-${escapeHtml(alert.criticality)}">${escapeHtml(alert.message)}${alert.criticality === 'high' ? ' <strong>High criticality.</strong>' : ''}</li>`).join('')}
+      </ul>
+    </div>
+  `;
+}
+
+/**
+ * Format the drug–allergy summary shown in the patient banner
+ * @param {Array} alerts - Alerts from checkDrugAllergies for the patient
+ * @returns {string} Formatted HTML content, empty when there are no alerts
+ */
+export function formatDrugAllergyBanner(alerts) {
+  if (!alerts || alerts.length === 0) return '';
+  
+  const medications = [...new Set(alerts.map(alert => alert.medicationDisplay))];
+  
+  return `
+    <div class="drug-allergy-banner" role="alert">
+      <strong>\u26A0 Allergy alert:</strong>
+      ${medications.length} active medication${medications.length === 1 ? '' : 's'} match${medications.length === 1 ? 'es' : ''} a recorded allergy:
+      ${medications.map(escapeHtml).join(', ')}. See Medication Requests.
+    </div>
+  `;
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text from a FHIR resource
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format date for display
+ * @param {string} dateString - Date string to format
+ * @returns {string} Formatted date string
+ */
+function formatDate(dateString) {
+  if (!dateString) return '';
+  
+  try {
+    const date = new Date(dateString);
+    return date.toLocaleDateString();
+  } catch (e) {
+    return dateString;
+  }
+}
@@ -0,0 +1,468 @@
+/**
+ * CDS Hooks Client Module
+ *
+ * Discovers the services of a CDS Hooks endpoint, calls them for the
+ * patient-view and order-select hooks with prefetch built from resources the
+ * application has already fetched, and renders the returned cards.
+ *
+ * No fhirAuthorization is sent: the access token never leaves the application,
+ * so services only see the prefetched data.
+ */
+
+import { createError } from './error-handler.js';
+
+/**
+ * Error types for CDS Hooks requests
+ */
+export const CdsHooksError = {
+  DISCOVERY_FAILED: 'CDS_DISCOVERY_FAILED',
+  SERVICE_FAILED: 'CDS_SERVICE_FAILED'
+};
+
+/**
+ * Hooks called by the application
+ */
+export const CdsHook = {
+  PATIENT_VIEW: 'patient-view',
+  ORDER_SELECT: 'order-select'
+};
+
+/**
+ * Card indicators, most urgent first
+ */
+export const CdsIndicator = {
+  CRITICAL: 'critical',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+// How long to wait for discovery or a service before giving up
+export const CDS_REQUEST_TIMEOUT = 10000;
+
+// Search parameters that do not change which resources match
+const NON_FILTER_PARAMS = ['_sort', '_count', '_include', '_revinclude', '_summary', '_elements'];
+
+// Card summaries longer than this are truncated (CDS Hooks limits them to 140 characters)
+const MAX_SUMMARY_LENGTH = 140;
+
+/**
+ * Client for one CDS Hooks discovery endpoint
+ */
+export class CdsHooksClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.discoveryUrl - Discovery endpoint, e.g. https://cds.example.org/cds-services
+   * @param {number} options.timeout - Request timeout in milliseconds
+   */
+  constructor({ discoveryUrl, timeout = CDS_REQUEST_TIMEOUT }) {
+    this.discoveryUrl = discoveryUrl.replace(/\/+$/, '');
+    this.timeout = timeout;
+    this._services = null;
+  }
+
+  /**
+   * Get the services listed at the discovery endpoint, once per client
+   * @returns {Promise<Array>} Service definitions ({ hook, id, title, description, prefetch })
+   */
+  getServices() {
+    if (!this._services) {
+      this._services = this._fetchJson(this.discoveryUrl, { method: 'GET' }, CdsHooksError.DISCOVERY_FAILED)
+        .then(body => (Array.isArray(body?.services) ? body.services : [])
+          .filter(service => service && typeof service.id === 'string' && typeof service.hook === 'string'))
+        .catch(error => {
+          // Allow a later call to retry discovery
+          this._services = null;
+          throw error;
+        });
+    }
+
+    return this._services;
+  }
+
+  /**
+   * Call every service registered for a hook
+   * @param {string} hook - Hook name (from CdsHook)
+   * @param {Object} context - Hook context (patientId, userId, ...)
+   * @param {Array} sources - Resources available for prefetch (see buildPrefetch)
+   * @returns {Promise<Object>} { cards, errors }: cards sorted by urgency, and failed services
+   */
+  async callHook(hook, context, sources = []) {
+    const services = (await this.getServices()).filter(service => service.hook === hook);
+    const results = await Promise.allSettled(services.map(service => this.callService(service, context, sources)));
+
+    const cards = [];
+    const errors = [];
+
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        cards.push(...result.value);
+      } else {
+        console.warn(`CDS service ${services[index].id} failed:`, result.reason);
+        errors.push(result.reason);
+      }
+    });
+
+    return { cards: sortCards(cards), errors };
+  }
+
+  /**
+   * Call one service
+   * @param {Object} service - Service definition from discovery
+   * @param {Object} context - Hook context
+   * @param {Array} sources - Resources available for prefetch
+   * @returns {Promise<Array>} Normalized cards
+   */
+  async callService(service, context, sources = []) {
+    const request = {
+      hook: service.hook,
+      hookInstance: createHookInstance(),
+      context,
+      prefetch: buildPrefetch(service.prefetch, context, sources)
+    };
+
+    const body = await this._fetchJson(
+      `${this.discoveryUrl}/${encodeURIComponent(service.id)}`,
+      { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(request) },
+      CdsHooksError.SERVICE_FAILED
+    );
+
+    return normalizeCards(body?.cards, service);
+  }
+
+  /**
+   * Send a request and parse the JSON response, within the timeout
+   */
+  async _fetchJson(url, init, errorType) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), this.timeout) : null;
+
+    try {
+      const response = await fetch(url, {
+        ...init,
+        headers: { Accept: 'application/json', ...init.headers },
+        signal: controller?.signal
+      });
+
+      if (!response.ok) {
+        throw createError(errorType, `CDS Hooks request failed: HTTP ${response.status}`, { url, status: response.status });
+      }
+
+      return await response.json();
+    } catch (error) {
+      if (error.type) {
+        throw error;
+      }
+
+      throw createError(errorType, `CDS Hooks request failed: ${error.message}`, { url, originalError: error });
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Build the prefetch for a service from resources the application already has
+ *
+ * Templates that cannot be resolved or matched are left out, as CDS Hooks
+ * allows; the service then has to do without that data.
+ *
+ * @param {Object} templates - Service prefetch templates, keyed by prefetch key
+ * @param {Object} context - Hook context used to fill in {{context.*}} tokens
+ * @param {Array} sources - { resourceType, id, resource } for reads, and
+ *   { resourceType, params, resources } for searches
+ * @returns {Object} Prefetch: resources for reads and searchset Bundles for searches
+ */
+export function buildPrefetch(templates, context, sources) {
+  const prefetch = {};
+
+  Object.entries(templates || {}).forEach(([key, template]) => {
+    const query = resolvePrefetchTemplate(template, context);
+    if (!query) return;
+
+    const { resourceType, id, params } = parseQuery(query);
+
+    if (id) {
+      const source = sources.find(candidate => candidate.resourceType === resourceType && candidate.id === id && candidate.resource);
+      if (source) prefetch[key] = source.resource;
+      return;
+    }
+
+    const source = sources.find(candidate => candidate.resourceType === resourceType &&
+      candidate.params && sameParams(params, normalizeParams(candidate.params)));
+
+    if (source) {
+      prefetch[key] = {
+        resourceType: 'Bundle',
+        type: 'searchset',
+        total: source.resources.length,
+        entry: source.resources.map(resource => ({ resource }))
+      };
+    }
+  });
+
+  return prefetch;
+}
+
+/**
+ * Fill in the tokens of a prefetch template
+ * @param {string} template - Template, e.g. "AllergyIntolerance?patient={{context.patientId}}"
+ * @param {Object} context - Hook context
+ * @returns {string|null} Query, or null when a token has no value
+ */
+export function resolvePrefetchTemplate(template, context) {
+  if (typeof template !== 'string') return null;
+
+  const userReference = typeof context?.userId === 'string' ? context.userId.split('/') : [];
+  let resolved = true;
+
+  const query = template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, token) => {
+    let value;
+
+    if (token.startsWith('context.')) {
+      value = context?.[token.slice('context.'.length)];
+    } else if (token === `user${userReference[0]}Id`) {
+      // {{userPractitionerId}}, {{userPatientId}}, ... from a userId of that type
+      value = userReference[1];
+    }
+
+    if (typeof value !== 'string' || value === '') {
+      resolved = false;
+      return '';
+    }
+
+    return encodeURIComponent(value);
+  });
+
+  return resolved ? query : null;
+}
+
+/**
+ * Create a prefetch source for a registry search
+ * @param {Object} definition - Resource registry entry (resourceType, defaultParams)
+ * @param {string} patientId - Patient the search was made for
+ * @param {Array} resources - Normalized resources, which must keep their original resource
+ * @returns {Object|null} Source, or null when the original resources are not available
+ */
+export function createSearchSource(definition, patientId, resources) {
+  const originals = resources.map(resource => resource.originalResource || resource.rawResource);
+
+  if (originals.some(original => !original)) {
+    return null;
+  }
+
+  return {
+    resourceType: definition.resourceType,
+    params: { patient: patientId, ...definition.defaultParams },
+    resources: originals
+  };
+}
+
+/**
+ * Normalize the cards returned by a service
+ * @param {Array} cards - Cards from the service response
+ * @param {Object} service - Service that returned them
+ * @returns {Array} Cards with a known indicator, a bounded summary and only web links
+ */
+export function normalizeCards(cards, service) {
+  if (!Array.isArray(cards)) return [];
+
+  return cards
+    .filter(card => card && typeof card.summary === 'string' && card.summary.trim() !== '')
+    .map(card => ({
+      uuid: card.uuid || null,
+      summary: card.summary.length > MAX_SUMMARY_LENGTH ? `${card.summary.slice(0, MAX_SUMMARY_LENGTH - 1)}…` : card.summary,
+      detail: typeof card.detail === 'string' ? card.detail : '',
+      indicator: Object.values(CdsIndicator).includes(card.indicator) ? card.indicator : CdsIndicator.INFO,
+      source: {
+        label: card.source?.label || service.title || service.id,
+        url: isWebUrl(card.source?.url) ? card.source.url : null
+      },
+      suggestions: (Array.isArray(card.suggestions) ? card.suggestions : [])
+        .filter(suggestion => suggestion && suggestion.label)
+        .map(suggestion => ({
+          label: suggestion.label,
+          actions: (suggestion.actions || []).map(action => ({ type: action.type, description: action.description || '' }))
+        })),
+      links: (Array.isArray(card.links) ? card.links : [])
+        .filter(link => link && link.label && isWebUrl(link.url))
+        .map(link => ({ label: link.label, url: link.url, type: link.type === 'smart' ? 'smart' : 'absolute' })),
+      hook: service.hook,
+      serviceId: service.id
+    }));
+}
+
+/**
+ * Sort cards by urgency, keeping the service order within each indicator
+ * @param {Array} cards - Normalized cards
+ * @returns {Array} Sorted copy
+ */
+export function sortCards(cards) {
+  const order = Object.values(CdsIndicator);
+  return [...cards].sort((a, b) => order.indexOf(a.indicator) - order.indexOf(b.indicator));
+}
+
+/**
+ * Render CDS cards into a container, hiding it when there are none
+ * @param {Array} cards - Normalized cards
+ * @param {string} containerId - ID of the container element
+ */
+export function displayCdsCards(cards, containerId = 'cds-cards') {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  container.replaceChildren(...cards.map(createCardElement));
+  container.hidden = cards.length === 0;
+}
+
+/**
+ * Build the element for one card
+ */
+function createCardElement(card) {
+  const element = document.createElement('article');
+  element.className = `cds-card cds-card-${card.indicator}`;
+  if (card.indicator === CdsIndicator.CRITICAL) {
+    element.setAttribute('role', 'alert');
+  }
+
+  const header = document.createElement('div');
+  header.className = 'cds-card-header';
+
+  const indicator = document.createElement('span');
+  indicator.className = 'cds-indicator';
+  indicator.textContent = card.indicator;
+
+  const summary = document.createElement('strong');
+  summary.className = 'cds-summary';
+  summary.textContent = card.summary;
+
+  const dismiss = document.createElement('button');
+  dismiss.type = 'button';
+  dismiss.className = 'cds-dismiss';
+  dismiss.textContent = 'Dismiss';
+  dismiss.setAttribute('aria-label', `Dismiss: ${card.summary}`);
+  dismiss.addEventListener('click', () => {
+    const container = element.parentElement;
+    element.remove();
+    if (container && container.children.length === 0) {
+      container.hidden = true;
+    }
+  });
+
+  header.append(indicator, summary, dismiss);
+  element.appendChild(header);
+
+  // Detail is markdown; it is shown as plain text
+  card.detail.split(/\n\s*\n/).filter(Boolean).forEach(paragraph => {
+    const detail = document.createElement('p');
+    detail.className = 'cds-detail';
+    detail.textContent = paragraph;
+    element.appendChild(detail);
+  });
+
+  if (card.suggestions.length > 0) {
+    const list = document.createElement('ul');
+    list.className = 'cds-suggestions';
+    card.suggestions.forEach(suggestion => {
+      const item = document.createElement('li');
+      const descriptions = suggestion.actions.map(action => action.description).filter(Boolean);
+      item.textContent = descriptions.length > 0 ? `${suggestion.label} (${descriptions.join('; ')})` : suggestion.label;
+      list.appendChild(item);
+    });
+    element.appendChild(createLabel('Suggestions'));
+    element.appendChild(list);
+  }
+
+  if (card.links.length > 0) {
+    const links = document.createElement('p');
+    links.className = 'cds-links';
+    card.links.forEach(link => {
+      const anchor = document.createElement('a');
+      anchor.href = link.url;
+      anchor.target = '_blank';
+      anchor.rel = 'noopener noreferrer';
+      anchor.textContent = link.type === 'smart' ? `${link.label} (SMART app)` : link.label;
+      links.appendChild(anchor);
+    });
+    element.appendChild(links);
+  }
+
+  const source = document.createElement('p');
+  source.className = 'cds-source';
+  source.append('Source: ');
+  if (card.source.url) {
+    const anchor = document.createElement('a');
+    anchor.href = card.source.url;
+    anchor.target = '_blank';
+    anchor.rel = 'noopener noreferrer';
+    anchor.textContent = card.source.label;
+    source.appendChild(anchor);
+  } else {
+    source.append(card.source.label);
+  }
+  element.appendChild(source);
+
+  return element;
+}
+
+/**
+ * Create a small heading inside a card
+ */
+function createLabel(text) {
+  const label = document.createElement('p');
+  label.className = 'cds-label';
+  label.textContent = text;
+  return label;
+}
+
+/**
+ * Parse a resolved prefetch query into its resource type, id and filter parameters
+ */
+function parseQuery(query) {
+  const [path, search = ''] = query.split('?');
+  const [resourceType, id = null] = path.split('/');
+  const params = {};
+
+  new URLSearchParams(search).forEach((value, name) => {
+    params[name] = value;
+  });
+
+  return { resourceType, id, params: normalizeParams(params) };
+}
+
+/**
+ * Drop parameters that do not filter, and compare patient references by ID
+ */
+function normalizeParams(params) {
+  const normalized = {};
+
+  Object.entries(params).forEach(([name, value]) => {
+    if (NON_FILTER_PARAMS.includes(name) || value === undefined || value === null || value === '') return;
+    normalized[name] = ['patient', 'subject'].includes(name) ? String(value).replace(/^Patient\//, '') : String(value);
+  });
+
+  return normalized;
+}
+
+/**
+ * Check whether two normalized parameter sets are identical
+ */
+function sameParams(a, b) {
+  const names = Object.keys(a);
+  return names.length === Object.keys(b).length && names.every(name => a[name] === b[name]);
+}
+
+/**
+ * Only http(s) links are shown; javascript: and other schemes are dropped
+ */
+function isWebUrl(url) {
+  return typeof url === 'string' && /^https?:\/\//i.test(url);
+}
+
+/**
+ * Create a hookInstance identifier
+ */
+function createHookInstance() {
+  return typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`;
+}
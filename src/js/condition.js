@@ -0,0 +1,394 @@
+/**
+ * Condition Module
+ *
+ * This module provides functionality for retrieving, validating and normalizing
+ * Condition resources (the patient's problem list) from a FHIR server.
+ */
+
+import { createError, DataError } from './error-handler.js';
+import { extractBundleResources, searchPatientResources, searchPatientResourcesWithRetry } from './fhir-client.js';
+
+/**
+ * SNOMED CT severity codes used by FHIR R4 Condition.severity
+ */
+const SEVERITY_CODES = {
+  '24484000': 'severe',
+  '6736007': 'moderate',
+  '255604002': 'mild'
+};
+
+/**
+ * Search definition for Condition resources
+ */
+export const ConditionSearch = {
+  resourceType: 'Condition',
+  label: 'condition',
+  defaultParams: { _sort: '-recorded-date' },
+  optionParams: { category: 'category', clinicalStatus: 'clinical-status' },
+  includeReferences: ['patient', 'asserter'],
+  // Validate, then normalize for display
+  normalize: conditions => normalizeConditionData(validateConditionResponse(conditions))
+};
+
+/**
+ * Get condition data for a specific patient
+ * @param {Object} client - Authenticated FHIR client
+ * @param {string} patientId - Patient ID to query for
+ * @param {Object} options - Query options (category, clinicalStatus, etc.)
+ * @returns {Promise<Array>} Array of normalized condition data
+ */
+export async function getConditionData(client, patientId, options = {}) {
+  return searchPatientResources(client, patientId, ConditionSearch, options);
+}
+
+/**
+ * Process FHIR response and extract condition resources
+ * @param {Object} response - FHIR response bundle
+ * @returns {Array} Array of condition resources
+ */
+export function processConditionResponse(response) {
+  return extractBundleResources(response, 'Condition');
+}
+
+/**
+ * Validate an array of condition resources, dropping invalid entries
+ * @param {Array} conditions - Array of condition resources
+ * @returns {Array} Valid condition resources
+ */
+function validateConditionResponse(conditions) {
+  if (!Array.isArray(conditions)) {
+    console.error('Invalid conditions data format:', conditions);
+    throw createError(
+      DataError.INVALID_FORMAT,
+      'Invalid conditions data format received',
+      {
+        help: 'The data returned from the FHIR server was not in the expected format.',
+        receivedType: typeof conditions
+      }
+    );
+  }
+
+  const validConditions = [];
+  const invalidConditions = [];
+
+  conditions.forEach((condition, index) => {
+    const validation = validateConditionResource(condition);
+
+    if (validation.valid) {
+      validConditions.push(condition);
+    } else {
+      invalidConditions.push({
+        index,
+        errors: validation.errors,
+        warnings: validation.warnings,
+        resource: condition
+      });
+    }
+  });
+
+  if (invalidConditions.length > 0) {
+    console.warn('Invalid condition resources found:', invalidConditions.length);
+    console.warn('Invalid resources:', invalidConditions);
+  }
+
+  console.log(`Validated ${validConditions.length} out of ${conditions.length} condition resources`);
+  return validConditions;
+}
+
+/**
+ * Validate condition resource structure (FHIR R4 compliance)
+ * @param {Object} condition - Condition resource to validate
+ * @returns {Object} Validation result
+ */
+export function validateConditionResource(condition) {
+  const errors = [];
+  const warnings = [];
+  const info = [];
+
+  if (!condition) {
+    errors.push('Condition resource is null or undefined');
+    return { valid: false, errors, warnings, info };
+  }
+
+  if (condition.resourceType !== 'Condition') {
+    errors.push(`Invalid resource type: ${condition.resourceType}. Expected: Condition`);
+  }
+
+  if (!condition.id) {
+    warnings.push('Condition resource missing recommended id field');
+  }
+
+  // Subject reference is required per FHIR R4
+  if (!condition.subject) {
+    errors.push('Condition.subject is required per FHIR R4 specification');
+  } else if (!condition.subject.reference && !condition.subject.id) {
+    warnings.push('Condition.subject should have valid reference format');
+  }
+
+  // Clinical status validation per FHIR R4 ValueSet
+  if (condition.clinicalStatus) {
+    const validClinicalStatuses = ['active', 'recurrence', 'relapse', 'inactive', 'remission', 'resolved'];
+    const status = condition.clinicalStatus?.coding?.[0]?.code || condition.clinicalStatus?.text;
+    if (status && !validClinicalStatuses.includes(status.toLowerCase())) {
+      warnings.push(`Invalid clinicalStatus: ${status}. Expected values: ${validClinicalStatuses.join(', ')}`);
+    }
+  }
+
+  // Verification status validation per FHIR R4 ValueSet
+  if (condition.verificationStatus) {
+    const validVerificationStatuses = ['unconfirmed', 'provisional', 'differential', 'confirmed', 'refuted', 'entered-in-error'];
+    const status = condition.verificationStatus?.coding?.[0]?.code || condition.verificationStatus?.text;
+    if (status && !validVerificationStatuses.includes(status.toLowerCase())) {
+      warnings.push(`Invalid verificationStatus: ${status}. Expected values: ${validVerificationStatuses.join(', ')}`);
+    }
+  }
+
+  // clinicalStatus SHALL NOT be present if verificationStatus is entered-in-error (con-5)
+  const verificationCode = condition.verificationStatus?.coding?.[0]?.code;
+  if (verificationCode === 'entered-in-error' && condition.clinicalStatus) {
+    warnings.push('Condition.clinicalStatus should not be present when verificationStatus is entered-in-error');
+  }
+
+  // Abatement implies the condition is no longer active (con-4)
+  const clinicalCode = condition.clinicalStatus?.coding?.[0]?.code;
+  const hasAbatement = Object.keys(condition).some(key => key.startsWith('abatement'));
+  if (hasAbatement && ['active', 'recurrence', 'relapse'].includes(clinicalCode)) {
+    warnings.push('Condition with an abatement date should have an inactive, remission or resolved clinicalStatus');
+  }
+
+  if (!condition.code) {
+    warnings.push('Condition.code is recommended for meaningful problem list data');
+  } else if (!condition.code.text && !(Array.isArray(condition.code.coding) && condition.code.coding.length > 0)) {
+    warnings.push('Condition.code should contain either coding array or text field');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    info,
+    resource: condition,
+    fhirVersion: 'R4',
+    validationTimestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Normalize condition data for consistent display per FHIR R4 standards
+ * @param {Array} conditions - Array of condition resources
+ * @returns {Array} Normalized condition data
+ */
+export function normalizeConditionData(conditions) {
+  if (!Array.isArray(conditions)) {
+    console.log('normalizeConditionData received non-array input:', typeof conditions);
+    return [];
+  }
+
+  return conditions.map((condition, index) => {
+    try {
+      return {
+        id: condition.id || `condition-${index}`,
+        resourceType: 'Condition',
+        patient: normalizeReference(condition.subject),
+        code: {
+          text: condition.code?.text,
+          coding: normalizeCoding(condition.code?.coding),
+          display: extractDisplayText(condition.code)
+        },
+        display: extractDisplayText(condition.code),
+        clinicalStatus: normalizeStatus(condition.clinicalStatus, 'clinical'),
+        verificationStatus: normalizeStatus(condition.verificationStatus, 'verification'),
+        category: normalizeCategory(condition.category),
+        severity: normalizeSeverity(condition.severity),
+        onset: normalizeTiming(condition, 'onset'),
+        abatement: normalizeTiming(condition, 'abatement'),
+        recordedDate: condition.recordedDate,
+        recorder: normalizeReference(condition.recorder),
+        asserter: normalizeReference(condition.asserter),
+        note: normalizeNotes(condition.note),
+        fhirVersion: 'R4',
+        normalizedTimestamp: new Date().toISOString(),
+        originalResource: condition
+      };
+    } catch (error) {
+      console.error('Error normalizing condition data:', error, condition);
+      return {
+        id: `error-${index}`,
+        resourceType: 'Condition',
+        code: { text: 'Error processing condition' },
+        display: 'Error processing condition',
+        clinicalStatus: 'unknown',
+        verificationStatus: 'unknown',
+        category: [],
+        severity: null,
+        onset: null,
+        abatement: null,
+        recordedDate: null,
+        error: error.message,
+        fhirVersion: 'R4',
+        normalizedTimestamp: new Date().toISOString()
+      };
+    }
+  });
+}
+
+/**
+ * Normalize status fields per FHIR R4 ValueSets
+ */
+function normalizeStatus(statusObj, type) {
+  if (!statusObj) return 'unknown';
+
+  const value = statusObj.coding?.[0]?.code || statusObj.text;
+  if (!value) return 'unknown';
+
+  const normalized = value.toLowerCase();
+
+  if (type === 'clinical') {
+    const valid = ['active', 'recurrence', 'relapse', 'inactive', 'remission', 'resolved'];
+    return valid.includes(normalized) ? normalized : 'unknown';
+  }
+
+  if (type === 'verification') {
+    const valid = ['unconfirmed', 'provisional', 'differential', 'confirmed', 'refuted', 'entered-in-error'];
+    return valid.includes(normalized) ? normalized : 'unknown';
+  }
+
+  return normalized;
+}
+
+/**
+ * Normalize category CodeableConcepts to display strings
+ */
+function normalizeCategory(categories) {
+  if (!Array.isArray(categories) || categories.length === 0) {
+    return [];
+  }
+
+  return categories.map(category => {
+    const code = category.coding?.[0]?.code;
+    if (code === 'problem-list-item') return 'Problem List Item';
+    if (code === 'encounter-diagnosis') return 'Encounter Diagnosis';
+    return extractDisplayText(category);
+  });
+}
+
+/**
+ * Normalize severity, mapping SNOMED CT codes to mild/moderate/severe
+ */
+function normalizeSeverity(severity) {
+  if (!severity) return null;
+
+  const code = severity.coding?.[0]?.code;
+  if (code && SEVERITY_CODES[code]) {
+    return SEVERITY_CODES[code];
+  }
+
+  const text = (severity.text || severity.coding?.[0]?.display || '').toLowerCase();
+  return ['mild', 'moderate', 'severe'].find(level => text.includes(level)) || text || null;
+}
+
+/**
+ * Normalize an onset[x] or abatement[x] choice element
+ * @param {Object} condition - Condition resource
+ * @param {string} prefix - Either 'onset' or 'abatement'
+ * @returns {Object|null} Normalized timing with a sortable date (if any) and display text
+ */
+function normalizeTiming(condition, prefix) {
+  if (condition[`${prefix}DateTime`]) {
+    return { date: condition[`${prefix}DateTime`], text: null };
+  }
+
+  const period = condition[`${prefix}Period`];
+  if (period) {
+    return { date: period.start || period.end || null, text: null, end: period.end || null };
+  }
+
+  const age = condition[`${prefix}Age`];
+  if (age) {
+    return { date: null, text: `Age ${age.value} ${age.unit || age.code || ''}`.trim() };
+  }
+
+  const range = condition[`${prefix}Range`];
+  if (range) {
+    const low = range.low?.value;
+    const high = range.high?.value;
+    const unit = range.low?.unit || range.high?.unit || '';
+    return { date: null, text: `Age ${low ?? '?'}-${high ?? '?'} ${unit}`.trim() };
+  }
+
+  if (condition[`${prefix}String`]) {
+    return { date: null, text: condition[`${prefix}String`] };
+  }
+
+  if (prefix === 'abatement' && condition.abatementBoolean === true) {
+    return { date: null, text: 'Abated' };
+  }
+
+  return null;
+}
+
+/**
+ * Normalize coding arrays
+ */
+function normalizeCoding(coding) {
+  if (!Array.isArray(coding)) return [];
+
+  return coding.map(c => ({
+    system: c.system,
+    code: c.code,
+    display: c.display
+  })).filter(c => c.system || c.code || c.display);
+}
+
+/**
+ * Normalize reference fields
+ */
+function normalizeReference(reference) {
+  if (!reference) return null;
+
+  if (typeof reference === 'string') {
+    return { reference: reference };
+  }
+
+  return {
+    reference: reference.reference,
+    display: reference.display,
+    type: reference.type
+  };
+}
+
+/**
+ * Normalize notes
+ */
+function normalizeNotes(notes) {
+  if (!Array.isArray(notes)) return [];
+
+  return notes.map(note => ({
+    text: note.text,
+    author: normalizeReference(note.authorReference) || (note.authorString ? { display: note.authorString } : null),
+    time: note.time
+  }));
+}
+
+/**
+ * Extract display text with fallback
+ */
+function extractDisplayText(code) {
+  if (!code) return 'Unknown';
+
+  return code.text ||
+         code.coding?.[0]?.display ||
+         code.coding?.[0]?.code ||
+         'Unknown';
+}
+
+/**
+ * Get condition data with retry mechanism
+ * @param {Object} client - Authenticated FHIR client
+ * @param {string} patientId - Patient ID to query for
+ * @param {Object} options - Query options
+ * @returns {Promise<Array>} Array of normalized condition data
+ */
+export async function getConditionDataWithRetry(client, patientId, options = {}) {
+  return searchPatientResourcesWithRetry(client, patientId, ConditionSearch, options);
+}
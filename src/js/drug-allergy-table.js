@@ -0,0 +1,81 @@
+/**
+ * Drug–Allergy Mapping Table
+ *
+ * Local table used by drug-allergy.js to relate medication codes to their
+ * ingredients and drug classes. It covers the common allergy classes only and
+ * is not a substitute for a maintained drug knowledge base: sites replace it by
+ * passing their own table (same shape) to checkDrugAllergies().
+ *
+ * Shape:
+ * - classes:     class key -> display name
+ * - ingredients: RxNorm ingredient (IN) code -> { display, classes }
+ * - products:    RxNorm product code (SCD/SBD) -> ingredient codes
+ * - substances:  'system|code' from other code systems -> { ingredients, classes }
+ */
+
+export const RXNORM_SYSTEM = 'http://www.nlm.nih.gov/research/umls/rxnorm';
+
+const SNOMED_SYSTEM = 'http://snomed.info/sct';
+
+export const DRUG_ALLERGY_TABLE = {
+  version: '2024-02',
+
+  classes: {
+    penicillins: 'Penicillins',
+    cephalosporins: 'Cephalosporins',
+    sulfonamides: 'Sulfonamide antibiotics',
+    nsaids: 'NSAIDs'
+  },
+
+  ingredients: {
+    // Penicillins
+    '723': { display: 'amoxicillin', classes: ['penicillins'] },
+    '733': { display: 'ampicillin', classes: ['penicillins'] },
+    '7980': { display: 'penicillin G', classes: ['penicillins'] },
+    '7984': { display: 'penicillin V', classes: ['penicillins'] },
+    '3356': { display: 'dicloxacillin', classes: ['penicillins'] },
+    '7233': { display: 'nafcillin', classes: ['penicillins'] },
+    '8339': { display: 'piperacillin', classes: ['penicillins'] },
+
+    // Cephalosporins
+    '2231': { display: 'cephalexin', classes: ['cephalosporins'] },
+    '2193': { display: 'ceftriaxone', classes: ['cephalosporins'] },
+    '2180': { display: 'cefazolin', classes: ['cephalosporins'] },
+
+    // Sulfonamide antibiotics
+    '10180': { display: 'sulfamethoxazole', classes: ['sulfonamides'] },
+    '10829': { display: 'trimethoprim', classes: [] },
+
+    // NSAIDs
+    '1191': { display: 'aspirin', classes: ['nsaids'] },
+    '5640': { display: 'ibuprofen', classes: ['nsaids'] },
+    '7258': { display: 'naproxen', classes: ['nsaids'] },
+    '3355': { display: 'diclofenac', classes: ['nsaids'] },
+    '35827': { display: 'ketorolac', classes: ['nsaids'] },
+
+    // Common ingredients without an allergy class
+    '29046': { display: 'lisinopril', classes: [] },
+    '6809': { display: 'metformin', classes: [] },
+    '17767': { display: 'amlodipine', classes: [] }
+  },
+
+  products: {
+    '308182': ['723'], // amoxicillin 250 MG Oral Capsule
+    '308191': ['723'], // amoxicillin 500 MG Oral Capsule
+    '198335': ['10180', '10829'], // sulfamethoxazole 800 MG / trimethoprim 160 MG Oral Tablet
+    '243670': ['1191'], // aspirin 81 MG Oral Tablet
+    '310965': ['5640'], // ibuprofen 200 MG Oral Tablet
+    '314076': ['29046'], // lisinopril 10 MG Oral Tablet
+    '860975': ['6809'], // metformin hydrochloride 500 MG Oral Tablet
+    '197361': ['17767'] // amlodipine 5 MG Oral Tablet
+  },
+
+  substances: {
+    [`${SNOMED_SYSTEM}|373270004`]: { ingredients: [], classes: ['penicillins'] }, // Penicillin -class of antibiotic-
+    [`${SNOMED_SYSTEM}|91936005`]: { ingredients: [], classes: ['penicillins'] }, // Allergy to penicillin
+    [`${SNOMED_SYSTEM}|764146007`]: { ingredients: [], classes: ['penicillins'] }, // Penicillin
+    [`${SNOMED_SYSTEM}|387406002`]: { ingredients: ['10180'], classes: ['sulfonamides'] }, // Sulfamethoxazole
+    [`${SNOMED_SYSTEM}|387458008`]: { ingredients: ['1191'], classes: ['nsaids'] }, // Aspirin
+    [`${SNOMED_SYSTEM}|372665008`]: { ingredients: [], classes: ['nsaids'] } // Non-steroidal anti-inflammatory agent
+  }
+};
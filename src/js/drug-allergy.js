@@ -0,0 +1,216 @@
+/**
+ * Drug–Allergy Checker
+ *
+ * Matches the ingredients of active medication requests against the patient's
+ * allergy substances. Codes are resolved to ingredients and drug classes through
+ * a local mapping table (drug-allergy-table.js) that sites can replace.
+ */
+
+import { DRUG_ALLERGY_TABLE, RXNORM_SYSTEM } from './drug-allergy-table.js';
+
+/**
+ * How a medication matched an allergy
+ */
+export const AllergyMatchType = {
+  INGREDIENT: 'ingredient', // The medication contains the allergen
+  CLASS: 'class' // The medication shares a drug class with the allergen
+};
+
+// Allergies that no longer apply
+const INACTIVE_CLINICAL_STATUSES = ['inactive', 'resolved'];
+const EXCLUDED_VERIFICATION_STATUSES = ['refuted', 'entered-in-error'];
+
+/**
+ * Resolve codings to the ingredients and drug classes they stand for
+ * @param {Array} codings - FHIR Codings
+ * @param {Object} table - Mapping table
+ * @returns {{ingredients: Set<string>, classes: Set<string>}} RxNorm ingredient codes in the table and class keys
+ */
+export function resolveCodings(codings, table = DRUG_ALLERGY_TABLE) {
+  const ingredients = new Set();
+  const classes = new Set();
+
+  // A replacement table may list products or substances whose ingredients it
+  // does not describe; those ingredients are skipped
+  const addIngredient = code => {
+    if (table.ingredients[code]) {
+      ingredients.add(code);
+    }
+  };
+
+  (codings || []).forEach(coding => {
+    if (!coding?.code) return;
+
+    if (coding.system === RXNORM_SYSTEM) {
+      addIngredient(coding.code);
+      (table.products[coding.code] || []).forEach(addIngredient);
+      return;
+    }
+
+    const substance = table.substances[`${coding.system}|${coding.code}`];
+    if (substance) {
+      (substance.ingredients || []).forEach(addIngredient);
+      (substance.classes || []).forEach(drugClass => classes.add(drugClass));
+    }
+  });
+
+  ingredients.forEach(code => {
+    (table.ingredients[code].classes || []).forEach(drugClass => classes.add(drugClass));
+  });
+
+  return { ingredients, classes };
+}
+
+/**
+ * Get the medication codings of a MedicationRequest, including a contained Medication's ingredients
+ * @param {Object} medicationRequest - Normalized or raw MedicationRequest
+ * @returns {Array} FHIR Codings
+ */
+export function getMedicationCodings(medicationRequest) {
+  const resource = medicationRequest.rawResource || medicationRequest;
+  const codings = [...(resource.medicationCodeableConcept?.coding || [])];
+
+  // Only contained Medications can be resolved without another request
+  const reference = resource.medicationReference?.reference;
+  if (reference?.startsWith('#')) {
+    const medication = (resource.contained || []).find(contained =>
+      contained.resourceType === 'Medication' && contained.id === reference.slice(1));
+
+    if (medication) {
+      codings.push(...(medication.code?.coding || []));
+      (medication.ingredient || []).forEach(ingredient => {
+        codings.push(...(ingredient.itemCodeableConcept?.coding || []));
+      });
+    }
+  }
+
+  return codings;
+}
+
+/**
+ * Get the allergen codings of an allergy: its substance and any reaction substances
+ * @param {Object} allergy - Normalized AllergyIntolerance (substance from extractSubstanceInfo)
+ * @returns {Array} FHIR Codings
+ */
+export function getAllergenCodings(allergy) {
+  const codings = [...(allergy.substance?.coding || [])];
+
+  (allergy.reactions || []).forEach(reaction => {
+    codings.push(...(reaction.substance?.coding || []));
+  });
+
+  return codings;
+}
+
+/**
+ * Check whether an allergy should be used for drug–allergy checks
+ * @param {Object} allergy - Normalized AllergyIntolerance
+ * @returns {boolean} True unless the allergy is inactive, resolved, refuted or entered in error
+ */
+export function isCheckableAllergy(allergy) {
+  return !INACTIVE_CLINICAL_STATUSES.includes(allergy.clinicalStatus) &&
+    !EXCLUDED_VERIFICATION_STATUSES.includes(allergy.verificationStatus);
+}
+
+/**
+ * Match active medication requests against allergies
+ * @param {Array} medicationRequests - Normalized MedicationRequests
+ * @param {Array} allergies - Normalized AllergyIntolerances
+ * @param {Object} table - Mapping table, defaults to the local table
+ * @returns {Array} One alert per matching medication and allergy
+ */
+export function checkDrugAllergies(medicationRequests, allergies, table = DRUG_ALLERGY_TABLE) {
+  const allergens = (allergies || [])
+    .filter(isCheckableAllergy)
+    .map(allergy => ({ allergy, ...resolveCodings(getAllergenCodings(allergy), table) }))
+    .filter(allergen => allergen.ingredients.size > 0 || allergen.classes.size > 0);
+
+  if (allergens.length === 0) {
+    return [];
+  }
+
+  const alerts = [];
+
+  (medicationRequests || [])
+    .filter(medicationRequest => medicationRequest.status === 'active')
+    .forEach(medicationRequest => {
+      const { ingredients } = resolveCodings(getMedicationCodings(medicationRequest), table);
+
+      allergens.forEach(allergen => {
+        const match = findMatch(ingredients, allergen, table);
+        if (match) {
+          alerts.push(createAlert(medicationRequest, allergen.allergy, match, table));
+        }
+      });
+    });
+
+  return alerts;
+}
+
+/**
+ * Group alerts by medication request ID
+ * @param {Array} alerts - Alerts from checkDrugAllergies
+ * @returns {Map<string, Array>} Alerts for each medication request
+ */
+export function groupAlertsByMedication(alerts) {
+  const grouped = new Map();
+
+  alerts.forEach(alert => {
+    if (!grouped.has(alert.medicationId)) {
+      grouped.set(alert.medicationId, []);
+    }
+    grouped.get(alert.medicationId).push(alert);
+  });
+
+  return grouped;
+}
+
+/**
+ * Find the strongest match between a medication's ingredients and an allergen
+ * @param {Set<string>} ingredients - Medication ingredient codes
+ * @param {Object} allergen - Resolved allergen
+ * @param {Object} table - Mapping table
+ * @returns {Object|null} Match, preferring an ingredient match over a class match
+ */
+function findMatch(ingredients, allergen, table) {
+  for (const ingredient of ingredients) {
+    if (allergen.ingredients.has(ingredient)) {
+      return { matchType: AllergyMatchType.INGREDIENT, ingredient, drugClass: null };
+    }
+  }
+
+  for (const ingredient of ingredients) {
+    const drugClass = (table.ingredients[ingredient].classes || []).find(key => allergen.classes.has(key));
+    if (drugClass) {
+      return { matchType: AllergyMatchType.CLASS, ingredient, drugClass };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build an alert for a medication that matches an allergy
+ */
+function createAlert(medicationRequest, allergy, match, table) {
+  const medicationDisplay = medicationRequest.medicationDisplay || 'Unknown Medication';
+  const allergyDisplay = allergy.substance?.text || allergy.code?.display || 'Unknown substance';
+  const ingredientDisplay = table.ingredients[match.ingredient].display || match.ingredient;
+  const className = match.drugClass ? table.classes[match.drugClass] || match.drugClass : null;
+
+  const message = match.matchType === AllergyMatchType.INGREDIENT ?
+    `${medicationDisplay} contains ${ingredientDisplay}; the patient is allergic to ${allergyDisplay}.` :
+    `${medicationDisplay} contains ${ingredientDisplay} (${className}); the patient is allergic to ${allergyDisplay}.`;
+
+  return {
+    medicationId: medicationRequest.id,
+    medicationDisplay,
+    allergyId: allergy.id,
+    allergyDisplay,
+    criticality: allergy.criticality || 'unable-to-assess',
+    matchType: match.matchType,
+    ingredient: ingredientDisplay,
+    drugClass: className,
+    message
+  };
+}
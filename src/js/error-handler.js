@@ -24,6 +24,13 @@ export const ApiError = {
   VALIDATION_ERROR: 'VALIDATION_ERROR',
   FORBIDDEN: 'FORBIDDEN',
   NOT_FOUND: 'NOT_FOUND',
+  HTTP_ERROR: 'HTTP_ERROR',
+  REQUEST_FAILED: 'REQUEST_FAILED',
+  GET_FAILED: 'GET_FAILED',
+  SEARCH_FAILED: 'SEARCH_FAILED',
+  CREATE_FAILED: 'CREATE_FAILED',
+  UPDATE_FAILED: 'UPDATE_FAILED',
+  DELETE_FAILED: 'DELETE_FAILED',
   UNKNOWN: 'UNKNOWN_ERROR'
 };
 
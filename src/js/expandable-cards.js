@@ -64,12 +64,14 @@ export const createExpandableCard = (title, contentId, isExpanded = false) => {
 /**
  * Creates a resource type selector component
  * 
- * @param {Array<{id: string, name: string}>} resourceTypes - Array of resource types with id and display name
+ * @param {Array<{id: string, name: string, disabled?: boolean, reason?: string}>} resourceTypes - Array of resource types
+ *   with id and display name; disabled types are shown but cannot be selected, with the reason explained below the selector
  * @param {Function} onSelectCallback - Callback function when a resource type is selected
  * @param {string} defaultSelected - The ID of the default selected resource type
+ * @param {Function} onRefreshCallback - Optional callback for the refresh button, called with the selected type
  * @returns {HTMLElement} The resource selector element
  */
-export const createResourceTypeSelector = (resourceTypes, onSelectCallback, defaultSelected = null) => {
+export const createResourceTypeSelector = (resourceTypes, onSelectCallback, defaultSelected = null, onRefreshCallback = null) => {
   if (!Array.isArray(resourceTypes) || resourceTypes.length === 0) {
     console.error('Resource types must be a non-empty array');
     return null;
@@ -89,7 +91,12 @@ export const createResourceTypeSelector = (resourceTypes, onSelectCallback, defa
   resourceTypes.forEach(type => {
     const option = document.createElement('option');
     option.value = type.id;
-    option.textContent = type.name;
+    option.textContent = type.disabled ? `${type.name} (no access)` : type.name;
+    
+    if (type.disabled) {
+      option.disabled = true;
+      option.title = type.reason || 'Not available with the granted access';
+    }
     
     if (defaultSelected && type.id === defaultSelected) {
       option.selected = true;
@@ -107,6 +114,35 @@ export const createResourceTypeSelector = (resourceTypes, onSelectCallback, defa
   container.appendChild(label);
   container.appendChild(select);
   
+  if (typeof onRefreshCallback === 'function') {
+    const refreshButton = document.createElement('button');
+    refreshButton.id = 'resource-refresh';
+    refreshButton.className = 'resource-refresh-button';
+    refreshButton.title = 'Reload from the FHIR server';
+    refreshButton.innerHTML = '&#8635; Refresh';
+    
+    refreshButton.addEventListener('click', () => {
+      onRefreshCallback(select.value);
+    });
+    
+    container.appendChild(refreshButton);
+  }
+  
+  // Explain why some types cannot be selected rather than letting them fail with a 403
+  const disabledTypes = resourceTypes.filter(type => type.disabled);
+  if (disabledTypes.length > 0) {
+    const note = document.createElement('ul');
+    note.className = 'resource-access-note';
+    
+    disabledTypes.forEach(type => {
+      const item = document.createElement('li');
+      item.textContent = `${type.name}: ${type.reason || 'not available with the granted access.'}`;
+      note.appendChild(item);
+    });
+    
+    container.appendChild(note);
+  }
+  
   return container;
 };
 
@@ -227,3 +263,43 @@ export const createNoDataMessage = (resourceType, customMessage = null) => {
   
   return messageContainer;
 };
+
+/**
+ * Creates a "Load more" control shown below a partially loaded card list
+ * 
+ * @param {Function} onLoadMore - Async callback that loads the next page
+ * @param {string} statusText - Optional text describing how much is loaded
+ * @returns {HTMLElement} The load more control element
+ */
+export const createLoadMoreButton = (onLoadMore, statusText = '') => {
+  const container = document.createElement('div');
+  container.className = 'load-more-container';
+  
+  if (statusText) {
+    const status = document.createElement('p');
+    status.className = 'load-more-status';
+    status.textContent = statusText;
+    container.appendChild(status);
+  }
+  
+  const button = document.createElement('button');
+  button.className = 'load-more-button';
+  button.textContent = 'Load more';
+  
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    button.textContent = 'Loading...';
+    
+    try {
+      await onLoadMore();
+    } finally {
+      // The control is usually replaced once the page has loaded
+      button.disabled = false;
+      button.textContent = 'Load more';
+    }
+  });
+  
+  container.appendChild(button);
+  
+  return container;
+};
@@ -1,4 +1,5 @@
 import { createError, retryOperation, DataError } from './error-handler.js';
+import { getVersionFingerprint, VERSION_CHECK_SIZE } from './resource-cache.js';
 
 /**
  * Error types for FHIR server interactions
@@ -8,7 +9,11 @@ export const FhirServerError = {
   MISSING_PARAMETER: 'MISSING_PARAMETER',
   UNAUTHORIZED: 'UNAUTHORIZED',
   RESOURCE_NOT_FOUND: 'RESOURCE_NOT_FOUND',
+  BAD_REQUEST: 'BAD_REQUEST',
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  VERSION_CONFLICT: 'VERSION_CONFLICT', // 409/412: the resource changed on the server since it was read
   SERVER_ERROR: 'SERVER_ERROR',
+  INVALID_PARAMETER: 'INVALID_PARAMETER',
   DATA_RETRIEVAL_FAILED: 'DATA_RETRIEVAL_FAILED',
   UNKNOWN: 'UNKNOWN_ERROR'
 };
@@ -22,47 +27,41 @@ export const NetworkError = {
 };
 
 /**
- * Get allergy data for a specific patient
+ * HTTP status codes that are worth retrying
+ */
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Search for a patient's resources using a declarative search definition
+ *
+ * A search definition describes one FHIR resource type:
+ *  - resourceType: FHIR resource type to search (e.g. 'MedicationRequest')
+ *  - label: human readable name used in logs and error messages
+ *  - defaultParams: search parameters sent with every request (e.g. _sort)
+ *  - optionParams: map of option names to search parameters (e.g. { clinicalStatus: 'clinical-status' })
+ *  - includeReferences: references to resolve when not overridden by options
+ *  - normalize: function turning the extracted resources into display data
+ *  - fallbackErrorType: error type for failures that match no known cause
+ *    (default FhirServerError.DATA_RETRIEVAL_FAILED)
+ *
  * @param {Object} client - Authenticated FHIR client
  * @param {string} patientId - Patient ID to query for
+ * @param {Object} definition - Search definition
  * @param {Object} options - Query options
- * @returns {Promise<Array>} Array of allergy resources
+ * @returns {Promise<Array>} Array of normalized resources
  */
-export async function getAllergyData(client, patientId, options = {}) {
+export async function searchPatientResources(client, patientId, definition, options = {}) {
   const {
-    includeReferences = ['patient', 'asserter'],
-    pageLimit = 0,
-    maxResults = 1000,
-    sortOrder = '-date'
+    includeReferences = definition.includeReferences || [],
+    pageLimit = 0
   } = options;
 
   try {
-    if (!client || !client.request) {
-      throw createError(
-        FhirServerError.INVALID_CLIENT, 
-        'Invalid FHIR client provided',
-        { help: 'Please ensure you are properly authenticated before accessing FHIR resources.' }
-      );
-    }
-
-    if (!patientId) {
-      throw createError(
-        FhirServerError.MISSING_PARAMETER,
-        'Patient ID is required',
-        { help: 'A valid patient ID is required to retrieve allergy information.' }
-      );
-    }
-
-    console.log(`Retrieving allergy data for patient: ${patientId}`);
+    validateSearchArguments(client, patientId, definition);
 
-    // Build the query URL
-    const queryParams = new URLSearchParams({
-      patient: patientId,
-      _sort: sortOrder,
-      _count: Math.min(maxResults, 100) // FHIR servers typically limit to 100 per page
-    });
+    console.log(`Retrieving ${definition.label} data for patient: ${patientId}`);
 
-    const url = `AllergyIntolerance?${queryParams.toString()}`;
+    const url = buildSearchUrl(patientId, definition, options);
 
     // Make the FHIR request
     const response = await client.request(url, {
@@ -71,130 +70,444 @@ export async function getAllergyData(client, patientId, options = {}) {
       flat: true
     });
 
-    console.log('Allergy data retrieved successfully:', {
+    console.log(`${capitalize(definition.label)} data retrieved successfully:`, {
       patientId,
-      totalResults: response?.entry?.length || 0,
+      totalResults: Array.isArray(response) ? response.length : response?.entry?.length || 0,
       url
     });
 
-    const processedResponse = processAllergyResponse(response);
-  
-  // Validate and normalize the response
-  return validateAndNormalizeResponse(processedResponse);
+    const resources = extractBundleResources(response, definition.resourceType);
 
+    return definition.normalize ? definition.normalize(resources) : resources;
   } catch (error) {
-    console.error('Error retrieving allergy data:', error);
-    
-    // If the error is already a structured error object, pass it through
-    if (error.type) {
-      throw error;
-    }
-    
-    // Otherwise, format the error based on its characteristics
-    if (error.status === 401 || error.status === 403) {
-      throw createError(
-        FhirServerError.UNAUTHORIZED,
-        'Unauthorized access to FHIR resources',
-        { 
-          originalError: error,
-          help: 'Your session may have expired. Please try refreshing the page to re-authenticate.',
-          status: error.status
-        }
-      );
-    } else if (error.status === 404) {
-      throw createError(
-        FhirServerError.RESOURCE_NOT_FOUND,
-        'Allergy resources not found',
-        { 
-          originalError: error,
-          help: 'The requested allergy information could not be found for this patient.',
-          status: error.status,
-          patientId
-        }
-      );
-    } else if (error.status >= 500) {
-      throw createError(
-        FhirServerError.SERVER_ERROR,
-        'FHIR server error occurred',
-        { 
-          originalError: error,
-          help: 'The FHIR server encountered an error. Please try again later.',
-          status: error.status
-        }
-      );
-    } else if (error.message && error.message.includes('network')) {
-      throw createError(
-        NetworkError.CONNECTION_FAILED,
-        'Network error while connecting to FHIR server',
-        { 
-          originalError: error,
-          help: 'Please check your internet connection and try again.'
-        }
-      );
-    } else {
-      throw createError(
-        FhirServerError.UNKNOWN,
-        `Error retrieving allergy data: ${error.message || 'Unknown error'}`,
-        { 
-          originalError: error,
-          help: 'An unexpected error occurred while retrieving allergy data. Please try again.'
-        }
-      );
+    console.error(`Error retrieving ${definition.label} data:`, error);
+    throw mapFhirRequestError(error, definition, patientId);
+  }
+}
+
+/**
+ * Check the client and patient ID before searching
+ * @param {Object} client - Authenticated FHIR client
+ * @param {string} patientId - Patient ID to query for
+ * @param {Object} definition - Search definition
+ */
+function validateSearchArguments(client, patientId, definition) {
+  if (!client || !client.request) {
+    throw createError(
+      FhirServerError.INVALID_CLIENT, 
+      'Invalid FHIR client provided',
+      { help: 'Please ensure you are properly authenticated before accessing FHIR resources.' }
+    );
+  }
+
+  if (!patientId) {
+    throw createError(
+      FhirServerError.MISSING_PARAMETER,
+      'Patient ID is required',
+      { help: `A valid patient ID is required to retrieve ${definition.label} information.` }
+    );
+  }
+}
+
+/**
+ * Build the search URL for a patient search
+ * @param {string} patientId - Patient ID to query for
+ * @param {Object} definition - Search definition
+ * @param {Object} options - Query options (sortOrder, maxResults, searchParams and definition optionParams)
+ * @returns {string} Relative search URL
+ */
+export function buildSearchUrl(patientId, definition, options = {}) {
+  const {
+    maxResults = 1000,
+    sortOrder = null,
+    searchParams = {}
+  } = options;
+
+  const params = { ...definition.defaultParams };
+
+  Object.entries(definition.optionParams || {}).forEach(([option, param]) => {
+    if (options[option] !== undefined && options[option] !== null) {
+      params[param] = options[option];
     }
+  });
+
+  if (sortOrder) {
+    params._sort = sortOrder;
   }
+
+  const queryParams = new URLSearchParams({ patient: patientId });
+
+  Object.entries({ ...params, ...searchParams }).forEach(([name, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      queryParams.append(name, value);
+    }
+  });
+
+  queryParams.append('_count', Math.min(maxResults, 100)); // FHIR servers typically limit to 100 per page
+
+  return `${definition.resourceType}?${queryParams.toString()}`;
 }
 
 /**
- * Process FHIR response and extract allergy resources
- * @param {Object} response - FHIR response bundle
- * @returns {Array} Array of allergy resources
+ * Extract resources of one type from a FHIR response
+ * @param {Object|Array} response - FHIR Bundle, single resource or flattened array
+ * @param {string} resourceType - FHIR resource type to keep
+ * @returns {Array} Array of resources
  */
-function processAllergyResponse(response) {
+export function extractBundleResources(response, resourceType) {
   if (!response) {
     console.log('Empty response received from FHIR server');
-    throw createError(
-      DataError.EMPTY_RESPONSE,
-      'Empty response received from FHIR server',
-      { help: 'The FHIR server returned an empty response. This may indicate a server issue.' }
-    );
+    return [];
   }
 
-  // Handle different response formats
+  const isWanted = resource => resource && (!resourceType || resource.resourceType === resourceType);
+
   if (Array.isArray(response)) {
-    console.log(`Direct array response with ${response.length} allergies`);
-    return response;
+    return response.filter(isWanted);
   }
 
   if (response.entry && Array.isArray(response.entry)) {
-    const resources = response.entry.map(entry => entry.resource).filter(Boolean);
-    console.log(`Bundle response with ${resources.length} allergies`);
-    return resources;
+    return response.entry.map(entry => entry.resource).filter(isWanted);
   }
 
-  if (response.resourceType === 'Bundle' && response.entry) {
-    const resources = response.entry.map(entry => entry.resource).filter(Boolean);
-    console.log(`FHIR Bundle with ${resources.length} allergies`);
-    return resources;
+  if (response.resourceType === resourceType) {
+    return [response];
   }
 
-  // Handle empty bundle case
-  if (response.resourceType === 'Bundle' && (!response.entry || response.entry.length === 0)) {
-    console.log('Empty FHIR Bundle received - no allergies found');
-    return [];
+  // An empty Bundle simply means the patient has no matching resources
+  if (response.resourceType !== 'Bundle') {
+    console.log('Unexpected response format:', response);
   }
 
-  // If we get here with an unrecognized format, log and return empty array
-  // but don't throw an error as this might just be a case of no allergies
-  console.log('Unexpected response format:', response);
   return [];
 }
 
 /**
- * Get allergy data with pagination support
+ * Map a failed FHIR request to a structured error
+ * @param {Error|Object} error - Error thrown by the request
+ * @param {Object} definition - Search definition
+ * @param {string} patientId - Patient ID that was queried
+ * @returns {Object} Structured error
+ */
+export function mapFhirRequestError(error, definition, patientId) {
+  // If the error is already a structured error object, pass it through
+  if (error.type) {
+    return error;
+  }
+
+  if (error.status === 401 || error.status === 403) {
+    return createError(
+      FhirServerError.UNAUTHORIZED,
+      'Unauthorized access to FHIR resources',
+      { 
+        originalError: error,
+        help: 'Your session may have expired. Please try refreshing the page to re-authenticate.',
+        status: error.status
+      }
+    );
+  }
+
+  if (error.status === 404) {
+    return createError(
+      FhirServerError.RESOURCE_NOT_FOUND,
+      `${capitalize(definition.label)} resources not found`,
+      { 
+        originalError: error,
+        help: `The requested ${definition.label} information could not be found for this patient.`,
+        status: error.status,
+        patientId
+      }
+    );
+  }
+
+  if (error.status >= 500) {
+    return createError(
+      FhirServerError.SERVER_ERROR,
+      'FHIR server error occurred',
+      { 
+        originalError: error,
+        help: 'The FHIR server encountered an error. Please try again later.',
+        status: error.status
+      }
+    );
+  }
+
+  // fetch() rejects with a TypeError whose message varies by browser when the server is unreachable
+  if (error.message && /network|failed to fetch|load failed/i.test(error.message)) {
+    return createError(
+      NetworkError.CONNECTION_FAILED,
+      'Network error while connecting to FHIR server',
+      { 
+        originalError: error,
+        help: 'Please check your internet connection and try again.'
+      }
+    );
+  }
+
+  return createError(
+    definition.fallbackErrorType || FhirServerError.DATA_RETRIEVAL_FAILED,
+    `Failed to retrieve ${definition.label} data`,
+    {
+      originalError: error,
+      patientId,
+      status: error.status,
+      help: 'Please try again later. If the problem persists, contact support.'
+    }
+  );
+}
+
+/**
+ * Determine whether a structured error is worth retrying
+ * @param {Object} error - Structured error
+ * @returns {boolean} True for network failures and transient server statuses
+ */
+function isRetryableError(error) {
+  return Boolean(
+    (error.type && (error.type.includes('NETWORK') || error.type === NetworkError.CONNECTION_FAILED)) ||
+    (error.details && error.details.status && RETRYABLE_STATUS_CODES.includes(error.details.status))
+  );
+}
+
+/**
+ * Search for a patient's resources with retry mechanism
+ * @param {Object} client - Authenticated FHIR client
+ * @param {string} patientId - Patient ID to query for
+ * @param {Object} definition - Search definition
+ * @param {Object} options - Query and retry options
+ * @returns {Promise<Array>} Array of normalized resources
+ */
+export async function searchPatientResourcesWithRetry(client, patientId, definition, options = {}) {
+  const retryOptions = {
+    maxRetries: 3,
+    delay: 1000,
+    backoff: 2,
+    shouldRetry: isRetryableError,
+    onRetry: (attempt, error) => {
+      console.warn(`Retry attempt ${attempt} for ${definition.label} query:`, error.message || error);
+    },
+    onFinalFailure: (error, attempts) => {
+      if (error.type) {
+        error.details = { ...error.details, retriesAttempted: attempts - 1 };
+      }
+    }
+  };
+
+  try {
+    return await retryOperation(
+      () => searchPatientResources(client, patientId, definition, options),
+      { ...retryOptions, ...options }
+    );
+  } catch (error) {
+    // If it's already a structured error, throw it as is
+    if (error.type) {
+      throw error;
+    }
+    
+    throw createError(
+      FhirServerError.DATA_RETRIEVAL_FAILED,
+      `Failed to retrieve ${definition.label} data after multiple attempts`,
+      {
+        originalError: error,
+        patientId,
+        help: 'Please try again later. If the problem persists, contact support.'
+      }
+    );
+  }
+}
+
+/**
+ * Iterate over the pages of a patient search, following the Bundle next links
+ *
+ * Each page is requested on demand, so callers can render the first page
+ * straight away and fetch the rest only when needed.
+ *
+ * @param {Object} client - Authenticated FHIR client
+ * @param {string} patientId - Patient ID to query for
+ * @param {Object} definition - Search definition
+ * @param {Object} options - Query options, plus pageSize (default 50), maxPages and
+ *   startUrl (a next link saved from an earlier page, to resume the search)
+ * @returns {AsyncGenerator<Object>} Pages of { resources, pageNumber, total, hasMore, nextUrl }
+ */
+export async function* searchPatientResourcePages(client, patientId, definition, options = {}) {
+  const {
+    pageSize = 50,
+    maxPages = Infinity,
+    startUrl = null
+  } = options;
+
+  validateSearchArguments(client, patientId, definition);
+
+  let url = startUrl || buildSearchUrl(patientId, definition, { ...options, maxResults: pageSize });
+  let pageNumber = 0;
+
+  while (url && pageNumber < maxPages) {
+    const bundle = await requestSearchPage(client, url, patientId, definition, options);
+    const resources = extractBundleResources(bundle, definition.resourceType);
+
+    pageNumber++;
+    url = getNextPageUrl(bundle);
+
+    console.log(`Retrieved ${definition.label} page ${pageNumber}:`, {
+      patientId,
+      pageResults: resources.length,
+      total: bundle?.total
+    });
+
+    yield {
+      resources: definition.normalize ? definition.normalize(resources) : resources,
+      pageNumber,
+      total: typeof bundle?.total === 'number' ? bundle.total : null,
+      hasMore: Boolean(url) && pageNumber < maxPages,
+      nextUrl: url
+    };
+  }
+}
+
+/**
+ * Request a single search page, retrying transient failures
+ * @param {Object} client - Authenticated FHIR client
+ * @param {string} url - Search URL or absolute next link
+ * @param {string} patientId - Patient ID being queried
+ * @param {Object} definition - Search definition
+ * @param {Object} options - Query and retry options
+ * @returns {Promise<Object>} Search result Bundle
+ */
+async function requestSearchPage(client, url, patientId, definition, options = {}) {
+  const {
+    includeReferences = definition.includeReferences || [],
+    maxRetries = 3,
+    delay = 1000
+  } = options;
+
+  return retryOperation(async () => {
+    try {
+      const response = await client.request(url, {
+        resolveReferences: includeReferences,
+        pageLimit: 1,
+        flat: false
+      });
+
+      // Some client versions return the fetched pages as an array of Bundles
+      return Array.isArray(response) ? response[response.length - 1] : response;
+    } catch (error) {
+      console.error(`Error retrieving ${definition.label} page:`, error);
+      throw mapFhirRequestError(error, definition, patientId);
+    }
+  }, {
+    maxRetries,
+    delay,
+    backoff: 2,
+    shouldRetry: isRetryableError
+  });
+}
+
+/**
+ * Get the URL of the next page of a search result
+ * @param {Object} bundle - Search result Bundle
+ * @returns {string|null} Next page URL, or null on the last page
+ */
+export function getNextPageUrl(bundle) {
+  if (!bundle || !Array.isArray(bundle.link)) {
+    return null;
+  }
+
+  const next = bundle.link.find(link => link.relation === 'next');
+  return next?.url || null;
+}
+
+/**
+ * Check whether the results of a search have changed since they were cached
+ *
+ * Sends a lightweight search for ids and meta only, with If-None-Match when an
+ * ETag is known, and compares the versions of the leading resources.
+ *
+ * @param {Object} client - Authenticated FHIR client
+ * @param {string} patientId - Patient ID to query for
+ * @param {Object} definition - Search definition
+ * @param {Object} options - Query options, plus validators ({ etag, versions }) of the cached result
+ * @returns {Promise<Object>} { changed, validators }
+ */
+export async function revalidateSearch(client, patientId, definition, options = {}) {
+  const { validators = {} } = options;
+
+  validateSearchArguments(client, patientId, definition);
+
+  const url = buildSearchUrl(patientId, definition, {
+    ...options,
+    maxResults: VERSION_CHECK_SIZE,
+    searchParams: { ...options.searchParams, _elements: 'id,meta' }
+  });
+
+  try {
+    const result = await client.request({
+      url,
+      headers: validators.etag ? { 'If-None-Match': validators.etag } : {}
+    }, {
+      pageLimit: 1,
+      flat: false,
+      includeResponse: true
+    });
+
+    // includeResponse wraps the body together with the fetch Response
+    const bundle = result && result.response && 'body' in result ? result.body : result;
+    const etag = result?.response?.headers?.get?.('ETag') || null;
+    const versions = getVersionFingerprint(extractBundleResources(bundle, definition.resourceType));
+
+    return {
+      changed: versions !== validators.versions,
+      validators: { etag, versions }
+    };
+  } catch (error) {
+    if (error.status === 304 || error.response?.status === 304) {
+      return { changed: false, validators };
+    }
+
+    throw mapFhirRequestError(error, definition, patientId);
+  }
+}
+
+/**
+ * Capitalize first letter of a string
+ * @param {string} string - String to capitalize
+ * @returns {string} Capitalized string
+ */
+function capitalize(string) {
+  return string.charAt(0).toUpperCase() + string.slice(1);
+}
+
+/**
+ * Search definition for AllergyIntolerance resources
+ */
+export const AllergyIntoleranceSearch = {
+  resourceType: 'AllergyIntolerance',
+  label: 'allergy',
+  defaultParams: { _sort: '-date' },
+  includeReferences: ['patient', 'asserter'],
+  normalize: allergies => normalizeAllergyData(validateAndNormalizeResponse(allergies)),
+  // The allergy fetchers have always reported unexpected failures as UNKNOWN
+  fallbackErrorType: FhirServerError.UNKNOWN
+};
+
+// getAllergyData and its variants return validated FHIR resources rather than display data
+const ValidatedAllergySearch = { ...AllergyIntoleranceSearch, normalize: validateAndNormalizeResponse };
+
+/**
+ * Get allergy data for a specific patient
  * @param {Object} client - Authenticated FHIR client
  * @param {string} patientId - Patient ID to query for
  * @param {Object} options - Query options
- * @returns {Promise<Array>} Array of allergy resources
+ * @returns {Promise<Array>} Array of validated allergy resources
+ */
+export async function getAllergyData(client, patientId, options = {}) {
+  return searchPatientResources(client, patientId, ValidatedAllergySearch, options);
+}
+
+/**
+ * Get allergy data with pagination support
+ * @param {Object} client - Authenticated FHIR client
+ * @param {string} patientId - Patient ID to query for
+ * @param {Object} options - Query options, plus maxPages (default 10) and pageSize (default 100)
+ * @returns {Promise<Array>} Array of validated allergy resources
  */
 export async function getAllergyDataPaginated(client, patientId, options = {}) {
   const {
@@ -204,45 +517,13 @@ export async function getAllergyDataPaginated(client, patientId, options = {}) {
   } = options;
 
   let allAllergies = [];
-  let currentPage = 0;
-  let hasMorePages = true;
-  let nextUrl = null;
 
   try {
-    // Initial query
-    let response = await getAllergyData(client, patientId, {
-      ...queryOptions,
-      pageLimit: 1 // Start with first page
-    });
-
-    // Handle case where response is already flattened
-    if (Array.isArray(response)) {
-      return response.slice(0, maxPages * pageSize);
-    }
-
-    // Handle paginated response
-    allAllergies = response;
-    currentPage++;
-
-    // Check for pagination links
-    while (hasMorePages && currentPage < maxPages) {
-      const link = response.link?.find(l => l.relation === 'next');
-      if (link && link.url) {
-        response = await client.request(link.url, {
-          resolveReferences: queryOptions.includeReferences || ['patient', 'asserter'],
-          flat: true
-        });
-        
-        const pageAllergies = processAllergyResponse(response);
-        allAllergies = allAllergies.concat(pageAllergies);
-        currentPage++;
-      } else {
-        hasMorePages = false;
-      }
+    for await (const page of searchPatientResourcePages(client, patientId, ValidatedAllergySearch, { ...queryOptions, maxPages, pageSize })) {
+      allAllergies = allAllergies.concat(page.resources);
     }
 
     return allAllergies;
-
   } catch (error) {
     console.error('Error in paginated allergy query:', error);
     throw error;
@@ -468,6 +749,9 @@ export function normalizeAllergyData(allergies) {
         // Reaction details
         reactions: reactions,
         
+        // Onset (onsetDateTime or the start of onsetPeriod)
+        onsetDate: allergy.onsetDateTime || allergy.onsetPeriod?.start || null,
+        
         // Metadata
         recordedDate: allergy.recordedDate,
         recorder: normalizeReference(allergy.recorder),
@@ -506,10 +790,12 @@ export function normalizeAllergyData(allergies) {
 
 /**
  * Extract substance information with fallback hierarchy
+ * @param {Object} allergy - AllergyIntolerance (or { code } for a reaction substance)
+ * @returns {Object} Substance text and all of its codings, used for drug–allergy checks
  */
-function extractSubstanceInfo(allergy) {
+export function extractSubstanceInfo(allergy) {
   if (!allergy.code) {
-    return { text: 'Unknown substance' };
+    return { text: 'Unknown substance', coding: [] };
   }
 
   // Priority: display text > coding display > coding code
@@ -518,11 +804,7 @@ function extractSubstanceInfo(allergy) {
   
   return {
     text: text || coding?.display || coding?.code || 'Unknown substance',
-    coding: coding ? [{
-      system: coding.system,
-      code: coding.code,
-      display: coding.display
-    }] : []
+    coding: normalizeCoding(allergy.code.coding)
   };
 }
 
@@ -586,7 +868,8 @@ function normalizeReactions(reactions) {
   return reactions.map((reaction, index) => {
     return {
       id: reaction.id || `reaction-${index}`,
-      substance: extractSubstanceInfo(reaction.substance),
+      // reaction.substance is an optional CodeableConcept
+      substance: reaction.substance ? extractSubstanceInfo({ code: reaction.substance }) : null,
       manifestation: normalizeManifestations(reaction.manifestation),
       severity: normalizeSeverity(reaction.severity),
       description: reaction.description,
@@ -662,7 +945,10 @@ function normalizeNotes(notes) {
   if (Array.isArray(notes)) {
     return notes.map(note => ({
       text: note.text,
-      author: normalizeReference(note.author),
+      // R4 Annotation names the author authorReference or authorString
+      author: note.authorString
+        ? { display: note.authorString }
+        : normalizeReference(note.authorReference || note.author),
       time: note.time
     }));
   }
@@ -691,66 +977,8 @@ function extractDisplayText(code) {
  * @param {Object} client - Authenticated FHIR client
  * @param {string} patientId - Patient ID to query for
  * @param {Object} options - Query options
- * @returns {Promise<Array>} Array of allergy resources
+ * @returns {Promise<Array>} Array of validated allergy resources, like getAllergyData
  */
 export async function getAllergyDataWithRetry(client, patientId, options = {}) {
-  const retryOptions = {
-    maxRetries: 3,
-    delay: 1000,
-    backoff: 2,
-    retryableStatusCodes: [408, 429, 500, 502, 503, 504], // Retry on these HTTP status codes
-    retryCondition: (error) => {
-      // Retry on network errors or specific FHIR server errors
-      return (
-        (error.type && error.type.includes('NETWORK')) ||
-        (error.details && error.details.status && [408, 429, 500, 502, 503, 504].includes(error.details.status))
-      );
-    },
-    onRetry: (attempt, error) => {
-      console.warn(`Retry attempt ${attempt} for allergy query:`, error.message || error);
-      // Return a user-friendly message about the retry
-      return `Retrying connection to FHIR server (attempt ${attempt} of 3)...`;
-    },
-    onFailure: (error) => {
-      // Format the final error after all retries have failed
-      if (error.type) {
-        // If it's already a structured error, add retry information
-        error.details = { ...error.details, retriesAttempted: 3 };
-        return error;
-      }
-      
-      return createError(
-        NetworkError.MAX_RETRIES_EXCEEDED,
-        'Failed to connect to FHIR server after multiple attempts',
-        {
-          originalError: error,
-          retriesAttempted: 3,
-          help: 'The server may be temporarily unavailable. Please try again later.'
-        }
-      );
-    }
-  };
-
-  try {
-    return await retryOperation(
-      () => getAllergyData(client, patientId, options),
-      { ...retryOptions, ...options }
-    );
-  } catch (error) {
-    // If it's already a structured error, throw it as is
-    if (error.type) {
-      throw error;
-    }
-    
-    // Otherwise, create a structured error
-    throw createError(
-      FhirServerError.DATA_RETRIEVAL_FAILED,
-      'Failed to retrieve allergy data after multiple attempts',
-      {
-        originalError: error,
-        patientId,
-        help: 'Please try again later. If the problem persists, contact support.'
-      }
-    );
-  }
+  return searchPatientResourcesWithRetry(client, patientId, ValidatedAllergySearch, options);
 }
@@ -1,5 +1,27 @@
-import { createError, retryOperation, DataError } from './error-handler.js';
-import { FhirServerError, NetworkError, getAllergyDataWithRetry } from './fhir-client.js';
+import { createError } from './error-handler.js';
+import {
+  FhirServerError,
+  NetworkError,
+  AllergyIntoleranceSearch,
+  searchPatientResources,
+  searchPatientResourcesWithRetry,
+  searchPatientResourcePages,
+  revalidateSearch
+} from './fhir-client.js';
+import resourceCache, { getVersionFingerprint } from './resource-cache.js';
+import { saveSnapshot, getSnapshot, offlineStatus } from './offline-store.js';
+import auditLog, { AuditAction, AuditOutcome } from './audit-log.js';
+import { MedicationRequestSearch } from './medication-request.js';
+import { ConditionSearch } from './condition.js';
+import { ObservationSearch, ObservationCategory } from './observation.js';
+import {
+  formatAllergyContent,
+  formatMedicationContent,
+  formatImmunizationContent,
+  formatMedicationRequestContent,
+  formatConditionContent,
+  formatObservationContent
+} from './card-formatters.js';
 
 /**
  * Resource types supported by the application
@@ -8,64 +30,189 @@ export const ResourceTypes = {
   ALLERGY: 'allergies',
   MEDICATION: 'medications',
   IMMUNIZATION: 'immunizations',
-  MEDICATION_REQUEST: 'medication-requests'
+  MEDICATION_REQUEST: 'medication-requests',
+  CONDITION: 'conditions',
+  VITAL_SIGNS: 'vital-signs',
+  LAB_RESULTS: 'lab-results'
 };
 
+/**
+ * Search definition for the full medication history (MedicationRequest of any status)
+ */
+export const MedicationSearch = {
+  resourceType: 'MedicationRequest',
+  label: 'medication',
+  defaultParams: { _sort: '-date' },
+  includeReferences: ['patient', 'prescriber'],
+  normalize: medications => medications.map(normalizeMedicationData)
+};
+
+/**
+ * Search definition for Immunization resources
+ */
+export const ImmunizationSearch = {
+  resourceType: 'Immunization',
+  label: 'immunization',
+  defaultParams: { _sort: '-date' },
+  includeReferences: ['patient', 'performer'],
+  normalize: immunizations => immunizations.map(normalizeImmunizationData)
+};
+
+/**
+ * Registry of resource types shown in the application, in selector order
+ *
+ * Each entry combines a search definition (resourceType, label, defaultParams,
+ * optionParams, includeReferences, normalize) with the selector name and the
+ * card title/content formatters. Adding a resource type to the application
+ * means adding an entry here.
+ */
+export const ResourceRegistry = {
+  [ResourceTypes.ALLERGY]: {
+    ...AllergyIntoleranceSearch,
+    name: 'Allergies',
+    formatTitle: allergy => allergy.code?.display || allergy.substance?.text || 'Unknown Allergy',
+    formatContent: formatAllergyContent
+  },
+  [ResourceTypes.CONDITION]: {
+    ...ConditionSearch,
+    name: 'Conditions',
+    formatTitle: condition => condition.display || 'Unknown Condition',
+    formatContent: formatConditionContent
+  },
+  [ResourceTypes.VITAL_SIGNS]: {
+    ...ObservationSearch,
+    label: 'vital sign',
+    name: 'Vital Signs',
+    defaultParams: { ...ObservationSearch.defaultParams, category: ObservationCategory.VITAL_SIGNS },
+    formatTitle: formatObservationTitle,
+    formatContent: formatObservationContent
+  },
+  [ResourceTypes.LAB_RESULTS]: {
+    ...ObservationSearch,
+    label: 'lab result',
+    name: 'Lab Results',
+    defaultParams: { ...ObservationSearch.defaultParams, category: ObservationCategory.LABORATORY },
+    formatTitle: formatObservationTitle,
+    formatContent: formatObservationContent
+  },
+  [ResourceTypes.MEDICATION]: {
+    ...MedicationSearch,
+    name: 'Medications',
+    formatTitle: medication => medication.medicationDisplay || 'Unknown Medication',
+    formatContent: formatMedicationContent
+  },
+  [ResourceTypes.IMMUNIZATION]: {
+    ...ImmunizationSearch,
+    name: 'Immunizations',
+    formatTitle: immunization => immunization.vaccineDisplay || 'Unknown Vaccine',
+    formatContent: formatImmunizationContent
+  },
+  [ResourceTypes.MEDICATION_REQUEST]: {
+    ...MedicationRequestSearch,
+    name: 'Medication Requests',
+    formatTitle: medicationRequest => medicationRequest.medicationDisplay || 'Unknown Medication Request',
+    formatContent: formatMedicationRequestContent
+  }
+};
+
+/**
+ * Observation card title, flagged when the result is abnormal
+ * @param {Object} observation - Normalized observation
+ * @returns {string} Card title
+ */
+function formatObservationTitle(observation) {
+  return `${observation.abnormalFlag ? '\u26A0 ' : ''}${observation.display || 'Unknown Observation'}`;
+}
+
+/**
+ * Look up the registry entry for a resource type
+ * @param {string} resourceType - Type of resource (from ResourceTypes)
+ * @returns {Object|null} Registry entry, or null for unsupported types
+ */
+export function getResourceDefinition(resourceType) {
+  return ResourceRegistry[resourceType] || null;
+}
+
+/**
+ * Record a search for patient data in the audit log, including results
+ * served from the cache or an offline snapshot
+ * @param {string} patientId - Patient ID
+ * @param {string} resourceType - Type of resource (from ResourceTypes)
+ * @param {Object} details - { source, count } or { outcome, detail }
+ */
+function auditSearch(patientId, resourceType, details) {
+  auditLog.record({
+    action: AuditAction.SEARCH,
+    resourceType: ResourceRegistry[resourceType]?.resourceType || resourceType,
+    patientId,
+    ...details
+  });
+}
+
 /**
  * Fetch FHIR resources based on resource type
+ *
+ * Results are cached per patient, resource type and query options. Fresh
+ * entries are returned directly; stale entries are revalidated against the
+ * server before they are reused.
+ *
  * @param {Object} client - Authenticated FHIR client
  * @param {string} patientId - Patient ID to query for
  * @param {string} resourceType - Type of resource to fetch (from ResourceTypes)
- * @param {Object} options - Query options
- * @returns {Promise<Array>} Array of resources
+ * @param {Object} options - Query options, plus useCache (default true) and forceRefresh
+ * @returns {Promise<Array>} Array of normalized resources
  */
 export async function fetchResourceData(client, patientId, resourceType, options = {}) {
+  const { useCache = true, forceRefresh = false, ...queryOptions } = options;
+  const cacheKey = resourceCache.createKey(patientId, resourceType, queryOptions);
+
   try {
-    if (!client || !client.request) {
-      throw createError(
-        FhirServerError.INVALID_CLIENT, 
-        'Invalid FHIR client provided',
-        { help: 'Please ensure you are properly authenticated before accessing FHIR resources.' }
-      );
-    }
+    const definition = getSupportedDefinition(resourceType);
 
-    if (!patientId) {
-      throw createError(
-        FhirServerError.MISSING_PARAMETER,
-        'Patient ID is required',
-        { help: 'A valid patient ID is required to retrieve health information.' }
-      );
-    }
+    if (useCache && !forceRefresh) {
+      const cached = await getUsableCacheEntry(client, patientId, definition, cacheKey, queryOptions);
 
-    if (!resourceType) {
-      throw createError(
-        FhirServerError.MISSING_PARAMETER,
-        'Resource type is required',
-        { help: 'A valid resource type is required to retrieve health information.' }
-      );
+      if (cached && cached.complete) {
+        console.log(`Using cached ${resourceType} data for patient: ${patientId}`);
+        auditSearch(patientId, resourceType, { source: 'cache', count: cached.data.length });
+        return cached.data;
+      }
     }
 
     console.log(`Fetching ${resourceType} data for patient: ${patientId}`);
 
-    switch (resourceType) {
-      case ResourceTypes.ALLERGY:
-        return await getAllergyDataWithRetry(client, patientId, options);
-      case ResourceTypes.MEDICATION:
-        return await getMedicationDataWithRetry(client, patientId, options);
-      case ResourceTypes.IMMUNIZATION:
-        return await getImmunizationDataWithRetry(client, patientId, options);
-      case ResourceTypes.MEDICATION_REQUEST:
-        // Import dynamically to avoid circular dependencies
-        const { getMedicationRequestDataWithRetry } = await import('./medication-request.js');
-        return await getMedicationRequestDataWithRetry(client, patientId, options);
-      default:
-        throw createError(
-          FhirServerError.INVALID_PARAMETER,
-          `Unsupported resource type: ${resourceType}`,
-          { help: 'Please select a supported resource type.' }
-        );
+    let versions = '';
+    const data = await searchPatientResourcesWithRetry(
+      client,
+      patientId,
+      withVersionCapture(definition, fingerprint => { versions = fingerprint; }),
+      queryOptions
+    );
+
+    if (useCache) {
+      resourceCache.set(cacheKey, data, { validators: { versions } });
     }
+
+    saveSnapshot(cacheKey, patientId, data, { complete: true });
+    offlineStatus.markOnline();
+    auditSearch(patientId, resourceType, { source: 'server', count: data.length });
+
+    return data;
   } catch (error) {
+    // Fall back to the last data saved for this query when the server is unreachable
+    if (isConnectionError(error)) {
+      const snapshot = await getSnapshot(cacheKey);
+
+      if (snapshot) {
+        console.warn(`Server unreachable, showing ${resourceType} data saved at ${snapshot.savedAt}`);
+        offlineStatus.markOffline(snapshot.savedAt);
+        auditSearch(patientId, resourceType, { source: 'offline', count: snapshot.data.length });
+        return snapshot.data;
+      }
+    }
+
+    auditSearch(patientId, resourceType, { outcome: AuditOutcome.FAILURE, detail: error.message || 'Unknown error' });
+
     // If the error is already a structured error object, pass it through
     if (error.type) {
       throw error;
@@ -86,148 +233,252 @@ export async function fetchResourceData(client, patientId, resourceType, options
 }
 
 /**
- * Get medication data for a specific patient
+ * Fetch FHIR resources page by page based on resource type
+ *
+ * Cached results are yielded first as a single page; a partially loaded
+ * cached result resumes from its saved next link.
+ *
  * @param {Object} client - Authenticated FHIR client
  * @param {string} patientId - Patient ID to query for
- * @param {Object} options - Query options
- * @returns {Promise<Array>} Array of medication resources
+ * @param {string} resourceType - Type of resource to fetch (from ResourceTypes)
+ * @param {Object} options - Query options (pageSize, maxPages, useCache, forceRefresh, etc.)
+ * @returns {AsyncGenerator<Object>} Pages of { resources, pageNumber, total, hasMore, nextUrl }
  */
-export async function getMedicationData(client, patientId, options = {}) {
-  const {
-    includeReferences = ['patient', 'prescriber'],
-    pageLimit = 0,
-    maxResults = 1000,
-    sortOrder = '-date'
-  } = options;
+export async function* fetchResourcePages(client, patientId, resourceType, options = {}) {
+  const { useCache = true, forceRefresh = false, ...queryOptions } = options;
+
+  const definition = getSupportedDefinition(resourceType);
+  const cacheKey = resourceCache.createKey(patientId, resourceType, queryOptions);
+  const cached = useCache && !forceRefresh ?
+    await getUsableCacheEntry(client, patientId, definition, cacheKey, queryOptions) :
+    null;
+
+  let loaded = [];
+  let validators = {};
+  let startUrl = null;
+
+  if (cached && (cached.complete || cached.nextUrl)) {
+    console.log(`Using cached ${resourceType} data for patient: ${patientId}`);
+
+    loaded = cached.data;
+    validators = cached.validators;
+    auditSearch(patientId, resourceType, { source: 'cache', count: cached.data.length });
+
+    yield {
+      resources: cached.data,
+      pageNumber: 1,
+      total: cached.total,
+      hasMore: !cached.complete,
+      nextUrl: cached.nextUrl,
+      fromCache: true
+    };
 
-  try {
-    if (!client || !client.request) {
-      throw createError(
-        FhirServerError.INVALID_CLIENT, 
-        'Invalid FHIR client provided',
-        { help: 'Please ensure you are properly authenticated before accessing FHIR resources.' }
-      );
+    if (cached.complete) {
+      return;
     }
 
-    if (!patientId) {
-      throw createError(
-        FhirServerError.MISSING_PARAMETER,
-        'Patient ID is required',
-        { help: 'A valid patient ID is required to retrieve medication information.' }
-      );
-    }
+    startUrl = cached.nextUrl;
+  }
 
-    console.log(`Retrieving medication data for patient: ${patientId}`);
+  console.log(`Fetching ${resourceType} pages for patient: ${patientId}`);
 
-    // Build the query URL
-    const queryParams = new URLSearchParams({
-      patient: patientId,
-      _sort: sortOrder,
-      _count: Math.min(maxResults, 100) // FHIR servers typically limit to 100 per page
+  // Only the first page decides the version fingerprint
+  let pageNumber = 0;
+  const pageDefinition = startUrl ?
+    definition :
+    withVersionCapture(definition, fingerprint => {
+      if (pageNumber === 0) {
+        validators = { versions: fingerprint };
+      }
     });
 
-    const url = `MedicationRequest?${queryParams.toString()}`;
-
-    // Make the FHIR request
-    const response = await client.request(url, {
-      resolveReferences: includeReferences,
-      pageLimit: pageLimit,
-      flat: true
-    });
+  try {
+    for await (const page of searchPatientResourcePages(client, patientId, pageDefinition, { ...queryOptions, startUrl })) {
+      pageNumber++;
+      loaded = loaded.concat(page.resources);
+
+      if (useCache) {
+        resourceCache.set(cacheKey, loaded, {
+          complete: !page.nextUrl,
+          nextUrl: page.nextUrl,
+          total: page.total,
+          validators
+        });
+      }
 
-    console.log('Medication data retrieved successfully:', {
-      patientId,
-      totalResults: response?.entry?.length || 0,
-      url
-    });
+      saveSnapshot(cacheKey, patientId, loaded, { complete: !page.nextUrl });
+      offlineStatus.markOnline();
+      auditSearch(patientId, resourceType, { source: 'server', count: page.resources.length });
 
-    return processMedicationResponse(response);
+      yield page;
+    }
   } catch (error) {
-    console.error('Error retrieving medication data:', error);
-    
-    // If the error is already a structured error object, pass it through
-    if (error.type) {
+    // Only a failed first page falls back to the offline snapshot
+    const snapshot = pageNumber === 0 && !cached && isConnectionError(error) ?
+      await getSnapshot(cacheKey) :
+      null;
+
+    if (!snapshot) {
+      auditSearch(patientId, resourceType, { outcome: AuditOutcome.FAILURE, detail: error.message || 'Unknown error' });
       throw error;
     }
-    
-    // Otherwise, format the error based on its characteristics
-    if (error.status === 401 || error.status === 403) {
-      throw createError(
-        FhirServerError.UNAUTHORIZED,
-        'Unauthorized access to FHIR resources',
-        { 
-          originalError: error,
-          help: 'Your session may have expired. Please try refreshing the page to re-authenticate.',
-          status: error.status
-        }
-      );
-    } else if (error.status === 404) {
-      throw createError(
-        FhirServerError.RESOURCE_NOT_FOUND,
-        'Medication resources not found',
-        { 
-          originalError: error,
-          help: 'The requested medication information could not be found for this patient.',
-          status: error.status,
-          patientId
-        }
-      );
-    } else if (error.status >= 500) {
-      throw createError(
-        FhirServerError.SERVER_ERROR,
-        'FHIR server error occurred',
-        { 
-          originalError: error,
-          help: 'The FHIR server encountered an error. Please try again later.',
-          status: error.status
-        }
-      );
-    } else if (error.message && error.message.includes('network')) {
-      throw createError(
-        NetworkError.CONNECTION_FAILED,
-        'Network error while connecting to FHIR server',
-        { 
-          originalError: error,
-          help: 'Please check your internet connection and try again.'
-        }
-      );
-    } else {
-      throw createError(
-        FhirServerError.UNKNOWN,
-        'Unknown error retrieving medication data',
-        { 
-          originalError: error,
-          help: 'An unexpected error occurred. Please try again later.'
-        }
-      );
-    }
+
+    console.warn(`Server unreachable, showing ${resourceType} data saved at ${snapshot.savedAt}`);
+    offlineStatus.markOffline(snapshot.savedAt);
+    auditSearch(patientId, resourceType, { source: 'offline', count: snapshot.data.length });
+
+    yield {
+      resources: snapshot.data,
+      pageNumber: 1,
+      total: null,
+      hasMore: false,
+      nextUrl: null,
+      offline: true,
+      asOf: snapshot.savedAt
+    };
+  }
+}
+
+/**
+ * Determine whether an error means the FHIR server could not be reached
+ * @param {Object} error - Structured error
+ * @returns {boolean} True for connection failures and unavailable gateways
+ */
+function isConnectionError(error) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return true;
+  }
+
+  return Boolean(error) && (
+    error.type === NetworkError.CONNECTION_FAILED ||
+    error.type === NetworkError.MAX_RETRIES_EXCEEDED ||
+    (error.type === FhirServerError.SERVER_ERROR && [502, 503, 504].includes(error.details?.status))
+  );
+}
+
+/**
+ * Look up the registry entry for a resource type, failing for unsupported types
+ * @param {string} resourceType - Type of resource (from ResourceTypes)
+ * @returns {Object} Registry entry
+ */
+function getSupportedDefinition(resourceType) {
+  if (!resourceType) {
+    throw createError(
+      FhirServerError.MISSING_PARAMETER,
+      'Resource type is required',
+      { help: 'A valid resource type is required to retrieve health information.' }
+    );
+  }
+
+  const definition = getResourceDefinition(resourceType);
+
+  if (!definition) {
+    throw createError(
+      FhirServerError.INVALID_PARAMETER,
+      `Unsupported resource type: ${resourceType}`,
+      { help: 'Please select a supported resource type.' }
+    );
   }
+
+  return definition;
 }
 
 /**
- * Process FHIR response and extract medication resources
- * @param {Object} response - FHIR response bundle
- * @returns {Array} Array of medication resources
+ * Get a cache entry that can be reused, revalidating it when its TTL has passed
+ * @param {Object} client - Authenticated FHIR client
+ * @param {string} patientId - Patient ID to query for
+ * @param {Object} definition - Search definition
+ * @param {string} cacheKey - Cache key for the query
+ * @param {Object} queryOptions - Query options
+ * @returns {Promise<Object|null>} Cache entry, or null when the data must be fetched
  */
-function processMedicationResponse(response) {
-  if (!response) {
-    return [];
+async function getUsableCacheEntry(client, patientId, definition, cacheKey, queryOptions) {
+  const entry = resourceCache.get(cacheKey);
+
+  if (!entry) {
+    return null;
+  }
+
+  if (resourceCache.isFresh(entry)) {
+    return entry;
   }
 
-  // Handle both Bundle and direct resource formats
-  if (response.resourceType === 'Bundle' && response.entry) {
-    return response.entry
-      .filter(entry => entry.resource && entry.resource.resourceType === 'MedicationRequest')
-      .map(entry => normalizeMedicationData(entry.resource));
-  } else if (response.resourceType === 'MedicationRequest') {
-    return [normalizeMedicationData(response)];
-  } else if (Array.isArray(response)) {
-    return response
-      .filter(item => item && item.resourceType === 'MedicationRequest')
-      .map(item => normalizeMedicationData(item));
+  try {
+    const { changed, validators } = await revalidateSearch(client, patientId, definition, {
+      ...queryOptions,
+      validators: entry.validators
+    });
+
+    if (changed) {
+      return null;
+    }
+
+    resourceCache.touch(cacheKey, validators);
+    return entry;
+  } catch (error) {
+    console.warn(`Could not revalidate cached ${definition.label} data:`, error);
+    return null;
   }
+}
+
+/**
+ * Wrap a search definition so the version fingerprint of the raw resources is reported
+ * @param {Object} definition - Search definition
+ * @param {Function} onVersions - Called with the fingerprint of each normalized batch
+ * @returns {Object} Search definition
+ */
+function withVersionCapture(definition, onVersions) {
+  return {
+    ...definition,
+    normalize: resources => {
+      onVersions(getVersionFingerprint(resources));
+      return definition.normalize ? definition.normalize(resources) : resources;
+    }
+  };
+}
+
+/**
+ * Get medication data for a specific patient
+ * @param {Object} client - Authenticated FHIR client
+ * @param {string} patientId - Patient ID to query for
+ * @param {Object} options - Query options
+ * @returns {Promise<Array>} Array of medication resources
+ */
+export async function getMedicationData(client, patientId, options = {}) {
+  return searchPatientResources(client, patientId, MedicationSearch, options);
+}
 
-  return [];
+/**
+ * Get medication data with retry mechanism
+ * @param {Object} client - Authenticated FHIR client
+ * @param {string} patientId - Patient ID to query for
+ * @param {Object} options - Query options
+ * @returns {Promise<Array>} Array of medication resources
+ */
+export async function getMedicationDataWithRetry(client, patientId, options = {}) {
+  return searchPatientResourcesWithRetry(client, patientId, MedicationSearch, options);
+}
+
+/**
+ * Get immunization data for a specific patient
+ * @param {Object} client - Authenticated FHIR client
+ * @param {string} patientId - Patient ID to query for
+ * @param {Object} options - Query options
+ * @returns {Promise<Array>} Array of immunization resources
+ */
+export async function getImmunizationData(client, patientId, options = {}) {
+  return searchPatientResources(client, patientId, ImmunizationSearch, options);
+}
+
+/**
+ * Get immunization data with retry mechanism
+ * @param {Object} client - Authenticated FHIR client
+ * @param {string} patientId - Patient ID to query for
+ * @param {Object} options - Query options
+ * @returns {Promise<Array>} Array of immunization resources
+ */
+export async function getImmunizationDataWithRetry(client, patientId, options = {}) {
+  return searchPatientResourcesWithRetry(client, patientId, ImmunizationSearch, options);
 }
 
 /**
@@ -248,7 +499,8 @@ function normalizeMedicationData(medication) {
       dosageInstructions: extractDosageInstructions(medication),
       dateWritten: medication.authoredOn || '',
       prescriber: extractPrescriberInfo(medication),
-      note: extractNotes(medication.note)
+      note: extractNotes(medication.note),
+      rawResource: medication
     };
   } catch (error) {
     console.error('Error normalizing medication data:', error);
@@ -359,214 +611,6 @@ function extractNotes(notes) {
   return notes.map(note => note.text || '').filter(Boolean).join('; ');
 }
 
-/**
- * Get medication data with retry mechanism
- * @param {Object} client - Authenticated FHIR client
- * @param {string} patientId - Patient ID to query for
- * @param {Object} options - Query options
- * @returns {Promise<Array>} Array of medication resources
- */
-export async function getMedicationDataWithRetry(client, patientId, options = {}) {
-  const retryOptions = {
-    maxRetries: 3,
-    delay: 1000,
-    backoff: 2,
-    retryableStatusCodes: [408, 429, 500, 502, 503, 504],
-    retryCondition: (error) => {
-      return (
-        (error.type && error.type.includes('NETWORK')) ||
-        (error.details && error.details.status && [408, 429, 500, 502, 503, 504].includes(error.details.status))
-      );
-    },
-    onRetry: (attempt, error) => {
-      console.warn(`Retry attempt ${attempt} for medication query:`, error.message || error);
-      return `Retrying connection to FHIR server (attempt ${attempt} of 3)...`;
-    },
-    onFailure: (error) => {
-      if (error.type) {
-        error.details = { ...error.details, retriesAttempted: 3 };
-        return error;
-      }
-      
-      return createError(
-        NetworkError.MAX_RETRIES_EXCEEDED,
-        'Failed to connect to FHIR server after multiple attempts',
-        {
-          originalError: error,
-          retriesAttempted: 3,
-          help: 'The server may be temporarily unavailable. Please try again later.'
-        }
-      );
-    }
-  };
-
-  try {
-    return await retryOperation(
-      () => getMedicationData(client, patientId, options),
-      { ...retryOptions, ...options }
-    );
-  } catch (error) {
-    if (error.type) {
-      throw error;
-    }
-    
-    throw createError(
-      FhirServerError.DATA_RETRIEVAL_FAILED,
-      'Failed to retrieve medication data after multiple attempts',
-      {
-        originalError: error,
-        patientId,
-        help: 'Please try again later. If the problem persists, contact support.'
-      }
-    );
-  }
-}
-
-/**
- * Get immunization data for a specific patient
- * @param {Object} client - Authenticated FHIR client
- * @param {string} patientId - Patient ID to query for
- * @param {Object} options - Query options
- * @returns {Promise<Array>} Array of immunization resources
- */
-export async function getImmunizationData(client, patientId, options = {}) {
-  const {
-    includeReferences = ['patient', 'performer'],
-    pageLimit = 0,
-    maxResults = 1000,
-    sortOrder = '-date'
-  } = options;
-
-  try {
-    if (!client || !client.request) {
-      throw createError(
-        FhirServerError.INVALID_CLIENT, 
-        'Invalid FHIR client provided',
-        { help: 'Please ensure you are properly authenticated before accessing FHIR resources.' }
-      );
-    }
-
-    if (!patientId) {
-      throw createError(
-        FhirServerError.MISSING_PARAMETER,
-        'Patient ID is required',
-        { help: 'A valid patient ID is required to retrieve immunization information.' }
-      );
-    }
-
-    console.log(`Retrieving immunization data for patient: ${patientId}`);
-
-    // Build the query URL
-    const queryParams = new URLSearchParams({
-      patient: patientId,
-      _sort: sortOrder,
-      _count: Math.min(maxResults, 100) // FHIR servers typically limit to 100 per page
-    });
-
-    const url = `Immunization?${queryParams.toString()}`;
-
-    // Make the FHIR request
-    const response = await client.request(url, {
-      resolveReferences: includeReferences,
-      pageLimit: pageLimit,
-      flat: true
-    });
-
-    console.log('Immunization data retrieved successfully:', {
-      patientId,
-      totalResults: response?.entry?.length || 0,
-      url
-    });
-
-    return processImmunizationResponse(response);
-  } catch (error) {
-    console.error('Error retrieving immunization data:', error);
-    
-    // If the error is already a structured error object, pass it through
-    if (error.type) {
-      throw error;
-    }
-    
-    // Otherwise, format the error based on its characteristics
-    if (error.status === 401 || error.status === 403) {
-      throw createError(
-        FhirServerError.UNAUTHORIZED,
-        'Unauthorized access to FHIR resources',
-        { 
-          originalError: error,
-          help: 'Your session may have expired. Please try refreshing the page to re-authenticate.',
-          status: error.status
-        }
-      );
-    } else if (error.status === 404) {
-      throw createError(
-        FhirServerError.RESOURCE_NOT_FOUND,
-        'Immunization resources not found',
-        { 
-          originalError: error,
-          help: 'The requested immunization information could not be found for this patient.',
-          status: error.status,
-          patientId
-        }
-      );
-    } else if (error.status >= 500) {
-      throw createError(
-        FhirServerError.SERVER_ERROR,
-        'FHIR server error occurred',
-        { 
-          originalError: error,
-          help: 'The FHIR server encountered an error. Please try again later.',
-          status: error.status
-        }
-      );
-    } else if (error.message && error.message.includes('network')) {
-      throw createError(
-        NetworkError.CONNECTION_FAILED,
-        'Network error while connecting to FHIR server',
-        { 
-          originalError: error,
-          help: 'Please check your internet connection and try again.'
-        }
-      );
-    } else {
-      throw createError(
-        FhirServerError.UNKNOWN,
-        'Unknown error retrieving immunization data',
-        { 
-          originalError: error,
-          help: 'An unexpected error occurred. Please try again later.'
-        }
-      );
-    }
-  }
-}
-
-/**
- * Process FHIR response and extract immunization resources
- * @param {Object} response - FHIR response bundle
- * @returns {Array} Array of immunization resources
- */
-function processImmunizationResponse(response) {
-  if (!response) {
-    return [];
-  }
-
-  // Handle both Bundle and direct resource formats
-  if (response.resourceType === 'Bundle' && response.entry) {
-    return response.entry
-      .filter(entry => entry.resource && entry.resource.resourceType === 'Immunization')
-      .map(entry => normalizeImmunizationData(entry.resource));
-  } else if (response.resourceType === 'Immunization') {
-    return [normalizeImmunizationData(response)];
-  } else if (Array.isArray(response)) {
-    return response
-      .filter(item => item && item.resourceType === 'Immunization')
-      .map(item => normalizeImmunizationData(item));
-  }
-
-  return [];
-}
-
 /**
  * Normalize immunization data for consistent display
  * @param {Object} immunization - Immunization resource
@@ -683,66 +727,3 @@ function extractRoute(immunization) {
          immunization.route.coding?.[0]?.display ||
          '';
 }
-
-/**
- * Get immunization data with retry mechanism
- * @param {Object} client - Authenticated FHIR client
- * @param {string} patientId - Patient ID to query for
- * @param {Object} options - Query options
- * @returns {Promise<Array>} Array of immunization resources
- */
-export async function getImmunizationDataWithRetry(client, patientId, options = {}) {
-  const retryOptions = {
-    maxRetries: 3,
-    delay: 1000,
-    backoff: 2,
-    retryableStatusCodes: [408, 429, 500, 502, 503, 504],
-    retryCondition: (error) => {
-      return (
-        (error.type && error.type.includes('NETWORK')) ||
-        (error.details && error.details.status && [408, 429, 500, 502, 503, 504].includes(error.details.status))
-      );
-    },
-    onRetry: (attempt, error) => {
-      console.warn(`Retry attempt ${attempt} for immunization query:`, error.message || error);
-      return `Retrying connection to FHIR server (attempt ${attempt} of 3)...`;
-    },
-    onFailure: (error) => {
-      if (error.type) {
-        error.details = { ...error.details, retriesAttempted: 3 };
-        return error;
-      }
-      
-      return createError(
-        NetworkError.MAX_RETRIES_EXCEEDED,
-        'Failed to connect to FHIR server after multiple attempts',
-        {
-          originalError: error,
-          retriesAttempted: 3,
-          help: 'The server may be temporarily unavailable. Please try again later.'
-        }
-      );
-    }
-  };
-
-  try {
-    return await retryOperation(
-      () => getImmunizationData(client, patientId, options),
-      { ...retryOptions, ...options }
-    );
-  } catch (error) {
-    if (error.type) {
-      throw error;
-    }
-    
-    throw createError(
-      FhirServerError.DATA_RETRIEVAL_FAILED,
-      'Failed to retrieve immunization data after multiple attempts',
-      {
-        originalError: error,
-        patientId,
-        help: 'Please try again later. If the problem persists, contact support.'
-      }
-    );
-  }
-}
@@ -0,0 +1,212 @@
+/**
+ * Idle Lock Module
+ * Watches for user inactivity on shared workstations: after a short idle
+ * time patient data is hidden behind a lock overlay, and after a longer one
+ * the session is signed out. Unlocking needs no relaunch while the session
+ * is still valid.
+ */
+
+/**
+ * Events that count as user activity
+ */
+export const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart', 'scroll'];
+
+/**
+ * Page regions holding patient data, hidden while locked
+ */
+export const PHI_REGION_IDS = [
+  'patient-banner',
+  'allergies-container',
+  'resource-container',
+  'chart-display-container',
+  'timeline-display-container',
+  'json-display-container'
+];
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Tracks inactivity and reports when to lock and when to end the session
+ */
+class IdleMonitor {
+  /**
+   * @param {Object} options - Monitor options
+   * @param {number} options.lockAfter - Idle milliseconds before onLock
+   * @param {number} options.timeoutAfter - Idle milliseconds before onTimeout
+   * @param {Function} options.onLock - Called once when the idle lock time passes
+   * @param {Function} options.onTimeout - Called once when the idle timeout passes
+   * @param {EventTarget} options.target - Where activity events are observed (defaults to document)
+   */
+  constructor({ lockAfter, timeoutAfter, onLock, onTimeout, target = null }) {
+    this._lockAfter = lockAfter;
+    this._timeoutAfter = timeoutAfter;
+    this._onLock = onLock;
+    this._onTimeout = onTimeout;
+    this._target = target;
+    this._lastActivity = 0;
+    this._locked = false;
+    this._timer = null;
+    this._running = false;
+    this._handleActivity = () => this.recordActivity();
+    this._handleVisibility = () => this._check();
+  }
+
+  /**
+   * Create a monitor from client settings (minutes)
+   * @param {Object} config - Settings from loadClientConfig()
+   * @param {Object} callbacks - { onLock, onTimeout }
+   * @returns {IdleMonitor} Monitor (not started)
+   */
+  static fromConfig(config, callbacks) {
+    return new IdleMonitor({
+      lockAfter: config.idleLockMinutes * MINUTE,
+      timeoutAfter: config.idleTimeoutMinutes * MINUTE,
+      ...callbacks
+    });
+  }
+
+  /**
+   * Start watching for activity
+   */
+  start() {
+    if (this._running) return;
+
+    const target = this._target || document;
+    this._running = true;
+    this._locked = false;
+    this._lastActivity = Date.now();
+    ACTIVITY_EVENTS.forEach(event => target.addEventListener(event, this._handleActivity, { passive: true, capture: true }));
+    // Timers are throttled in background tabs; check the clock when the page is shown again
+    target.addEventListener('visibilitychange', this._handleVisibility);
+    this._schedule();
+  }
+
+  /**
+   * Stop watching; the lock state is left as it is
+   */
+  stop() {
+    if (!this._running) return;
+
+    const target = this._target || document;
+    this._running = false;
+    ACTIVITY_EVENTS.forEach(event => target.removeEventListener(event, this._handleActivity, { capture: true }));
+    target.removeEventListener('visibilitychange', this._handleVisibility);
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Record user activity. Activity behind the lock overlay does not count:
+   * only unlock() restarts the idle time.
+   */
+  recordActivity() {
+    if (this._running && !this._locked) {
+      this._lastActivity = Date.now();
+    }
+  }
+
+  /**
+   * Check whether the monitor has locked
+   * @returns {boolean} True while locked
+   */
+  isLocked() {
+    return this._locked;
+  }
+
+  /**
+   * Leave the locked state and restart the idle time
+   */
+  unlock() {
+    this._locked = false;
+    this._lastActivity = Date.now();
+    if (this._running) this._schedule();
+  }
+
+  /**
+   * Lock now, e.g. when the user steps away
+   */
+  lock() {
+    if (this._locked) return;
+    this._locked = true;
+    this._onLock();
+  }
+
+  /**
+   * Act on the idle time so far and schedule the next check
+   * @private
+   */
+  _check() {
+    if (!this._running) return;
+
+    const idle = Date.now() - this._lastActivity;
+
+    if (idle >= this._timeoutAfter) {
+      this.stop();
+      this._onTimeout();
+      return;
+    }
+
+    if (idle >= this._lockAfter) {
+      this.lock();
+    }
+
+    this._schedule();
+  }
+
+  /**
+   * Set a timer for the next threshold; activity only moves _lastActivity,
+   * so the timer may fire early and reschedule itself
+   * @private
+   */
+  _schedule() {
+    clearTimeout(this._timer);
+
+    const idle = Date.now() - this._lastActivity;
+    const next = this._locked ? this._timeoutAfter : Math.min(this._lockAfter, this._timeoutAfter);
+
+    this._timer = setTimeout(() => this._check(), Math.max(next - idle, 0));
+  }
+}
+
+/**
+ * Hide patient data behind the lock overlay
+ * @param {Document} doc - Document to lock (defaults to document)
+ */
+export function showLockScreen(doc = document) {
+  doc.body.classList.add('idle-locked');
+
+  PHI_REGION_IDS.forEach(id => {
+    const region = doc.getElementById(id);
+    if (region) {
+      region.setAttribute('aria-hidden', 'true');
+      region.inert = true;
+    }
+  });
+
+  const overlay = doc.getElementById('lock-overlay');
+  if (overlay) {
+    overlay.hidden = false;
+    overlay.querySelector('button')?.focus();
+  }
+}
+
+/**
+ * Remove the lock overlay
+ * @param {Document} doc - Document to unlock (defaults to document)
+ */
+export function hideLockScreen(doc = document) {
+  doc.body.classList.remove('idle-locked');
+
+  PHI_REGION_IDS.forEach(id => {
+    const region = doc.getElementById(id);
+    if (region) {
+      region.removeAttribute('aria-hidden');
+      region.inert = false;
+    }
+  });
+
+  const overlay = doc.getElementById('lock-overlay');
+  if (overlay) overlay.hidden = true;
+}
+
+export { IdleMonitor };
@@ -3,6 +3,8 @@
  * Provides functionality to display FHIR resources in formatted JSON with copy-to-clipboard support
  */
 
+import auditLog, { AuditAction, AuditOutcome } from './audit-log.js';
+
 /**
  * Display JSON data in a formatted, readable way
  * @param {Object} data - The data to display (FHIR resources or any object)
@@ -272,11 +274,19 @@ export function displayFhirResourcesList(resources, targetElementId, options = {
 }
 
 /**
- * Export data as downloadable JSON file
+ * Export data as downloadable JSON file; the export is recorded in the audit log
  * @param {Object} data - Data to export
  * @param {string} filename - Output filename
+ * @param {Object} options - { resourceType } for the audit log (defaults to the data's resourceType)
  */
-export function exportJsonData(data, filename = 'fhir-data.json') {
+export function exportJsonData(data, filename = 'fhir-data.json', options = {}) {
+  const resources = Array.isArray(data) ? data : (data?.entry?.map(entry => entry.resource) || [data]);
+  const exported = {
+    action: AuditAction.EXPORT,
+    resourceType: options.resourceType || resources[0]?.resourceType || null,
+    count: resources.length
+  };
+
   try {
     const jsonString = JSON.stringify(data, null, 2);
     const blob = new Blob([jsonString], { type: 'application/json' });
@@ -290,8 +300,10 @@ export function exportJsonData(data, filename = 'fhir-data.json') {
     document.body.removeChild(link);
     
     URL.revokeObjectURL(url);
+    auditLog.record({ ...exported, detail: filename });
   } catch (error) {
     console.error('Error exporting JSON data:', error);
+    auditLog.record({ ...exported, outcome: AuditOutcome.FAILURE, detail: error.message || 'Unknown error' });
   }
 }
 
@@ -0,0 +1,111 @@
+/**
+ * Logout Module
+ * Ends the session: revokes the tokens at the authorization server
+ * (RFC 7009), then forgets the auth state, the launch state kept by the
+ * fhirclient library, the patient context and all cached patient data.
+ * In BFF mode the server holds the tokens and revokes them itself.
+ */
+
+import { getAuthState, clearAuthState, clearLaunchState, updateAuthStatusUI } from './auth.js';
+import { endBffSession } from './bff-session.js';
+import { fetchSmartConfiguration } from './smart-discovery.js';
+import patientStore from './patient-store.js';
+import resourceCache from './resource-cache.js';
+import { clearSnapshots } from './offline-store.js';
+import auditLog from './audit-log.js';
+
+/**
+ * Revoke a token at the revocation endpoint
+ * @param {string} endpoint - revocation_endpoint from the SMART configuration
+ * @param {string} token - Token to revoke
+ * @param {string} hint - token_type_hint ('refresh_token' or 'access_token')
+ * @param {string} clientId - Client ID of the app (public client authentication)
+ * @returns {Promise<void>}
+ * @throws {Error} When the server does not confirm the revocation
+ */
+async function revokeToken(endpoint, token, hint, clientId) {
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ token, token_type_hint: hint, ...(clientId && { client_id: clientId }) })
+  });
+
+  // RFC 7009 answers 200 even for tokens that were already invalid
+  if (!response.ok) {
+    throw new Error(`Revocation of the ${hint.replace('_', ' ')} failed with HTTP ${response.status}`);
+  }
+}
+
+/**
+ * Revoke the stored tokens. The refresh token goes first, since revoking it
+ * usually also ends the access tokens issued from it.
+ * @param {Object} authState - Auth state from getAuthState()
+ * @returns {Promise<Object>} { revoked, supported, errors }
+ */
+export async function revokeTokens(authState) {
+  const tokens = [
+    ['refresh_token', authState?.tokenResponse?.refresh_token],
+    ['access_token', authState?.tokenResponse?.access_token]
+  ].filter(([, token]) => token);
+
+  if (tokens.length === 0) {
+    return { revoked: [], supported: true, errors: [] };
+  }
+
+  const smartConfiguration = await fetchSmartConfiguration(authState.serverUrl);
+  const endpoint = smartConfiguration?.revocation_endpoint;
+
+  if (!endpoint) {
+    console.warn('The server does not advertise a revocation_endpoint; tokens stay valid until they expire');
+    return { revoked: [], supported: false, errors: [] };
+  }
+
+  const result = { revoked: [], supported: true, errors: [] };
+  for (const [hint, token] of tokens) {
+    try {
+      await revokeToken(endpoint, token, hint, authState.clientId);
+      result.revoked.push(hint);
+    } catch (error) {
+      console.warn(error.message || error);
+      result.errors.push(error.message || String(error));
+    }
+  }
+  return result;
+}
+
+/**
+ * Sign out. Local state is always cleared, even when the server cannot be
+ * reached to revoke the tokens.
+ * @returns {Promise<Object>} Revocation result ({ revoked, supported, errors })
+ */
+export async function logout() {
+  const authState = await getAuthState();
+  let result = { revoked: [], supported: true, errors: [] };
+
+  try {
+    if (authState?.bff) {
+      await endBffSession();
+      result.revoked.push('session');
+    } else if (authState) {
+      result = await revokeTokens(authState);
+    }
+  } catch (error) {
+    console.warn('Could not end the session on the server:', error);
+    result.errors.push(error.message || String(error));
+  }
+
+  clearAuthState();
+  clearLaunchState();
+  patientStore.clear();
+  resourceCache.clear();
+  await clearSnapshots();
+  // The audit log itself is kept; only the signed-in user is forgotten
+  auditLog.configure();
+  window.currentResourceData = null;
+  window.currentAllergyData = null;
+
+  updateAuthStatusUI('unauthenticated');
+  console.log('Signed out');
+
+  return result;
+}
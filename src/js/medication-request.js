@@ -5,8 +5,20 @@
  * from a FHIR server, specifically focusing on active medication requests.
  */
 
-import { createError, retryOperation } from './error-handler.js';
-import { FhirServerError, NetworkError } from './fhir-client.js';
+import { createError } from './error-handler.js';
+import { FhirServerError, extractBundleResources, searchPatientResources, searchPatientResourcesWithRetry } from './fhir-client.js';
+
+/**
+ * Search definition for active MedicationRequest resources
+ */
+export const MedicationRequestSearch = {
+  resourceType: 'MedicationRequest',
+  label: 'medication request',
+  defaultParams: { status: 'active', _sort: '-date' },
+  optionParams: { status: 'status' },
+  includeReferences: ['medication', 'requester'],
+  normalize: medicationRequests => medicationRequests.map(normalizeMedicationRequestData)
+};
 
 /**
  * Get medication request data for a specific patient
@@ -16,70 +28,7 @@ import { FhirServerError, NetworkError } from './fhir-client.js';
  * @returns {Promise<Array>} Array of medication request resources
  */
 export async function getMedicationRequestData(client, patientId, options = {}) {
-  const {
-    status = 'active',
-    includeReferences = ['medication', 'requester'],
-    pageLimit = 0,
-    maxResults = 1000,
-    sortOrder = '-date'
-  } = options;
-
-  try {
-    if (!client || !client.request) {
-      throw createError(
-        FhirServerError.INVALID_CLIENT, 
-        'Invalid FHIR client provided',
-        { help: 'Please ensure you are properly authenticated before accessing FHIR resources.' }
-      );
-    }
-
-    if (!patientId) {
-      throw createError(
-        FhirServerError.MISSING_PARAMETER,
-        'Patient ID is required',
-        { help: 'A valid patient ID is required to retrieve medication request information.' }
-      );
-    }
-
-    console.log(`Retrieving medication request data for patient: ${patientId}`);
-
-    // Build the query URL
-    const queryParams = new URLSearchParams({
-      patient: patientId,
-      status: status,
-      _sort: sortOrder,
-      _count: Math.min(maxResults, 100) // FHIR servers typically limit to 100 per page
-    });
-
-    const url = `MedicationRequest?${queryParams.toString()}`;
-
-    // Make the FHIR request
-    const response = await client.request(url, {
-      resolveReferences: includeReferences,
-      pageLimit: pageLimit,
-      flat: true
-    });
-
-    return processMedicationRequestResponse(response);
-  } catch (error) {
-    console.error('Error retrieving medication request data:', error);
-    
-    // If the error is already a structured error object, pass it through
-    if (error.type) {
-      throw error;
-    }
-    
-    // Otherwise, create a structured error
-    throw createError(
-      FhirServerError.DATA_RETRIEVAL_FAILED,
-      'Failed to retrieve medication request data',
-      {
-        originalError: error,
-        patientId,
-        help: 'Please try again later. If the problem persists, contact support.'
-      }
-    );
-  }
+  return searchPatientResources(client, patientId, MedicationRequestSearch, options);
 }
 
 /**
@@ -89,22 +38,7 @@ export async function getMedicationRequestData(client, patientId, options = {})
  */
 export function processMedicationRequestResponse(response) {
   try {
-    if (!response) {
-      return [];
-    }
-    
-    // Handle both bundle and direct array responses
-    if (response.entry && Array.isArray(response.entry)) {
-      return response.entry
-        .filter(entry => entry.resource && entry.resource.resourceType === 'MedicationRequest')
-        .map(entry => normalizeMedicationRequestData(entry.resource));
-    } else if (Array.isArray(response)) {
-      return response
-        .filter(resource => resource && resource.resourceType === 'MedicationRequest')
-        .map(resource => normalizeMedicationRequestData(resource));
-    }
-    
-    return [];
+    return MedicationRequestSearch.normalize(extractBundleResources(response, 'MedicationRequest'));
   } catch (error) {
     console.error('Error processing medication request response:', error);
     throw createError(
@@ -326,57 +260,5 @@ function extractNotes(notes) {
  * @returns {Promise<Array>} Array of medication request resources
  */
 export async function getMedicationRequestDataWithRetry(client, patientId, options = {}) {
-  const retryOptions = {
-    maxRetries: 3,
-    delay: 1000,
-    backoff: 2,
-    retryableStatusCodes: [408, 429, 500, 502, 503, 504],
-    retryCondition: (error) => {
-      return (
-        (error.type && error.type.includes('NETWORK')) ||
-        (error.details && error.details.status && [408, 429, 500, 502, 503, 504].includes(error.details.status))
-      );
-    },
-    onRetry: (attempt, error) => {
-      console.warn(`Retry attempt ${attempt} for medication request query:`, error.message || error);
-      return `Retrying connection to FHIR server (attempt ${attempt} of 3)...`;
-    },
-    onFailure: (error) => {
-      if (error.type) {
-        error.details = { ...error.details, retriesAttempted: 3 };
-        return error;
-      }
-      
-      return createError(
-        NetworkError.MAX_RETRIES_EXCEEDED,
-        'Failed to connect to FHIR server after multiple attempts',
-        {
-          originalError: error,
-          retriesAttempted: 3,
-          help: 'The server may be temporarily unavailable. Please try again later.'
-        }
-      );
-    }
-  };
-
-  try {
-    return await retryOperation(
-      () => getMedicationRequestData(client, patientId, options),
-      { ...retryOptions, ...options }
-    );
-  } catch (error) {
-    if (error.type) {
-      throw error;
-    }
-    
-    throw createError(
-      FhirServerError.DATA_RETRIEVAL_FAILED,
-      'Failed to retrieve medication request data after multiple attempts',
-      {
-        originalError: error,
-        patientId,
-        help: 'Please try again later. If the problem persists, contact support.'
-      }
-    );
-  }
+  return searchPatientResourcesWithRetry(client, patientId, MedicationRequestSearch, options);
 }
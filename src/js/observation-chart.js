@@ -0,0 +1,352 @@
+/**
+ * Observation Trend Chart Module
+ * Renders numeric Observations for a single LOINC code over time as a
+ * dependency-free SVG chart with reference-range bands and abnormal-value highlights
+ */
+
+/**
+ * Default chart dimensions and colors
+ */
+const CHART_DEFAULTS = {
+  width: 640,
+  height: 280,
+  padding: { top: 20, right: 20, bottom: 40, left: 56 },
+  colors: ['#3498db', '#8e44ad', '#16a085', '#d35400'],
+  abnormalColor: '#e74c3c',
+  rangeColor: '#2ecc71'
+};
+
+/**
+ * List the LOINC codes in a set of normalized observations that have numeric values
+ * @param {Array} observations - Normalized observations (from normalizeObservationData)
+ * @returns {Array<{code: string, display: string, count: number}>} Chartable codes, most frequent first
+ */
+export function getChartableCodes(observations) {
+  if (!Array.isArray(observations)) return [];
+
+  const codes = new Map();
+
+  observations.forEach(observation => {
+    if (!observation.loincCode || !hasNumericValue(observation)) return;
+
+    const entry = codes.get(observation.loincCode) || {
+      code: observation.loincCode,
+      display: observation.display,
+      count: 0
+    };
+    entry.count++;
+    codes.set(observation.loincCode, entry);
+  });
+
+  return Array.from(codes.values()).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Build chart series for a single LOINC code
+ * Observations with a numeric value produce one series; multi-component
+ * observations (e.g. blood pressure) produce one series per component, each
+ * with its own reference range. Series are keyed by LOINC code (display for
+ * uncoded components), so records whose display text differs stay in one
+ * series; the first display seen is used as its name.
+ * @param {Array} observations - Normalized observations
+ * @param {string} loincCode - LOINC code to plot
+ * @returns {Object} Series data with points, unit and reference range; referenceRange is
+ *   set only when every series with a range shares it, otherwise see each series' referenceRange
+ */
+export function buildObservationSeries(observations, loincCode) {
+  const matching = (Array.isArray(observations) ? observations : [])
+    .filter(observation => observation.loincCode === loincCode && observation.effectiveDate)
+    .filter(hasNumericValue);
+
+  const seriesMap = new Map();
+  let unit = '';
+
+  const addPoint = (key, name, date, value, abnormalFlag, id, referenceRange) => {
+    if (!seriesMap.has(key)) {
+      seriesMap.set(key, { code: key, name, points: [], referenceRange: null });
+    }
+    const series = seriesMap.get(key);
+    series.referenceRange = series.referenceRange || referenceRange;
+    series.points.push({ date, value, abnormalFlag, id });
+  };
+
+  matching.forEach(observation => {
+    const date = new Date(observation.effectiveDate);
+    if (isNaN(date.getTime())) return;
+
+    if (isNumericQuantity(observation.value)) {
+      unit = unit || observation.value.unit;
+      addPoint(loincCode, observation.display, date, observation.value.value, observation.abnormalFlag, observation.id,
+        extractRange(observation.referenceRange));
+      return;
+    }
+
+    observation.components.forEach(component => {
+      if (!isNumericQuantity(component.value)) return;
+      unit = unit || component.value.unit;
+      addPoint(component.loincCode || component.display, component.display, date, component.value.value,
+        component.abnormalFlag, observation.id,
+        extractRange(component.referenceRange));
+    });
+  });
+
+  const series = Array.from(seriesMap.values());
+  series.forEach(s => s.points.sort((a, b) => a.date - b.date));
+
+  // One shared range is drawn as a single band; differing ranges stay with their series
+  const ranges = series.map(s => s.referenceRange).filter(Boolean);
+  const sharedRange = ranges.length > 0 && ranges.every(range => range.low === ranges[0].low && range.high === ranges[0].high)
+    ? ranges[0]
+    : null;
+
+  return {
+    code: loincCode,
+    display: matching[0]?.display || loincCode,
+    unit,
+    referenceRange: sharedRange,
+    series
+  };
+}
+
+/**
+ * Build the SVG markup for a trend chart
+ * @param {Object} chartData - Output of buildObservationSeries
+ * @param {Object} options - Chart options (width, height, padding, colors)
+ * @returns {string} SVG markup
+ */
+export function buildTrendChartSvg(chartData, options = {}) {
+  const config = { ...CHART_DEFAULTS, ...options };
+  const { width, height, padding } = config;
+  const points = chartData.series.flatMap(s => s.points);
+
+  if (points.length === 0) {
+    return '';
+  }
+
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+
+  // Domain: time on x, values (and the reference range) on y
+  const times = points.map(p => p.date.getTime());
+  let minTime = Math.min(...times);
+  let maxTime = Math.max(...times);
+  if (minTime === maxTime) {
+    minTime -= 24 * 60 * 60 * 1000;
+    maxTime += 24 * 60 * 60 * 1000;
+  }
+
+  // Reference range bands: the shared range, or one per series in the series' color
+  const bands = chartData.referenceRange
+    ? [{ range: chartData.referenceRange, color: config.rangeColor, label: 'Reference range' }]
+    : chartData.series
+      .map((s, index) => ({ range: s.referenceRange, color: config.colors[index % config.colors.length], label: `${s.name} reference range` }))
+      .filter(band => band.range);
+
+  const values = points.map(p => p.value);
+  bands.forEach(({ range }) => {
+    if (range.low !== null) values.push(range.low);
+    if (range.high !== null) values.push(range.high);
+  });
+  let minValue = Math.min(...values);
+  let maxValue = Math.max(...values);
+  const margin = (maxValue - minValue) * 0.1 || Math.abs(maxValue) * 0.1 || 1;
+  minValue -= margin;
+  maxValue += margin;
+
+  const x = time => padding.left + ((time - minTime) / (maxTime - minTime)) * plotWidth;
+  const y = value => padding.top + plotHeight - ((value - minValue) / (maxValue - minValue)) * plotHeight;
+
+  const parts = [];
+
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" class="trend-chart" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${escapeXml(`${chartData.display} trend`)}">`);
+
+  // Reference range bands
+  bands.forEach(({ range, color, label }) => {
+    const top = y(range.high !== null ? range.high : maxValue);
+    const bottom = y(range.low !== null ? range.low : minValue);
+    parts.push(`<rect class="trend-chart-range" x="${padding.left}" y="${round(top)}" width="${plotWidth}" height="${round(bottom - top)}" fill="${color}" fill-opacity="${bands.length > 1 ? 0.1 : 0.15}"><title>${escapeXml(`${label}: ${formatRange(range, chartData.unit)}`)}</title></rect>`);
+  });
+
+  // Y axis ticks and grid
+  const tickCount = 5;
+  for (let i = 0; i <= tickCount; i++) {
+    const value = minValue + ((maxValue - minValue) * i) / tickCount;
+    const tickY = round(y(value));
+    parts.push(`<line class="trend-chart-grid" x1="${padding.left}" x2="${width - padding.right}" y1="${tickY}" y2="${tickY}" stroke="#eee" />`);
+    parts.push(`<text class="trend-chart-tick" x="${padding.left - 6}" y="${tickY + 4}" text-anchor="end" font-size="11" fill="#7f8c8d">${formatNumber(value)}</text>`);
+  }
+
+  // Axes
+  parts.push(`<line class="trend-chart-axis" x1="${padding.left}" x2="${padding.left}" y1="${padding.top}" y2="${padding.top + plotHeight}" stroke="#bbb" />`);
+  parts.push(`<line class="trend-chart-axis" x1="${padding.left}" x2="${width - padding.right}" y1="${padding.top + plotHeight}" y2="${padding.top + plotHeight}" stroke="#bbb" />`);
+  parts.push(`<text class="trend-chart-tick" x="${padding.left}" y="${height - padding.bottom + 18}" font-size="11" fill="#7f8c8d">${escapeXml(new Date(minTime).toLocaleDateString())}</text>`);
+  parts.push(`<text class="trend-chart-tick" x="${width - padding.right}" y="${height - padding.bottom + 18}" text-anchor="end" font-size="11" fill="#7f8c8d">${escapeXml(new Date(maxTime).toLocaleDateString())}</text>`);
+  if (chartData.unit) {
+    parts.push(`<text class="trend-chart-unit" x="${padding.left}" y="${padding.top - 6}" font-size="11" fill="#7f8c8d">${escapeXml(chartData.unit)}</text>`);
+  }
+
+  // Series lines and points
+  chartData.series.forEach((series, index) => {
+    const color = config.colors[index % config.colors.length];
+    const path = series.points
+      .map((point, i) => `${i === 0 ? 'M' : 'L'}${round(x(point.date.getTime()))},${round(y(point.value))}`)
+      .join(' ');
+
+    parts.push(`<path class="trend-chart-line" d="${path}" fill="none" stroke="${color}" stroke-width="2" />`);
+
+    series.points.forEach(point => {
+      const abnormal = Boolean(point.abnormalFlag);
+      parts.push(
+        `<circle class="trend-chart-point${abnormal ? ' trend-chart-abnormal' : ''}" ` +
+        `cx="${round(x(point.date.getTime()))}" cy="${round(y(point.value))}" r="${abnormal ? 5 : 3.5}" ` +
+        `fill="${abnormal ? config.abnormalColor : color}" stroke="#fff" stroke-width="1">` +
+        `<title>${escapeXml(`${series.name}: ${point.value} ${chartData.unit} on ${point.date.toLocaleDateString()}${abnormal ? ` (${point.abnormalFlag})` : ''}`)}</title>` +
+        `</circle>`
+      );
+    });
+  });
+
+  // Legend for multi-series charts
+  if (chartData.series.length > 1) {
+    chartData.series.forEach((series, index) => {
+      const legendX = padding.left + index * 160;
+      const legendY = height - 8;
+      parts.push(`<rect x="${legendX}" y="${legendY - 9}" width="10" height="10" fill="${config.colors[index % config.colors.length]}" />`);
+      parts.push(`<text x="${legendX + 14}" y="${legendY}" font-size="11" fill="#555">${escapeXml(series.name)}</text>`);
+    });
+  }
+
+  parts.push('</svg>');
+  return parts.join('');
+}
+
+/**
+ * Display a trend chart for numeric observations with a code picker
+ * @param {Array} observations - Normalized observations
+ * @param {string} targetElementId - ID of the target DOM element
+ * @param {Object} options - Display options (selectedCode, chart options)
+ */
+export function displayTrendChart(observations, targetElementId, options = {}) {
+  const targetElement = document.getElementById(targetElementId);
+  if (!targetElement) {
+    console.error(`Target element ${targetElementId} not found`);
+    return;
+  }
+
+  targetElement.innerHTML = '';
+
+  const codes = getChartableCodes(observations);
+  if (codes.length === 0) {
+    targetElement.innerHTML = `
+      <div class="chart-empty-state">
+        <p>No numeric observations available to chart. Select Vital Signs or Lab Results to view trends.</p>
+      </div>
+    `;
+    return;
+  }
+
+  const selectedCode = codes.some(c => c.code === options.selectedCode) ? options.selectedCode : codes[0].code;
+
+  const controls = document.createElement('div');
+  controls.className = 'chart-controls';
+
+  const label = document.createElement('label');
+  label.textContent = 'Observation:';
+  label.setAttribute('for', 'chart-code-select');
+
+  const select = document.createElement('select');
+  select.id = 'chart-code-select';
+  select.className = 'resource-select';
+  codes.forEach(code => {
+    const option = document.createElement('option');
+    option.value = code.code;
+    option.textContent = `${code.display} (${code.count})`;
+    option.selected = code.code === selectedCode;
+    select.appendChild(option);
+  });
+  select.addEventListener('change', (event) => {
+    displayTrendChart(observations, targetElementId, { ...options, selectedCode: event.target.value });
+  });
+
+  controls.appendChild(label);
+  controls.appendChild(select);
+  targetElement.appendChild(controls);
+
+  const chartData = buildObservationSeries(observations, selectedCode);
+  const chartContainer = document.createElement('div');
+  chartContainer.className = 'trend-chart-container';
+  chartContainer.innerHTML = buildTrendChartSvg(chartData, options);
+  targetElement.appendChild(chartContainer);
+
+  const abnormalCount = chartData.series.flatMap(s => s.points).filter(p => p.abnormalFlag).length;
+  const summary = document.createElement('p');
+  summary.className = 'trend-chart-summary';
+  const rangeText = chartData.referenceRange
+    ? `, reference range ${formatRange(chartData.referenceRange, chartData.unit)}`
+    : chartData.series
+      .filter(s => s.referenceRange)
+      .map(s => `, ${s.name} reference range ${formatRange(s.referenceRange, chartData.unit)}`)
+      .join('');
+  summary.textContent = `${chartData.series.flatMap(s => s.points).length} values` +
+    rangeText +
+    (abnormalCount > 0 ? `, ${abnormalCount} abnormal` : '');
+  targetElement.appendChild(summary);
+}
+
+/**
+ * Check if a normalized observation has a numeric value or numeric components
+ */
+function hasNumericValue(observation) {
+  return isNumericQuantity(observation.value) ||
+    (Array.isArray(observation.components) && observation.components.some(c => isNumericQuantity(c.value)));
+}
+
+/**
+ * Check if a normalized value is a numeric quantity
+ */
+function isNumericQuantity(value) {
+  return Boolean(value) && value.type === 'quantity' && typeof value.value === 'number' && !isNaN(value.value);
+}
+
+/**
+ * Extract the first usable reference range
+ */
+function extractRange(ranges) {
+  if (!Array.isArray(ranges)) return null;
+  const range = ranges.find(r => r.low !== null || r.high !== null);
+  return range ? { low: range.low, high: range.high } : null;
+}
+
+/**
+ * Format a reference range for display
+ */
+function formatRange(range, unit) {
+  const low = range.low !== null ? formatNumber(range.low) : '';
+  const high = range.high !== null ? formatNumber(range.high) : '';
+  return `${low}${low && high ? ' - ' : ''}${high} ${unit || ''}`.trim();
+}
+
+/**
+ * Format a number for axis labels
+ */
+function formatNumber(value) {
+  return Math.abs(value) >= 100 ? Math.round(value).toString() : (Math.round(value * 10) / 10).toString();
+}
+
+/**
+ * Round coordinates to keep the SVG compact
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Escape text for inclusion in SVG markup
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
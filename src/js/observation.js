@@ -0,0 +1,419 @@
+/**
+ * Observation Module
+ *
+ * This module provides functionality for retrieving and normalizing Observation
+ * resources from a FHIR server, with support for vital-sign and laboratory
+ * categories, multi-component observations (e.g. blood pressure), reference
+ * ranges and abnormal-value interpretation.
+ */
+
+import { extractBundleResources, searchPatientResources, searchPatientResourcesWithRetry } from './fhir-client.js';
+
+/**
+ * Observation categories supported for filtering
+ */
+export const ObservationCategory = {
+  VITAL_SIGNS: 'vital-signs',
+  LABORATORY: 'laboratory'
+};
+
+/**
+ * LOINC codes for commonly displayed vital signs
+ */
+export const VitalSignCodes = {
+  BLOOD_PRESSURE: '85354-9',
+  SYSTOLIC: '8480-6',
+  DIASTOLIC: '8462-4',
+  HEART_RATE: '8867-4',
+  BODY_WEIGHT: '29463-7',
+  BODY_HEIGHT: '8302-2',
+  BMI: '39156-5',
+  BODY_TEMPERATURE: '8310-5',
+  RESPIRATORY_RATE: '9279-1',
+  OXYGEN_SATURATION: '59408-5'
+};
+
+const LOINC_SYSTEM = 'http://loinc.org';
+
+/**
+ * Interpretation codes (v3 ObservationInterpretation) that flag a value as abnormal
+ */
+const ABNORMAL_INTERPRETATIONS = {
+  H: 'High',
+  HH: 'Critical high',
+  HU: 'Significantly high',
+  L: 'Low',
+  LL: 'Critical low',
+  LU: 'Significantly low',
+  A: 'Abnormal',
+  AA: 'Critical abnormal',
+  POS: 'Positive',
+  DET: 'Detected',
+  R: 'Resistant'
+};
+
+/**
+ * Search definition for Observation resources
+ */
+export const ObservationSearch = {
+  resourceType: 'Observation',
+  label: 'observation',
+  defaultParams: { _sort: '-date' },
+  optionParams: { category: 'category', code: 'code' },
+  includeReferences: ['performer'],
+  normalize: observations => observations.map(normalizeObservationData)
+};
+
+/**
+ * Get observation data for a specific patient
+ * @param {Object} client - Authenticated FHIR client
+ * @param {string} patientId - Patient ID to query for
+ * @param {Object} options - Query options (category, code, etc.)
+ * @returns {Promise<Array>} Array of normalized observation data
+ */
+export async function getObservationData(client, patientId, options = {}) {
+  return searchPatientResources(client, patientId, ObservationSearch, options);
+}
+
+/**
+ * Process FHIR response and extract normalized observations
+ * @param {Object} response - FHIR response bundle
+ * @returns {Array} Array of normalized observation data
+ */
+export function processObservationResponse(response) {
+  return ObservationSearch.normalize(extractBundleResources(response, 'Observation'));
+}
+
+/**
+ * Normalize observation data for consistent display
+ * @param {Object} observation - Observation resource
+ * @returns {Object} Normalized observation data
+ */
+export function normalizeObservationData(observation) {
+  try {
+    if (!observation) {
+      throw new Error('Invalid observation resource');
+    }
+
+    const value = normalizeValue(observation);
+    const referenceRange = normalizeReferenceRanges(observation.referenceRange);
+    const interpretation = normalizeInterpretation(observation.interpretation);
+    const components = normalizeComponents(observation.component);
+
+    return {
+      id: observation.id || '',
+      resourceType: 'Observation',
+      status: observation.status || 'unknown',
+      category: extractCategories(observation.category),
+      display: extractDisplayText(observation.code),
+      loincCode: extractLoincCode(observation.code),
+      effectiveDate: extractEffectiveDate(observation),
+      value,
+      valueDisplay: formatObservationValue(value, components, observation),
+      components,
+      referenceRange,
+      interpretation,
+      abnormalFlag: determineAbnormalFlag(value, referenceRange, interpretation, components),
+      performer: extractPerformer(observation.performer),
+      note: extractNotes(observation.note),
+      rawResource: observation
+    };
+  } catch (error) {
+    console.error('Error normalizing observation data:', error);
+    return {
+      id: observation?.id || 'unknown',
+      resourceType: 'Observation',
+      status: 'unknown',
+      display: 'Error processing observation',
+      components: [],
+      referenceRange: [],
+      interpretation: [],
+      abnormalFlag: null,
+      error: 'Error processing observation data'
+    };
+  }
+}
+
+/**
+ * Normalize the value[x] choice element
+ * @param {Object} element - Observation or Observation.component
+ * @returns {Object|null} Normalized value
+ */
+function normalizeValue(element) {
+  // A quantity without a number (e.g. a pending result) falls through to dataAbsentReason
+  const quantity = toNumber(element.valueQuantity?.value);
+  if (quantity !== null) {
+    return {
+      type: 'quantity',
+      value: quantity,
+      unit: element.valueQuantity.unit || element.valueQuantity.code || '',
+      comparator: element.valueQuantity.comparator || null
+    };
+  }
+
+  if (element.valueCodeableConcept) {
+    return { type: 'codeable', text: extractDisplayText(element.valueCodeableConcept) };
+  }
+
+  if (element.valueString !== undefined) {
+    return { type: 'string', text: element.valueString };
+  }
+
+  if (element.valueInteger !== undefined) {
+    return { type: 'quantity', value: element.valueInteger, unit: '', comparator: null };
+  }
+
+  if (element.valueBoolean !== undefined) {
+    return { type: 'string', text: element.valueBoolean ? 'Yes' : 'No' };
+  }
+
+  if (element.valueRange) {
+    const low = element.valueRange.low?.value;
+    const high = element.valueRange.high?.value;
+    const unit = element.valueRange.low?.unit || element.valueRange.high?.unit || '';
+    return { type: 'string', text: `${low ?? '?'} - ${high ?? '?'} ${unit}`.trim() };
+  }
+
+  if (element.dataAbsentReason) {
+    return { type: 'absent', text: extractDisplayText(element.dataAbsentReason) };
+  }
+
+  return null;
+}
+
+/**
+ * Convert a Quantity value to a number
+ * @param {*} value - Quantity.value
+ * @returns {number|null} The number, or null when the value is missing, empty or not numeric
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '' || isNaN(Number(value))) {
+    return null;
+  }
+  return Number(value);
+}
+
+/**
+ * Normalize observation components (e.g. systolic/diastolic blood pressure)
+ * @param {Array} components - Observation.component array
+ * @returns {Array} Normalized components
+ */
+function normalizeComponents(components) {
+  if (!Array.isArray(components) || components.length === 0) {
+    return [];
+  }
+
+  return components.map(component => {
+    const value = normalizeValue(component);
+    const referenceRange = normalizeReferenceRanges(component.referenceRange);
+    const interpretation = normalizeInterpretation(component.interpretation);
+
+    return {
+      display: extractDisplayText(component.code),
+      loincCode: extractLoincCode(component.code),
+      value,
+      valueDisplay: value ? formatValue(value) : 'No value recorded',
+      referenceRange,
+      interpretation,
+      abnormalFlag: determineAbnormalFlag(value, referenceRange, interpretation, [])
+    };
+  });
+}
+
+/**
+ * Normalize reference ranges
+ * @param {Array} ranges - Observation.referenceRange array
+ * @returns {Array} Normalized reference ranges
+ */
+function normalizeReferenceRanges(ranges) {
+  if (!Array.isArray(ranges) || ranges.length === 0) {
+    return [];
+  }
+
+  return ranges.map(range => {
+    const low = toNumber(range.low?.value);
+    const high = toNumber(range.high?.value);
+    const unit = range.low?.unit || range.high?.unit || '';
+
+    return {
+      low,
+      high,
+      unit,
+      type: range.type ? extractDisplayText(range.type) : null,
+      text: range.text || formatRangeText(low, high, unit)
+    };
+  });
+}
+
+/**
+ * Build a display string for a reference range without text
+ */
+function formatRangeText(low, high, unit) {
+  if (low !== null && high !== null) return `${low} - ${high} ${unit}`.trim();
+  if (low !== null) return `>= ${low} ${unit}`.trim();
+  if (high !== null) return `<= ${high} ${unit}`.trim();
+  return '';
+}
+
+/**
+ * Normalize interpretation codes
+ * @param {Array} interpretations - Observation.interpretation array
+ * @returns {Array} Normalized interpretations with code and display
+ */
+function normalizeInterpretation(interpretations) {
+  if (!Array.isArray(interpretations) || interpretations.length === 0) {
+    return [];
+  }
+
+  return interpretations.map(interpretation => {
+    const code = interpretation.coding?.[0]?.code || null;
+    return {
+      code,
+      display: interpretation.text ||
+               interpretation.coding?.[0]?.display ||
+               ABNORMAL_INTERPRETATIONS[code] ||
+               code ||
+               'Unknown'
+    };
+  });
+}
+
+/**
+ * Determine the abnormal flag for a value
+ * Interpretation codes from the server take precedence over a computed comparison
+ * against the first reference range.
+ * @returns {string|null} Interpretation code (e.g. 'H', 'L', 'A') or null when normal/unknown
+ */
+function determineAbnormalFlag(value, referenceRange, interpretation, components) {
+  const flagged = interpretation.find(i => i.code && ABNORMAL_INTERPRETATIONS[i.code]);
+  if (flagged) {
+    return flagged.code;
+  }
+
+  if (value && value.type === 'quantity' && !isNaN(value.value) && referenceRange.length > 0) {
+    const { low, high } = referenceRange[0];
+    if (low !== null && value.value < low) return 'L';
+    if (high !== null && value.value > high) return 'H';
+  }
+
+  // Multi-component observations are abnormal when any component is
+  const abnormalComponent = components.find(component => component.abnormalFlag);
+  return abnormalComponent ? abnormalComponent.abnormalFlag : null;
+}
+
+/**
+ * Format a normalized value for display
+ */
+function formatValue(value) {
+  if (!value) return '';
+
+  if (value.type === 'quantity') {
+    const comparator = value.comparator || '';
+    return `${comparator}${value.value}${value.unit ? ` ${value.unit}` : ''}`;
+  }
+
+  return value.text || '';
+}
+
+/**
+ * Format the overall observation value, combining blood pressure components
+ */
+function formatObservationValue(value, components, observation) {
+  if (value) {
+    return formatValue(value);
+  }
+
+  const systolic = components.find(c => c.loincCode === VitalSignCodes.SYSTOLIC);
+  const diastolic = components.find(c => c.loincCode === VitalSignCodes.DIASTOLIC);
+  if (systolic?.value && diastolic?.value) {
+    return `${systolic.value.value}/${diastolic.value.value} ${systolic.value.unit || 'mmHg'}`;
+  }
+
+  if (components.length > 0) {
+    return components.map(c => `${c.display}: ${c.valueDisplay}`).join(', ');
+  }
+
+  return observation.valueString || 'No value recorded';
+}
+
+/**
+ * Extract category codes
+ */
+function extractCategories(categories) {
+  if (!Array.isArray(categories)) return [];
+
+  return categories
+    .map(category => category.coding?.[0]?.code || category.text)
+    .filter(Boolean);
+}
+
+/**
+ * Extract the LOINC code from a CodeableConcept
+ */
+function extractLoincCode(code) {
+  if (!code || !Array.isArray(code.coding)) return null;
+
+  const loinc = code.coding.find(c => c.system === LOINC_SYSTEM);
+  return loinc ? loinc.code : null;
+}
+
+/**
+ * Extract the effective date from effective[x] or issued
+ */
+function extractEffectiveDate(observation) {
+  return observation.effectiveDateTime ||
+         observation.effectiveInstant ||
+         observation.effectivePeriod?.start ||
+         observation.issued ||
+         '';
+}
+
+/**
+ * Extract performer display
+ */
+function extractPerformer(performers) {
+  if (!Array.isArray(performers) || performers.length === 0) {
+    return null;
+  }
+
+  return {
+    reference: performers[0].reference || '',
+    display: performers[0].display || 'Unnamed performer'
+  };
+}
+
+/**
+ * Extract display text with fallback
+ */
+function extractDisplayText(code) {
+  if (!code) return 'Unknown';
+
+  return code.text ||
+         code.coding?.[0]?.display ||
+         code.coding?.[0]?.code ||
+         'Unknown';
+}
+
+/**
+ * Extract notes
+ * @param {Array} notes - Notes from the resource
+ * @returns {string} Combined notes text
+ */
+function extractNotes(notes) {
+  if (!notes || !Array.isArray(notes) || notes.length === 0) {
+    return '';
+  }
+
+  return notes.map(note => note.text || '').filter(Boolean).join('; ');
+}
+
+/**
+ * Get observation data with retry mechanism
+ * @param {Object} client - Authenticated FHIR client
+ * @param {string} patientId - Patient ID to query for
+ * @param {Object} options - Query options
+ * @returns {Promise<Array>} Array of normalized observation data
+ */
+export async function getObservationDataWithRetry(client, patientId, options = {}) {
+  return searchPatientResourcesWithRetry(client, patientId, ObservationSearch, options);
+}
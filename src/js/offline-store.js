@@ -0,0 +1,233 @@
+/**
+ * Offline Store Module
+ * Persists the last successfully fetched data per patient and resource type in
+ * IndexedDB, encrypted with the secure storage key, and tracks whether the
+ * application is showing offline snapshots
+ */
+
+import { encryptValue, decryptValue } from './secure-storage.js';
+
+const DB_NAME = 'smart-fhir-offline';
+const DB_VERSION = 1;
+const STORE_NAME = 'snapshots';
+
+/**
+ * Snapshots older than this are deleted instead of shown (24 hours)
+ */
+export const SNAPSHOT_MAX_AGE = 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+
+/**
+ * Open (and create on first use) the snapshot database
+ * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unavailable
+ */
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+          store.createIndex('patientId', 'patientId', { unique: false });
+          store.createIndex('savedAt', 'savedAt', { unique: false });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+
+      // Private browsing modes may refuse IndexedDB; offline snapshots are then simply unavailable
+      request.onerror = () => {
+        console.warn('Offline snapshots unavailable:', request.error);
+        dbPromise = null;
+        resolve(null);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Run a single request against the snapshot store
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {Function} operation - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} Request result, or null when IndexedDB is unavailable
+ */
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+
+  if (!db) {
+    return null;
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Save the latest data for a query. Only the key, patient ID and time are
+ * stored in plain text; the data and details are encrypted.
+ * @param {string} key - Snapshot key (the resource cache key of the query)
+ * @param {string} patientId - Patient ID the data belongs to
+ * @param {Array|Object} data - Normalized resources or patient context
+ * @param {Object} details - Extra fields to store (e.g. complete)
+ * @returns {Promise<void>}
+ */
+export async function saveSnapshot(key, patientId, data, details = {}) {
+  try {
+    const savedAt = new Date().toISOString();
+    const sealed = await encryptValue(key, { ...details, data });
+
+    await withStore('readwrite', store => store.put({ key, patientId, savedAt, sealed }));
+  } catch (error) {
+    // A failed snapshot only costs offline availability
+    console.warn('Could not save offline snapshot:', error);
+  }
+}
+
+/**
+ * Get the saved snapshot for a query. A snapshot that is expired or cannot be
+ * decrypted (changed, or encrypted with a key that is gone) is deleted.
+ * @param {string} key - Snapshot key
+ * @returns {Promise<Object|null>} Snapshot ({ key, patientId, data, savedAt }) or null
+ */
+export async function getSnapshot(key) {
+  try {
+    const snapshot = await withStore('readonly', store => store.get(key));
+
+    if (!snapshot) {
+      return null;
+    }
+
+    const payload = Date.now() - Date.parse(snapshot.savedAt) < SNAPSHOT_MAX_AGE
+      ? await decryptValue(key, snapshot.sealed).catch(() => null)
+      : null;
+
+    if (!payload) {
+      await withStore('readwrite', store => store.delete(key));
+      return null;
+    }
+
+    return { ...payload, key, patientId: snapshot.patientId, savedAt: snapshot.savedAt };
+  } catch (error) {
+    console.warn('Could not read offline snapshot:', error);
+    return null;
+  }
+}
+
+/**
+ * Delete snapshots older than SNAPSHOT_MAX_AGE, for all patients
+ * @returns {Promise<void>}
+ */
+export async function purgeExpiredSnapshots() {
+  try {
+    // ISO timestamps sort in time order
+    const cutoff = new Date(Date.now() - SNAPSHOT_MAX_AGE).toISOString();
+    const keys = await withStore('readonly', store => store.index('savedAt').getAllKeys(IDBKeyRange.upperBound(cutoff)));
+
+    await Promise.all((keys || []).map(key => withStore('readwrite', store => store.delete(key))));
+  } catch (error) {
+    console.warn('Could not purge offline snapshots:', error);
+  }
+}
+
+/**
+ * Delete saved snapshots, for one patient or for everyone
+ * @param {string|null} patientId - Patient ID, or null to delete all snapshots
+ * @returns {Promise<void>}
+ */
+export async function clearSnapshots(patientId = null) {
+  try {
+    if (!patientId) {
+      await withStore('readwrite', store => store.clear());
+      return;
+    }
+
+    const keys = await withStore('readonly', store => store.index('patientId').getAllKeys(patientId));
+
+    await Promise.all((keys || []).map(key => withStore('readwrite', store => store.delete(key))));
+  } catch (error) {
+    console.warn('Could not clear offline snapshots:', error);
+  }
+}
+
+/**
+ * Tracks whether displayed data comes from offline snapshots
+ */
+class OfflineStatus {
+  constructor() {
+    this._state = { offline: false, asOf: null };
+    this._subscribers = new Set();
+  }
+
+  /**
+   * Get the current status
+   * @returns {Object} { offline, asOf } where asOf is the oldest snapshot timestamp shown
+   */
+  getStatus() {
+    return this._state;
+  }
+
+  /**
+   * Record that snapshot data is being shown
+   * @param {string} savedAt - ISO timestamp of the snapshot
+   */
+  markOffline(savedAt) {
+    const asOf = this._state.asOf && this._state.asOf < savedAt ? this._state.asOf : savedAt;
+    this._setState({ offline: true, asOf });
+  }
+
+  /**
+   * Record that live data was fetched from the server
+   */
+  markOnline() {
+    if (this._state.offline) {
+      this._setState({ offline: false, asOf: null });
+    }
+  }
+
+  /**
+   * Subscribe to status changes
+   * @param {Function} callback - Called with the new status
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this._subscribers.add(callback);
+    return () => {
+      this._subscribers.delete(callback);
+    };
+  }
+
+  /**
+   * Update the state and notify subscribers
+   * @private
+   */
+  _setState(state) {
+    this._state = state;
+    this._subscribers.forEach(callback => {
+      try {
+        callback(this._state);
+      } catch (error) {
+        console.error('Error in offline status subscriber:', error);
+      }
+    });
+  }
+}
+
+// Create a singleton instance
+export const offlineStatus = new OfflineStatus();
+
+// Also export the class for testing purposes
+export { OfflineStatus };
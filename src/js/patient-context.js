@@ -3,6 +3,8 @@
  * Extracts and manages patient context from SMART launch parameters
  */
 
+import auditLog, { AuditAction, AuditOutcome } from './audit-log.js';
+
 /**
  * Extract patient context from the authenticated FHIR client
  * @param {Object} client - The authenticated FHIR client instance
@@ -24,7 +26,14 @@ const getPatientContext = async (client) => {
     }
 
     // Retrieve basic patient information
-    const patient = await client.patient.read();
+    let patient;
+    try {
+      patient = await client.patient.read();
+      auditLog.record({ action: AuditAction.READ, resourceType: 'Patient', patientId, source: 'server', count: 1 });
+    } catch (error) {
+      auditLog.record({ action: AuditAction.READ, resourceType: 'Patient', patientId, outcome: AuditOutcome.FAILURE, detail: error.message || 'Unknown error' });
+      throw error;
+    }
     
     console.log('Patient context retrieved:', {
       id: patientId,
@@ -0,0 +1,164 @@
+/**
+ * Resource Cache Module
+ * Caches FHIR query results in memory, keyed by patient, resource type and
+ * query options, with a time-to-live and version-based revalidation of stale
+ * entries. Results are not written to Web Storage, so no patient data is left
+ * in the browser in plain text; a reload starts with an empty cache.
+ */
+
+/**
+ * Default time-to-live for cached results (5 minutes)
+ */
+export const DEFAULT_CACHE_TTL = 5 * 60 * 1000;
+
+/**
+ * Number of leading resources compared when revalidating a stale entry
+ */
+export const VERSION_CHECK_SIZE = 50;
+
+/**
+ * Query options that control paging or retries rather than the result itself
+ */
+const NON_QUERY_OPTIONS = ['pageSize', 'maxPages', 'pageLimit', 'maxRetries', 'delay', 'backoff', 'forceRefresh', 'useCache'];
+
+class ResourceCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.ttl - Time-to-live in milliseconds
+   */
+  constructor({ ttl = DEFAULT_CACHE_TTL } = {}) {
+    this._ttl = ttl;
+    this._entries = new Map();
+  }
+
+  /**
+   * Build the cache key for a query
+   * @param {string} patientId - Patient ID
+   * @param {string} resourceType - Type of resource (from ResourceTypes)
+   * @param {Object} options - Query options
+   * @returns {string} Cache key
+   */
+  createKey(patientId, resourceType, options = {}) {
+    const queryOptions = Object.keys(options)
+      .filter(name => !NON_QUERY_OPTIONS.includes(name) && options[name] !== undefined)
+      .sort()
+      .map(name => `${name}=${JSON.stringify(options[name])}`)
+      .join('&');
+
+    return `${patientId}|${resourceType}|${queryOptions}`;
+  }
+
+  /**
+   * Get a cached entry, fresh or stale
+   * @param {string} key - Cache key
+   * @returns {Object|null} Entry ({ data, storedAt, complete, nextUrl, total, validators }) or null
+   */
+  get(key) {
+    return this._entries.get(key) || null;
+  }
+
+  /**
+   * Store query results
+   * @param {string} key - Cache key
+   * @param {Array} data - Normalized resources
+   * @param {Object} details - complete, nextUrl, total and validators ({ etag, versions })
+   * @returns {Object} Stored entry
+   */
+  set(key, data, details = {}) {
+    const entry = {
+      data,
+      storedAt: Date.now(),
+      complete: details.complete !== false,
+      nextUrl: details.nextUrl || null,
+      total: details.total ?? null,
+      validators: details.validators || {}
+    };
+
+    this._entries.set(key, entry);
+
+    return entry;
+  }
+
+  /**
+   * Check whether an entry is still within its time-to-live
+   * @param {Object} entry - Cache entry
+   * @returns {boolean} True if the entry can be used without revalidation
+   */
+  isFresh(entry) {
+    return Boolean(entry) && Date.now() - entry.storedAt < this._ttl;
+  }
+
+  /**
+   * Mark a revalidated entry as fresh again
+   * @param {string} key - Cache key
+   * @param {Object} validators - Updated validators, if any
+   */
+  touch(key, validators = {}) {
+    const entry = this.get(key);
+
+    if (entry) {
+      entry.storedAt = Date.now();
+      entry.validators = { ...entry.validators, ...validators };
+    }
+  }
+
+  /**
+   * Remove cached entries for a patient, optionally limited to one resource type
+   * @param {string} patientId - Patient ID
+   * @param {string} resourceType - Optional resource type
+   */
+  invalidate(patientId, resourceType = null) {
+    const prefix = resourceType ? `${patientId}|${resourceType}|` : `${patientId}|`;
+    this._removeWhere(key => key.startsWith(prefix));
+  }
+
+  /**
+   * Remove cached entries for every patient except the given one
+   * @param {string|null} patientId - Patient ID to keep
+   */
+  retainPatient(patientId) {
+    this._removeWhere(key => !patientId || !key.startsWith(`${patientId}|`));
+  }
+
+  /**
+   * Remove all cached entries
+   */
+  clear() {
+    this._removeWhere(() => true);
+  }
+
+  /**
+   * Remove entries whose key matches a predicate
+   * @private
+   */
+  _removeWhere(predicate) {
+    Array.from(this._entries.keys())
+      .filter(predicate)
+      .forEach(key => this._entries.delete(key));
+  }
+}
+
+/**
+ * Build a version fingerprint from the leading resources of a search result
+ * @param {Array} resources - FHIR resources in search order
+ * @returns {string} Fingerprint of ids, versionIds and lastUpdated timestamps
+ */
+export function getVersionFingerprint(resources) {
+  if (!Array.isArray(resources)) {
+    return '';
+  }
+
+  return resources
+    .slice(0, VERSION_CHECK_SIZE)
+    .map(resource => `${resource.resourceType}/${resource.id}/${resource.meta?.versionId || ''}/${resource.meta?.lastUpdated || ''}`)
+    .join(',');
+}
+
+// Create a singleton instance
+const resourceCache = new ResourceCache();
+
+// Export the singleton instance
+export default resourceCache;
+
+// Also export the class for testing purposes
+export { ResourceCache };
@@ -0,0 +1,50 @@
+/**
+ * Resource Diff
+ *
+ * Compares two versions of a FHIR resource element by element, so that an
+ * update rejected because the resource changed on the server (409/412) can
+ * show what differs between the server's version and the local one.
+ */
+
+// Elements that differ between any two versions and say nothing about the content
+const IGNORED_ELEMENTS = ['meta', 'text'];
+
+/**
+ * Flatten a value into element paths (e.g. "note[1].text") and their primitive values
+ * @param {*} value - Value to flatten
+ * @param {string} path - Path of the value
+ * @param {Map<string, *>} elements - Receives the paths and values
+ */
+function flatten(value, path, elements) {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => flatten(item, `${path}[${index}]`, elements));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, child]) => flatten(child, path ? `${path}.${key}` : key, elements));
+  } else if (value !== undefined) {
+    elements.set(path, value);
+  }
+}
+
+/**
+ * List the elements that differ between the server's and the local version of a resource
+ * @param {Object} server - Resource as currently stored on the server
+ * @param {Object} local - Resource as edited locally
+ * @param {Object} options - Diff options
+ * @param {Array<string>} options.ignore - Top-level elements to leave out (meta and text by default)
+ * @returns {Array<{path: string, server: *, local: *}>} Differences in document order; a value is
+ *   undefined where the element is missing from that version
+ */
+export function diffResources(server, local, { ignore = IGNORED_ELEMENTS } = {}) {
+  const strip = resource => Object.fromEntries(Object.entries(resource || {}).filter(([key]) => !ignore.includes(key)));
+  const serverElements = new Map();
+  const localElements = new Map();
+
+  flatten(strip(server), '', serverElements);
+  flatten(strip(local), '', localElements);
+
+  const paths = [...new Set([...serverElements.keys(), ...localElements.keys()])];
+
+  return paths
+    .filter(path => serverElements.get(path) !== localElements.get(path))
+    .map(path => ({ path, server: serverElements.get(path), local: localElements.get(path) }));
+}
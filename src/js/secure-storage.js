@@ -0,0 +1,231 @@
+/**
+ * Secure Storage Module
+ * Encrypts values kept in sessionStorage, and blobs that other modules store
+ * (see offline-store.js), with an AES-GCM key that the browser will not
+ * export. The key is kept in IndexedDB so it survives page loads; storage then
+ * holds only ciphertext, and the GCM authentication tag detects any change to it.
+ *
+ * Script running in the application's origin can still use the key, so this
+ * protects tokens and patient data at rest (storage dumps, copied profiles),
+ * not against XSS.
+ */
+
+import { createError } from './error-handler.js';
+
+const DB_NAME = 'smart-fhir-keys';
+const DB_VERSION = 1;
+const STORE_NAME = 'keys';
+const KEY_ID = 'session-storage';
+
+// Format version of stored blobs, authenticated along with the storage key
+const BLOB_VERSION = 1;
+const IV_LENGTH = 12;
+
+/**
+ * Secure storage error types
+ */
+export const SecureStorageError = {
+  TAMPERED: 'STORAGE_TAMPERED',
+  UNAVAILABLE: 'SECURE_STORAGE_UNAVAILABLE'
+};
+
+let dbPromise = null;
+let keyPromise = null;
+
+/**
+ * Open (and create on first use) the key database
+ * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unavailable
+ */
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+          request.result.createObjectStore(STORE_NAME);
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+
+      // Without IndexedDB the key lives only as long as the page (see getEncryptionKey)
+      request.onerror = () => {
+        console.warn('Key storage unavailable:', request.error);
+        dbPromise = null;
+        resolve(null);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Run a single request against the key store
+ * @param {IDBDatabase} db - Key database
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {Function} operation - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+function withStore(db, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Load the encryption key, creating it on first use
+ * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+ */
+async function loadEncryptionKey() {
+  if (!globalThis.crypto?.subtle) {
+    throw createError(
+      SecureStorageError.UNAVAILABLE,
+      'Secure storage requires WebCrypto.',
+      { help: 'Open the application over HTTPS or from localhost in a current browser.' }
+    );
+  }
+
+  const db = await openDatabase();
+  const stored = db ? await withStore(db, 'readonly', store => store.get(KEY_ID)) : null;
+  if (stored) {
+    return stored;
+  }
+
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+
+  if (!db) {
+    // Values encrypted with a page-lifetime key read as missing after a reload
+    console.warn('Secure storage key is kept in memory only; stored values will not survive a reload');
+    return key;
+  }
+
+  try {
+    // add() fails if another tab stored a key first; use that one
+    await withStore(db, 'readwrite', store => store.add(key, KEY_ID));
+    return key;
+  } catch (error) {
+    return withStore(db, 'readonly', store => store.get(KEY_ID));
+  }
+}
+
+/**
+ * Get the encryption key; concurrent callers share one lookup
+ * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+ */
+function getEncryptionKey() {
+  if (!keyPromise) {
+    keyPromise = loadEncryptionKey().catch(error => {
+      keyPromise = null;
+      throw error;
+    });
+  }
+  return keyPromise;
+}
+
+/**
+ * Additional authenticated data: ties a blob to its storage key, so a blob
+ * cannot be moved to another key without failing decryption
+ */
+function getAdditionalData(storageKey) {
+  return new TextEncoder().encode(`${storageKey}|v${BLOB_VERSION}`);
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(value) {
+  return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
+
+/**
+ * Encrypt a value for storage
+ * @param {string} storageKey - Key the value is stored under; decryption
+ *   fails under any other key
+ * @param {*} value - JSON-serializable value
+ * @returns {Promise<Object>} Blob ({ v, iv, data }) to store
+ */
+export async function encryptValue(storageKey, value) {
+  const key = await getEncryptionKey();
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: getAdditionalData(storageKey) },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+
+  return { v: BLOB_VERSION, iv: toBase64(iv), data: toBase64(ciphertext) };
+}
+
+/**
+ * Decrypt a blob created by encryptValue()
+ * @param {string} storageKey - Key the blob was stored under
+ * @param {Object} blob - Stored blob
+ * @returns {Promise<*>} Decrypted value
+ * @throws {Object} SecureStorageError.TAMPERED when the blob was changed, is
+ *   malformed or was encrypted with another key
+ */
+export async function decryptValue(storageKey, blob) {
+  const key = await getEncryptionKey();
+
+  try {
+    if (blob?.v !== BLOB_VERSION) {
+      throw new Error(`Unsupported blob version ${blob?.v}`);
+    }
+
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(blob.iv), additionalData: getAdditionalData(storageKey) },
+      key,
+      fromBase64(blob.data)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  } catch (error) {
+    throw createError(
+      SecureStorageError.TAMPERED,
+      `Stored ${storageKey} could not be decrypted.`,
+      { originalError: error.message || error.name }
+    );
+  }
+}
+
+/**
+ * Encrypt a value and store it in sessionStorage
+ * @param {string} storageKey - sessionStorage key
+ * @param {*} value - JSON-serializable value
+ * @returns {Promise<void>}
+ */
+export async function setEncryptedItem(storageKey, value) {
+  sessionStorage.setItem(storageKey, JSON.stringify(await encryptValue(storageKey, value)));
+}
+
+/**
+ * Read and decrypt a value from sessionStorage
+ * @param {string} storageKey - sessionStorage key
+ * @returns {Promise<*>} Stored value, or null when nothing is stored
+ * @throws {Object} SecureStorageError.TAMPERED when the blob was changed, is
+ *   malformed or was encrypted with another key
+ */
+export async function getEncryptedItem(storageKey) {
+  const stored = sessionStorage.getItem(storageKey);
+  if (stored === null) {
+    return null;
+  }
+
+  let blob;
+  try {
+    blob = JSON.parse(stored);
+  } catch (error) {
+    blob = null;
+  }
+
+  return decryptValue(storageKey, blob);
+}
@@ -0,0 +1,285 @@
+/**
+ * SMART Discovery Module
+ * Reads a FHIR server's .well-known/smart-configuration and CapabilityStatement
+ * before authorization, reports which of the features the application relies on
+ * are supported, and stops the launch with a structured AuthError when the
+ * server cannot serve what the application needs
+ */
+
+import { createError } from './error-handler.js';
+import { AuthError } from './auth.js';
+import { ResourceRegistry } from './fhir-resources.js';
+import { getSupportedScopeVersion, ScopeVersion } from './smart-scopes.js';
+
+// Report of the last discovery, kept for the rest of the session
+const CAPABILITY_STORAGE_KEY = 'smartServerCapabilities';
+
+const DISCOVERY_TIMEOUT = 10000;
+
+/**
+ * Resource types the application cannot work without
+ */
+export const REQUIRED_RESOURCE_TYPES = ['Patient', 'AllergyIntolerance'];
+
+/**
+ * Extension carrying the OAuth endpoints in older CapabilityStatements
+ */
+const OAUTH_URIS_EXTENSION = 'http://fhir-registry.smarthealthit.org/StructureDefinition/oauth-uris';
+
+/**
+ * Fetch a JSON document, resolving to null instead of failing
+ * @param {string} url - Document URL
+ * @param {string} accept - Accept header
+ * @returns {Promise<Object|null>} Parsed document or null
+ */
+async function fetchJson(url, accept) {
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  const timer = controller ? setTimeout(() => controller.abort(), DISCOVERY_TIMEOUT) : null;
+
+  try {
+    const response = await fetch(url, {
+      headers: { Accept: accept },
+      ...(controller && { signal: controller.signal })
+    });
+
+    if (!response.ok) {
+      console.warn(`Discovery request ${url} failed with HTTP ${response.status}`);
+      return null;
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.warn(`Discovery request ${url} failed:`, error);
+    return null;
+  } finally {
+    if (timer) clearTimeout(timer);
+  }
+}
+
+/**
+ * Fetch the SMART configuration of a server
+ * @param {string} iss - FHIR base URL
+ * @returns {Promise<Object|null>} .well-known/smart-configuration, or null
+ */
+export function fetchSmartConfiguration(iss) {
+  return fetchJson(`${String(iss).replace(/\/+$/, '')}/.well-known/smart-configuration`, 'application/json');
+}
+
+/**
+ * Fetch the SMART configuration and CapabilityStatement of a server
+ * @param {string} iss - FHIR base URL
+ * @returns {Promise<Object>} { smartConfiguration, capabilityStatement }, either may be null
+ */
+export async function fetchServerMetadata(iss) {
+  const base = String(iss).replace(/\/+$/, '');
+
+  const [smartConfiguration, capabilityStatement] = await Promise.all([
+    fetchSmartConfiguration(base),
+    fetchJson(`${base}/metadata`, 'application/fhir+json')
+  ]);
+
+  return {
+    smartConfiguration,
+    capabilityStatement: capabilityStatement?.resourceType === 'CapabilityStatement' ? capabilityStatement : null
+  };
+}
+
+/**
+ * Get the resource types the application queries
+ * @returns {Array<string>} Unique resource types, required types first
+ */
+export function getNeededResourceTypes() {
+  const types = new Set(REQUIRED_RESOURCE_TYPES);
+  Object.values(ResourceRegistry).forEach(entry => types.add(entry.resourceType));
+  return Array.from(types);
+}
+
+/**
+ * Read the OAuth endpoints from either discovery document
+ * @private
+ */
+function getOAuthEndpoints(smartConfiguration, capabilityStatement) {
+  if (smartConfiguration?.authorization_endpoint && smartConfiguration?.token_endpoint) {
+    return { authorize: smartConfiguration.authorization_endpoint, token: smartConfiguration.token_endpoint };
+  }
+
+  const extension = (capabilityStatement?.rest || [])
+    .flatMap(rest => rest.security?.extension || [])
+    .find(ext => ext.url === OAUTH_URIS_EXTENSION);
+
+  const uri = name => extension?.extension?.find(ext => ext.url === name)?.valueUri || null;
+
+  return { authorize: uri('authorize'), token: uri('token') };
+}
+
+/**
+ * Check whether a search result parameter (_sort, _count) is declared for a resource
+ * @private
+ */
+function declaresSearchParam(rest, resource, name) {
+  return [...(resource.searchParam || []), ...(rest.searchParam || [])].some(param => param.name === name);
+}
+
+/**
+ * Evaluate discovery documents against what the application needs
+ * @param {Object} metadata - { smartConfiguration, capabilityStatement }
+ * @returns {Object} Report: { endpoints, pkce, refreshTokens, scopeVersion, resources, missing, warnings }
+ */
+export function evaluateServerCapabilities({ smartConfiguration, capabilityStatement }) {
+  const missing = [];
+  const warnings = [];
+
+  const endpoints = getOAuthEndpoints(smartConfiguration, capabilityStatement);
+  if (!endpoints.authorize || !endpoints.token) {
+    missing.push('SMART authorization endpoints');
+  }
+
+  const pkce = (smartConfiguration?.code_challenge_methods_supported || []).includes('S256');
+  if (!pkce) {
+    warnings.push('PKCE (S256) is not advertised');
+  }
+
+  const refreshTokens = (smartConfiguration?.grant_types_supported || []).includes('refresh_token')
+    || (smartConfiguration?.capabilities || []).includes('permission-offline');
+  if (!refreshTokens) {
+    warnings.push('Refresh tokens are not advertised; you will need to relaunch when the session expires');
+  }
+
+  // Scopes are requested in v1 syntax unless the server advertises v2
+  const scopeVersion = getSupportedScopeVersion(smartConfiguration);
+
+  const rest = (capabilityStatement?.rest || []).find(entry => entry.mode === 'server') || null;
+  const resources = {};
+
+  getNeededResourceTypes().forEach(type => {
+    const resource = rest?.resource?.find(entry => entry.type === type);
+    const interactions = (resource?.interaction || []).map(interaction => interaction.code);
+
+    resources[type] = {
+      required: REQUIRED_RESOURCE_TYPES.includes(type),
+      supported: Boolean(resource),
+      search: interactions.includes('search-type'),
+      sort: Boolean(resource) && declaresSearchParam(rest, resource, '_sort'),
+      count: Boolean(resource) && declaresSearchParam(rest, resource, '_count')
+    };
+  });
+
+  if (!rest) {
+    warnings.push('The server CapabilityStatement could not be read, so resource support was not checked');
+  } else {
+    Object.entries(resources).forEach(([type, support]) => {
+      // Patient is read rather than searched, so only its presence matters
+      const usable = support.supported && (type === 'Patient' || support.search);
+
+      if (!usable && support.required) {
+        missing.push(type === 'Patient' ? 'Patient' : `${type} search`);
+      } else if (!usable) {
+        warnings.push(`${type} is not supported; that record type will be unavailable`);
+      } else if (type !== 'Patient' && (!support.sort || !support.count)) {
+        const params = [!support.sort && '_sort', !support.count && '_count'].filter(Boolean).join(' and ');
+        warnings.push(`${type} does not declare ${params}; results may be unsorted or unpaged`);
+      }
+    });
+  }
+
+  return { endpoints, pkce, refreshTokens, scopeVersion, resources, missing, warnings };
+}
+
+/**
+ * Discover a server's capabilities and stop the launch if it cannot be used
+ * @param {string} iss - FHIR base URL
+ * @returns {Promise<Object>} Capability report (see evaluateServerCapabilities)
+ * @throws {Object} Structured AuthError (DISCOVERY_FAILED or UNSUPPORTED_SERVER)
+ */
+export async function checkServerCapabilities(iss) {
+  const metadata = await fetchServerMetadata(iss);
+
+  if (!metadata.smartConfiguration && !metadata.capabilityStatement) {
+    throw createError(
+      AuthError.DISCOVERY_FAILED,
+      'The FHIR server did not provide its SMART configuration or capability statement.',
+      {
+        iss,
+        help: 'Check the FHIR server URL (iss) and that the server is reachable, then try again.'
+      }
+    );
+  }
+
+  const report = { iss, checkedAt: new Date().toISOString(), ...evaluateServerCapabilities(metadata) };
+  storeCapabilityReport(report);
+
+  if (report.missing.length > 0) {
+    throw createError(
+      AuthError.UNSUPPORTED_SERVER,
+      `The FHIR server does not support what this application needs: ${report.missing.join(', ')}.`,
+      {
+        iss,
+        missing: report.missing,
+        warnings: report.warnings,
+        help: 'Ask your EHR administrator whether these features can be enabled, or launch against a different FHIR server.'
+      }
+    );
+  }
+
+  return report;
+}
+
+/**
+ * Save the capability report for the rest of the session
+ * @param {Object} report - Capability report
+ */
+function storeCapabilityReport(report) {
+  try {
+    sessionStorage.setItem(CAPABILITY_STORAGE_KEY, JSON.stringify(report));
+  } catch (error) {
+    console.warn('Could not store server capabilities:', error);
+  }
+}
+
+/**
+ * Get the capability report of the last discovery
+ * @returns {Object|null} Capability report or null
+ */
+export function getCapabilityReport() {
+  try {
+    const stored = sessionStorage.getItem(CAPABILITY_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Render a capability report as a list
+ * @param {Object} report - Capability report
+ * @param {string|HTMLElement} container - Container element or ID
+ */
+export function renderCapabilitySummary(report, container = 'capability-summary') {
+  const element = typeof container === 'string' ? document.getElementById(container) : container;
+  if (!element || !report) return;
+
+  const items = [
+    { label: 'PKCE (S256)', ok: report.pkce },
+    { label: 'Refresh tokens', ok: report.refreshTokens },
+    { label: 'SMART v2 scopes', ok: report.scopeVersion === ScopeVersion.V2 },
+    ...Object.entries(report.resources).map(([type, support]) => ({
+      label: `${type}${support.supported && type !== 'Patient' ? ` (${[support.sort && '_sort', support.count && '_count'].filter(Boolean).join(', ') || 'no _sort/_count'})` : ''}`,
+      ok: support.supported && (type === 'Patient' || support.search)
+    }))
+  ];
+
+  element.innerHTML = '';
+
+  const list = document.createElement('ul');
+  list.className = 'capability-list';
+
+  items.forEach(({ label, ok }) => {
+    const item = document.createElement('li');
+    item.className = ok ? 'capability-supported' : 'capability-unsupported';
+    item.textContent = `${ok ? '✓' : '✗'} ${label}`;
+    list.appendChild(item);
+  });
+
+  element.appendChild(list);
+  element.style.display = 'block';
+}
@@ -0,0 +1,316 @@
+/**
+ * SMART Scopes Module
+ * Parses SMART v1 (`patient/AllergyIntolerance.read`) and v2
+ * (`patient/Observation.rs?category=laboratory`) scopes into a permissions
+ * model, so the UI can tell in advance which resource types the token can read
+ * or write, and builds the scope to request from the resource registry
+ */
+
+import { ResourceRegistry } from './fhir-resources.js';
+
+/**
+ * Interactions a v2 scope can grant (create, read, update, delete, search)
+ */
+export const ScopePermission = {
+  CREATE: 'c',
+  READ: 'r',
+  UPDATE: 'u',
+  DELETE: 'd',
+  SEARCH: 's'
+};
+
+/**
+ * Permissions granted by v1 scope suffixes
+ */
+const V1_PERMISSIONS = {
+  read: ['r', 's'],
+  write: ['c', 'u', 'd'],
+  '*': ['c', 'r', 'u', 'd', 's']
+};
+
+/**
+ * Permissions that change data
+ */
+const WRITE_PERMISSIONS = ['c', 'u', 'd'];
+
+/**
+ * How each permission is described when access is denied
+ */
+const PERMISSION_ACTIONS = {
+  c: 'creating',
+  r: 'reading',
+  u: 'updating',
+  d: 'deleting',
+  s: 'searching'
+};
+
+/**
+ * SMART scope syntax versions
+ */
+export const ScopeVersion = {
+  V1: 1,
+  V2: 2
+};
+
+/**
+ * Search parameters that narrow which resources a registry entry shows; in v2
+ * they become scope restrictions (e.g. Observation.rs?category=laboratory)
+ */
+const RESTRICTING_PARAMS = ['category'];
+
+const RESOURCE_SCOPE_PATTERN = /^(patient|user|system)\/([A-Za-z]+|\*)\.([^?]+)(?:\?(.*))?$/;
+
+/**
+ * Parse a single scope
+ * @param {string} scope - Scope such as "patient/*.read" or "user/Condition.rs?category=problem-list-item"
+ * @returns {Object|null} { raw, context, resourceType, permissions, query, version }, or null for
+ *   scopes that do not grant resource access (launch, openid, offline_access, ...)
+ */
+export function parseScope(scope) {
+  const match = RESOURCE_SCOPE_PATTERN.exec(scope || '');
+  if (!match) return null;
+
+  const [, context, resourceType, suffix, queryString] = match;
+  let permissions;
+  let version;
+
+  if (V1_PERMISSIONS[suffix]) {
+    permissions = V1_PERMISSIONS[suffix];
+    version = 1;
+  } else if (/^c?r?u?d?s?$/.test(suffix)) {
+    permissions = suffix.split('');
+    version = 2;
+  } else {
+    return null;
+  }
+
+  // v2 scopes may restrict access to resources matching search parameters
+  const query = {};
+  if (queryString) {
+    new URLSearchParams(queryString).forEach((value, name) => {
+      query[name] = value;
+    });
+  }
+
+  return {
+    raw: scope,
+    context,
+    resourceType,
+    permissions,
+    query: Object.keys(query).length > 0 ? query : null,
+    version
+  };
+}
+
+/**
+ * Build the permissions model for a granted scope string
+ * @param {string|null} scopeString - Space-separated granted scopes; when missing
+ *   (some servers omit `scope` from the token response) access is not restricted
+ * @returns {Object} { unrestricted, scopes }
+ */
+export function createPermissions(scopeString) {
+  if (typeof scopeString !== 'string' || scopeString.trim() === '') {
+    return { unrestricted: true, scopes: [] };
+  }
+
+  const scopes = scopeString.split(/\s+/)
+    .map(parseScope)
+    // System scopes belong to backend services, not to a user in the browser
+    .filter(scope => scope && scope.context !== 'system');
+
+  return { unrestricted: false, scopes };
+}
+
+/**
+ * Check whether a token search value satisfies a scope restriction; a code
+ * without a system matches the same code with any system
+ * @private
+ */
+function tokenMatches(restricted, requested) {
+  if (requested === undefined || requested === null) return false;
+  if (String(requested) === restricted) return true;
+
+  const code = value => String(value).split('|').pop();
+  const hasSystem = value => String(value).includes('|');
+
+  return (!hasSystem(restricted) || !hasSystem(requested)) && code(restricted) === code(requested);
+}
+
+/**
+ * Decide whether a resource type can be accessed, and why not
+ * @param {Object} permissions - Permissions from createPermissions()
+ * @param {string} resourceType - FHIR resource type
+ * @param {Object} options - Access options
+ * @param {string} options.permission - Required permission (ScopePermission, search by default)
+ * @param {Object} options.params - Search parameters the query will send (e.g. { category: 'laboratory' })
+ * @returns {Object} { allowed, reason }
+ */
+export function checkAccess(permissions, resourceType, { permission = ScopePermission.SEARCH, params = {} } = {}) {
+  if (!permissions || permissions.unrestricted) {
+    return { allowed: true, reason: null };
+  }
+
+  const forType = permissions.scopes.filter(scope => scope.resourceType === '*' || scope.resourceType === resourceType);
+
+  if (forType.length === 0) {
+    return { allowed: false, reason: `The granted access does not include ${resourceType} records.` };
+  }
+
+  const withPermission = forType.filter(scope => scope.permissions.includes(permission));
+
+  if (withPermission.length === 0) {
+    const action = PERMISSION_ACTIONS[permission] || 'accessing';
+    return { allowed: false, reason: `The granted access does not allow ${action} ${resourceType} records.` };
+  }
+
+  const allowed = withPermission.some(scope => !scope.query
+    || Object.entries(scope.query).every(([name, value]) => tokenMatches(value, params[name])));
+
+  if (!allowed) {
+    const limits = withPermission
+      .map(scope => Object.entries(scope.query).map(([name, value]) => `${name}=${value}`).join('&'))
+      .join(' or ');
+    return { allowed: false, reason: `The granted access limits ${resourceType} records to ${limits}.` };
+  }
+
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Decide whether a resource registry entry can be loaded
+ * @param {Object} permissions - Permissions from createPermissions()
+ * @param {Object} definition - Resource registry entry (resourceType, defaultParams)
+ * @returns {Object} { allowed, reason }
+ */
+export function checkResourceAccess(permissions, definition) {
+  return checkAccess(permissions, definition.resourceType, { params: definition.defaultParams || {} });
+}
+
+/**
+ * Get the newest scope syntax a server advertises in its SMART configuration
+ * @param {Object|null} smartConfiguration - .well-known/smart-configuration document
+ * @returns {number} ScopeVersion.V2 when `permission-v2` or a v2 scope is advertised, else ScopeVersion.V1
+ */
+export function getSupportedScopeVersion(smartConfiguration) {
+  const advertisesV2 = (smartConfiguration?.capabilities || []).includes('permission-v2')
+    || (smartConfiguration?.scopes_supported || []).some(scope => parseScope(scope)?.version === ScopeVersion.V2);
+
+  return advertisesV2 ? ScopeVersion.V2 : ScopeVersion.V1;
+}
+
+/**
+ * Format a resource scope in the given syntax
+ * @private
+ */
+function formatScope(context, resourceType, permissions, query, version) {
+  if (version === ScopeVersion.V1) {
+    // v1 cannot express restrictions or separate read from search
+    return ['read', 'write']
+      .filter(suffix => V1_PERMISSIONS[suffix].some(permission => permissions.includes(permission)))
+      .map(suffix => `${context}/${resourceType}.${suffix}`);
+  }
+
+  const suffix = ['c', 'r', 'u', 'd', 's'].filter(permission => permissions.includes(permission)).join('');
+  const queryString = query
+    ? `?${Object.entries(query).map(([name, value]) => `${name}=${value}`).join('&')}`
+    : '';
+
+  return [`${context}/${resourceType}.${suffix}${queryString}`];
+}
+
+/**
+ * Build read and search scopes for the resource types the application shows
+ * @param {Object} options - Scope options
+ * @param {string} options.context - Scope context ('patient' or 'user')
+ * @param {number} options.version - ScopeVersion to use
+ * @param {Array<Object>} options.definitions - Resource registry entries (resourceType, defaultParams)
+ * @returns {Array<string>} Scopes, the Patient read scope first
+ */
+export function buildResourceScopes({
+  context = 'patient',
+  version = ScopeVersion.V2,
+  definitions = Object.values(ResourceRegistry)
+} = {}) {
+  // Collect the restrictions per resource type; null means the type is shown unrestricted
+  const restrictions = new Map();
+
+  definitions.forEach(({ resourceType, defaultParams = {} }) => {
+    const query = {};
+    RESTRICTING_PARAMS.forEach(name => {
+      if (defaultParams[name] !== undefined) query[name] = defaultParams[name];
+    });
+    const restriction = Object.keys(query).length > 0 ? query : null;
+
+    if (!restrictions.has(resourceType)) {
+      restrictions.set(resourceType, restriction ? [restriction] : null);
+    } else if (restrictions.get(resourceType) && restriction) {
+      restrictions.get(resourceType).push(restriction);
+    } else {
+      restrictions.set(resourceType, null);
+    }
+  });
+
+  // The patient banner reads the Patient resource itself
+  const scopes = formatScope(context, 'Patient', [ScopePermission.READ], null, version);
+
+  restrictions.forEach((queries, resourceType) => {
+    const permissions = [ScopePermission.READ, ScopePermission.SEARCH];
+    (queries || [null]).forEach(query => {
+      scopes.push(...formatScope(context, resourceType, permissions, query, version));
+    });
+  });
+
+  return Array.from(new Set(scopes));
+}
+
+/**
+ * Build the scope to request from the configured one. Wildcard read scopes
+ * (`patient/*.read`, `user/*.rs`) are replaced by scopes for the resource types
+ * in the registry; wildcard write scopes and other scopes are kept, converted
+ * to v1 when the server only supports v1.
+ * @param {string} configuredScope - Configured scope (e.g. "launch patient/*.read")
+ * @param {Object} options - Scope options
+ * @param {number} options.version - ScopeVersion the server supports
+ * @param {Array<Object>} options.definitions - Resource registry entries
+ * @returns {string} Space-separated scope to request
+ */
+export function buildRequestedScope(configuredScope = '', { version = ScopeVersion.V1, definitions } = {}) {
+  const scopes = [];
+
+  configuredScope.split(/\s+/).filter(Boolean).forEach(scope => {
+    const parsed = parseScope(scope);
+
+    if (!parsed || parsed.context === 'system') {
+      scopes.push(scope);
+    } else if (parsed.resourceType === '*') {
+      // Read access is narrowed to the registry's types; write access is kept as configured
+      const writePermissions = parsed.permissions.filter(permission => WRITE_PERMISSIONS.includes(permission));
+      if (parsed.permissions.some(permission => !WRITE_PERMISSIONS.includes(permission))) {
+        scopes.push(...buildResourceScopes({ context: parsed.context, version, definitions }));
+      }
+      if (writePermissions.length > 0) {
+        scopes.push(...formatScope(parsed.context, '*', writePermissions, null, version));
+      }
+    } else if (parsed.version === version) {
+      scopes.push(scope);
+    } else {
+      scopes.push(...formatScope(parsed.context, parsed.resourceType, parsed.permissions, parsed.query, version));
+    }
+  });
+
+  return Array.from(new Set(scopes)).join(' ');
+}
+
+/**
+ * Compare the requested scope with the granted one
+ * @param {string|null} requestedScope - Scope sent to the authorization server
+ * @param {string|null} grantedScope - Scope from the token response
+ * @returns {Array<string>} Requested scopes that were not granted; empty when the
+ *   server did not report a granted scope
+ */
+export function getDeniedScopes(requestedScope, grantedScope) {
+  if (typeof grantedScope !== 'string' || grantedScope.trim() === '') return [];
+
+  const granted = new Set(grantedScope.split(/\s+/));
+  return (requestedScope || '').split(/\s+/).filter(scope => scope && !granted.has(scope));
+}
@@ -0,0 +1,143 @@
+/**
+ * Standalone Launch Module
+ * Starts the SMART authorization flow without an EHR: the user picks a FHIR
+ * server and the authorization server's patient picker supplies the patient.
+ * The redirect then completes through authorize() in auth.js, as for an EHR launch.
+ */
+
+import { createError } from './error-handler.js';
+import { buildRequestedScope, ScopeVersion } from './smart-scopes.js';
+import { startBffLaunch } from './bff-session.js';
+
+// Remembers the last server used so the next standalone launch defaults to it
+const LAST_ISSUER_STORAGE_KEY = 'smartStandaloneIssuer';
+
+/**
+ * Servers offered in the picker besides the configured issuer
+ */
+export const KNOWN_FHIR_SERVERS = [
+  { label: 'SMART Health IT sandbox (R4)', url: 'https://launch.smarthealthit.org/v/r4/fhir' }
+];
+
+/**
+ * Standalone launch errors
+ */
+export const StandaloneLaunchError = {
+  INVALID_ISSUER: 'INVALID_ISSUER'
+};
+
+/**
+ * Turn the configured EHR launch scope into a standalone one: the `launch`
+ * scope only applies inside an EHR, so it is replaced by `launch/patient`,
+ * which asks the authorization server to let the user pick a patient
+ * @param {string} scope - Configured scope (e.g. "launch patient/*.read")
+ * @returns {string} Scope for a standalone launch
+ */
+export function buildStandaloneScope(scope = '') {
+  const scopes = scope.split(/\s+/).filter(item => item && item !== 'launch');
+
+  if (!scopes.includes('launch/patient')) {
+    scopes.unshift('launch/patient');
+  }
+
+  return scopes.join(' ');
+}
+
+/**
+ * Validate and normalize a FHIR base URL entered by the user
+ * @param {string} value - Entered URL
+ * @returns {string} URL without trailing slashes
+ * @throws {Object} Structured INVALID_ISSUER error
+ */
+export function normalizeIssuer(value) {
+  const trimmed = (value || '').trim();
+  let url;
+
+  try {
+    url = new URL(trimmed);
+  } catch (error) {
+    url = null;
+  }
+
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    throw createError(
+      StandaloneLaunchError.INVALID_ISSUER,
+      `"${trimmed}" is not a valid FHIR server URL.`,
+      { help: 'Enter the FHIR base URL, for example https://launch.smarthealthit.org/v/r4/fhir' }
+    );
+  }
+
+  // Plain http is only acceptable for a local development server
+  if (url.protocol === 'http:' && !['localhost', '127.0.0.1'].includes(url.hostname)) {
+    throw createError(
+      StandaloneLaunchError.INVALID_ISSUER,
+      'FHIR servers must be reached over HTTPS.',
+      { help: 'Use an https:// URL; http:// is only allowed for localhost.' }
+    );
+  }
+
+  return url.toString().replace(/\/+$/, '');
+}
+
+/**
+ * Build the list of servers to offer, configured issuer first, without duplicates
+ * @param {string|null} configuredIssuer - Issuer from the client config
+ * @returns {Array<Object>} Servers ({ label, url })
+ */
+export function getServerOptions(configuredIssuer) {
+  const options = configuredIssuer ? [{ label: `Configured server (${configuredIssuer})`, url: configuredIssuer }] : [];
+
+  KNOWN_FHIR_SERVERS.forEach(server => {
+    if (!options.some(option => option.url === server.url)) {
+      options.push(server);
+    }
+  });
+
+  return options;
+}
+
+/**
+ * Get the server used by the last standalone launch
+ * @returns {string|null} FHIR base URL or null
+ */
+export function getLastIssuer() {
+  try {
+    return localStorage.getItem(LAST_ISSUER_STORAGE_KEY);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Start a standalone launch
+ * @param {string} issuer - FHIR base URL chosen by the user
+ * @param {Object} config - Client settings from loadClientConfig()
+ * @param {Object} report - Capability report from checkServerCapabilities(), for the scope version
+ * @returns {Promise<void>} Resolves as the browser is redirected to the authorization server
+ */
+export async function launchStandalone(issuer, config, report = null) {
+  const iss = normalizeIssuer(issuer);
+
+  try {
+    localStorage.setItem(LAST_ISSUER_STORAGE_KEY, iss);
+  } catch (error) {
+    // Remembering the server is a convenience only
+  }
+
+  const scope = buildStandaloneScope(buildRequestedScope(config.scope, {
+    version: report?.scopeVersion || ScopeVersion.V1
+  }));
+
+  // In BFF mode server.js runs the authorization and keeps the tokens
+  if (config.bff) {
+    startBffLaunch({ iss, scope });
+    return;
+  }
+
+  return FHIR.oauth2.authorize({
+    clientId: config.clientId,
+    scope,
+    redirectUri: config.redirectUri,
+    iss
+  });
+}
@@ -41,7 +41,7 @@ export async function runTests() {
   
   // Test 2: Authentication status
   try {
-    const authenticated = isAuthenticated();
+    const authenticated = await isAuthenticated();
     results.authentication = {
       status: authenticated ? 'pass' : 'fail',
       details: { authenticated }
@@ -0,0 +1,273 @@
+/**
+ * Allergy Entry Form Tests
+ *
+ * Unit tests for the allergy-form.js and allergy-codes.js modules
+ */
+
+import {
+  buildAllergyIntolerance,
+  validateAllergyIntolerance,
+  getAuthorReference,
+  applyAllergyChanges,
+  validateAllergyEdit,
+  CLINICAL_STATUS_SYSTEM,
+  VERIFICATION_STATUS_SYSTEM
+} from '../allergy-form.js';
+import { searchSubstances, findCode, SNOMED_SYSTEM } from '../allergy-codes.js';
+import { RXNORM_SYSTEM } from '../drug-allergy-table.js';
+import { checkDrugAllergies } from '../drug-allergy.js';
+import { normalizeAllergyData } from '../fhir-client.js';
+import { normalizeMedicationRequestData } from '../medication-request.js';
+
+const now = new Date('2024-05-01T12:00:00Z');
+
+const values = {
+  substance: 'Amoxicillin',
+  verificationStatus: 'confirmed',
+  criticality: 'high',
+  manifestation: '247472004',
+  severity: 'moderate',
+  onset: '2020-03-15',
+  note: 'Reaction after a course for sinusitis.'
+};
+
+describe('Allergy Entry Form', () => {
+  describe('searchSubstances', () => {
+    test('should find substances by name and synonym, prefix matches first', () => {
+      const results = searchSubstances('penicillin').map(substance => substance.display);
+
+      expect(results[0]).toBe('Penicillin G');
+      expect(results).toEqual(expect.arrayContaining(['Amoxicillin', 'Ampicillin']));
+      expect(searchSubstances('sulfa')[0]).toMatchObject({ system: RXNORM_SYSTEM, code: '10180' });
+    });
+
+    test('should return nothing for an empty query and respect the limit', () => {
+      expect(searchSubstances('  ')).toEqual([]);
+      expect(searchSubstances('a', { limit: 3 })).toHaveLength(3);
+    });
+
+    test('should find code list entries by display name or code', () => {
+      expect(findCode('allergy to PEANUT')).toMatchObject({ system: SNOMED_SYSTEM, code: '91935009', category: 'food' });
+      expect(findCode('723')).toMatchObject({ display: 'Amoxicillin' });
+      expect(findCode('Unlisted substance')).toBeNull();
+    });
+  });
+
+  describe('getAuthorReference', () => {
+    test('should reduce fhirUser to a relative reference', () => {
+      expect(getAuthorReference('https://ehr.example.org/fhir/Practitioner/dr-1')).toBe('Practitioner/dr-1');
+      expect(getAuthorReference('Patient/patient-123')).toBe('Patient/patient-123');
+    });
+
+    test('should ignore users that cannot author an allergy', () => {
+      expect(getAuthorReference('https://ehr.example.org/fhir/Device/d-1')).toBeNull();
+      expect(getAuthorReference(null)).toBeNull();
+    });
+  });
+
+  describe('buildAllergyIntolerance', () => {
+    test('should build an R4 AllergyIntolerance from the form values', () => {
+      const allergy = buildAllergyIntolerance(values, { patientId: 'patient-123', recorder: 'Practitioner/dr-1', now });
+
+      expect(allergy).toEqual({
+        resourceType: 'AllergyIntolerance',
+        clinicalStatus: { coding: [{ system: CLINICAL_STATUS_SYSTEM, code: 'active' }] },
+        verificationStatus: { coding: [{ system: VERIFICATION_STATUS_SYSTEM, code: 'confirmed' }] },
+        type: 'allergy',
+        category: ['medication'],
+        criticality: 'high',
+        code: { coding: [{ system: RXNORM_SYSTEM, code: '723', display: 'Amoxicillin' }], text: 'Amoxicillin' },
+        patient: { reference: 'Patient/patient-123' },
+        onsetDateTime: '2020-03-15',
+        recordedDate: '2024-05-01T12:00:00.000Z',
+        recorder: { reference: 'Practitioner/dr-1' },
+        reaction: [{
+          manifestation: [{ coding: [{ system: SNOMED_SYSTEM, code: '247472004', display: 'Hives' }], text: 'Hives' }],
+          severity: 'moderate'
+        }],
+        note: [{ text: 'Reaction after a course for sinusitis.', time: '2024-05-01T12:00:00.000Z', authorReference: { reference: 'Practitioner/dr-1' } }]
+      });
+      expect(validateAllergyIntolerance(allergy, { now })).toEqual([]);
+    });
+
+    test('should leave out optional elements that were not entered', () => {
+      const allergy = buildAllergyIntolerance({ substance: 'Latex allergy' }, { patientId: 'patient-123', now });
+
+      expect(allergy.verificationStatus.coding[0].code).toBe('unconfirmed');
+      expect(allergy.category).toEqual(['environment']);
+      expect(allergy).not.toHaveProperty('criticality');
+      expect(allergy).not.toHaveProperty('reaction');
+      expect(allergy).not.toHaveProperty('note');
+      expect(allergy).not.toHaveProperty('recorder');
+      expect(validateAllergyIntolerance(allergy, { now })).toEqual([]);
+    });
+
+    test('should be picked up by the drug–allergy check', () => {
+      const [allergy] = normalizeAllergyData([buildAllergyIntolerance(values, { patientId: 'patient-123', now })]);
+      const medicationRequest = normalizeMedicationRequestData({
+        resourceType: 'MedicationRequest',
+        id: 'medrx-1',
+        status: 'active',
+        intent: 'order',
+        medicationCodeableConcept: { coding: [{ system: RXNORM_SYSTEM, code: '308182', display: 'amoxicillin 250 MG Oral Capsule' }] }
+      });
+
+      expect(checkDrugAllergies([medicationRequest], [allergy])).toHaveLength(1);
+    });
+  });
+
+  describe('validateAllergyIntolerance', () => {
+    const fields = issues => issues.map(issue => issue.field);
+
+    test('should require a substance from the code list', () => {
+      expect(validateAllergyIntolerance(buildAllergyIntolerance({ substance: '' }, { patientId: 'patient-123', now }), { now }))
+        .toEqual([{ field: 'substance', message: 'Enter the substance the patient is allergic to.' }]);
+
+      const [issue] = validateAllergyIntolerance(buildAllergyIntolerance({ substance: 'Grapefruit' }, { patientId: 'patient-123', now }), { now });
+      expect(issue.message).toContain('"Grapefruit" is not in the substance list');
+    });
+
+    test('should require a reaction when a severity is entered', () => {
+      const allergy = buildAllergyIntolerance({ ...values, manifestation: '' }, { patientId: 'patient-123', now });
+
+      expect(allergy.reaction).toEqual([{ manifestation: [], severity: 'moderate' }]);
+      expect(fields(validateAllergyIntolerance(allergy, { now }))).toEqual(['manifestation']);
+    });
+
+    test('should reject onset dates in the future or in another format', () => {
+      const future = buildAllergyIntolerance({ ...values, onset: '2024-06-01' }, { patientId: 'patient-123', now });
+      const invalid = buildAllergyIntolerance({ ...values, onset: '15/03/2020' }, { patientId: 'patient-123', now });
+
+      expect(validateAllergyIntolerance(future, { now })).toEqual([{ field: 'onset', message: 'The onset date cannot be in the future.' }]);
+      expect(fields(validateAllergyIntolerance(invalid, { now }))).toEqual(['onset']);
+    });
+
+    test('should enforce the clinical status invariants', () => {
+      const allergy = buildAllergyIntolerance(values, { patientId: 'patient-123', now });
+      const enteredInError = {
+        ...allergy,
+        verificationStatus: { coding: [{ system: VERIFICATION_STATUS_SYSTEM, code: 'entered-in-error' }] }
+      };
+      const { clinicalStatus, ...withoutClinicalStatus } = allergy;
+
+      expect(fields(validateAllergyIntolerance(enteredInError, { now }))).toEqual(['clinicalStatus']);
+      expect(validateAllergyIntolerance({ ...enteredInError, clinicalStatus: undefined }, { now })).toEqual([]);
+      expect(fields(validateAllergyIntolerance(withoutClinicalStatus, { now }))).toEqual(['clinicalStatus']);
+    });
+
+    test('should reject codes outside the R4 value sets and a missing patient', () => {
+      const allergy = {
+        ...buildAllergyIntolerance(values, { patientId: 'patient-123', now }),
+        criticality: 'severe',
+        category: ['drug'],
+        patient: undefined
+      };
+
+      expect(fields(validateAllergyIntolerance(allergy, { now }))).toEqual([null, null, 'criticality']);
+    });
+  });
+
+  describe('applyAllergyChanges', () => {
+    const later = new Date('2024-06-01T08:30:00Z');
+    const stored = {
+      ...buildAllergyIntolerance(values, { patientId: 'patient-123', recorder: 'Practitioner/dr-1', now }),
+      id: 'allergy-1',
+      meta: { versionId: '2' }
+    };
+    const edit = changes => applyAllergyChanges(stored, {
+      clinicalStatus: 'active',
+      verificationStatus: 'confirmed',
+      criticality: 'high',
+      reason: '',
+      ...changes
+    }, { recorder: 'Practitioner/dr-2', now: later });
+
+    test('should change the status and record the change in a note', () => {
+      const { resource, changes } = edit({ clinicalStatus: 'resolved', reason: 'Tolerated a course in 2024.' });
+
+      expect(changes).toEqual([{ field: 'clinicalStatus', from: 'active', to: 'resolved' }]);
+      expect(resource.clinicalStatus).toEqual({ coding: [{ system: CLINICAL_STATUS_SYSTEM, code: 'resolved' }] });
+      expect(resource.meta).toEqual({ versionId: '2' });
+      expect(resource.note).toEqual([
+        stored.note[0],
+        {
+          text: 'Clinical status: active → resolved. Reason: Tolerated a course in 2024.',
+          time: '2024-06-01T08:30:00.000Z',
+          authorReference: { reference: 'Practitioner/dr-2' }
+        }
+      ]);
+      expect(stored.clinicalStatus.coding[0].code).toBe('active');
+    });
+
+    test('should remove the clinical status of an allergy entered in error', () => {
+      const { resource, changes } = edit({ verificationStatus: 'entered-in-error', clinicalStatus: '', criticality: '', reason: 'Wrong patient.' });
+
+      expect(resource).not.toHaveProperty('clinicalStatus');
+      expect(resource).not.toHaveProperty('criticality');
+      expect(resource.verificationStatus.coding[0].code).toBe('entered-in-error');
+      expect(resource.note[1].text).toBe(
+        'Clinical status: active → none; Verification status: confirmed → entered-in-error; Criticality: high → none. Reason: Wrong patient.'
+      );
+      expect(validateAllergyEdit({ resource, changes }, { reason: 'Wrong patient.' }, { now: later })).toEqual([]);
+    });
+
+    test('should restore a clinical status when an entry is no longer in error', () => {
+      const { clinicalStatus, ...enteredInError } = {
+        ...stored,
+        verificationStatus: { coding: [{ system: VERIFICATION_STATUS_SYSTEM, code: 'entered-in-error' }] }
+      };
+      const { resource } = applyAllergyChanges(enteredInError, { verificationStatus: 'unconfirmed', clinicalStatus: '' }, { now: later });
+
+      expect(resource.clinicalStatus.coding[0].code).toBe('active');
+      expect(resource.note[1]).not.toHaveProperty('authorReference');
+    });
+
+    test('should keep the display, text and other codings of an unchanged status', () => {
+      const verificationStatus = {
+        coding: [
+          { system: VERIFICATION_STATUS_SYSTEM, code: 'confirmed', display: 'Confirmed' },
+          { system: 'http://ehr.example/status', code: 'C' }
+        ],
+        text: 'Confirmed by allergist'
+      };
+      const { resource, changes } = applyAllergyChanges(
+        { ...stored, verificationStatus },
+        { clinicalStatus: 'inactive', verificationStatus: 'confirmed', criticality: 'high' },
+        { now: later }
+      );
+
+      expect(changes).toEqual([{ field: 'clinicalStatus', from: 'active', to: 'inactive' }]);
+      expect(resource.verificationStatus).toEqual(verificationStatus);
+    });
+
+    test('should not write a status concept without a code', () => {
+      const { verificationStatus, ...unverified } = stored;
+      const { resource, changes } = applyAllergyChanges(unverified, { clinicalStatus: 'inactive', verificationStatus: '', criticality: 'high' }, { now: later });
+
+      expect(changes).toEqual([{ field: 'clinicalStatus', from: 'active', to: 'inactive' }]);
+      expect(resource).not.toHaveProperty('verificationStatus');
+    });
+
+    test('should leave the allergy unchanged when nothing was changed', () => {
+      const result = edit({});
+
+      expect(result).toEqual({ resource: stored, changes: [] });
+      expect(validateAllergyEdit(result, {}, { now: later })).toEqual([{ field: null, message: 'Nothing was changed.' }]);
+    });
+
+    test('should require a reason to refute an allergy', () => {
+      const refuted = edit({ verificationStatus: 'refuted' });
+
+      expect(validateAllergyEdit(refuted, { reason: ' ' }, { now: later }))
+        .toEqual([{ field: 'reason', message: 'Enter the reason the allergy is refuted.' }]);
+      expect(validateAllergyEdit(refuted, { reason: 'Negative skin test.' }, { now: later })).toEqual([]);
+    });
+
+    test('should not report problems with elements the edit does not change', () => {
+      const unlisted = { ...stored, code: { text: 'Grapefruit' } };
+      const result = applyAllergyChanges(unlisted, { clinicalStatus: 'inactive', verificationStatus: 'confirmed', criticality: 'high' }, { now: later });
+
+      expect(validateAllergyEdit(result, {}, { now: later })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * API Tests
+ *
+ * Unit tests for resource updates in api.js: If-Match from meta.versionId and
+ * the conflict error raised when the resource changed on the server
+ */
+
+import { authorize, clearAuthState } from '../auth.js';
+import { updateResource } from '../api.js';
+import { FhirServerError } from '../fhir-client.js';
+import auditLog from '../audit-log.js';
+
+jest.mock('../error-handler.js', () => {
+  const actual = jest.requireActual('../error-handler.js');
+  return {
+    ...actual,
+    displayErrorToUser: jest.fn()
+  };
+});
+
+// Encryption is covered in secure-storage.test.js; keep these tests on microtasks
+jest.mock('../secure-storage.js', () => ({
+  setEncryptedItem: async (key, value) => global.sessionStorage.setItem(key, JSON.stringify(value)),
+  getEncryptedItem: async key => JSON.parse(global.sessionStorage.getItem(key))
+}));
+
+/**
+ * Minimal in-memory sessionStorage
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+/**
+ * Fake fhirclient client with a write scope
+ */
+function createClient() {
+  return {
+    patient: { id: 'patient-123' },
+    state: {
+      serverUrl: 'https://fhir.example/r4',
+      clientId: 'client',
+      scope: 'launch patient/*.read patient/AllergyIntolerance.write',
+      tokenResponse: {
+        access_token: 'access-1',
+        token_type: 'Bearer',
+        expires_in: 3600,
+        scope: 'launch patient/*.read patient/AllergyIntolerance.write'
+      }
+    }
+  };
+}
+
+const jsonResponse = (status, body = {}) => ({ ok: status < 400, status, json: async () => body });
+
+const allergy = {
+  resourceType: 'AllergyIntolerance',
+  id: 'allergy-1',
+  meta: { versionId: '3' },
+  clinicalStatus: { coding: [{ code: 'active' }] },
+  patient: { reference: 'Patient/patient-123' }
+};
+
+describe('API', () => {
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    global.sessionStorage = createStorage();
+    global.document = { getElementById: () => null };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    auditLog.reset();
+
+    global.FHIR = { oauth2: { ready: jest.fn().mockResolvedValue(createClient()) } };
+    await authorize();
+  });
+
+  afterEach(() => {
+    clearAuthState();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    delete global.FHIR;
+    delete global.fetch;
+  });
+
+  describe('updateResource', () => {
+    test('should send If-Match with the version the update is based on', async () => {
+      const updated = { ...allergy, clinicalStatus: { coding: [{ code: 'resolved' }] } };
+      global.fetch = jest.fn().mockResolvedValue(jsonResponse(200, { ...updated, meta: { versionId: '4' } }));
+
+      const result = await updateResource('AllergyIntolerance', 'allergy-1', updated, {
+        serverUrl: 'https://fhir.example/r4',
+        headers: { Prefer: 'return=representation' }
+      });
+
+      const [endpoint, request] = global.fetch.mock.calls[0];
+      expect(endpoint).toBe('https://fhir.example/r4/AllergyIntolerance/allergy-1');
+      expect(request.method).toBe('PUT');
+      expect(request.headers).toMatchObject({ 'If-Match': 'W/"3"', Prefer: 'return=representation' });
+      expect(result.meta.versionId).toBe('4');
+      expect(auditLog.getEntries()).toEqual([
+        expect.objectContaining({ action: 'update', resourceType: 'AllergyIntolerance', patientId: 'patient-123', outcome: 'success' })
+      ]);
+    });
+
+    test('should not send If-Match for a resource without a version', async () => {
+      global.fetch = jest.fn().mockResolvedValue(jsonResponse(200));
+      const { meta, ...unversioned } = allergy;
+
+      await updateResource('AllergyIntolerance', 'allergy-1', unversioned, { serverUrl: 'https://fhir.example/r4' });
+
+      expect(global.fetch.mock.calls[0][1].headers).not.toHaveProperty('If-Match');
+    });
+
+    test('should describe a version conflict with the server version and a diff', async () => {
+      const local = { ...allergy, clinicalStatus: { coding: [{ code: 'resolved' }] } };
+      const server = { ...allergy, meta: { versionId: '4' }, clinicalStatus: { coding: [{ code: 'inactive' }] } };
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce(jsonResponse(412, {
+          resourceType: 'OperationOutcome',
+          issue: [{ severity: 'error', code: 'conflict', diagnostics: 'Version mismatch' }]
+        }))
+        .mockResolvedValueOnce(jsonResponse(200, server));
+
+      const error = await updateResource('AllergyIntolerance', 'allergy-1', local, { serverUrl: 'https://fhir.example/r4' })
+        .catch(caught => caught);
+
+      expect(global.fetch.mock.calls[1][0]).toBe('https://fhir.example/r4/AllergyIntolerance/allergy-1');
+      expect(error.type).toBe(FhirServerError.VERSION_CONFLICT);
+      expect(error.details).toMatchObject({
+        status: 412,
+        localVersion: '3',
+        serverVersion: '4',
+        serverResource: server,
+        localResource: local,
+        diff: [{ path: 'clinicalStatus.coding[0].code', server: 'inactive', local: 'resolved' }]
+      });
+    });
+
+    test('should still report the conflict when the current version cannot be read', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce(jsonResponse(409, { message: 'Resource was updated' }))
+        .mockResolvedValueOnce(jsonResponse(404));
+
+      await expect(updateResource('AllergyIntolerance', 'allergy-1', allergy, { serverUrl: 'https://fhir.example/r4' }))
+        .rejects.toMatchObject({
+          type: FhirServerError.VERSION_CONFLICT,
+          message: 'Conflict: Resource was updated',
+          details: { status: 409, serverResource: null, diff: [] }
+        });
+    });
+  });
+});
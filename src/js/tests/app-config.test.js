@@ -0,0 +1,70 @@
+/**
+ * Application Config Tests
+ *
+ * Unit tests for the app-config.js module functionality
+ */
+
+import { loadClientConfig, resetClientConfig, DEFAULT_CLIENT_CONFIG } from '../app-config.js';
+
+describe('Application Config', () => {
+  beforeEach(() => {
+    resetClientConfig();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+  });
+
+  test('should merge served settings over the defaults', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ clientId: 'epic-client', scope: 'launch patient/AllergyIntolerance.read', unknown: 'ignored' })
+    });
+
+    const config = await loadClientConfig();
+
+    expect(global.fetch).toHaveBeenCalledWith('./config.json', { cache: 'no-store' });
+    expect(config).toEqual({
+      ...DEFAULT_CLIENT_CONFIG,
+      clientId: 'epic-client',
+      scope: 'launch patient/AllergyIntolerance.read'
+    });
+  });
+
+  test('should only accept boolean values for boolean settings', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ bff: 'yes' }) });
+    expect((await loadClientConfig()).bff).toBe(false);
+
+    resetClientConfig();
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ bff: true }) });
+    expect((await loadClientConfig()).bff).toBe(true);
+  });
+
+  test('should only accept positive numbers for numeric settings', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ idleLockMinutes: '2', idleTimeoutMinutes: -1 }) });
+    const config = await loadClientConfig();
+    expect(config.idleLockMinutes).toBe(DEFAULT_CLIENT_CONFIG.idleLockMinutes);
+    expect(config.idleTimeoutMinutes).toBe(DEFAULT_CLIENT_CONFIG.idleTimeoutMinutes);
+
+    resetClientConfig();
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ idleLockMinutes: 2, idleTimeoutMinutes: 15 }) });
+    expect(await loadClientConfig()).toMatchObject({ idleLockMinutes: 2, idleTimeoutMinutes: 15 });
+  });
+
+  test('should fetch the config only once', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({}) });
+
+    await loadClientConfig();
+    await loadClientConfig();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should fall back to the defaults when the config is unavailable', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+
+    expect(await loadClientConfig()).toEqual(DEFAULT_CLIENT_CONFIG);
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Audit Log Tests
+ *
+ * Unit tests for the audit-log.js module
+ */
+
+import { AuditLog, AuditAction, AuditOutcome, describeRequest, toAuditEvent, toAuditEventBundle } from '../audit-log.js';
+import { createResource } from '../api.js';
+import patientStore from '../patient-store.js';
+
+jest.mock('../api.js', () => ({
+  createResource: jest.fn()
+}));
+
+/**
+ * Minimal in-memory localStorage
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+/**
+ * Let a background upload finish
+ */
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Audit Log', () => {
+  let auditLog;
+
+  beforeEach(() => {
+    global.localStorage = createStorage();
+    auditLog = new AuditLog();
+    auditLog.configure({ user: 'Practitioner/dr-1', serverUrl: 'https://fhir.example/r4' });
+    patientStore.setPatientContext({ id: 'patient-123' });
+    createResource.mockReset();
+  });
+
+  afterEach(() => {
+    patientStore.clear();
+    delete global.localStorage;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('record', () => {
+    test('should attribute entries to the user and the current patient', () => {
+      const entry = auditLog.record({ action: AuditAction.SEARCH, resourceType: 'AllergyIntolerance', source: 'server', count: 2 });
+
+      expect(entry).toMatchObject({
+        action: 'search',
+        user: 'Practitioner/dr-1',
+        patientId: 'patient-123',
+        resourceType: 'AllergyIntolerance',
+        outcome: AuditOutcome.SUCCESS,
+        count: 2,
+        uploaded: null
+      });
+      expect(entry.recorded).toEqual(expect.any(String));
+    });
+
+    test('should keep entries in localStorage across instances', () => {
+      auditLog.record({ action: AuditAction.READ, resourceType: 'Patient', patientId: 'patient-9' });
+
+      const entries = new AuditLog().getEntries();
+
+      expect(entries).toHaveLength(1);
+      expect(entries[0].patientId).toBe('patient-9');
+    });
+
+    test('should not lose entries written by another tab', () => {
+      const otherTab = new AuditLog();
+      auditLog.record({ action: AuditAction.READ, resourceType: 'Patient' });
+      otherTab.record({ action: AuditAction.EXPORT, resourceType: 'AllergyIntolerance' });
+
+      expect(auditLog.getEntries().map(entry => entry.action)).toEqual(['read', 'export']);
+    });
+
+    test('should drop the oldest entries beyond the limit', () => {
+      for (let i = 0; i < 1005; i++) {
+        auditLog.record({ action: AuditAction.SEARCH, resourceType: 'Condition', count: i });
+      }
+
+      const entries = auditLog.getEntries();
+      expect(entries).toHaveLength(1000);
+      expect(entries[0].count).toBe(5);
+    });
+
+    test('should keep an entry that could not be stored', () => {
+      jest.useFakeTimers();
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const setItem = localStorage.setItem;
+      localStorage.setItem = jest.fn(() => {
+        throw new Error('QuotaExceededError');
+      });
+      auditLog.record({ action: AuditAction.READ, resourceType: 'Patient' });
+      localStorage.setItem = setItem;
+
+      // Another tab writes in the meantime
+      jest.advanceTimersByTime(1000);
+      new AuditLog().record({ action: AuditAction.EXPORT, resourceType: 'AllergyIntolerance' });
+      expect(auditLog.getEntries().map(entry => entry.action)).toEqual(['read', 'export']);
+
+      // The next successful write stores it
+      auditLog.record({ action: AuditAction.SEARCH, resourceType: 'Condition' });
+      expect(new AuditLog().getEntries().map(entry => entry.action)).toEqual(['read', 'export', 'search']);
+    });
+
+    test('should keep entries in memory without localStorage', () => {
+      delete global.localStorage;
+      const memoryLog = new AuditLog();
+
+      memoryLog.record({ action: AuditAction.READ, resourceType: 'Patient' });
+
+      expect(memoryLog.getEntries()).toHaveLength(1);
+    });
+  });
+
+  describe('upload', () => {
+    test('should POST each entry as an AuditEvent when enabled', async () => {
+      createResource.mockResolvedValue({ resourceType: 'AuditEvent', id: 'ae-1' });
+      auditLog.configure({ user: 'Practitioner/dr-1', serverUrl: 'https://fhir.example/r4', upload: true });
+
+      const entry = auditLog.record({ action: AuditAction.READ, resourceType: 'Patient' });
+      expect(entry.uploaded).toBe(false);
+      await flushPromises();
+
+      expect(createResource).toHaveBeenCalledWith(
+        'AuditEvent',
+        expect.objectContaining({ resourceType: 'AuditEvent', action: 'R' }),
+        { serverUrl: 'https://fhir.example/r4', audit: false }
+      );
+      expect(auditLog.getEntries()[0].uploaded).toBe(true);
+    });
+
+    test('should keep the entry when the upload fails', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      createResource.mockRejectedValue(new Error('Forbidden'));
+      auditLog.configure({ upload: true });
+
+      auditLog.record({ action: AuditAction.READ, resourceType: 'Patient' });
+      await flushPromises();
+
+      expect(auditLog.getEntries()[0].uploaded).toBe(false);
+    });
+
+    test('should not POST when disabled', () => {
+      auditLog.record({ action: AuditAction.READ, resourceType: 'Patient' });
+
+      expect(createResource).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('describeRequest', () => {
+    test('should recognize reads and searches', () => {
+      expect(describeRequest('https://fhir.example/r4/Patient/patient-1')).toEqual({ action: 'read', resourceType: 'Patient', patientId: 'patient-1' });
+      expect(describeRequest('https://fhir.example/r4/AllergyIntolerance?patient=Patient/patient-2')).toEqual({ action: 'search', resourceType: 'AllergyIntolerance', patientId: 'patient-2' });
+      expect(describeRequest('/bff/fhir/Observation?subject=patient-3&category=laboratory')).toEqual({ action: 'search', resourceType: 'Observation', patientId: 'patient-3' });
+    });
+
+    test('should map write methods to actions', () => {
+      expect(describeRequest('https://fhir.example/r4/AllergyIntolerance', 'POST').action).toBe('create');
+      expect(describeRequest('https://fhir.example/r4/AllergyIntolerance/a1', 'PUT').action).toBe('update');
+      expect(describeRequest('https://fhir.example/r4/AllergyIntolerance/a1', 'DELETE').action).toBe('delete');
+    });
+  });
+
+  describe('toAuditEvent', () => {
+    test('should describe a search of patient data', () => {
+      const auditEvent = toAuditEvent(auditLog.record({ action: AuditAction.SEARCH, resourceType: 'AllergyIntolerance', count: 3 }));
+
+      expect(auditEvent).toMatchObject({
+        resourceType: 'AuditEvent',
+        type: { code: 'rest' },
+        subtype: [{ system: 'http://hl7.org/fhir/restful-interaction', code: 'search-type' }],
+        action: 'E',
+        outcome: '0',
+        agent: [{ who: { reference: 'Practitioner/dr-1' }, requestor: true }]
+      });
+      expect(auditEvent.entity).toEqual([
+        expect.objectContaining({ what: { reference: 'Patient/patient-123' } }),
+        expect.objectContaining({ name: 'AllergyIntolerance', description: '3 resource(s)' })
+      ]);
+    });
+
+    test('should describe a failed export by an unidentified user', () => {
+      auditLog.configure();
+      const entry = auditLog.record({ action: AuditAction.EXPORT, resourceType: 'Condition', outcome: AuditOutcome.FAILURE, detail: 'Blob unavailable' });
+
+      expect(toAuditEvent(entry)).toMatchObject({
+        type: { system: 'http://dicom.nema.org/resources/ontology/DCM', code: '110106' },
+        action: 'R',
+        outcome: '8',
+        outcomeDesc: 'Blob unavailable',
+        agent: [{ who: { display: 'Unidentified user' } }]
+      });
+      expect(toAuditEvent(entry).subtype).toBeUndefined();
+    });
+
+    test('should bundle entries as a collection', () => {
+      const entry = auditLog.record({ action: AuditAction.READ, resourceType: 'Patient' });
+
+      const bundle = toAuditEventBundle([entry]);
+
+      expect(bundle).toMatchObject({ resourceType: 'Bundle', type: 'collection' });
+      expect(bundle.entry[0]).toMatchObject({ fullUrl: `urn:uuid:${entry.id}`, resource: { resourceType: 'AuditEvent' } });
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * BFF Session Tests
+ *
+ * Unit tests for the bff-session.js module and the BFF mode of auth.js
+ */
+
+import { getBffLaunchUrl, fetchBffSession } from '../bff-session.js';
+import { authorize, getAuthState, getTokenInfo, addAuthToRequest, canRefreshToken, clearAuthState } from '../auth.js';
+import { resetClientConfig } from '../app-config.js';
+
+// Encryption is covered in secure-storage.test.js
+jest.mock('../secure-storage.js', () => ({
+  setEncryptedItem: async (key, value) => global.sessionStorage.setItem(key, JSON.stringify(value)),
+  getEncryptedItem: async key => JSON.parse(global.sessionStorage.getItem(key))
+}));
+
+/**
+ * Minimal in-memory sessionStorage
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+const session = {
+  authenticated: true,
+  serverUrl: 'https://fhir.example/r4',
+  fhirBaseUrl: 'http://localhost:8080/bff/fhir',
+  patient: 'patient-123',
+  requestedScope: 'launch patient/Patient.r patient/Condition.rs offline_access',
+  scope: 'launch patient/Patient.r offline_access',
+  hasRefreshToken: true,
+  expiresAt: new Date(Date.now() + 3600 * 1000).toISOString()
+};
+
+/**
+ * Fake fetch answering /config.json and /bff/session
+ */
+function mockServer({ signedIn = true } = {}) {
+  return jest.fn(async url => {
+    if (url === './config.json') {
+      return { ok: true, json: async () => ({ bff: true }) };
+    }
+    if (url === '/bff/session') {
+      return signedIn
+        ? { ok: true, status: 200, json: async () => session }
+        : { ok: false, status: 401, json: async () => ({ authenticated: false }) };
+    }
+    throw new Error(`Unexpected request ${url}`);
+  });
+}
+
+describe('BFF Session', () => {
+  beforeEach(() => {
+    resetClientConfig();
+    global.sessionStorage = createStorage();
+    global.document = { getElementById: () => null };
+    global.FHIR = { client: jest.fn(state => ({ state })) };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    clearAuthState();
+    jest.restoreAllMocks();
+    delete global.fetch;
+    delete global.FHIR;
+  });
+
+  describe('getBffLaunchUrl', () => {
+    test('should include the launch only for EHR launches', () => {
+      expect(getBffLaunchUrl({ iss: 'https://fhir.example/r4', launch: 'abc', scope: 'launch openid' }))
+        .toBe('/bff/launch?iss=https%3A%2F%2Ffhir.example%2Fr4&launch=abc&scope=launch+openid');
+      expect(getBffLaunchUrl({ iss: 'https://fhir.example/r4' }))
+        .toBe('/bff/launch?iss=https%3A%2F%2Ffhir.example%2Fr4');
+    });
+  });
+
+  describe('fetchBffSession', () => {
+    test('should resolve to null without a session', async () => {
+      global.fetch = mockServer({ signedIn: false });
+
+      expect(await fetchBffSession()).toBeNull();
+    });
+  });
+
+  describe('authorize in BFF mode', () => {
+    test('should use the server session without holding a token', async () => {
+      global.fetch = mockServer();
+
+      await authorize();
+
+      expect(global.FHIR.client).toHaveBeenCalledWith(expect.objectContaining({
+        serverUrl: 'http://localhost:8080/bff/fhir',
+        tokenResponse: { patient: 'patient-123', scope: 'launch patient/Patient.r offline_access' }
+      }));
+
+      const authState = await getAuthState();
+      expect(authState.tokenResponse).toBeUndefined();
+      expect(authState.deniedScopes).toEqual(['patient/Condition.rs']);
+      expect(await getTokenInfo()).toMatchObject({ bff: true, serverUrl: 'https://fhir.example/r4' });
+      expect(await canRefreshToken()).toBe(false);
+      expect(await addAuthToRequest({ headers: {} })).toEqual({ headers: {}, credentials: 'same-origin' });
+    });
+
+    test('should ask for a launch when the server has no session', async () => {
+      global.fetch = mockServer({ signedIn: false });
+
+      await expect(authorize()).rejects.toHaveProperty('type', 'MISSING_TOKEN');
+      expect(global.FHIR.client).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * CDS Hooks Client Tests
+ *
+ * Unit tests for the cds-hooks.js module
+ */
+
+import {
+  CdsHooksClient,
+  CdsHooksError,
+  CdsHook,
+  buildPrefetch,
+  resolvePrefetchTemplate,
+  createSearchSource,
+  normalizeCards,
+  sortCards
+} from '../cds-hooks.js';
+
+const allergy = { resourceType: 'AllergyIntolerance', id: 'allergy-1', code: { text: 'Penicillin' } };
+const patient = { resourceType: 'Patient', id: 'patient-123' };
+
+const sources = [
+  { resourceType: 'Patient', id: 'patient-123', resource: patient },
+  { resourceType: 'AllergyIntolerance', params: { patient: 'patient-123', _sort: '-date' }, resources: [allergy] },
+  { resourceType: 'MedicationRequest', params: { patient: 'patient-123', status: 'active', _sort: '-date' }, resources: [] }
+];
+
+/**
+ * Build a fetch response
+ */
+function jsonResponse(body, status = 200) {
+  return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+describe('CDS Hooks Client', () => {
+  afterEach(() => {
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+
+  describe('resolvePrefetchTemplate', () => {
+    test('should fill in context and user tokens', () => {
+      const context = { patientId: 'patient-123', userId: 'Practitioner/dr-1' };
+
+      expect(resolvePrefetchTemplate('Patient/{{context.patientId}}', context)).toBe('Patient/patient-123');
+      expect(resolvePrefetchTemplate('Practitioner/{{userPractitionerId}}', context)).toBe('Practitioner/dr-1');
+    });
+
+    test('should return null when a token has no value', () => {
+      expect(resolvePrefetchTemplate('Encounter/{{context.encounterId}}', { patientId: 'patient-123' })).toBeNull();
+      expect(resolvePrefetchTemplate('PractitionerRole/{{userPractitionerRoleId}}', { userId: 'Practitioner/dr-1' })).toBeNull();
+    });
+  });
+
+  describe('buildPrefetch', () => {
+    const context = { patientId: 'patient-123' };
+
+    test('should answer reads and matching searches from fetched resources', () => {
+      const prefetch = buildPrefetch({
+        patient: 'Patient/{{context.patientId}}',
+        allergies: 'AllergyIntolerance?patient={{context.patientId}}',
+        medications: 'MedicationRequest?patient=Patient/{{context.patientId}}&status=active&_count=50'
+      }, context, sources);
+
+      expect(prefetch.patient).toBe(patient);
+      expect(prefetch.allergies).toEqual({ resourceType: 'Bundle', type: 'searchset', total: 1, entry: [{ resource: allergy }] });
+      expect(prefetch.medications.entry).toEqual([]);
+    });
+
+    test('should leave out templates whose filters differ from what was fetched', () => {
+      const prefetch = buildPrefetch({
+        activeAllergies: 'AllergyIntolerance?patient={{context.patientId}}&clinical-status=active',
+        allMedications: 'MedicationRequest?patient={{context.patientId}}',
+        conditions: 'Condition?patient={{context.patientId}}',
+        encounter: 'Encounter/{{context.encounterId}}'
+      }, context, sources);
+
+      expect(prefetch).toEqual({});
+    });
+  });
+
+  describe('createSearchSource', () => {
+    const definition = { resourceType: 'AllergyIntolerance', defaultParams: { _sort: '-date' } };
+
+    test('should use the original resources of normalized data', () => {
+      const source = createSearchSource(definition, 'patient-123', [{ id: 'allergy-1', originalResource: allergy }]);
+
+      expect(source).toEqual({ resourceType: 'AllergyIntolerance', params: { patient: 'patient-123', _sort: '-date' }, resources: [allergy] });
+    });
+
+    test('should not create a source when original resources are missing', () => {
+      expect(createSearchSource(definition, 'patient-123', [{ id: 'allergy-1' }])).toBeNull();
+    });
+  });
+
+  describe('normalizeCards', () => {
+    const service = { hook: 'patient-view', id: 'allergy-review', title: 'Allergy review' };
+
+    test('should keep known fields and drop unsafe links', () => {
+      const [card] = normalizeCards([{
+        summary: 'High-criticality allergy: Penicillin',
+        indicator: 'critical',
+        source: { label: 'Allergy service', url: 'javascript:alert(1)' },
+        suggestions: [{ label: 'Confirm', actions: [{ type: 'update', description: 'Set confirmed', resource: allergy }] }],
+        links: [
+          { label: 'Reference', url: 'https://example.org/allergy', type: 'absolute' },
+          { label: 'Bad', url: 'javascript:alert(1)', type: 'absolute' }
+        ]
+      }], service);
+
+      expect(card).toMatchObject({
+        indicator: 'critical',
+        source: { label: 'Allergy service', url: null },
+        suggestions: [{ label: 'Confirm', actions: [{ type: 'update', description: 'Set confirmed' }] }],
+        links: [{ label: 'Reference', url: 'https://example.org/allergy', type: 'absolute' }],
+        hook: 'patient-view',
+        serviceId: 'allergy-review'
+      });
+    });
+
+    test('should default the indicator, truncate long summaries and skip cards without a summary', () => {
+      const cards = normalizeCards([{ summary: 'x'.repeat(200), indicator: 'urgent' }, { detail: 'No summary' }], service);
+
+      expect(cards).toHaveLength(1);
+      expect(cards[0].indicator).toBe('info');
+      expect(cards[0].summary).toHaveLength(140);
+      expect(cards[0].source.label).toBe('Allergy review');
+    });
+
+    test('should sort cards by urgency', () => {
+      const cards = normalizeCards([
+        { summary: 'Info', indicator: 'info' },
+        { summary: 'Critical', indicator: 'critical' },
+        { summary: 'Warning', indicator: 'warning' }
+      ], service);
+
+      expect(sortCards(cards).map(card => card.summary)).toEqual(['Critical', 'Warning', 'Info']);
+    });
+  });
+
+  describe('CdsHooksClient', () => {
+    const services = [
+      { hook: 'patient-view', id: 'allergy-review', prefetch: { allergies: 'AllergyIntolerance?patient={{context.patientId}}' } },
+      { hook: 'patient-view', id: 'broken' },
+      { hook: 'order-select', id: 'duplicate-medications' }
+    ];
+
+    test('should discover services once and call those registered for the hook', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      global.fetch = jest.fn(async (url, init) => {
+        if (init.method === 'GET') return jsonResponse({ services });
+        if (url.endsWith('/broken')) return jsonResponse({}, 500);
+        return jsonResponse({ cards: [{ summary: 'Review allergies', indicator: 'warning' }] });
+      });
+      const client = new CdsHooksClient({ discoveryUrl: 'https://cds.example.org/cds-services/' });
+
+      const result = await client.callHook(CdsHook.PATIENT_VIEW, { patientId: 'patient-123' }, sources);
+      await client.callHook(CdsHook.PATIENT_VIEW, { patientId: 'patient-123' }, sources);
+
+      expect(global.fetch.mock.calls.filter(([, init]) => init.method === 'GET')).toHaveLength(1);
+      expect(result.cards).toEqual([expect.objectContaining({ summary: 'Review allergies', serviceId: 'allergy-review' })]);
+      expect(result.errors).toEqual([expect.objectContaining({ type: CdsHooksError.SERVICE_FAILED, details: expect.objectContaining({ status: 500 }) })]);
+
+      const [url, init] = global.fetch.mock.calls.find(([callUrl]) => callUrl.endsWith('/allergy-review'));
+      const request = JSON.parse(init.body);
+      expect(url).toBe('https://cds.example.org/cds-services/allergy-review');
+      expect(request).toMatchObject({ hook: 'patient-view', context: { patientId: 'patient-123' } });
+      expect(request.hookInstance).toEqual(expect.any(String));
+      expect(request.prefetch.allergies.entry).toEqual([{ resource: allergy }]);
+      expect(request.fhirAuthorization).toBeUndefined();
+    });
+
+    test('should report a failed discovery and retry it on the next call', async () => {
+      global.fetch = jest.fn()
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+        .mockResolvedValueOnce(jsonResponse({ services: [] }));
+      const client = new CdsHooksClient({ discoveryUrl: 'https://cds.example.org/cds-services' });
+
+      await expect(client.getServices()).rejects.toMatchObject({ type: CdsHooksError.DISCOVERY_FAILED });
+      await expect(client.getServices()).resolves.toEqual([]);
+    });
+  });
+});
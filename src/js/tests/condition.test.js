@@ -0,0 +1,190 @@
+/**
+ * Condition Module Tests
+ *
+ * Unit tests for the condition.js module functionality
+ */
+
+import {
+  getConditionData,
+  processConditionResponse,
+  validateConditionResource,
+  normalizeConditionData
+} from '../condition.js';
+
+import { FhirServerError } from '../fhir-client.js';
+
+/**
+ * Mock data for testing
+ */
+const mockCondition = {
+  resourceType: 'Condition',
+  id: 'condition-123',
+  clinicalStatus: {
+    coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-clinical', code: 'active' }]
+  },
+  verificationStatus: {
+    coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-ver-status', code: 'confirmed' }]
+  },
+  category: [
+    {
+      coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-category', code: 'problem-list-item' }]
+    }
+  ],
+  severity: {
+    coding: [{ system: 'http://snomed.info/sct', code: '6736007', display: 'Moderate' }]
+  },
+  code: {
+    coding: [{ system: 'http://snomed.info/sct', code: '44054006', display: 'Diabetes mellitus type 2' }],
+    text: 'Type 2 diabetes'
+  },
+  subject: {
+    reference: 'Patient/patient-123'
+  },
+  onsetDateTime: '2019-04-02',
+  recordedDate: '2019-04-05',
+  note: [{ text: 'Diet controlled' }]
+};
+
+const mockBundle = {
+  resourceType: 'Bundle',
+  type: 'searchset',
+  total: 1,
+  entry: [
+    {
+      resource: mockCondition
+    }
+  ]
+};
+
+/**
+ * Test suite for condition module
+ */
+describe('Condition Module', () => {
+
+  /**
+   * Tests for processConditionResponse function
+   */
+  describe('processConditionResponse', () => {
+    test('should extract conditions from a bundle', () => {
+      const result = processConditionResponse(mockBundle);
+      expect(result).toHaveLength(1);
+      expect(result[0].id).toBe('condition-123');
+    });
+
+    test('should handle an empty bundle', () => {
+      const result = processConditionResponse({ resourceType: 'Bundle', type: 'searchset', entry: [] });
+      expect(result).toHaveLength(0);
+    });
+
+    test('should handle a null response', () => {
+      expect(processConditionResponse(null)).toHaveLength(0);
+    });
+
+    test('should filter out non-Condition resources from an array', () => {
+      const result = processConditionResponse([mockCondition, { resourceType: 'Patient', id: 'p1' }]);
+      expect(result).toHaveLength(1);
+    });
+  });
+
+  /**
+   * Tests for validateConditionResource function
+   */
+  describe('validateConditionResource', () => {
+    test('should accept a valid condition', () => {
+      const result = validateConditionResource(mockCondition);
+      expect(result.valid).toBe(true);
+      expect(result.errors).toHaveLength(0);
+    });
+
+    test('should reject a condition without a subject', () => {
+      const noSubject = { ...mockCondition };
+      delete noSubject.subject;
+
+      const result = validateConditionResource(noSubject);
+      expect(result.valid).toBe(false);
+    });
+
+    test('should warn when an abated condition is still active', () => {
+      const result = validateConditionResource({ ...mockCondition, abatementDateTime: '2020-01-01' });
+      expect(result.valid).toBe(true);
+      expect(result.warnings.length).toBeGreaterThan(0);
+    });
+  });
+
+  /**
+   * Tests for normalizeConditionData function
+   */
+  describe('normalizeConditionData', () => {
+    test('should normalize condition data', () => {
+      const [result] = normalizeConditionData([mockCondition]);
+
+      expect(result.display).toBe('Type 2 diabetes');
+      expect(result.clinicalStatus).toBe('active');
+      expect(result.verificationStatus).toBe('confirmed');
+      expect(result.category).toEqual(['Problem List Item']);
+      expect(result.severity).toBe('moderate');
+      expect(result.onset.date).toBe('2019-04-02');
+      expect(result.abatement).toBeNull();
+    });
+
+    test('should normalize age and string onset values', () => {
+      const ageOnset = { ...mockCondition, onsetDateTime: undefined, onsetAge: { value: 45, unit: 'years' } };
+      const stringAbatement = { ...mockCondition, abatementString: 'childhood' };
+
+      const [ageResult, stringResult] = normalizeConditionData([ageOnset, stringAbatement]);
+      expect(ageResult.onset.text).toBe('Age 45 years');
+      expect(stringResult.abatement.text).toBe('childhood');
+    });
+
+    test('should handle non-array input', () => {
+      expect(normalizeConditionData(null)).toEqual([]);
+    });
+  });
+
+  /**
+   * Tests for getConditionData function
+   */
+  describe('getConditionData', () => {
+    const mockClient = {
+      request: jest.fn()
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    test('should throw error for invalid client', async () => {
+      await expect(getConditionData(null, 'patient-123'))
+        .rejects
+        .toHaveProperty('type', FhirServerError.INVALID_CLIENT);
+    });
+
+    test('should throw error for missing patient ID', async () => {
+      await expect(getConditionData(mockClient, null))
+        .rejects
+        .toHaveProperty('type', FhirServerError.MISSING_PARAMETER);
+    });
+
+    test('should fetch and normalize condition data', async () => {
+      mockClient.request.mockResolvedValueOnce(mockBundle);
+
+      const result = await getConditionData(mockClient, 'patient-123', { category: 'problem-list-item' });
+
+      expect(mockClient.request).toHaveBeenCalledWith(
+        expect.stringContaining('Condition?patient=patient-123'),
+        expect.anything()
+      );
+      expect(mockClient.request.mock.calls[0][0]).toContain('category=problem-list-item');
+      expect(result).toHaveLength(1);
+      expect(result[0].display).toBe('Type 2 diabetes');
+    });
+
+    test('should map 403 responses to an unauthorized error', async () => {
+      mockClient.request.mockRejectedValueOnce({ status: 403, message: 'Forbidden' });
+
+      await expect(getConditionData(mockClient, 'patient-123'))
+        .rejects
+        .toHaveProperty('type', FhirServerError.UNAUTHORIZED);
+    });
+  });
+});
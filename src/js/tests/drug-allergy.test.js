@@ -0,0 +1,218 @@
+/**
+ * Drug–Allergy Checker Tests
+ *
+ * Unit tests for the drug-allergy.js module
+ */
+
+import {
+  AllergyMatchType,
+  checkDrugAllergies,
+  getMedicationCodings,
+  groupAlertsByMedication,
+  resolveCodings
+} from '../drug-allergy.js';
+import { DRUG_ALLERGY_TABLE, RXNORM_SYSTEM } from '../drug-allergy-table.js';
+import { normalizeAllergyData } from '../fhir-client.js';
+import { normalizeMedicationRequestData } from '../medication-request.js';
+import { formatDrugAllergyAlerts, formatDrugAllergyBanner, formatMedicationRequestContent } from '../card-formatters.js';
+
+const SNOMED_SYSTEM = 'http://snomed.info/sct';
+
+/**
+ * Build a normalized AllergyIntolerance
+ */
+function createAllergy(id, coding, overrides = {}) {
+  return normalizeAllergyData([{
+    resourceType: 'AllergyIntolerance',
+    id,
+    clinicalStatus: { coding: [{ code: 'active' }] },
+    verificationStatus: { coding: [{ code: 'confirmed' }] },
+    code: { coding: [coding], text: coding.display },
+    criticality: 'high',
+    ...overrides
+  }])[0];
+}
+
+/**
+ * Build a normalized MedicationRequest
+ */
+function createMedicationRequest(id, coding, overrides = {}) {
+  return normalizeMedicationRequestData({
+    resourceType: 'MedicationRequest',
+    id,
+    status: 'active',
+    intent: 'order',
+    medicationCodeableConcept: { coding: [coding], text: coding.display },
+    ...overrides
+  });
+}
+
+const amoxicillin = { system: RXNORM_SYSTEM, code: '308182', display: 'amoxicillin 250 MG Oral Capsule' };
+const cotrimoxazole = { system: RXNORM_SYSTEM, code: '198335', display: 'sulfamethoxazole / trimethoprim' };
+const lisinopril = { system: RXNORM_SYSTEM, code: '314076', display: 'lisinopril 10 MG Oral Tablet' };
+const ibuprofen = { system: RXNORM_SYSTEM, code: '310965', display: 'ibuprofen 200 MG Oral Tablet' };
+
+describe('Drug–Allergy Checker', () => {
+  describe('resolveCodings', () => {
+    test('should resolve RxNorm products to their ingredients and classes', () => {
+      const { ingredients, classes } = resolveCodings([cotrimoxazole]);
+
+      expect([...ingredients]).toEqual(['10180', '10829']);
+      expect([...classes]).toEqual(['sulfonamides']);
+    });
+
+    test('should resolve substances from other code systems through the table', () => {
+      const { ingredients, classes } = resolveCodings([{ system: SNOMED_SYSTEM, code: '91936005' }]);
+
+      expect(ingredients.size).toBe(0);
+      expect([...classes]).toEqual(['penicillins']);
+    });
+
+    test('should ignore unknown codes', () => {
+      const { ingredients, classes } = resolveCodings([{ system: RXNORM_SYSTEM, code: '999999' }, { display: 'No code' }]);
+
+      expect(ingredients.size).toBe(0);
+      expect(classes.size).toBe(0);
+    });
+
+    test('should skip ingredients the table does not describe', () => {
+      // A site table that lists lisinopril products but not lisinopril itself
+      const table = {
+        ...DRUG_ALLERGY_TABLE,
+        ingredients: Object.fromEntries(Object.entries(DRUG_ALLERGY_TABLE.ingredients).filter(([code]) => code !== '29046')),
+        substances: { [`${SNOMED_SYSTEM}|91936005`]: { ingredients: ['29046'], classes: ['penicillins'] } }
+      };
+
+      expect(resolveCodings([lisinopril], table).ingredients.size).toBe(0);
+      expect([...resolveCodings([{ system: SNOMED_SYSTEM, code: '91936005' }], table).classes]).toEqual(['penicillins']);
+      expect(checkDrugAllergies(
+        [createMedicationRequest('medrx-1', lisinopril)],
+        [createAllergy('allergy-1', { system: SNOMED_SYSTEM, code: '91936005', display: 'Penicillin' })],
+        table
+      )).toEqual([]);
+    });
+  });
+
+  describe('getMedicationCodings', () => {
+    test('should include the ingredients of a contained Medication', () => {
+      const codings = getMedicationCodings({
+        resourceType: 'MedicationRequest',
+        medicationReference: { reference: '#med' },
+        contained: [{
+          resourceType: 'Medication',
+          id: 'med',
+          ingredient: [{ itemCodeableConcept: { coding: [{ system: RXNORM_SYSTEM, code: '723' }] } }]
+        }]
+      });
+
+      expect(codings).toEqual([{ system: RXNORM_SYSTEM, code: '723' }]);
+    });
+  });
+
+  describe('checkDrugAllergies', () => {
+    test('should alert when an active medication contains the allergen', () => {
+      const allergy = createAllergy('allergy-1', { system: RXNORM_SYSTEM, code: '10180', display: 'Sulfamethoxazole' });
+      const medicationRequest = createMedicationRequest('medrx-1', cotrimoxazole);
+
+      const alerts = checkDrugAllergies([medicationRequest], [allergy]);
+
+      expect(alerts).toEqual([expect.objectContaining({
+        medicationId: 'medrx-1',
+        allergyId: 'allergy-1',
+        allergyDisplay: 'Sulfamethoxazole',
+        criticality: 'high',
+        matchType: AllergyMatchType.INGREDIENT,
+        ingredient: 'sulfamethoxazole',
+        drugClass: null
+      })]);
+    });
+
+    test('should alert when an active medication shares the allergen class', () => {
+      const allergy = createAllergy('allergy-1', { system: RXNORM_SYSTEM, code: '7980', display: 'Penicillin G' });
+
+      const [alert] = checkDrugAllergies([createMedicationRequest('medrx-1', amoxicillin)], [allergy]);
+
+      expect(alert).toMatchObject({ matchType: AllergyMatchType.CLASS, ingredient: 'amoxicillin', drugClass: 'Penicillins' });
+      expect(alert.message).toContain('Penicillins');
+    });
+
+    test('should check reaction substances as well as the allergy code', () => {
+      const allergy = createAllergy('allergy-1', { system: SNOMED_SYSTEM, code: '91936005', display: 'Allergy to penicillin' }, {
+        reaction: [{ substance: { coding: [{ system: RXNORM_SYSTEM, code: '723', display: 'Amoxicillin' }] }, manifestation: [{ text: 'Hives' }] }]
+      });
+
+      const [alert] = checkDrugAllergies([createMedicationRequest('medrx-1', amoxicillin)], [allergy]);
+
+      expect(alert.matchType).toBe(AllergyMatchType.INGREDIENT);
+    });
+
+    test('should ignore medications that are not active', () => {
+      const allergy = createAllergy('allergy-1', { system: RXNORM_SYSTEM, code: '7980', display: 'Penicillin G' });
+      const medicationRequest = createMedicationRequest('medrx-1', amoxicillin, { status: 'completed' });
+
+      expect(checkDrugAllergies([medicationRequest], [allergy])).toEqual([]);
+    });
+
+    test('should ignore resolved and refuted allergies', () => {
+      const resolved = createAllergy('allergy-1', { system: RXNORM_SYSTEM, code: '7980' }, { clinicalStatus: { coding: [{ code: 'resolved' }] } });
+      const refuted = createAllergy('allergy-2', { system: RXNORM_SYSTEM, code: '7980' }, { verificationStatus: { coding: [{ code: 'refuted' }] } });
+
+      expect(checkDrugAllergies([createMedicationRequest('medrx-1', amoxicillin)], [resolved, refuted])).toEqual([]);
+    });
+
+    test('should not alert for unrelated medications', () => {
+      const allergy = createAllergy('allergy-1', { system: RXNORM_SYSTEM, code: '1191', display: 'Aspirin' });
+
+      const alerts = checkDrugAllergies([
+        createMedicationRequest('medrx-1', lisinopril),
+        createMedicationRequest('medrx-2', ibuprofen)
+      ], [allergy]);
+
+      expect(alerts.map(alert => alert.medicationId)).toEqual(['medrx-2']);
+    });
+
+    test('should use a replacement mapping table', () => {
+      const table = {
+        ...DRUG_ALLERGY_TABLE,
+        classes: { ...DRUG_ALLERGY_TABLE.classes, aceInhibitors: 'ACE inhibitors' },
+        ingredients: {
+          ...DRUG_ALLERGY_TABLE.ingredients,
+          '29046': { display: 'lisinopril', classes: ['aceInhibitors'] },
+          '1998': { display: 'captopril', classes: ['aceInhibitors'] }
+        }
+      };
+      const allergy = createAllergy('allergy-1', { system: RXNORM_SYSTEM, code: '1998', display: 'Captopril' });
+
+      const [alert] = checkDrugAllergies([createMedicationRequest('medrx-1', lisinopril)], [allergy], table);
+
+      expect(alert).toMatchObject({ matchType: AllergyMatchType.CLASS, drugClass: 'ACE inhibitors' });
+    });
+  });
+
+  describe('alert display', () => {
+    const allergy = createAllergy('allergy-1', { system: RXNORM_SYSTEM, code: '7980', display: 'Penicillin <G>' });
+    const medicationRequest = createMedicationRequest('medrx-1', amoxicillin);
+    const alerts = checkDrugAllergies([medicationRequest], [allergy]);
+
+    test('should group alerts by medication request', () => {
+      expect(groupAlertsByMedication(alerts).get('medrx-1')).toHaveLength(1);
+    });
+
+    test('should show escaped alerts on the medication request card', () => {
+      const html = formatMedicationRequestContent(medicationRequest, alerts);
+
+      expect(html).toContain('drug-allergy-alert');
+      expect(html).toContain('Penicillin &lt;G&gt;');
+      expect(html).toContain('High criticality');
+      expect(formatDrugAllergyAlerts([])).toBe('');
+    });
+
+    test('should summarize the matching medications for the patient banner', () => {
+      const html = formatDrugAllergyBanner(alerts);
+
+      expect(html).toContain('1 active medication matches a recorded allergy');
+      expect(html).toContain('amoxicillin 250 MG Oral Capsule');
+      expect(formatDrugAllergyBanner([])).toBe('');
+    });
+  });
+});
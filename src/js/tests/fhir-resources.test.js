@@ -0,0 +1,341 @@
+/**
+ * FHIR Resource Registry Tests
+ *
+ * Unit tests for the resource registry in fhir-resources.js and the shared
+ * search helpers in fhir-client.js
+ */
+
+import {
+  ResourceTypes,
+  ResourceRegistry,
+  fetchResourceData,
+  fetchResourcePages,
+  getResourceDefinition
+} from '../fhir-resources.js';
+
+import {
+  FhirServerError,
+  buildSearchUrl,
+  extractBundleResources,
+  mapFhirRequestError,
+  getNextPageUrl,
+  getAllergyData,
+  getAllergyDataPaginated,
+  getAllergyDataWithRetry
+} from '../fhir-client.js';
+
+import resourceCache from '../resource-cache.js';
+import auditLog from '../audit-log.js';
+import { getSnapshot, offlineStatus } from '../offline-store.js';
+
+jest.mock('../offline-store.js', () => {
+  const actual = jest.requireActual('../offline-store.js');
+  return {
+    ...actual,
+    saveSnapshot: jest.fn(),
+    getSnapshot: jest.fn().mockResolvedValue(null)
+  };
+});
+
+const mockImmunization = {
+  resourceType: 'Immunization',
+  id: 'imm-1',
+  status: 'completed',
+  vaccineCode: { text: 'Influenza' },
+  occurrenceDateTime: '2023-10-01'
+};
+
+describe('FHIR Resource Registry', () => {
+  beforeEach(() => {
+    resourceCache.clear();
+  });
+
+  describe('ResourceRegistry', () => {
+    test('should have an entry for every resource type', () => {
+      Object.values(ResourceTypes).forEach(type => {
+        const definition = getResourceDefinition(type);
+
+        expect(definition).not.toBeNull();
+        expect(typeof definition.normalize).toBe('function');
+        expect(typeof definition.formatTitle).toBe('function');
+        expect(typeof definition.formatContent).toBe('function');
+      });
+    });
+
+    test('should return null for unsupported types', () => {
+      expect(getResourceDefinition('unknown')).toBeNull();
+    });
+
+    test('should normalize allergy reactions with and without a substance', () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const [allergy] = ResourceRegistry[ResourceTypes.ALLERGY].normalize([{
+        resourceType: 'AllergyIntolerance',
+        id: 'allergy-1',
+        patient: { reference: 'Patient/123' },
+        code: { text: 'Penicillin' },
+        reaction: [
+          { manifestation: [{ text: 'Hives' }], severity: 'mild' },
+          { substance: { coding: [{ code: '7980', display: 'Penicillin G' }] }, manifestation: [{ text: 'Rash' }] }
+        ]
+      }]);
+      console.log.mockRestore();
+
+      expect(allergy.id).toBe('allergy-1');
+      expect(allergy.reactions[0].substance).toBeNull();
+      expect(allergy.reactions[1].substance.text).toBe('Penicillin G');
+    });
+  });
+
+  describe('buildSearchUrl', () => {
+    test('should combine default params, option params and overrides', () => {
+      const url = buildSearchUrl('patient-123', ResourceRegistry[ResourceTypes.CONDITION], {
+        clinicalStatus: 'active',
+        sortOrder: 'onset-date',
+        maxResults: 20
+      });
+
+      expect(url).toBe('Condition?patient=patient-123&_sort=onset-date&clinical-status=active&_count=20');
+    });
+
+    test('should apply the category of observation entries', () => {
+      const url = buildSearchUrl('patient-123', ResourceRegistry[ResourceTypes.LAB_RESULTS]);
+
+      expect(url).toContain('Observation?patient=patient-123');
+      expect(url).toContain('category=laboratory');
+      expect(url).toContain('_count=100');
+    });
+  });
+
+  describe('extractBundleResources', () => {
+    test('should keep only resources of the requested type', () => {
+      const bundle = {
+        resourceType: 'Bundle',
+        entry: [{ resource: mockImmunization }, { resource: { resourceType: 'Patient', id: 'p1' } }]
+      };
+
+      expect(extractBundleResources(bundle, 'Immunization')).toEqual([mockImmunization]);
+      expect(extractBundleResources(null, 'Immunization')).toEqual([]);
+    });
+  });
+
+  describe('mapFhirRequestError', () => {
+    const definition = ResourceRegistry[ResourceTypes.IMMUNIZATION];
+
+    test('should map HTTP statuses to structured errors', () => {
+      expect(mapFhirRequestError({ status: 401 }, definition).type).toBe(FhirServerError.UNAUTHORIZED);
+      expect(mapFhirRequestError({ status: 404 }, definition).type).toBe(FhirServerError.RESOURCE_NOT_FOUND);
+      expect(mapFhirRequestError({ status: 502 }, definition).type).toBe(FhirServerError.SERVER_ERROR);
+      expect(mapFhirRequestError(new Error('boom'), definition).type).toBe(FhirServerError.DATA_RETRIEVAL_FAILED);
+    });
+  });
+
+  describe('fetchResourceData', () => {
+    test('should dispatch through the registry and normalize', async () => {
+      const mockClient = { request: jest.fn().mockResolvedValue([mockImmunization]) };
+
+      const result = await fetchResourceData(mockClient, 'patient-123', ResourceTypes.IMMUNIZATION);
+
+      expect(mockClient.request.mock.calls[0][0]).toContain('Immunization?patient=patient-123');
+      expect(result[0].vaccineDisplay).toBe('Influenza');
+    });
+
+    test('should reject unsupported resource types', async () => {
+      await expect(fetchResourceData({ request: jest.fn() }, 'patient-123', 'unknown'))
+        .rejects
+        .toHaveProperty('type', FhirServerError.INVALID_PARAMETER);
+    });
+  });
+
+  describe('fetchResourcePages', () => {
+    const page = (ids, nextUrl) => ({
+      resourceType: 'Bundle',
+      total: 3,
+      link: nextUrl ? [{ relation: 'self', url: 'self' }, { relation: 'next', url: nextUrl }] : [],
+      entry: ids.map(id => ({ resource: { ...mockImmunization, id } }))
+    });
+
+    test('should follow next links one page at a time', async () => {
+      const mockClient = {
+        request: jest.fn()
+          .mockResolvedValueOnce(page(['imm-1', 'imm-2'], 'https://fhir.example/Immunization?page=2'))
+          .mockResolvedValueOnce(page(['imm-3']))
+      };
+
+      const pages = fetchResourcePages(mockClient, 'patient-123', ResourceTypes.IMMUNIZATION, { pageSize: 2 });
+
+      const first = await pages.next();
+      expect(mockClient.request).toHaveBeenCalledTimes(1);
+      expect(mockClient.request.mock.calls[0][0]).toContain('_count=2');
+      expect(first.value).toMatchObject({ pageNumber: 1, total: 3, hasMore: true });
+      expect(first.value.resources.map(r => r.id)).toEqual(['imm-1', 'imm-2']);
+
+      const second = await pages.next();
+      expect(mockClient.request.mock.calls[1][0]).toBe('https://fhir.example/Immunization?page=2');
+      expect(second.value.hasMore).toBe(false);
+
+      expect((await pages.next()).done).toBe(true);
+    });
+
+    test('should stop at maxPages', async () => {
+      const mockClient = {
+        request: jest.fn().mockResolvedValue(page(['imm-1'], 'https://fhir.example/next'))
+      };
+
+      const ids = [];
+      for await (const result of fetchResourcePages(mockClient, 'patient-123', ResourceTypes.IMMUNIZATION, { maxPages: 2 })) {
+        ids.push(...result.resources.map(r => r.id));
+      }
+
+      expect(ids).toHaveLength(2);
+      expect(mockClient.request).toHaveBeenCalledTimes(2);
+    });
+
+    test('should read the next link of a bundle', () => {
+      expect(getNextPageUrl(page([], 'next-url'))).toBe('next-url');
+      expect(getNextPageUrl(page([]))).toBeNull();
+      expect(getNextPageUrl(null)).toBeNull();
+    });
+  });
+
+  describe('getAllergyDataPaginated', () => {
+    test('should collect validated allergies across pages', async () => {
+      const allergy = id => ({ resourceType: 'AllergyIntolerance', id, patient: { reference: 'Patient/patient-123' } });
+      const mockClient = {
+        request: jest.fn()
+          .mockResolvedValueOnce({ resourceType: 'Bundle', link: [{ relation: 'next', url: 'page-2' }], entry: [{ resource: allergy('a1') }] })
+          .mockResolvedValueOnce({ resourceType: 'Bundle', entry: [{ resource: allergy('a2') }] })
+      };
+
+      const result = await getAllergyDataPaginated(mockClient, 'patient-123');
+
+      expect(result.map(a => a.id)).toEqual(['a1', 'a2']);
+    });
+  });
+
+  describe('getAllergyDataWithRetry', () => {
+    const allergy = { resourceType: 'AllergyIntolerance', id: 'a1', patient: { reference: 'Patient/patient-123' } };
+
+    test('should return the same validated resources as getAllergyData', async () => {
+      const mockClient = { request: jest.fn().mockResolvedValue({ resourceType: 'Bundle', entry: [{ resource: allergy }] }) };
+
+      const result = await getAllergyDataWithRetry(mockClient, 'patient-123');
+
+      expect(result).toEqual(await getAllergyData(mockClient, 'patient-123'));
+      expect(result[0]).toMatchObject({ resourceType: 'AllergyIntolerance', id: 'a1' });
+    });
+
+    test('should report unexpected failures as UNKNOWN', async () => {
+      const mockClient = { request: jest.fn().mockRejectedValue(new Error('boom')) };
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(getAllergyDataWithRetry(mockClient, 'patient-123'))
+        .rejects.toHaveProperty('type', FhirServerError.UNKNOWN);
+      expect(mockClient.request).toHaveBeenCalledTimes(1);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('caching', () => {
+    const versioned = (id, versionId) => ({ ...mockImmunization, id, meta: { versionId } });
+
+    test('should serve repeated queries from the cache', async () => {
+      const mockClient = { request: jest.fn().mockResolvedValue([mockImmunization]) };
+
+      await fetchResourceData(mockClient, 'patient-123', ResourceTypes.IMMUNIZATION);
+      const result = await fetchResourceData(mockClient, 'patient-123', ResourceTypes.IMMUNIZATION);
+
+      expect(mockClient.request).toHaveBeenCalledTimes(1);
+      expect(result[0].vaccineDisplay).toBe('Influenza');
+    });
+
+    test('should audit cached results like server results', async () => {
+      const mockClient = { request: jest.fn().mockResolvedValue([mockImmunization]) };
+      auditLog.reset();
+
+      await fetchResourceData(mockClient, 'patient-123', ResourceTypes.IMMUNIZATION);
+      await fetchResourceData(mockClient, 'patient-123', ResourceTypes.IMMUNIZATION);
+
+      expect(auditLog.getEntries()).toEqual([
+        expect.objectContaining({ action: 'search', resourceType: 'Immunization', patientId: 'patient-123', source: 'server', count: 1 }),
+        expect.objectContaining({ action: 'search', resourceType: 'Immunization', patientId: 'patient-123', source: 'cache', count: 1 })
+      ]);
+    });
+
+    test('should bypass the cache on forceRefresh', async () => {
+      const mockClient = { request: jest.fn().mockResolvedValue([mockImmunization]) };
+
+      await fetchResourceData(mockClient, 'patient-123', ResourceTypes.IMMUNIZATION);
+      await fetchResourceData(mockClient, 'patient-123', ResourceTypes.IMMUNIZATION, { forceRefresh: true });
+
+      expect(mockClient.request).toHaveBeenCalledTimes(2);
+    });
+
+    test('should reuse a stale entry when versions are unchanged', async () => {
+      const mockClient = {
+        request: jest.fn()
+          .mockResolvedValueOnce([versioned('imm-1', '1')])
+          .mockResolvedValueOnce({ resourceType: 'Bundle', entry: [{ resource: versioned('imm-1', '1') }] })
+      };
+
+      await fetchResourceData(mockClient, 'patient-123', ResourceTypes.IMMUNIZATION);
+
+      // Age the entry past its TTL
+      resourceCache.get(resourceCache.createKey('patient-123', ResourceTypes.IMMUNIZATION)).storedAt = 0;
+
+      const result = await fetchResourceData(mockClient, 'patient-123', ResourceTypes.IMMUNIZATION);
+
+      expect(mockClient.request).toHaveBeenCalledTimes(2);
+      expect(mockClient.request.mock.calls[1][0].url).toContain('_elements=id%2Cmeta');
+      expect(result).toHaveLength(1);
+    });
+
+    test('should refetch a stale entry when a version changed', async () => {
+      const mockClient = {
+        request: jest.fn()
+          .mockResolvedValueOnce([versioned('imm-1', '1')])
+          .mockResolvedValueOnce([versioned('imm-1', '2')])
+          .mockResolvedValueOnce([versioned('imm-1', '2')])
+      };
+
+      await fetchResourceData(mockClient, 'patient-123', ResourceTypes.IMMUNIZATION);
+      resourceCache.get(resourceCache.createKey('patient-123', ResourceTypes.IMMUNIZATION)).storedAt = 0;
+      await fetchResourceData(mockClient, 'patient-123', ResourceTypes.IMMUNIZATION);
+
+      expect(mockClient.request).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('offline snapshots', () => {
+    const snapshot = { data: [{ id: 'imm-saved', vaccineDisplay: 'Influenza' }], savedAt: '2024-05-01T10:00:00.000Z' };
+
+    test('should fall back to the saved snapshot when the server is unreachable', async () => {
+      const mockClient = { request: jest.fn().mockRejectedValue(new TypeError('Failed to fetch')) };
+      getSnapshot.mockResolvedValueOnce(snapshot);
+
+      const result = await fetchResourceData(mockClient, 'patient-123', ResourceTypes.IMMUNIZATION, { maxRetries: 1 });
+
+      expect(result).toEqual(snapshot.data);
+      expect(offlineStatus.getStatus()).toEqual({ offline: true, asOf: snapshot.savedAt });
+    });
+
+    test('should yield the snapshot as a single page', async () => {
+      const mockClient = { request: jest.fn().mockRejectedValue(new TypeError('Failed to fetch')) };
+      getSnapshot.mockResolvedValueOnce(snapshot);
+
+      const pages = fetchResourcePages(mockClient, 'patient-123', ResourceTypes.IMMUNIZATION, { maxRetries: 1 });
+      const first = await pages.next();
+
+      expect(first.value).toMatchObject({ offline: true, hasMore: false, asOf: snapshot.savedAt });
+      expect((await pages.next()).done).toBe(true);
+    });
+
+    test('should not hide other errors behind a snapshot', async () => {
+      const mockClient = { request: jest.fn().mockRejectedValue({ status: 403 }) };
+      getSnapshot.mockResolvedValueOnce(snapshot);
+
+      await expect(fetchResourceData(mockClient, 'patient-123', ResourceTypes.IMMUNIZATION, { maxRetries: 1 }))
+        .rejects
+        .toHaveProperty('type', FhirServerError.UNAUTHORIZED);
+    });
+  });
+});
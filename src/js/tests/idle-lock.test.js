@@ -0,0 +1,148 @@
+/**
+ * Idle Lock Tests
+ *
+ * Unit tests for the idle-lock.js module
+ */
+
+import { IdleMonitor, showLockScreen, hideLockScreen, PHI_REGION_IDS } from '../idle-lock.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Minimal element with the attributes the lock screen touches
+ */
+function createElement() {
+  const attributes = new Map();
+  return {
+    hidden: true,
+    inert: false,
+    setAttribute: (name, value) => attributes.set(name, value),
+    removeAttribute: name => attributes.delete(name),
+    getAttribute: name => (attributes.has(name) ? attributes.get(name) : null),
+    querySelector: () => ({ focus: jest.fn() })
+  };
+}
+
+describe('Idle Lock', () => {
+  describe('IdleMonitor', () => {
+    let target;
+    let onLock;
+    let onTimeout;
+    let monitor;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      target = new EventTarget();
+      onLock = jest.fn();
+      onTimeout = jest.fn();
+      monitor = new IdleMonitor({ lockAfter: 5 * MINUTE, timeoutAfter: 30 * MINUTE, onLock, onTimeout, target });
+      monitor.start();
+    });
+
+    afterEach(() => {
+      monitor.stop();
+      jest.useRealTimers();
+    });
+
+    test('should lock after the idle lock time', () => {
+      jest.advanceTimersByTime(5 * MINUTE - 1);
+      expect(onLock).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      expect(onLock).toHaveBeenCalledTimes(1);
+      expect(monitor.isLocked()).toBe(true);
+    });
+
+    test('should restart the idle time on activity', () => {
+      jest.advanceTimersByTime(4 * MINUTE);
+      target.dispatchEvent(new Event('keydown'));
+      jest.advanceTimersByTime(4 * MINUTE);
+
+      expect(onLock).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(MINUTE);
+      expect(onLock).toHaveBeenCalledTimes(1);
+    });
+
+    test('should time out after the idle timeout, ignoring activity behind the lock', () => {
+      jest.advanceTimersByTime(10 * MINUTE);
+      target.dispatchEvent(new Event('pointermove'));
+      jest.advanceTimersByTime(20 * MINUTE);
+
+      expect(onLock).toHaveBeenCalledTimes(1);
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+    });
+
+    test('should restart the idle time when unlocked', () => {
+      jest.advanceTimersByTime(29 * MINUTE);
+      monitor.unlock();
+      jest.advanceTimersByTime(2 * MINUTE);
+
+      expect(monitor.isLocked()).toBe(false);
+      expect(onTimeout).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(3 * MINUTE);
+      expect(onLock).toHaveBeenCalledTimes(2);
+    });
+
+    test('should check the clock when the page becomes visible again', () => {
+      // Timers in background tabs may fire late; simulate the clock moving on without them
+      jest.setSystemTime(Date.now() + 31 * MINUTE);
+      target.dispatchEvent(new Event('visibilitychange'));
+
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+    });
+
+    test('should do nothing once stopped', () => {
+      monitor.stop();
+      jest.advanceTimersByTime(60 * MINUTE);
+
+      expect(onLock).not.toHaveBeenCalled();
+      expect(onTimeout).not.toHaveBeenCalled();
+    });
+
+    test('should read the times from the client settings in minutes', () => {
+      const configured = IdleMonitor.fromConfig({ idleLockMinutes: 1, idleTimeoutMinutes: 2 }, { onLock, onTimeout });
+
+      expect(configured._lockAfter).toBe(MINUTE);
+      expect(configured._timeoutAfter).toBe(2 * MINUTE);
+    });
+  });
+
+  describe('lock screen', () => {
+    let elements;
+    let doc;
+
+    beforeEach(() => {
+      elements = Object.fromEntries([...PHI_REGION_IDS, 'lock-overlay'].map(id => [id, createElement()]));
+      const classes = new Set();
+      doc = {
+        body: { classList: { add: name => classes.add(name), remove: name => classes.delete(name), contains: name => classes.has(name) } },
+        getElementById: id => elements[id] || null
+      };
+    });
+
+    test('should hide patient data behind the overlay', () => {
+      showLockScreen(doc);
+
+      expect(doc.body.classList.contains('idle-locked')).toBe(true);
+      expect(elements['lock-overlay'].hidden).toBe(false);
+      PHI_REGION_IDS.forEach(id => {
+        expect(elements[id].inert).toBe(true);
+        expect(elements[id].getAttribute('aria-hidden')).toBe('true');
+      });
+    });
+
+    test('should restore patient data when unlocked', () => {
+      showLockScreen(doc);
+      hideLockScreen(doc);
+
+      expect(doc.body.classList.contains('idle-locked')).toBe(false);
+      expect(elements['lock-overlay'].hidden).toBe(true);
+      PHI_REGION_IDS.forEach(id => {
+        expect(elements[id].inert).toBe(false);
+        expect(elements[id].getAttribute('aria-hidden')).toBeNull();
+      });
+    });
+  });
+});
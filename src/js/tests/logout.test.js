@@ -0,0 +1,142 @@
+/**
+ * Logout Tests
+ *
+ * Unit tests for the logout.js module
+ */
+
+import { logout, revokeTokens } from '../logout.js';
+import { getAuthState } from '../auth.js';
+import patientStore from '../patient-store.js';
+import resourceCache from '../resource-cache.js';
+
+// Encryption is covered in secure-storage.test.js
+jest.mock('../secure-storage.js', () => ({
+  setEncryptedItem: async (key, value) => global.sessionStorage.setItem(key, JSON.stringify(value)),
+  getEncryptedItem: async key => JSON.parse(global.sessionStorage.getItem(key))
+}));
+
+/**
+ * Minimal in-memory sessionStorage
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+const authState = {
+  serverUrl: 'https://fhir.example/r4',
+  clientId: 'my-app',
+  tokenResponse: { access_token: 'access-1', token_type: 'Bearer', refresh_token: 'refresh-1' },
+  patientId: 'patient-123',
+  tokenExpiration: Date.now() + 3600 * 1000
+};
+
+/**
+ * Fake fetch answering the SMART configuration, revocation and BFF logout
+ */
+function mockServer({ revocationEndpoint = 'https://auth.example/revoke', revokeStatus = 200 } = {}) {
+  return jest.fn(async (url) => {
+    if (url === 'https://fhir.example/r4/.well-known/smart-configuration') {
+      return { ok: true, json: async () => ({ token_endpoint: 'https://auth.example/token', ...(revocationEndpoint && { revocation_endpoint: revocationEndpoint }) }) };
+    }
+    if (url === revocationEndpoint) {
+      return { ok: revokeStatus < 400, status: revokeStatus };
+    }
+    if (url === '/bff/logout') {
+      return { ok: true, status: 204 };
+    }
+    throw new Error(`Unexpected request ${url}`);
+  });
+}
+
+describe('Logout', () => {
+  beforeEach(() => {
+    global.sessionStorage = createStorage();
+    global.window = {};
+    global.document = { getElementById: () => null };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+    delete global.window;
+  });
+
+  describe('revokeTokens', () => {
+    test('should revoke the refresh token before the access token', async () => {
+      global.fetch = mockServer();
+
+      const result = await revokeTokens(authState);
+
+      expect(result).toEqual({ revoked: ['refresh_token', 'access_token'], supported: true, errors: [] });
+      const bodies = global.fetch.mock.calls.slice(1).map(([, options]) => Object.fromEntries(options.body));
+      expect(bodies).toEqual([
+        { token: 'refresh-1', token_type_hint: 'refresh_token', client_id: 'my-app' },
+        { token: 'access-1', token_type_hint: 'access_token', client_id: 'my-app' }
+      ]);
+    });
+
+    test('should report servers without a revocation endpoint', async () => {
+      global.fetch = mockServer({ revocationEndpoint: null });
+
+      expect(await revokeTokens(authState)).toEqual({ revoked: [], supported: false, errors: [] });
+    });
+
+    test('should collect failed revocations', async () => {
+      global.fetch = mockServer({ revokeStatus: 503 });
+
+      const result = await revokeTokens(authState);
+
+      expect(result.revoked).toEqual([]);
+      expect(result.errors).toHaveLength(2);
+    });
+  });
+
+  describe('logout', () => {
+    test('should clear the auth state, launch state and patient data', async () => {
+      global.fetch = mockServer();
+      sessionStorage.setItem('smartAuthState', JSON.stringify(authState));
+      sessionStorage.setItem('SMART_KEY', JSON.stringify('launch-state-1'));
+      sessionStorage.setItem('launch-state-1', JSON.stringify({ tokenResponse: authState.tokenResponse }));
+      patientStore.setPatientContext({ id: 'patient-123' });
+      resourceCache.set(resourceCache.createKey('patient-123', 'allergies', {}), [{ id: 'a1' }]);
+      window.currentResourceData = [{ id: 'a1' }];
+
+      const result = await logout();
+
+      expect(result.revoked).toEqual(['refresh_token', 'access_token']);
+      expect(await getAuthState()).toBeNull();
+      expect(sessionStorage.getItem('SMART_KEY')).toBeNull();
+      expect(sessionStorage.getItem('launch-state-1')).toBeNull();
+      expect(patientStore.getPatientContext()).toBeNull();
+      expect(resourceCache.get(resourceCache.createKey('patient-123', 'allergies', {}))).toBeNull();
+      expect(window.currentResourceData).toBeNull();
+    });
+
+    test('should sign out locally when the server cannot be reached', async () => {
+      global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+      sessionStorage.setItem('smartAuthState', JSON.stringify(authState));
+
+      await logout();
+
+      expect(await getAuthState()).toBeNull();
+    });
+
+    test('should end the BFF session instead of revoking in the browser', async () => {
+      global.fetch = mockServer();
+      sessionStorage.setItem('smartAuthState', JSON.stringify({ bff: true, serverUrl: 'https://fhir.example/r4', hasRefreshToken: true }));
+
+      const result = await logout();
+
+      expect(result.revoked).toEqual(['session']);
+      expect(global.fetch).toHaveBeenCalledWith('/bff/logout', expect.objectContaining({ method: 'POST' }));
+      expect(await getAuthState()).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Observation Trend Chart Tests
+ *
+ * Unit tests for the observation-chart.js module functionality
+ */
+
+import {
+  getChartableCodes,
+  buildObservationSeries,
+  buildTrendChartSvg
+} from '../observation-chart.js';
+
+import { normalizeObservationData } from '../observation.js';
+
+/**
+ * Build a glucose observation for a given date and value
+ */
+const glucose = (id, date, value) => normalizeObservationData({
+  resourceType: 'Observation',
+  id,
+  status: 'final',
+  code: { coding: [{ system: 'http://loinc.org', code: '2339-0', display: 'Glucose' }] },
+  effectiveDateTime: date,
+  valueQuantity: { value, unit: 'mg/dL' },
+  referenceRange: [{ low: { value: 70, unit: 'mg/dL' }, high: { value: 99, unit: 'mg/dL' } }]
+});
+
+const bloodPressure = (id, date, systolic, diastolic) => normalizeObservationData({
+  resourceType: 'Observation',
+  id,
+  status: 'final',
+  code: { coding: [{ system: 'http://loinc.org', code: '85354-9', display: 'Blood pressure' }] },
+  effectiveDateTime: date,
+  component: [
+    { code: { coding: [{ system: 'http://loinc.org', code: '8480-6', display: 'Systolic' }] }, valueQuantity: { value: systolic, unit: 'mmHg' } },
+    { code: { coding: [{ system: 'http://loinc.org', code: '8462-4', display: 'Diastolic' }] }, valueQuantity: { value: diastolic, unit: 'mmHg' } }
+  ]
+});
+
+const mmHgRange = (low, high) => [{ low: { value: low, unit: 'mmHg' }, high: { value: high, unit: 'mmHg' } }];
+
+const bloodPressureWithRanges = (id, date, systolic, diastolic) => normalizeObservationData({
+  resourceType: 'Observation',
+  id,
+  status: 'final',
+  code: { coding: [{ system: 'http://loinc.org', code: '85354-9', display: 'Blood pressure' }] },
+  effectiveDateTime: date,
+  component: [
+    { code: { coding: [{ system: 'http://loinc.org', code: '8480-6', display: 'Systolic' }] }, valueQuantity: { value: systolic, unit: 'mmHg' }, referenceRange: mmHgRange(90, 140) },
+    { code: { coding: [{ system: 'http://loinc.org', code: '8462-4', display: 'Diastolic' }] }, valueQuantity: { value: diastolic, unit: 'mmHg' }, referenceRange: mmHgRange(60, 90) }
+  ]
+});
+
+const textObservation = normalizeObservationData({
+  resourceType: 'Observation',
+  id: 'smoking',
+  code: { coding: [{ system: 'http://loinc.org', code: '72166-2', display: 'Tobacco smoking status' }] },
+  effectiveDateTime: '2023-01-01',
+  valueCodeableConcept: { text: 'Never smoker' }
+});
+
+describe('Observation Trend Chart', () => {
+  const observations = [
+    glucose('g2', '2023-02-01', 120),
+    glucose('g1', '2023-01-01', 85),
+    glucose('g3', '2023-03-01', 92),
+    bloodPressure('bp1', '2023-01-01', 118, 76),
+    textObservation
+  ];
+
+  describe('getChartableCodes', () => {
+    test('should list numeric codes ordered by frequency', () => {
+      const codes = getChartableCodes(observations);
+
+      expect(codes.map(c => c.code)).toEqual(['2339-0', '85354-9']);
+      expect(codes[0].count).toBe(3);
+    });
+
+    test('should handle non-array input', () => {
+      expect(getChartableCodes(null)).toEqual([]);
+    });
+  });
+
+  describe('buildObservationSeries', () => {
+    test('should sort points by date and keep the reference range', () => {
+      const chartData = buildObservationSeries(observations, '2339-0');
+
+      expect(chartData.series).toHaveLength(1);
+      expect(chartData.series[0].points.map(p => p.id)).toEqual(['g1', 'g2', 'g3']);
+      expect(chartData.referenceRange).toEqual({ low: 70, high: 99 });
+      expect(chartData.unit).toBe('mg/dL');
+    });
+
+    test('should split multi-component observations into series', () => {
+      const chartData = buildObservationSeries(observations, '85354-9');
+
+      expect(chartData.series.map(s => s.name)).toEqual(['Systolic', 'Diastolic']);
+    });
+
+    test('should keep records with differing display text in one series per code', () => {
+      const relabeled = normalizeObservationData({
+        ...bloodPressure('bp3', '2023-02-01', 122, 80).rawResource,
+        component: [
+          { code: { coding: [{ system: 'http://loinc.org', code: '8480-6', display: 'Systolic blood pressure' }] }, valueQuantity: { value: 122, unit: 'mmHg' } },
+          { code: { coding: [{ system: 'http://loinc.org', code: '8462-4', display: 'Diastolic blood pressure' }] }, valueQuantity: { value: 80, unit: 'mmHg' } }
+        ]
+      });
+      const chartData = buildObservationSeries([bloodPressure('bp1', '2023-01-01', 118, 76), relabeled], '85354-9');
+
+      expect(chartData.series.map(s => s.code)).toEqual(['8480-6', '8462-4']);
+      expect(chartData.series.map(s => s.name)).toEqual(['Systolic', 'Diastolic']);
+      expect(chartData.series[0].points.map(p => p.value)).toEqual([118, 122]);
+    });
+
+    test('should keep a reference range per component', () => {
+      const chartData = buildObservationSeries([bloodPressureWithRanges('bp2', '2023-01-01', 118, 76)], '85354-9');
+
+      expect(chartData.referenceRange).toBeNull();
+      expect(chartData.series.map(s => s.referenceRange)).toEqual([{ low: 90, high: 140 }, { low: 60, high: 90 }]);
+    });
+  });
+
+  describe('buildTrendChartSvg', () => {
+    test('should render a range band and highlight abnormal values', () => {
+      const svg = buildTrendChartSvg(buildObservationSeries(observations, '2339-0'));
+
+      expect(svg.startsWith('<svg')).toBe(true);
+      expect(svg).toContain('trend-chart-range');
+      expect(svg.match(/trend-chart-point/g)).toHaveLength(3);
+      expect(svg.match(/trend-chart-abnormal/g)).toHaveLength(1);
+    });
+
+    test('should draw a band for each component range', () => {
+      const svg = buildTrendChartSvg(buildObservationSeries([bloodPressureWithRanges('bp2', '2023-01-01', 118, 76)], '85354-9'));
+
+      expect(svg.match(/trend-chart-range/g)).toHaveLength(2);
+      expect(svg).toContain('<title>Systolic reference range: 90 - 140 mmHg</title>');
+      expect(svg).toContain('<title>Diastolic reference range: 60 - 90 mmHg</title>');
+    });
+
+    test('should return an empty string when there is nothing to plot', () => {
+      expect(buildTrendChartSvg(buildObservationSeries([], '2339-0'))).toBe('');
+    });
+  });
+});
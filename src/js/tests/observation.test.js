@@ -0,0 +1,189 @@
+/**
+ * Observation Module Tests
+ *
+ * Unit tests for the observation.js module functionality
+ */
+
+import {
+  getObservationData,
+  processObservationResponse,
+  normalizeObservationData,
+  ObservationCategory,
+  VitalSignCodes
+} from '../observation.js';
+
+import { FhirServerError } from '../fhir-client.js';
+
+/**
+ * Mock data for testing
+ */
+const mockGlucose = {
+  resourceType: 'Observation',
+  id: 'obs-glucose',
+  status: 'final',
+  category: [
+    { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'laboratory' }] }
+  ],
+  code: {
+    coding: [{ system: 'http://loinc.org', code: '2339-0', display: 'Glucose [Mass/volume] in Blood' }]
+  },
+  subject: { reference: 'Patient/patient-123' },
+  effectiveDateTime: '2023-03-01T08:30:00Z',
+  valueQuantity: { value: 182, unit: 'mg/dL', system: 'http://unitsofmeasure.org', code: 'mg/dL' },
+  referenceRange: [
+    { low: { value: 70, unit: 'mg/dL' }, high: { value: 99, unit: 'mg/dL' } }
+  ]
+};
+
+const mockBloodPressure = {
+  resourceType: 'Observation',
+  id: 'obs-bp',
+  status: 'final',
+  category: [
+    { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'vital-signs' }] }
+  ],
+  code: {
+    coding: [{ system: 'http://loinc.org', code: VitalSignCodes.BLOOD_PRESSURE, display: 'Blood pressure panel' }]
+  },
+  subject: { reference: 'Patient/patient-123' },
+  effectiveDateTime: '2023-03-01T08:00:00Z',
+  component: [
+    {
+      code: { coding: [{ system: 'http://loinc.org', code: VitalSignCodes.SYSTOLIC, display: 'Systolic blood pressure' }] },
+      valueQuantity: { value: 152, unit: 'mmHg' },
+      interpretation: [{ coding: [{ code: 'H' }] }]
+    },
+    {
+      code: { coding: [{ system: 'http://loinc.org', code: VitalSignCodes.DIASTOLIC, display: 'Diastolic blood pressure' }] },
+      valueQuantity: { value: 84, unit: 'mmHg' }
+    }
+  ]
+};
+
+/**
+ * Test suite for observation module
+ */
+describe('Observation Module', () => {
+
+  /**
+   * Tests for normalizeObservationData function
+   */
+  describe('normalizeObservationData', () => {
+    test('should normalize a quantity observation with reference range', () => {
+      const result = normalizeObservationData(mockGlucose);
+
+      expect(result.display).toBe('Glucose [Mass/volume] in Blood');
+      expect(result.loincCode).toBe('2339-0');
+      expect(result.category).toEqual(['laboratory']);
+      expect(result.value.value).toBe(182);
+      expect(result.valueDisplay).toBe('182 mg/dL');
+      expect(result.referenceRange[0]).toMatchObject({ low: 70, high: 99 });
+    });
+
+    test('should compute an abnormal flag from the reference range', () => {
+      expect(normalizeObservationData(mockGlucose).abnormalFlag).toBe('H');
+
+      const low = { ...mockGlucose, valueQuantity: { value: 55, unit: 'mg/dL' } };
+      expect(normalizeObservationData(low).abnormalFlag).toBe('L');
+
+      const normal = { ...mockGlucose, valueQuantity: { value: 85, unit: 'mg/dL' } };
+      expect(normalizeObservationData(normal).abnormalFlag).toBeNull();
+    });
+
+    test('should prefer server interpretation codes', () => {
+      const critical = { ...mockGlucose, interpretation: [{ coding: [{ code: 'HH', display: 'Critical high' }] }] };
+      const result = normalizeObservationData(critical);
+
+      expect(result.abnormalFlag).toBe('HH');
+      expect(result.interpretation[0].display).toBe('Critical high');
+    });
+
+    test('should combine blood pressure components', () => {
+      const result = normalizeObservationData(mockBloodPressure);
+
+      expect(result.value).toBeNull();
+      expect(result.components).toHaveLength(2);
+      expect(result.valueDisplay).toBe('152/84 mmHg');
+      expect(result.components[0].abnormalFlag).toBe('H');
+      expect(result.abnormalFlag).toBe('H');
+    });
+
+    test('should not show a quantity that has no value', () => {
+      const pending = { ...mockGlucose, status: 'registered', valueQuantity: { unit: 'mg/dL' } };
+      const result = normalizeObservationData(pending);
+
+      expect(result.value).toBeNull();
+      expect(result.valueDisplay).toBe('No value recorded');
+      expect(result.abnormalFlag).toBeNull();
+
+      const absent = { ...pending, dataAbsentReason: { coding: [{ code: 'temp-unknown', display: 'Temporarily Unknown' }] } };
+      expect(normalizeObservationData(absent).valueDisplay).toBe('Temporarily Unknown');
+
+      const bloodPressure = {
+        ...mockBloodPressure,
+        component: [mockBloodPressure.component[0], { ...mockBloodPressure.component[1], valueQuantity: { unit: 'mmHg' } }]
+      };
+      expect(normalizeObservationData(bloodPressure).valueDisplay)
+        .toBe('Systolic blood pressure: 152 mmHg, Diastolic blood pressure: No value recorded');
+    });
+
+    test('should treat a reference range bound without a value as open', () => {
+      const openLow = {
+        ...mockGlucose,
+        valueQuantity: { value: -5, unit: 'mg/dL' },
+        referenceRange: [{ low: { value: null, unit: 'mg/dL' }, high: { value: 99, unit: 'mg/dL' } }]
+      };
+      const result = normalizeObservationData(openLow);
+
+      expect(result.referenceRange[0]).toMatchObject({ low: null, high: 99, text: '<= 99 mg/dL' });
+      expect(result.abnormalFlag).toBeNull();
+    });
+
+    test('should handle null input', () => {
+      const result = normalizeObservationData(null);
+      expect(result.error).toBe('Error processing observation data');
+    });
+  });
+
+  /**
+   * Tests for processObservationResponse function
+   */
+  describe('processObservationResponse', () => {
+    test('should process a bundle of observations', () => {
+      const bundle = { resourceType: 'Bundle', entry: [{ resource: mockGlucose }, { resource: mockBloodPressure }] };
+      expect(processObservationResponse(bundle)).toHaveLength(2);
+    });
+
+    test('should handle a null response', () => {
+      expect(processObservationResponse(null)).toHaveLength(0);
+    });
+  });
+
+  /**
+   * Tests for getObservationData function
+   */
+  describe('getObservationData', () => {
+    const mockClient = {
+      request: jest.fn()
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    test('should throw error for invalid client', async () => {
+      await expect(getObservationData(null, 'patient-123'))
+        .rejects
+        .toHaveProperty('type', FhirServerError.INVALID_CLIENT);
+    });
+
+    test('should filter by category', async () => {
+      mockClient.request.mockResolvedValueOnce([mockBloodPressure]);
+
+      const result = await getObservationData(mockClient, 'patient-123', { category: ObservationCategory.VITAL_SIGNS });
+
+      expect(mockClient.request.mock.calls[0][0]).toContain('category=vital-signs');
+      expect(result).toHaveLength(1);
+    });
+  });
+});
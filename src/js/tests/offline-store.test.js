@@ -0,0 +1,161 @@
+/**
+ * Offline Store Tests
+ *
+ * Unit tests for the offline-store.js module functionality
+ */
+
+import {
+  OfflineStatus,
+  saveSnapshot,
+  getSnapshot,
+  clearSnapshots,
+  purgeExpiredSnapshots,
+  SNAPSHOT_MAX_AGE
+} from '../offline-store.js';
+
+/**
+ * In-memory stand-in for the parts of IndexedDB that offline-store.js and
+ * secure-storage.js use
+ */
+function createIndexedDB() {
+  const databases = new Map();
+  const request = run => {
+    const pending = {};
+    Promise.resolve().then(() => {
+      pending.result = run();
+      pending.onsuccess?.();
+    });
+    return pending;
+  };
+  const matches = (value, query) => (query?.includes ? query.includes(value) : value === query);
+  const createStore = records => ({
+    add: (value, key) => request(() => records.set(key, value) && key),
+    put: value => request(() => records.set(value.key, { ...value }) && value.key),
+    get: key => request(() => records.get(key)),
+    delete: key => request(() => records.delete(key) && undefined),
+    clear: () => request(() => records.clear()),
+    index: field => ({
+      getAllKeys: query => request(() => Array.from(records.values())
+        .filter(record => matches(record[field], query))
+        .map(record => record.key))
+    })
+  });
+
+  return {
+    databases,
+    open: name => request(() => {
+      databases.set(name, new Map());
+      const store = createStore(databases.get(name));
+      return {
+        objectStoreNames: { contains: () => true },
+        transaction: () => ({ objectStore: () => store })
+      };
+    })
+  };
+}
+
+describe('Offline Store', () => {
+  describe('OfflineStatus', () => {
+    test('should report the oldest snapshot time while offline', () => {
+      const status = new OfflineStatus();
+      const callback = jest.fn();
+      status.subscribe(callback);
+
+      status.markOffline('2024-05-02T00:00:00.000Z');
+      status.markOffline('2024-05-01T00:00:00.000Z');
+      status.markOffline('2024-05-03T00:00:00.000Z');
+
+      expect(status.getStatus()).toEqual({ offline: true, asOf: '2024-05-01T00:00:00.000Z' });
+      expect(callback).toHaveBeenCalledTimes(3);
+    });
+
+    test('should notify once when going back online', () => {
+      const status = new OfflineStatus();
+      const callback = jest.fn();
+
+      status.markOffline('2024-05-01T00:00:00.000Z');
+      status.subscribe(callback);
+      status.markOnline();
+      status.markOnline();
+
+      expect(status.getStatus().offline).toBe(false);
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('snapshots', () => {
+    test('should degrade gracefully without IndexedDB', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await expect(saveSnapshot('p1|allergies|', 'p1', [])).resolves.toBeUndefined();
+      await expect(getSnapshot('p1|allergies|')).resolves.toBeNull();
+      console.warn.mockRestore();
+    });
+
+    describe('with IndexedDB', () => {
+      const HOUR = 60 * 60 * 1000;
+      let indexedDB;
+      let records;
+
+      beforeAll(() => {
+        indexedDB = createIndexedDB();
+        global.indexedDB = indexedDB;
+        global.IDBKeyRange = { upperBound: bound => ({ includes: value => value <= bound }) };
+      });
+
+      beforeEach(async () => {
+        jest.useFakeTimers({ now: new Date('2024-05-01T12:00:00.000Z') });
+        await clearSnapshots();
+        records = indexedDB.databases.get('smart-fhir-offline');
+      });
+
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      afterAll(() => {
+        delete global.indexedDB;
+        delete global.IDBKeyRange;
+      });
+
+      test('should store the data encrypted and decrypt it transparently', async () => {
+        await saveSnapshot('p1|allergies|', 'p1', [{ id: 'a1', code: { text: 'Penicillin' } }], { complete: true });
+
+        expect(JSON.stringify(records.get('p1|allergies|'))).not.toContain('Penicillin');
+        await expect(getSnapshot('p1|allergies|')).resolves.toEqual({
+          key: 'p1|allergies|',
+          patientId: 'p1',
+          data: [{ id: 'a1', code: { text: 'Penicillin' } }],
+          complete: true,
+          savedAt: '2024-05-01T12:00:00.000Z'
+        });
+      });
+
+      test('should delete a snapshot that cannot be decrypted', async () => {
+        records.set('p1|allergies|', { key: 'p1|allergies|', patientId: 'p1', savedAt: new Date().toISOString(), data: [] });
+
+        await expect(getSnapshot('p1|allergies|')).resolves.toBeNull();
+        expect(records.has('p1|allergies|')).toBe(false);
+      });
+
+      test('should delete a snapshot older than the maximum age instead of returning it', async () => {
+        await saveSnapshot('p1|allergies|', 'p1', []);
+        jest.setSystemTime(Date.now() + SNAPSHOT_MAX_AGE + 1);
+
+        await expect(getSnapshot('p1|allergies|')).resolves.toBeNull();
+        expect(records.has('p1|allergies|')).toBe(false);
+      });
+
+      test('should purge only expired snapshots', async () => {
+        await saveSnapshot('p1|allergies|', 'p1', []);
+        jest.setSystemTime(Date.now() + 2 * HOUR);
+        await saveSnapshot('p2|allergies|', 'p2', []);
+        jest.setSystemTime(Date.now() + SNAPSHOT_MAX_AGE - HOUR);
+
+        await purgeExpiredSnapshots();
+
+        expect(Array.from(records.keys())).toEqual(['p2|allergies|']);
+      });
+    });
+  });
+});
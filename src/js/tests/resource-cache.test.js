@@ -0,0 +1,81 @@
+/**
+ * Resource Cache Tests
+ *
+ * Unit tests for the resource-cache.js module functionality
+ */
+
+import { ResourceCache, getVersionFingerprint } from '../resource-cache.js';
+
+describe('Resource Cache', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new ResourceCache({ ttl: 1000 });
+  });
+
+  describe('createKey', () => {
+    test('should ignore option order and paging options', () => {
+      expect(cache.createKey('p1', 'conditions', { category: 'a', clinicalStatus: 'active', pageSize: 10 }))
+        .toBe(cache.createKey('p1', 'conditions', { clinicalStatus: 'active', category: 'a' }));
+    });
+  });
+
+  describe('get and set', () => {
+    test('should store entries in memory only', () => {
+      const setItem = jest.fn();
+      global.sessionStorage = { setItem };
+      const key = cache.createKey('p1', 'allergies');
+      cache.set(key, [{ id: 'a1' }], { validators: { versions: 'v1' } });
+
+      expect(cache.get(key).data).toEqual([{ id: 'a1' }]);
+      expect(cache.get(key).validators.versions).toBe('v1');
+      expect(setItem).not.toHaveBeenCalled();
+      delete global.sessionStorage;
+    });
+
+    test('should expire entries after the TTL', () => {
+      const key = cache.createKey('p1', 'allergies');
+      const entry = cache.set(key, []);
+
+      expect(cache.isFresh(entry)).toBe(true);
+
+      entry.storedAt = Date.now() - 2000;
+      expect(cache.isFresh(entry)).toBe(false);
+
+      cache.touch(key);
+      expect(cache.isFresh(cache.get(key))).toBe(true);
+    });
+  });
+
+  describe('invalidation', () => {
+    beforeEach(() => {
+      cache.set(cache.createKey('p1', 'allergies'), []);
+      cache.set(cache.createKey('p1', 'conditions'), []);
+      cache.set(cache.createKey('p2', 'allergies'), []);
+    });
+
+    test('should invalidate one resource type of a patient', () => {
+      cache.invalidate('p1', 'allergies');
+
+      expect(cache.get(cache.createKey('p1', 'allergies'))).toBeNull();
+      expect(cache.get(cache.createKey('p1', 'conditions'))).not.toBeNull();
+    });
+
+    test('should keep only the current patient', () => {
+      cache.retainPatient('p2');
+
+      expect(cache.get(cache.createKey('p1', 'conditions'))).toBeNull();
+      expect(cache.get(cache.createKey('p2', 'allergies'))).not.toBeNull();
+    });
+  });
+
+  describe('getVersionFingerprint', () => {
+    test('should change when a resource version changes', () => {
+      const v1 = [{ resourceType: 'Condition', id: 'c1', meta: { versionId: '1' } }];
+      const v2 = [{ resourceType: 'Condition', id: 'c1', meta: { versionId: '2' } }];
+
+      expect(getVersionFingerprint(v1)).not.toBe(getVersionFingerprint(v2));
+      expect(getVersionFingerprint(null)).toBe('');
+    });
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Resource Diff Tests
+ *
+ * Unit tests for the resource-diff.js module
+ */
+
+import { diffResources } from '../resource-diff.js';
+
+const server = {
+  resourceType: 'AllergyIntolerance',
+  id: 'allergy-1',
+  meta: { versionId: '4', lastUpdated: '2024-05-02T09:00:00Z' },
+  clinicalStatus: { coding: [{ code: 'inactive' }] },
+  criticality: 'high',
+  note: [{ text: 'First note' }, { text: 'Marked inactive' }]
+};
+
+describe('Resource Diff', () => {
+  test('should list changed, added and removed elements in document order', () => {
+    const local = {
+      resourceType: 'AllergyIntolerance',
+      id: 'allergy-1',
+      meta: { versionId: '3' },
+      clinicalStatus: { coding: [{ code: 'resolved' }] },
+      note: [{ text: 'First note' }, { text: 'Resolved' }],
+      recordedDate: '2024-05-01'
+    };
+
+    expect(diffResources(server, local)).toEqual([
+      { path: 'clinicalStatus.coding[0].code', server: 'inactive', local: 'resolved' },
+      { path: 'criticality', server: 'high', local: undefined },
+      { path: 'note[1].text', server: 'Marked inactive', local: 'Resolved' },
+      { path: 'recordedDate', server: undefined, local: '2024-05-01' }
+    ]);
+  });
+
+  test('should ignore meta and text unless told otherwise', () => {
+    const local = { ...server, meta: { versionId: '3' }, text: { status: 'generated', div: '<div/>' } };
+
+    expect(diffResources(server, local)).toEqual([]);
+    expect(diffResources(server, local, { ignore: [] }).map(difference => difference.path))
+      .toEqual(['meta.versionId', 'meta.lastUpdated', 'text.status', 'text.div']);
+  });
+
+  test('should treat a missing resource as empty', () => {
+    expect(diffResources(null, { id: 'allergy-1' })).toEqual([{ path: 'id', server: undefined, local: 'allergy-1' }]);
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Secure Storage Tests
+ *
+ * Unit tests for the secure-storage.js module and the encrypted auth state in auth.js
+ */
+
+import { setEncryptedItem, getEncryptedItem, SecureStorageError } from '../secure-storage.js';
+import { authorize, getAuthState, isAuthenticated, clearAuthState, refreshAuthToken } from '../auth.js';
+import { resetClientConfig } from '../app-config.js';
+
+/**
+ * Minimal in-memory sessionStorage
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+    key: index => Array.from(items.keys())[index] ?? null,
+    get length() {
+      return items.size;
+    }
+  };
+}
+
+/**
+ * All values currently in sessionStorage
+ */
+function storedValues() {
+  return Array.from({ length: sessionStorage.length }, (_, index) => sessionStorage.getItem(sessionStorage.key(index)));
+}
+
+/**
+ * Flip one bit of the ciphertext of a stored blob
+ */
+function tamper(key) {
+  const blob = JSON.parse(sessionStorage.getItem(key));
+  const bytes = Uint8Array.from(atob(blob.data), char => char.charCodeAt(0));
+  bytes[0] ^= 1;
+  blob.data = btoa(String.fromCharCode(...bytes));
+  sessionStorage.setItem(key, JSON.stringify(blob));
+}
+
+describe('Secure Storage', () => {
+  beforeEach(() => {
+    global.sessionStorage = createStorage();
+    // No IndexedDB in the test environment: the key is kept in memory
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('encrypted items', () => {
+    test('should round-trip a value without storing it in plain text', async () => {
+      await setEncryptedItem('state', { access_token: 'secret-token' });
+
+      expect(sessionStorage.getItem('state')).not.toContain('secret-token');
+      expect(await getEncryptedItem('state')).toEqual({ access_token: 'secret-token' });
+    });
+
+    test('should resolve to null when nothing is stored', async () => {
+      expect(await getEncryptedItem('missing')).toBeNull();
+    });
+
+    test('should detect a changed ciphertext', async () => {
+      await setEncryptedItem('state', { access_token: 'secret-token' });
+      tamper('state');
+
+      await expect(getEncryptedItem('state')).rejects.toHaveProperty('type', SecureStorageError.TAMPERED);
+    });
+
+    test('should reject a blob moved to another storage key', async () => {
+      await setEncryptedItem('state', { access_token: 'secret-token' });
+      sessionStorage.setItem('other', sessionStorage.getItem('state'));
+
+      await expect(getEncryptedItem('other')).rejects.toHaveProperty('type', SecureStorageError.TAMPERED);
+    });
+
+    test('should reject plain JSON', async () => {
+      sessionStorage.setItem('state', JSON.stringify({ access_token: 'secret-token' }));
+
+      await expect(getEncryptedItem('state')).rejects.toHaveProperty('type', SecureStorageError.TAMPERED);
+    });
+  });
+
+  describe('auth state', () => {
+    beforeEach(() => {
+      resetClientConfig();
+      global.document = { getElementById: () => null };
+      global.fetch = jest.fn(async () => ({ ok: false, status: 404, json: async () => ({}) }));
+      global.FHIR = {
+        oauth2: {
+          ready: jest.fn().mockResolvedValue({
+            patient: { id: 'patient-123' },
+            state: {
+              serverUrl: 'https://fhir.example/r4',
+              scope: 'launch patient/*.read',
+              tokenResponse: { access_token: 'secret-token', token_type: 'Bearer', expires_in: 3600, scope: 'launch patient/*.read' }
+            }
+          })
+        }
+      };
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      clearAuthState();
+      delete global.fetch;
+      delete global.FHIR;
+    });
+
+    test('should store the tokens encrypted and decrypt them transparently', async () => {
+      await authorize();
+
+      expect(sessionStorage.getItem('smartAuthState')).not.toContain('secret-token');
+      expect((await getAuthState()).tokenResponse.access_token).toBe('secret-token');
+      expect(await isAuthenticated()).toBe(true);
+    });
+
+    test('should not leave the tokens in fhirclient\'s launch state', async () => {
+      jest.useFakeTimers();
+      // Like FHIR.oauth2.ready(), keep the launch state (tokens included) as plain JSON
+      const client = {
+        patient: { id: 'patient-123' },
+        state: {
+          key: 'launch-state-1',
+          serverUrl: 'https://fhir.example/r4',
+          tokenUri: 'https://auth.example/token',
+          clientId: 'client',
+          scope: 'launch patient/*.read offline_access',
+          tokenResponse: { access_token: 'secret-token', refresh_token: 'secret-refresh', token_type: 'Bearer', expires_in: 3600 }
+        },
+        // Like client.refresh(), write the state back when the client has a state key
+        refresh: jest.fn(async () => {
+          client.state.tokenResponse = { ...client.state.tokenResponse, access_token: 'secret-token-2' };
+          if (client.state.key) {
+            sessionStorage.setItem(client.state.key, JSON.stringify(client.state));
+          }
+          return client.state;
+        })
+      };
+      global.FHIR.oauth2.ready = jest.fn(async () => {
+        sessionStorage.setItem('SMART_KEY', JSON.stringify(client.state.key));
+        sessionStorage.setItem(client.state.key, JSON.stringify(client.state));
+        return client;
+      });
+      const tokens = ['secret-token', 'secret-refresh', 'secret-token-2'];
+      const leaked = () => storedValues().filter(value => tokens.some(token => value.includes(token)));
+
+      await authorize();
+      expect(leaked()).toEqual([]);
+
+      await refreshAuthToken();
+      expect(client.refresh).toHaveBeenCalledTimes(1);
+      expect((await getAuthState()).tokenResponse.access_token).toBe('secret-token-2');
+      expect(leaked()).toEqual([]);
+      jest.useRealTimers();
+    });
+
+    test('should treat a tampered state as logged out', async () => {
+      await authorize();
+      tamper('smartAuthState');
+
+      expect(await getAuthState()).toBeNull();
+      expect(await isAuthenticated()).toBe(false);
+      expect(sessionStorage.getItem('smartAuthState')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * SMART Discovery Tests
+ *
+ * Unit tests for the smart-discovery.js module functionality
+ */
+
+import {
+  evaluateServerCapabilities,
+  checkServerCapabilities,
+  getNeededResourceTypes
+} from '../smart-discovery.js';
+
+import { AuthError } from '../auth.js';
+
+const smartConfiguration = {
+  authorization_endpoint: 'https://auth.example/authorize',
+  token_endpoint: 'https://auth.example/token',
+  code_challenge_methods_supported: ['S256'],
+  grant_types_supported: ['authorization_code', 'refresh_token']
+};
+
+/**
+ * Build a CapabilityStatement supporting the given resource types
+ */
+const capabilityStatement = (types, searchParam = [{ name: '_sort' }, { name: '_count' }]) => ({
+  resourceType: 'CapabilityStatement',
+  rest: [{
+    mode: 'server',
+    searchParam,
+    resource: types.map(type => ({ type, interaction: [{ code: 'read' }, { code: 'search-type' }] }))
+  }]
+});
+
+describe('SMART Discovery', () => {
+  describe('evaluateServerCapabilities', () => {
+    test('should accept a server supporting everything', () => {
+      const report = evaluateServerCapabilities({
+        smartConfiguration,
+        capabilityStatement: capabilityStatement(getNeededResourceTypes())
+      });
+
+      expect(report.pkce).toBe(true);
+      expect(report.refreshTokens).toBe(true);
+      expect(report.missing).toEqual([]);
+      expect(report.warnings).toEqual([]);
+    });
+
+    test('should name missing required pieces', () => {
+      const report = evaluateServerCapabilities({
+        smartConfiguration: null,
+        capabilityStatement: capabilityStatement(['Patient'])
+      });
+
+      expect(report.missing).toEqual(['SMART authorization endpoints', 'AllergyIntolerance search']);
+      expect(report.warnings).toEqual(expect.arrayContaining([
+        'PKCE (S256) is not advertised',
+        expect.stringContaining('Immunization is not supported')
+      ]));
+    });
+
+    test('should warn when _sort and _count are not declared', () => {
+      const report = evaluateServerCapabilities({
+        smartConfiguration,
+        capabilityStatement: capabilityStatement(getNeededResourceTypes(), [])
+      });
+
+      expect(report.missing).toEqual([]);
+      expect(report.resources.AllergyIntolerance).toMatchObject({ supported: true, sort: false, count: false });
+      expect(report.warnings).toContain('AllergyIntolerance does not declare _sort and _count; results may be unsorted or unpaged');
+    });
+
+    test('should read OAuth endpoints from the CapabilityStatement', () => {
+      const statement = capabilityStatement(getNeededResourceTypes());
+      statement.rest[0].security = {
+        extension: [{
+          url: 'http://fhir-registry.smarthealthit.org/StructureDefinition/oauth-uris',
+          extension: [{ url: 'authorize', valueUri: 'https://a/authorize' }, { url: 'token', valueUri: 'https://a/token' }]
+        }]
+      };
+
+      const report = evaluateServerCapabilities({ smartConfiguration: null, capabilityStatement: statement });
+
+      expect(report.endpoints).toEqual({ authorize: 'https://a/authorize', token: 'https://a/token' });
+      expect(report.missing).toEqual([]);
+    });
+
+    test('should report the scope version the server advertises', () => {
+      const statement = capabilityStatement(getNeededResourceTypes());
+
+      expect(evaluateServerCapabilities({ smartConfiguration, capabilityStatement: statement }).scopeVersion).toBe(1);
+      expect(evaluateServerCapabilities({
+        smartConfiguration: { ...smartConfiguration, capabilities: ['permission-v2'] },
+        capabilityStatement: statement
+      }).scopeVersion).toBe(2);
+    });
+  });
+
+  describe('checkServerCapabilities', () => {
+    const respond = body => Promise.resolve({ ok: true, json: async () => body });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      delete global.fetch;
+    });
+
+    test('should fetch both discovery documents from the iss', async () => {
+      global.fetch = jest.fn(url => respond(url.endsWith('/metadata')
+        ? capabilityStatement(getNeededResourceTypes())
+        : smartConfiguration));
+
+      const report = await checkServerCapabilities('https://fhir.example/r4/');
+
+      expect(global.fetch.mock.calls.map(call => call[0])).toEqual([
+        'https://fhir.example/r4/.well-known/smart-configuration',
+        'https://fhir.example/r4/metadata'
+      ]);
+      expect(report.iss).toBe('https://fhir.example/r4/');
+    });
+
+    test('should throw UNSUPPORTED_SERVER naming the missing pieces', async () => {
+      global.fetch = jest.fn(url => respond(url.endsWith('/metadata') ? capabilityStatement(['Patient']) : smartConfiguration));
+
+      await expect(checkServerCapabilities('https://fhir.example/r4')).rejects.toMatchObject({
+        type: AuthError.UNSUPPORTED_SERVER,
+        details: { missing: ['AllergyIntolerance search'] }
+      });
+    });
+
+    test('should throw DISCOVERY_FAILED when neither document is available', async () => {
+      global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+      await expect(checkServerCapabilities('https://fhir.example/r4'))
+        .rejects
+        .toHaveProperty('type', AuthError.DISCOVERY_FAILED);
+    });
+  });
+});
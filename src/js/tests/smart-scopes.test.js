@@ -0,0 +1,200 @@
+/**
+ * SMART Scopes Tests
+ *
+ * Unit tests for the smart-scopes.js module functionality
+ */
+
+import {
+  parseScope,
+  createPermissions,
+  checkAccess,
+  checkResourceAccess,
+  getSupportedScopeVersion,
+  buildResourceScopes,
+  buildRequestedScope,
+  getDeniedScopes,
+  ScopePermission,
+  ScopeVersion
+} from '../smart-scopes.js';
+
+import { ResourceRegistry, ResourceTypes } from '../fhir-resources.js';
+
+describe('SMART Scopes', () => {
+  describe('parseScope', () => {
+    test('should parse v1 scopes', () => {
+      expect(parseScope('patient/AllergyIntolerance.read')).toMatchObject({
+        context: 'patient',
+        resourceType: 'AllergyIntolerance',
+        permissions: ['r', 's'],
+        query: null,
+        version: 1
+      });
+      expect(parseScope('user/*.write').permissions).toEqual(['c', 'u', 'd']);
+    });
+
+    test('should parse v2 scopes with query restrictions', () => {
+      expect(parseScope('patient/Observation.rs?category=http://terminology.hl7.org/CodeSystem/observation-category|laboratory')).toMatchObject({
+        resourceType: 'Observation',
+        permissions: ['r', 's'],
+        query: { category: 'http://terminology.hl7.org/CodeSystem/observation-category|laboratory' },
+        version: 2
+      });
+    });
+
+    test('should ignore scopes that do not grant resource access', () => {
+      expect(parseScope('launch')).toBeNull();
+      expect(parseScope('openid')).toBeNull();
+      expect(parseScope('patient/Condition.sr')).toBeNull();
+    });
+  });
+
+  describe('checkAccess', () => {
+    test('should allow everything when the scope is unknown', () => {
+      expect(checkAccess(createPermissions(undefined), 'Condition').allowed).toBe(true);
+    });
+
+    test('should allow wildcard scopes', () => {
+      const permissions = createPermissions('launch patient/*.rs');
+
+      expect(checkAccess(permissions, 'Immunization').allowed).toBe(true);
+    });
+
+    test('should explain missing resource types', () => {
+      const permissions = createPermissions('launch patient/AllergyIntolerance.read');
+
+      expect(checkAccess(permissions, 'AllergyIntolerance').allowed).toBe(true);
+      expect(checkAccess(permissions, 'Condition')).toEqual({
+        allowed: false,
+        reason: 'The granted access does not include Condition records.'
+      });
+    });
+
+    test('should require the search permission', () => {
+      const permissions = createPermissions('patient/Condition.r');
+
+      expect(checkAccess(permissions, 'Condition').allowed).toBe(false);
+      expect(checkAccess(permissions, 'Condition', { permission: ScopePermission.READ }).allowed).toBe(true);
+    });
+
+    test('should require a write scope to create records', () => {
+      const create = { permission: ScopePermission.CREATE };
+
+      expect(checkAccess(createPermissions('patient/*.read patient/AllergyIntolerance.write'), 'AllergyIntolerance', create).allowed).toBe(true);
+      expect(checkAccess(createPermissions('patient/AllergyIntolerance.c'), 'AllergyIntolerance', create).allowed).toBe(true);
+      expect(checkAccess(createPermissions('patient/*.read'), 'AllergyIntolerance', create)).toEqual({
+        allowed: false,
+        reason: 'The granted access does not allow creating AllergyIntolerance records.'
+      });
+    });
+
+    test('should ignore system scopes', () => {
+      expect(checkAccess(createPermissions('system/*.read'), 'Condition').allowed).toBe(false);
+    });
+  });
+
+  describe('checkResourceAccess', () => {
+    const permissions = createPermissions('patient/Observation.rs?category=http://terminology.hl7.org/CodeSystem/observation-category|laboratory');
+
+    test('should match category restrictions against registry entries', () => {
+      expect(checkResourceAccess(permissions, ResourceRegistry[ResourceTypes.LAB_RESULTS]).allowed).toBe(true);
+
+      const vitals = checkResourceAccess(permissions, ResourceRegistry[ResourceTypes.VITAL_SIGNS]);
+      expect(vitals.allowed).toBe(false);
+      expect(vitals.reason).toContain('category=http://terminology.hl7.org/CodeSystem/observation-category|laboratory');
+    });
+  });
+
+  describe('getSupportedScopeVersion', () => {
+    test('should detect v2 from capabilities or supported scopes', () => {
+      expect(getSupportedScopeVersion({ capabilities: ['permission-v2'] })).toBe(ScopeVersion.V2);
+      expect(getSupportedScopeVersion({ scopes_supported: ['patient/*.rs'] })).toBe(ScopeVersion.V2);
+    });
+
+    test('should fall back to v1', () => {
+      expect(getSupportedScopeVersion({ capabilities: ['permission-v1'], scopes_supported: ['patient/*.read'] })).toBe(ScopeVersion.V1);
+      expect(getSupportedScopeVersion(null)).toBe(ScopeVersion.V1);
+    });
+  });
+
+  describe('buildResourceScopes', () => {
+    const definitions = [
+      { resourceType: 'AllergyIntolerance', defaultParams: { _sort: '-date' } },
+      { resourceType: 'Observation', defaultParams: { category: 'vital-signs' } },
+      { resourceType: 'Observation', defaultParams: { category: 'laboratory' } },
+      { resourceType: 'MedicationRequest', defaultParams: { status: 'active' } }
+    ];
+
+    test('should build v2 scopes restricted by category', () => {
+      expect(buildResourceScopes({ definitions, version: ScopeVersion.V2 })).toEqual([
+        'patient/Patient.r',
+        'patient/AllergyIntolerance.rs',
+        'patient/Observation.rs?category=vital-signs',
+        'patient/Observation.rs?category=laboratory',
+        'patient/MedicationRequest.rs'
+      ]);
+    });
+
+    test('should merge restrictions into one v1 scope per type', () => {
+      expect(buildResourceScopes({ definitions, version: ScopeVersion.V1, context: 'user' })).toEqual([
+        'user/Patient.read',
+        'user/AllergyIntolerance.read',
+        'user/Observation.read',
+        'user/MedicationRequest.read'
+      ]);
+    });
+
+    test('should drop the restriction when a type is also shown unrestricted', () => {
+      const scopes = buildResourceScopes({
+        definitions: [...definitions, { resourceType: 'Observation', defaultParams: {} }]
+      });
+
+      expect(scopes.filter(scope => scope.startsWith('patient/Observation'))).toEqual(['patient/Observation.rs']);
+    });
+
+    test('should cover every resource type in the registry', () => {
+      const scopes = buildResourceScopes();
+      const permissions = createPermissions(scopes.join(' '));
+
+      Object.values(ResourceRegistry).forEach(definition => {
+        expect(checkResourceAccess(permissions, definition).allowed).toBe(true);
+      });
+    });
+  });
+
+  describe('buildRequestedScope', () => {
+    const definitions = [{ resourceType: 'Condition', defaultParams: { category: 'problem-list-item' } }];
+
+    test('should replace wildcard scopes and keep the others', () => {
+      expect(buildRequestedScope('launch openid patient/*.read offline_access', { version: ScopeVersion.V2, definitions }))
+        .toBe('launch openid patient/Patient.r patient/Condition.rs?category=problem-list-item offline_access');
+    });
+
+    test('should keep wildcard write scopes', () => {
+      expect(buildRequestedScope('launch patient/*.read patient/*.write', { version: ScopeVersion.V2, definitions }))
+        .toBe('launch patient/Patient.r patient/Condition.rs?category=problem-list-item patient/*.cud');
+      expect(buildRequestedScope('launch patient/*.write', { version: ScopeVersion.V1, definitions }))
+        .toBe('launch patient/*.write');
+    });
+
+    test('should convert configured v2 scopes to v1', () => {
+      expect(buildRequestedScope('launch patient/Condition.rs?category=problem-list-item patient/Patient.cruds', { version: ScopeVersion.V1 }))
+        .toBe('launch patient/Condition.read patient/Patient.read patient/Patient.write');
+    });
+
+    test('should keep explicit scopes in the supported version', () => {
+      expect(buildRequestedScope('launch patient/AllergyIntolerance.read system/*.read', { version: ScopeVersion.V1 }))
+        .toBe('launch patient/AllergyIntolerance.read system/*.read');
+    });
+  });
+
+  describe('getDeniedScopes', () => {
+    test('should list requested scopes missing from the grant', () => {
+      expect(getDeniedScopes('launch patient/Patient.r patient/Condition.rs', 'launch patient/Patient.r'))
+        .toEqual(['patient/Condition.rs']);
+    });
+
+    test('should not report denials when the grant is unknown', () => {
+      expect(getDeniedScopes('launch patient/Patient.r', undefined)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Standalone Launch Tests
+ *
+ * Unit tests for the standalone-launch.js module functionality
+ */
+
+import {
+  buildStandaloneScope,
+  normalizeIssuer,
+  getServerOptions,
+  launchStandalone,
+  KNOWN_FHIR_SERVERS,
+  StandaloneLaunchError
+} from '../standalone-launch.js';
+
+describe('Standalone Launch', () => {
+  describe('buildStandaloneScope', () => {
+    test('should replace the EHR launch scope with launch/patient', () => {
+      expect(buildStandaloneScope('launch patient/*.read')).toBe('launch/patient patient/*.read');
+    });
+
+    test('should not duplicate launch/patient', () => {
+      expect(buildStandaloneScope('openid launch/patient patient/*.read')).toBe('openid launch/patient patient/*.read');
+    });
+  });
+
+  describe('normalizeIssuer', () => {
+    test('should strip trailing slashes', () => {
+      expect(normalizeIssuer(' https://fhir.example.org/r4/ ')).toBe('https://fhir.example.org/r4');
+    });
+
+    test('should allow http only for localhost', () => {
+      expect(normalizeIssuer('http://localhost:8080/fhir')).toBe('http://localhost:8080/fhir');
+      expect(() => normalizeIssuer('http://fhir.example.org')).toThrow(expect.objectContaining({
+        type: StandaloneLaunchError.INVALID_ISSUER
+      }));
+    });
+
+    test('should reject values that are not URLs', () => {
+      expect(() => normalizeIssuer('not a url')).toThrow(expect.objectContaining({
+        type: StandaloneLaunchError.INVALID_ISSUER
+      }));
+    });
+  });
+
+  describe('getServerOptions', () => {
+    test('should list the configured issuer first without duplicates', () => {
+      const options = getServerOptions(KNOWN_FHIR_SERVERS[0].url);
+
+      expect(options).toHaveLength(KNOWN_FHIR_SERVERS.length);
+      expect(options[0].label).toContain('Configured server');
+    });
+  });
+
+  describe('launchStandalone', () => {
+    beforeEach(() => {
+      global.FHIR = { oauth2: { authorize: jest.fn().mockResolvedValue() } };
+    });
+
+    afterEach(() => {
+      delete global.FHIR;
+    });
+
+    test('should authorize without a launch token', async () => {
+      await launchStandalone('https://fhir.example.org/r4/', {
+        clientId: 'client',
+        scope: 'launch patient/AllergyIntolerance.read',
+        redirectUri: 'index.html'
+      });
+
+      expect(global.FHIR.oauth2.authorize).toHaveBeenCalledWith({
+        clientId: 'client',
+        scope: 'launch/patient patient/AllergyIntolerance.read',
+        redirectUri: 'index.html',
+        iss: 'https://fhir.example.org/r4'
+      });
+    });
+
+    test('should request registry scopes in the version the server supports', async () => {
+      await launchStandalone('https://fhir.example.org/r4', {
+        clientId: 'client',
+        scope: 'launch patient/*.read',
+        redirectUri: 'index.html'
+      }, { scopeVersion: 2 });
+
+      const { scope } = global.FHIR.oauth2.authorize.mock.calls[0][0];
+      expect(scope.split(' ')).toEqual(expect.arrayContaining([
+        'launch/patient',
+        'patient/Patient.r',
+        'patient/AllergyIntolerance.rs',
+        'patient/Observation.rs?category=laboratory'
+      ]));
+      expect(scope).not.toContain('patient/*');
+    });
+
+    test('should not start authorization for an invalid server', async () => {
+      await expect(launchStandalone('ftp://fhir.example.org', {})).rejects.toHaveProperty('type', StandaloneLaunchError.INVALID_ISSUER);
+      expect(global.FHIR.oauth2.authorize).not.toHaveBeenCalled();
+    });
+  });
+});
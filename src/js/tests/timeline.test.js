@@ -0,0 +1,109 @@
+/**
+ * Patient Timeline Tests
+ *
+ * Unit tests for the timeline.js module functionality
+ */
+
+import {
+  buildTimelineEvents,
+  filterTimelineEvents,
+  groupTimelineEvents,
+  countEventsByType
+} from '../timeline.js';
+
+import { normalizeAllergyData } from '../fhir-client.js';
+import { normalizeMedicationRequestData } from '../medication-request.js';
+
+/**
+ * Normalized resources of several types, as produced by the normalize*Data functions
+ */
+const allergies = normalizeAllergyData([
+  {
+    resourceType: 'AllergyIntolerance',
+    id: 'allergy-1',
+    patient: { reference: 'Patient/123' },
+    code: { text: 'Penicillin' },
+    criticality: 'high',
+    onsetDateTime: '2021-06-10',
+    recordedDate: '2022-01-01'
+  }
+]);
+
+const medicationRequests = [
+  normalizeMedicationRequestData({
+    resourceType: 'MedicationRequest',
+    id: 'med-1',
+    status: 'active',
+    authoredOn: '2022-01-15',
+    medicationCodeableConcept: { text: 'Amoxicillin' }
+  })
+];
+
+const immunizations = [
+  { id: 'imm-1', resourceType: 'Immunization', vaccineDisplay: 'Influenza', occurrenceDate: '2022-01-03', status: 'completed' },
+  { id: 'imm-2', resourceType: 'Immunization', vaccineDisplay: 'Tetanus', occurrenceDate: '', status: 'completed' }
+];
+
+describe('Patient Timeline', () => {
+  const events = buildTimelineEvents({
+    allergies,
+    'medication-requests': medicationRequests,
+    immunizations,
+    // The same MedicationRequest loaded through a second selector entry
+    medications: medicationRequests
+  });
+
+  describe('buildTimelineEvents', () => {
+    test('should merge types newest first with undated events last', () => {
+      expect(events.map(e => e.id)).toEqual([
+        'MedicationRequest/med-1',
+        'Immunization/imm-1',
+        'AllergyIntolerance/allergy-1',
+        'Immunization/imm-2'
+      ]);
+    });
+
+    test('should prefer allergy onset over recorded date', () => {
+      const allergy = events.find(e => e.resourceType === 'AllergyIntolerance');
+
+      expect(allergy.dateLabel).toBe('Onset');
+      expect(allergy.date.toISOString()).toContain('2021-06-10');
+      expect(allergy.abnormal).toBe(true);
+    });
+
+    test('should handle empty input', () => {
+      expect(buildTimelineEvents(null)).toEqual([]);
+    });
+  });
+
+  describe('filterTimelineEvents', () => {
+    test('should keep only the selected types', () => {
+      expect(filterTimelineEvents(events, ['Immunization'])).toHaveLength(2);
+    });
+
+    test('should keep everything when no types are selected', () => {
+      expect(filterTimelineEvents(events, [])).toHaveLength(events.length);
+    });
+  });
+
+  describe('groupTimelineEvents', () => {
+    test('should group by year and month', () => {
+      const years = groupTimelineEvents(events);
+
+      expect(years.map(y => y.key)).toEqual(['2022', '2021', 'undated']);
+      expect(years[0].months).toHaveLength(1);
+      expect(years[0].months[0].key).toBe('2022-01');
+      expect(years[0].months[0].events).toHaveLength(2);
+    });
+  });
+
+  describe('countEventsByType', () => {
+    test('should count events per resource type', () => {
+      expect(countEventsByType(events)).toEqual({
+        MedicationRequest: 1,
+        Immunization: 2,
+        AllergyIntolerance: 1
+      });
+    });
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Token Refresh Tests
+ *
+ * Unit tests for the token refresh scheduler in auth.js and the 401 retry in api.js
+ */
+
+import {
+  authorize,
+  getAuthState,
+  refreshAuthToken,
+  clearAuthState,
+  AuthError
+} from '../auth.js';
+
+import { fhirRequest } from '../api.js';
+import auditLog from '../audit-log.js';
+import { displayErrorToUser } from '../error-handler.js';
+
+jest.mock('../error-handler.js', () => {
+  const actual = jest.requireActual('../error-handler.js');
+  return {
+    ...actual,
+    displayErrorToUser: jest.fn()
+  };
+});
+
+// Encryption is covered in secure-storage.test.js; keep these tests on microtasks
+jest.mock('../secure-storage.js', () => ({
+  setEncryptedItem: async (key, value) => global.sessionStorage.setItem(key, JSON.stringify(value)),
+  getEncryptedItem: async key => JSON.parse(global.sessionStorage.getItem(key))
+}));
+
+/**
+ * Minimal in-memory sessionStorage
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+/**
+ * Fake fhirclient client whose refresh() issues a new token
+ */
+function createClient({ expiresIn = 3600, refreshToken = 'refresh-1' } = {}) {
+  const client = {
+    patient: { id: 'patient-123' },
+    state: {
+      serverUrl: 'https://fhir.example/r4',
+      tokenUri: 'https://auth.example/token',
+      clientId: 'client',
+      scope: 'launch patient/*.read offline_access',
+      tokenResponse: {
+        access_token: 'access-1',
+        token_type: 'Bearer',
+        expires_in: expiresIn,
+        scope: 'launch patient/*.read offline_access',
+        ...(refreshToken && { refresh_token: refreshToken })
+      }
+    },
+    refresh: jest.fn(async () => {
+      client.state.tokenResponse = { ...client.state.tokenResponse, access_token: `access-${client.refresh.mock.calls.length + 1}`, expires_in: 3600 };
+      return client.state;
+    })
+  };
+  return client;
+}
+
+/**
+ * Let pending promise chains settle
+ */
+async function flushPromises() {
+  for (let i = 0; i < 20; i++) {
+    await Promise.resolve();
+  }
+}
+
+describe('Token Refresh', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    global.sessionStorage = createStorage();
+    global.document = { getElementById: () => null };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    clearAuthState();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    displayErrorToUser.mockClear();
+    delete global.FHIR;
+    delete global.fetch;
+  });
+
+  test('should refresh shortly before the token expires', async () => {
+    const client = createClient({ expiresIn: 3600 });
+    global.FHIR = { oauth2: { ready: jest.fn().mockResolvedValue(client) } };
+
+    await authorize();
+    expect(await getAuthState()).toMatchObject({ tokenUri: 'https://auth.example/token', clientId: 'client' });
+
+    // Five minutes before expiry
+    jest.advanceTimersByTime(54 * 60 * 1000);
+    await flushPromises();
+    expect(client.refresh).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(60 * 1000);
+    await flushPromises();
+    expect(client.refresh).toHaveBeenCalledTimes(1);
+    expect((await getAuthState()).tokenResponse.access_token).toBe('access-2');
+  });
+
+  test('should record the requested and granted scopes', async () => {
+    const client = createClient();
+    client.state.scope = 'launch patient/Patient.r patient/Condition.rs offline_access';
+    client.state.tokenResponse.scope = 'launch patient/Patient.r offline_access';
+    global.FHIR = { oauth2: { ready: jest.fn().mockResolvedValue(client) } };
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await authorize();
+
+    expect(await getAuthState()).toMatchObject({
+      requestedScope: 'launch patient/Patient.r patient/Condition.rs offline_access',
+      grantedScope: 'launch patient/Patient.r offline_access',
+      deniedScopes: ['patient/Condition.rs']
+    });
+
+    // The refreshed state keeps the record
+    await refreshAuthToken();
+    expect((await getAuthState()).deniedScopes).toEqual(['patient/Condition.rs']);
+  });
+
+  test('should not schedule a refresh without a refresh token', async () => {
+    const client = createClient({ refreshToken: null });
+    global.FHIR = { oauth2: { ready: jest.fn().mockResolvedValue(client) } };
+
+    await authorize();
+    jest.advanceTimersByTime(2 * 60 * 60 * 1000);
+    await flushPromises();
+
+    expect(client.refresh).not.toHaveBeenCalled();
+  });
+
+  test('should share one refresh between concurrent callers', async () => {
+    const client = createClient();
+    global.FHIR = { oauth2: { ready: jest.fn().mockResolvedValue(client) } };
+    await authorize();
+
+    await Promise.all([refreshAuthToken(), refreshAuthToken()]);
+
+    expect(client.refresh).toHaveBeenCalledTimes(1);
+  });
+
+  test('should renew the token on a reload with an expired token and a refresh token', async () => {
+    const { state } = createClient();
+    sessionStorage.setItem('smartAuthState', JSON.stringify({
+      tokenResponse: state.tokenResponse,
+      serverUrl: state.serverUrl,
+      tokenUri: state.tokenUri,
+      clientId: state.clientId,
+      requestedScope: state.scope,
+      patientId: 'patient-123',
+      tokenExpiration: Date.now() - 60 * 1000,
+      tokenTimestamp: Date.now() - 61 * 60 * 1000
+    }));
+    const client = createClient();
+    // Without the launch state, ready() has nothing to complete
+    const ready = jest.fn().mockRejectedValue(new Error('No state found'));
+    global.FHIR = { oauth2: { ready }, client: jest.fn(() => client) };
+
+    await expect(authorize()).resolves.toBe(client);
+
+    expect(ready).not.toHaveBeenCalled();
+    expect(client.refresh).toHaveBeenCalledTimes(1);
+    expect((await getAuthState()).tokenResponse.access_token).toBe('access-2');
+  });
+
+  test('should ask for a relaunch when the refresh fails', async () => {
+    const client = createClient();
+    client.refresh.mockRejectedValue(new Error('invalid_grant'));
+    global.FHIR = { oauth2: { ready: jest.fn().mockResolvedValue(client) } };
+    await authorize();
+
+    await expect(refreshAuthToken()).rejects.toHaveProperty('type', AuthError.EXPIRED_TOKEN);
+    expect(displayErrorToUser).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Your session has expired and could not be renewed.' }),
+      'error-container',
+      expect.any(Object)
+    );
+  });
+
+  describe('fhirRequest', () => {
+    const jsonResponse = (status, body = {}) => ({ ok: status < 400, status, json: async () => body });
+
+    beforeEach(() => {
+      auditLog.reset();
+    });
+
+    test('should refresh and retry once after a 401', async () => {
+      const client = createClient();
+      global.FHIR = { oauth2: { ready: jest.fn().mockResolvedValue(client) } };
+      await authorize();
+
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce(jsonResponse(401))
+        .mockResolvedValueOnce(jsonResponse(200, { resourceType: 'Patient', id: 'patient-123' }));
+
+      const result = await fhirRequest('https://fhir.example/r4/Patient/patient-123');
+
+      expect(result.id).toBe('patient-123');
+      expect(client.refresh).toHaveBeenCalledTimes(1);
+      expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer access-2');
+      expect(auditLog.getEntries()).toEqual([
+        expect.objectContaining({ action: 'read', resourceType: 'Patient', patientId: 'patient-123', outcome: 'success' })
+      ]);
+    });
+
+    test('should not retry a second 401', async () => {
+      const client = createClient();
+      global.FHIR = { oauth2: { ready: jest.fn().mockResolvedValue(client) } };
+      await authorize();
+
+      global.fetch = jest.fn().mockResolvedValue(jsonResponse(401));
+
+      await expect(fhirRequest('https://fhir.example/r4/Patient/patient-123')).rejects.toHaveProperty('details.status', 401);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(client.refresh).toHaveBeenCalledTimes(1);
+      expect(auditLog.getEntries()).toEqual([
+        expect.objectContaining({ action: 'read', resourceType: 'Patient', outcome: 'failure' })
+      ]);
+    });
+  });
+});
@@ -0,0 +1,382 @@
+/**
+ * Patient Timeline Module
+ * Merges normalized resources of every loaded type into a single chronological
+ * timeline grouped by year and month, with type filters and zoom levels
+ */
+
+/**
+ * Zoom levels, from the most compact to the most detailed
+ */
+export const TimelineZoom = {
+  YEAR: 'year',
+  MONTH: 'month',
+  EVENT: 'event'
+};
+
+const ZOOM_ORDER = [TimelineZoom.YEAR, TimelineZoom.MONTH, TimelineZoom.EVENT];
+
+/**
+ * Display labels for FHIR resource types shown on the timeline
+ */
+const TYPE_LABELS = {
+  AllergyIntolerance: 'Allergy',
+  Condition: 'Condition',
+  MedicationRequest: 'Medication',
+  Immunization: 'Immunization',
+  Observation: 'Observation'
+};
+
+/**
+ * How to read the date, title and detail of each normalized resource type
+ */
+const EVENT_EXTRACTORS = {
+  AllergyIntolerance: allergy => ({
+    date: allergy.onsetDate || allergy.recordedDate,
+    dateLabel: allergy.onsetDate ? 'Onset' : 'Recorded',
+    title: allergy.substance?.text || allergy.code?.display || 'Unknown allergy',
+    detail: [allergy.clinicalStatus, allergy.criticality && `criticality ${allergy.criticality}`].filter(Boolean).join(', ')
+  }),
+  Condition: condition => ({
+    date: condition.onset?.date || condition.recordedDate,
+    dateLabel: condition.onset?.date ? 'Onset' : 'Recorded',
+    title: condition.display || 'Unknown condition',
+    detail: [condition.clinicalStatus, condition.severity].filter(Boolean).join(', ')
+  }),
+  MedicationRequest: medication => ({
+    date: medication.authoredOn || medication.dateWritten,
+    dateLabel: 'Authored',
+    title: medication.medicationDisplay || 'Unknown medication',
+    detail: medication.status || ''
+  }),
+  Immunization: immunization => ({
+    date: immunization.occurrenceDate,
+    dateLabel: 'Administered',
+    title: immunization.vaccineDisplay || 'Unknown vaccine',
+    detail: immunization.status || ''
+  }),
+  Observation: observation => ({
+    date: observation.effectiveDate,
+    dateLabel: 'Effective',
+    title: observation.display || 'Unknown observation',
+    detail: `${observation.valueDisplay || ''}${observation.abnormalFlag ? ` (${observation.abnormalFlag})` : ''}`
+  })
+};
+
+/**
+ * Build timeline events from normalized resources
+ * @param {Object<string, Array>} resourcesByType - Normalized resources keyed by ResourceTypes id
+ * @returns {Array} Events sorted newest first; undated events are kept at the end
+ */
+export function buildTimelineEvents(resourcesByType) {
+  const events = [];
+  const seen = new Set();
+
+  Object.values(resourcesByType || {}).forEach(resources => {
+    if (!Array.isArray(resources)) return;
+
+    resources.forEach(resource => {
+      if (!resource || resource.error) return;
+
+      const resourceType = resource.resourceType || 'Unknown';
+      const key = `${resourceType}/${resource.id}`;
+      // The same resource can be loaded through more than one selector entry
+      if (resource.id && seen.has(key)) return;
+      seen.add(key);
+
+      const extractor = EVENT_EXTRACTORS[resourceType] || extractGenericEvent;
+      const extracted = extractor(resource);
+      const date = parseEventDate(extracted.date);
+
+      events.push({
+        id: key,
+        resourceType,
+        typeLabel: TYPE_LABELS[resourceType] || resourceType,
+        date,
+        dateLabel: extracted.dateLabel,
+        title: extracted.title,
+        detail: extracted.detail,
+        abnormal: Boolean(resource.abnormalFlag) || resource.criticality === 'high'
+      });
+    });
+  });
+
+  return events.sort((a, b) => {
+    if (!a.date && !b.date) return 0;
+    if (!a.date) return 1;
+    if (!b.date) return -1;
+    return b.date - a.date;
+  });
+}
+
+/**
+ * Filter events by FHIR resource type
+ * @param {Array} events - Timeline events
+ * @param {Array<string>|Set<string>} resourceTypes - Resource types to keep (all when empty)
+ * @returns {Array} Filtered events
+ */
+export function filterTimelineEvents(events, resourceTypes) {
+  const types = new Set(resourceTypes || []);
+  if (types.size === 0) return events;
+  return events.filter(event => types.has(event.resourceType));
+}
+
+/**
+ * Group events by year and month
+ * @param {Array} events - Sorted timeline events
+ * @returns {Array<{key: string, label: string, events: Array, months: Array}>} Year groups
+ */
+export function groupTimelineEvents(events) {
+  const years = [];
+  const yearIndex = new Map();
+
+  events.forEach(event => {
+    const yearKey = event.date ? String(event.date.getUTCFullYear()) : 'undated';
+
+    if (!yearIndex.has(yearKey)) {
+      const group = { key: yearKey, label: event.date ? yearKey : 'Undated', events: [], months: [] };
+      yearIndex.set(yearKey, group);
+      years.push(group);
+    }
+
+    const year = yearIndex.get(yearKey);
+    year.events.push(event);
+
+    const monthKey = event.date ? `${yearKey}-${String(event.date.getUTCMonth() + 1).padStart(2, '0')}` : 'undated';
+    let month = year.months.find(m => m.key === monthKey);
+    if (!month) {
+      month = {
+        key: monthKey,
+        label: event.date ?
+          event.date.toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' }) :
+          'Undated',
+        events: []
+      };
+      year.months.push(month);
+    }
+    month.events.push(event);
+  });
+
+  return years;
+}
+
+/**
+ * Count events per resource type
+ * @param {Array} events - Timeline events
+ * @returns {Object<string, number>} Counts keyed by resource type
+ */
+export function countEventsByType(events) {
+  return events.reduce((counts, event) => {
+    counts[event.resourceType] = (counts[event.resourceType] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+/**
+ * Display the patient timeline with type filters and zoom controls
+ * @param {Array} events - Timeline events (from buildTimelineEvents)
+ * @param {string} targetElementId - ID of the target DOM element
+ * @param {Object} options - Display options (zoom, resourceTypes)
+ */
+export function displayTimeline(events, targetElementId, options = {}) {
+  const targetElement = document.getElementById(targetElementId);
+  if (!targetElement) {
+    console.error(`Target element ${targetElementId} not found`);
+    return;
+  }
+
+  const state = {
+    zoom: options.zoom || TimelineZoom.MONTH,
+    resourceTypes: options.resourceTypes || []
+  };
+
+  const rerender = (changes) => displayTimeline(events, targetElementId, { ...options, ...state, ...changes });
+
+  targetElement.innerHTML = '';
+
+  if (!events || events.length === 0) {
+    targetElement.innerHTML = `
+      <div class="timeline-empty-state">
+        <p>No dated clinical events found for this patient.</p>
+      </div>
+    `;
+    return;
+  }
+
+  targetElement.appendChild(createTimelineControls(events, state, rerender));
+
+  const filtered = filterTimelineEvents(events, state.resourceTypes);
+  const list = document.createElement('div');
+  list.className = `timeline timeline-zoom-${state.zoom}`;
+
+  groupTimelineEvents(filtered).forEach(year => {
+    const yearSection = document.createElement('div');
+    yearSection.className = 'timeline-year';
+
+    const yearHeader = document.createElement('h3');
+    yearHeader.className = 'timeline-year-header';
+    yearHeader.textContent = `${year.label} (${year.events.length})`;
+    yearSection.appendChild(yearHeader);
+
+    if (state.zoom === TimelineZoom.YEAR) {
+      yearSection.appendChild(createTypeSummary(year.events));
+      yearHeader.classList.add('timeline-zoomable');
+      yearHeader.title = 'Zoom in to months';
+      yearHeader.addEventListener('click', () => rerender({ zoom: TimelineZoom.MONTH }));
+    } else {
+      year.months.forEach(month => {
+        const monthSection = document.createElement('div');
+        monthSection.className = 'timeline-month';
+
+        const monthHeader = document.createElement('h4');
+        monthHeader.className = 'timeline-month-header';
+        monthHeader.textContent = `${month.label} (${month.events.length})`;
+        monthSection.appendChild(monthHeader);
+
+        if (state.zoom === TimelineZoom.MONTH) {
+          monthSection.appendChild(createTypeSummary(month.events));
+          monthHeader.classList.add('timeline-zoomable');
+          monthHeader.title = 'Zoom in to events';
+          monthHeader.addEventListener('click', () => rerender({ zoom: TimelineZoom.EVENT }));
+        } else {
+          const eventList = document.createElement('ul');
+          eventList.className = 'timeline-events';
+          month.events.forEach(event => eventList.appendChild(createEventItem(event)));
+          monthSection.appendChild(eventList);
+        }
+
+        yearSection.appendChild(monthSection);
+      });
+    }
+
+    list.appendChild(yearSection);
+  });
+
+  targetElement.appendChild(list);
+}
+
+/**
+ * Create the filter checkboxes and zoom buttons
+ */
+function createTimelineControls(events, state, rerender) {
+  const controls = document.createElement('div');
+  controls.className = 'timeline-controls';
+
+  const filters = document.createElement('div');
+  filters.className = 'timeline-filters';
+  const counts = countEventsByType(events);
+  const active = new Set(state.resourceTypes.length > 0 ? state.resourceTypes : Object.keys(counts));
+
+  Object.entries(counts).forEach(([resourceType, count]) => {
+    const label = document.createElement('label');
+    label.className = `timeline-filter timeline-type-${resourceType}`;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = resourceType;
+    checkbox.checked = active.has(resourceType);
+    checkbox.addEventListener('change', () => {
+      const selected = Array.from(filters.querySelectorAll('input:checked')).map(input => input.value);
+      // An empty filter shows every type, so unchecking everything resets the filter
+      rerender({ resourceTypes: selected.length === Object.keys(counts).length ? [] : selected });
+    });
+
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${TYPE_LABELS[resourceType] || resourceType} (${count})`));
+    filters.appendChild(label);
+  });
+
+  const zoom = document.createElement('div');
+  zoom.className = 'timeline-zoom';
+  const zoomIndex = ZOOM_ORDER.indexOf(state.zoom);
+
+  const zoomOut = document.createElement('button');
+  zoomOut.className = 'btn btn-secondary';
+  zoomOut.textContent = '− Zoom out';
+  zoomOut.disabled = zoomIndex <= 0;
+  zoomOut.addEventListener('click', () => rerender({ zoom: ZOOM_ORDER[zoomIndex - 1] }));
+
+  const zoomIn = document.createElement('button');
+  zoomIn.className = 'btn btn-secondary';
+  zoomIn.textContent = '+ Zoom in';
+  zoomIn.disabled = zoomIndex >= ZOOM_ORDER.length - 1;
+  zoomIn.addEventListener('click', () => rerender({ zoom: ZOOM_ORDER[zoomIndex + 1] }));
+
+  zoom.appendChild(zoomOut);
+  zoom.appendChild(zoomIn);
+
+  controls.appendChild(filters);
+  controls.appendChild(zoom);
+  return controls;
+}
+
+/**
+ * Create a compact per-type summary for collapsed zoom levels
+ */
+function createTypeSummary(events) {
+  const summary = document.createElement('p');
+  summary.className = 'timeline-summary';
+  summary.textContent = Object.entries(countEventsByType(events))
+    .map(([resourceType, count]) => `${count} ${TYPE_LABELS[resourceType] || resourceType}`)
+    .join(' · ');
+  return summary;
+}
+
+/**
+ * Create a single timeline event list item
+ */
+function createEventItem(event) {
+  const item = document.createElement('li');
+  item.className = `timeline-event timeline-type-${event.resourceType}${event.abnormal ? ' timeline-event-flagged' : ''}`;
+
+  const date = document.createElement('span');
+  date.className = 'timeline-event-date';
+  date.textContent = event.date ? event.date.toLocaleDateString(undefined, { timeZone: 'UTC' }) : '—';
+
+  const type = document.createElement('span');
+  type.className = 'timeline-event-type';
+  type.textContent = event.typeLabel;
+
+  const title = document.createElement('strong');
+  title.textContent = event.title;
+
+  item.appendChild(date);
+  item.appendChild(type);
+  item.appendChild(title);
+
+  if (event.detail) {
+    const detail = document.createElement('span');
+    detail.className = 'timeline-event-detail';
+    detail.textContent = ` ${event.detail}`;
+    item.appendChild(detail);
+  }
+
+  if (event.dateLabel) {
+    item.title = `${event.dateLabel} date`;
+  }
+
+  return item;
+}
+
+/**
+ * Fallback extractor for resource types without a dedicated mapping
+ */
+function extractGenericEvent(resource) {
+  const date = resource.effectiveDate || resource.occurrenceDate || resource.authoredOn ||
+    resource.recordedDate || resource.date || resource.issued || null;
+
+  return {
+    date,
+    dateLabel: 'Date',
+    title: resource.display || resource.code?.display || resource.resourceType || 'Unknown',
+    detail: resource.status || ''
+  };
+}
+
+/**
+ * Parse a FHIR date/dateTime, returning null for missing or invalid values
+ */
+function parseEventDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
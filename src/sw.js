@@ -0,0 +1,81 @@
+/**
+ * Service Worker
+ * Caches the application's static assets so index.html loads without a network
+ * connection. FHIR and authorization requests are never cached here; offline
+ * patient data comes from the IndexedDB snapshots in js/offline-store.js.
+ */
+
+const CACHE_NAME = 'smart-fhir-static-v1';
+
+/**
+ * Application shell cached on install; other static assets (such as the ES
+ * modules imported by app.js) are cached the first time they are fetched
+ */
+const PRECACHE_URLS = [
+  './',
+  './index.html',
+  './launch.html',
+  './standalone.html',
+  './css/styles.css',
+  './css/json-display.css',
+  './js/lib/fhirclient.js',
+  './js/app.js'
+];
+
+/**
+ * Check whether a same-origin path is a static asset served from src/:
+ * a page, or a file under js/ or css/, relative to the worker's scope
+ */
+function isStaticAsset(pathname) {
+  const scopePath = new URL(self.registration.scope).pathname;
+  if (!pathname.startsWith(scopePath)) {
+    return false;
+  }
+
+  const path = pathname.slice(scopePath.length);
+  return path === '' || path.endsWith('.html') || path.startsWith('js/') || path.startsWith('css/');
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Remove caches left behind by earlier versions
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(
+        names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Only static assets. Everything else the server answers on the same origin is dynamic:
+  // /config.json, the mock FHIR and authorization server (server.js --mock) and the BFF (server.js --bff)
+  if (request.method !== 'GET' || url.origin !== self.location.origin || !isStaticAsset(url.pathname)) {
+    return;
+  }
+
+  // Network first so deployments are picked up, with the cached copy as the offline fallback
+  event.respondWith(
+    fetch(request)
+      .then(response => {
+        // Responses the server marks no-store are never kept
+        if (response.ok && !/\bno-store\b/i.test(response.headers.get('Cache-Control') || '')) {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+        }
+        return response;
+      })
+      .catch(() => caches.match(request, { ignoreSearch: url.pathname.endsWith('.html') || url.pathname.endsWith('/') }))
+  );
+});